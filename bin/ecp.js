@@ -10,13 +10,23 @@
  * Usage:
  *   npx everything-copilot init              # Install to current project
  *   npx everything-copilot init --minimal    # Install only agents + instructions
+ *   npx everything-copilot upgrade           # Update installed files, keep local edits
  *   npx everything-copilot skill:create      # Create a new skill interactively
  *   npx everything-copilot skill:create <name> --from-context <file>
  *   npx everything-copilot validate          # Validate agents + skills
+ *   npx everything-copilot validate --ci     # Strict; exit 1 on any warning or error
  *   npx everything-copilot doctor            # Health check
  *   npx everything-copilot list              # List installed agents & skills
+ *   npx everything-copilot list --json       # Same, as JSON (also validate, doctor)
+ *   npx everything-copilot explain <file>    # Instructions & skills loaded for a file
+ *   npx everything-copilot budget            # Token budget of the installed context
+ *   npx everything-copilot route "<task>"    # Which model a task routes to, and why
+ *   npx everything-copilot models:sync       # Agent models that drift from the routing table
  *   npx everything-copilot add:skill <name>  # Add a built-in skill
- *   npx everything-copilot add:agent <name>  # Add a built-in agent
+ *   npx everything-copilot remove:skill <name> # Remove an installed skill
+ *   npx everything-copilot uninstall         # Remove everything init installed
+ *   npx everything-copilot add:agent <name>  # Install a built-in agent (.agent.md)
+ *   npx everything-copilot agent:create      # Scaffold a new custom agent interactively
  *   npx everything-copilot instinct          # Manage learned instincts
  */
 
@@ -24,8 +34,22 @@
 
 const fs = require('node:fs');
 const path = require('node:path');
-const { execSync } = require('node:child_process');
+const { execSync, execFileSync } = require('node:child_process');
 const readline = require('node:readline');
+const manifestLib = require('../scripts/lib/manifest');
+const configLib = require('../scripts/lib/config');
+const presetsLib = require('../scripts/lib/presets');
+const registryLib = require('../scripts/lib/registry');
+const reportLib = require('../scripts/lib/report');
+const ciOutput = require('../scripts/lib/ci-output');
+const validationLib = require('../scripts/lib/validation');
+const contextLib = require('../scripts/lib/context');
+const budgetLib = require('../scripts/lib/budget');
+const agentTemplate = require('../scripts/lib/agent-template');
+const modelSelector = require('../scripts/lib/model-selector');
+const modelSync = require('../scripts/lib/model-sync');
+const { createFileOps } = require('../scripts/lib/file-ops');
+const { unifiedDiff } = require('../scripts/lib/diff');
 
 // ---------------------------------------------------------------------------
 // Constants
@@ -62,79 +86,61 @@ const ICONS = {
 // Built-in Skills & Agents registry
 // ---------------------------------------------------------------------------
 
-const BUILT_IN_SKILLS = [
-  { name: 'coding-standards', desc: 'Per-language code style (JS, TS, Python, Go, Rust, Java)' },
-  { name: 'frontend-patterns', desc: 'React, state management, responsive design, performance' },
-  { name: 'backend-patterns', desc: 'API design, databases, caching, event-driven' },
-  { name: 'golang-patterns', desc: 'Idiomatic Go, interfaces, testing, concurrency' },
-  { name: 'java-spring-boot', desc: 'Spring Boot, JPA/Hibernate, Spring Security, testing' },
-  { name: 'test-driven-development', desc: 'TDD workflow, Jest, pytest, JUnit, coverage' },
-  { name: 'verification-loop', desc: 'Checkpoints, evals, pass@k metrics, grading rubrics' },
-  { name: 'security-review', desc: 'OWASP Top 10, dependency scanning, secret detection' },
-  { name: 'continuous-learning', desc: 'Pattern extraction, instinct storage, reusable patterns' },
-  { name: 'continuous-learning-v2', desc: 'Confidence scoring, clustering, evolution to skills' },
-  { name: 'iterative-retrieval', desc: 'Context refinement, subagent orchestration' },
-  { name: 'strategic-compact', desc: 'Token optimization, compaction, context preservation' },
-];
-
-const BUILT_IN_AGENTS = [
-  { name: 'planner', model: 'opus', desc: 'Strategic implementation planning' },
-  { name: 'architect', model: 'opus', desc: 'System design and architecture decisions' },
-  { name: 'tdd', model: 'sonnet', desc: 'Test-driven development (RED→GREEN→REFACTOR)' },
-  { name: 'code-reviewer', model: 'sonnet', desc: 'General code review' },
-  { name: 'security-reviewer', model: 'opus', desc: 'Security-focused code review' },
-  { name: 'build-error-resolver', model: 'sonnet', desc: 'Build/compile error fixing' },
-  { name: 'e2e-runner', model: 'sonnet', desc: 'End-to-end test management' },
-  { name: 'refactor-cleaner', model: 'sonnet', desc: 'Code refactoring and cleanup' },
-  { name: 'doc-updater', model: 'haiku', desc: 'Documentation maintenance' },
-  { name: 'go-reviewer', model: 'sonnet', desc: 'Go-specific code review' },
-  { name: 'go-build-resolver', model: 'sonnet', desc: 'Go build error fixing' },
-  { name: 'java-reviewer', model: 'sonnet', desc: 'Java/Spring Boot code review' },
-  { name: 'performance-optimizer', model: 'sonnet', desc: 'Performance profiling and fixes' },
-];
+// Discovered from .copilot/skills/*/SKILL.md and .github/agents/*.agent.md
+const BUILT_IN = registryLib.loadRegistry(REPO_ROOT);
+
+// Agents every language preset gets; language presets add their reviewers
+const CORE_AGENTS = ['planner', 'architect', 'tdd', 'code-reviewer', 'security-reviewer', 'build-fixer', 'refactor', 'doc-updater'];
 
 // Preset bundles
 const PRESETS = {
   minimal: {
     desc: 'Agents + instructions only (lightest setup)',
     skills: [],
-    includeAgents: true,
+    includeAgents: false,
+    agents: ['planner', 'tdd', 'code-reviewer', 'build-fixer'],
     includeInstructions: true,
   },
   standard: {
     desc: 'Agents + instructions + core skills',
     skills: ['coding-standards', 'test-driven-development', 'security-review'],
-    includeAgents: true,
+    includeAgents: false,
+    agents: [...CORE_AGENTS],
     includeInstructions: true,
   },
   full: {
     desc: 'Everything — all agents, skills, scripts, tests',
-    skills: BUILT_IN_SKILLS.map((s) => s.name),
+    skills: BUILT_IN.skills.map((s) => s.name),
     includeAgents: true,
     includeInstructions: true,
+    includeScripts: true,
   },
   frontend: {
     desc: 'Frontend-focused (React, CSS, performance, TDD)',
     skills: ['coding-standards', 'frontend-patterns', 'test-driven-development', 'verification-loop'],
-    includeAgents: true,
+    includeAgents: false,
+    agents: [...CORE_AGENTS, 'e2e-runner', 'performance'],
     includeInstructions: true,
   },
   backend: {
     desc: 'Backend-focused (APIs, DB, security, TDD)',
     skills: ['coding-standards', 'backend-patterns', 'security-review', 'test-driven-development'],
-    includeAgents: true,
+    includeAgents: false,
+    agents: [...CORE_AGENTS, 'performance'],
     includeInstructions: true,
   },
   go: {
     desc: 'Go-focused (Go patterns, TDD, security)',
     skills: ['coding-standards', 'golang-patterns', 'test-driven-development', 'security-review'],
-    includeAgents: true,
+    includeAgents: false,
+    agents: [...CORE_AGENTS, 'go-reviewer'],
     includeInstructions: true,
   },
   java: {
     desc: 'Java/Spring Boot (JPA, Security, TDD with JUnit)',
     skills: ['coding-standards', 'java-spring-boot', 'backend-patterns', 'test-driven-development', 'security-review'],
-    includeAgents: true,
+    includeAgents: false,
+    agents: [...CORE_AGENTS, 'java-reviewer'],
     includeInstructions: true,
   },
 };
@@ -162,20 +168,6 @@ function exists(p) {
   }
 }
 
-function copyDirSync(src, dest) {
-  fs.mkdirSync(dest, { recursive: true });
-  const entries = fs.readdirSync(src, { withFileTypes: true });
-  for (const entry of entries) {
-    const srcPath = path.join(src, entry.name);
-    const destPath = path.join(dest, entry.name);
-    if (entry.isDirectory()) {
-      copyDirSync(srcPath, destPath);
-    } else if (entry.isFile()) {
-      fs.copyFileSync(srcPath, destPath);
-    }
-  }
-}
-
 function countFiles(dir) {
   if (!exists(dir)) return 0;
   let count = 0;
@@ -190,6 +182,29 @@ function countFiles(dir) {
   return count;
 }
 
+/**
+ * First sentence of a registry description, for one-line listings.
+ */
+function summaryOf(description) {
+  const match = /^.*?[.!?](?=\s|$)/.exec(description || '');
+  return match ? match[0] : description || '';
+}
+
+function listFilesRel(dir, prefix = '') {
+  if (!exists(dir)) return [];
+  const results = [];
+  const entries = fs.readdirSync(dir, { withFileTypes: true });
+  for (const entry of entries) {
+    const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      results.push(...listFilesRel(path.join(dir, entry.name), rel));
+    } else if (entry.isFile()) {
+      results.push(rel);
+    }
+  }
+  return results.sort();
+}
+
 function ask(question) {
   const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
   return new Promise((resolve) => {
@@ -200,12 +215,186 @@ function ask(question) {
   });
 }
 
+/**
+ * Load `.copilot/ecp.config.json`, reporting problems instead of throwing.
+ * Returns null (and sets a failing exit code) when the config is invalid.
+ */
+function loadProjectConfig(dir) {
+  try {
+    return configLib.loadConfig(dir);
+  } catch (err) {
+    log(ICONS.error, err.message);
+    process.exitCode = 1;
+    return null;
+  }
+}
+
 function printBanner() {
   console.log();
   console.log(`  ${COLORS.bold}${COLORS.cyan}everything-copilot${COLORS.reset} ${COLORS.dim}v${VERSION}${COLORS.reset}`);
   console.log(`  ${COLORS.dim}Production-grade GitHub Copilot agent toolkit${COLORS.reset}`);
 }
 
+// ---------------------------------------------------------------------------
+// Install plan (shared by init, add:skill and upgrade)
+// ---------------------------------------------------------------------------
+
+/**
+ * Resolve a preset spec (built-in name, preset file or npm package) against
+ * this toolkit.  Throws with every problem listed when the preset is invalid.
+ */
+function resolvePreset(spec, baseDir) {
+  return presetsLib.resolvePreset(spec, { baseDir, toolkitRoot: REPO_ROOT, builtIns: PRESETS });
+}
+
+/**
+ * Build the selection recorded in the lockfile for a preset.  Custom presets
+ * also record where they came from so `upgrade` can reload them.
+ */
+function selectionFor(presetName, config, source = null) {
+  const selection = {
+    preset: presetName,
+    skills: [...config.skills],
+    includeAgents: Boolean(config.includeAgents),
+    includeInstructions: Boolean(config.includeInstructions),
+    includeScripts: Boolean(config.includeScripts),
+  };
+  if (source) selection.presetSource = source;
+  if (config.agents) selection.agents = [...config.agents];
+  if (config.instructions) selection.instructions = [...config.instructions];
+  if (config.mcp) selection.mcp = config.mcp;
+  return selection;
+}
+
+/**
+ * Apply the extra and excluded skills/agents of the project config to a
+ * lockfile selection.  The lockfile keeps the selection without them, so
+ * editing the config and running `upgrade` always reflects the current file.
+ */
+function withProjectConfig(selection, projectConfig) {
+  const { skills, agents } = projectConfig;
+  const effective = {
+    ...selection,
+    skills: [...new Set([...selection.skills, ...skills.include])].filter((s) => !skills.exclude.includes(s)),
+  };
+  if (agents.include.length > 0) effective.agents = [...new Set([...(selection.agents || []), ...agents.include])];
+  if (agents.exclude.length > 0) effective.excludeAgents = [...agents.exclude];
+  return effective;
+}
+
+/**
+ * Whether an agent (by .agent.md basename) is part of a selection.
+ */
+function agentSelected(selection, name) {
+  if ((selection.excludeAgents || []).includes(name)) return false;
+  return Boolean(selection.includeAgents) || (selection.agents || []).includes(name);
+}
+
+/**
+ * Resolve a selection into groups of files to copy from this toolkit.
+ * Destination paths are POSIX paths relative to the target project.
+ *
+ * Generated files (the MCP config) carry `content` instead of a `src` path.
+ *
+ * @returns {{ groups: Array<{ label: string, note: function(number): string, files: Array<{ src?: string, content?: string, dest: string, component: string }> }>, missingSkills: string[], missingAgents: string[] }}
+ */
+function planInstall(selection) {
+  const groups = [];
+  const missingSkills = [];
+  const agentsDir = path.join(REPO_ROOT, '.github', 'agents');
+  const missingAgents = (selection.agents || []).filter((name) => !exists(path.join(agentsDir, `${name}.agent.md`)));
+
+  const addDir = (label, note, component, srcDir, destDir, filter = () => true) => {
+    const files = listFilesRel(srcDir)
+      .filter(filter)
+      .map((rel) => ({ src: path.join(srcDir, ...rel.split('/')), dest: `${destDir}/${rel}`, component }));
+    if (files.length > 0) groups.push({ label, note, files });
+  };
+  const addFile = (label, note, component, src, dest) => {
+    if (exists(src)) groups.push({ label, note, files: [{ src, dest, component }] });
+  };
+
+  if (selection.includeAgents || (selection.agents || []).length > 0) {
+    addDir('.github/agents/', (n) => `${n} agent files — VS Code native`, 'agents', agentsDir, '.github/agents',
+      (rel) => agentSelected(selection, rel.replace(/\.agent\.md$/, '')));
+  }
+  // A preset may pick instruction files by name (`go`, `security-instructions`)
+  const instructionWanted = (suffix) => (rel) =>
+    !selection.instructions || selection.instructions.includes(rel.slice(0, -suffix.length));
+
+  if (selection.includeInstructions) {
+    addFile('.github/copilot-instructions.md', () => 'repo-wide rules', 'instructions',
+      path.join(REPO_ROOT, '.github', 'copilot-instructions.md'), '.github/copilot-instructions.md');
+    addDir('.github/instructions/', (n) => `${n} language-specific rules`, 'instructions',
+      path.join(REPO_ROOT, '.github', 'instructions'), '.github/instructions', instructionWanted('.instructions.md'));
+  }
+  if (selection.includeAgents || (selection.agents || []).length > 0) {
+    addFile('.copilot/AGENTS.md', () => 'legacy format — also included', 'agents',
+      path.join(REPO_ROOT, COPILOT_DIR, 'AGENTS.md'), `${COPILOT_DIR}/AGENTS.md`);
+  }
+  if (selection.includeInstructions) {
+    addDir('instructions/', (n) => `${n} instruction files`, 'instructions',
+      path.join(REPO_ROOT, COPILOT_DIR, 'instructions'), `${COPILOT_DIR}/instructions`, instructionWanted('.md'));
+  }
+  for (const skillName of selection.skills) {
+    const src = path.join(REPO_ROOT, COPILOT_DIR, 'skills', skillName);
+    if (!exists(src)) {
+      missingSkills.push(skillName);
+      continue;
+    }
+    addDir(`skills/${skillName}/`, (n) => `${n} files`, `skill:${skillName}`, src, `${COPILOT_DIR}/skills/${skillName}`);
+  }
+  if (selection.includeScripts) {
+    addDir('scripts/copilot/', () => 'utility scripts', 'scripts', path.join(REPO_ROOT, 'scripts'), 'scripts/copilot');
+  }
+  if (selection.mcp) {
+    groups.push({
+      label: '.vscode/mcp.json',
+      note: () => `MCP profile: ${selection.mcp}`,
+      files: [{ content: presetsLib.renderMcpConfig(selection.mcp, REPO_ROOT), dest: '.vscode/mcp.json', component: 'mcp' }],
+    });
+  }
+
+  return { groups, missingSkills, missingAgents };
+}
+
+/**
+ * Copy one planned file into `targetDir` and record it in the manifest.
+ */
+function installFile(targetDir, manifest, file, ops) {
+  const content = file.content !== undefined ? file.content : fs.readFileSync(file.src, 'utf8');
+  ops.write(path.join(targetDir, ...file.dest.split('/')), content);
+  manifestLib.recordFile(targetDir, manifest, file.dest, content, file.component, ops);
+}
+
+/**
+ * Install every file of the given groups, logging one line per group.
+ */
+function installGroups(targetDir, manifest, groups, ops) {
+  for (const group of groups) {
+    for (const file of group.files) {
+      installFile(targetDir, manifest, file, ops);
+    }
+    if (!ops.dryRun) {
+      log(ICONS.success, `${group.label} ${COLORS.dim}(${group.note(group.files.length)})${COLORS.reset}`);
+    }
+  }
+}
+
+/**
+ * Print the planned file operations of a dry run.
+ */
+function printPlan(ops, root) {
+  console.log(`  ${COLORS.dim}Planned file operations:${COLORS.reset}`);
+  console.log();
+  for (const line of ops.formatPlan(root)) {
+    console.log(`    ${line}`);
+  }
+  console.log();
+  log(ICONS.info, 'Dry run — no files were changed.');
+  console.log();
+}
+
 // ---------------------------------------------------------------------------
 // Command: init
 // ---------------------------------------------------------------------------
@@ -216,10 +405,14 @@ async function cmdInit(args) {
 
   const targetDir = args.target || CWD;
   const destCopilot = path.join(targetDir, COPILOT_DIR);
-  const srcCopilot = path.join(REPO_ROOT, COPILOT_DIR);
 
-  // Determine preset
+  const loaded = loadProjectConfig(targetDir);
+  if (!loaded) return;
+  const projectConfig = loaded.config;
+
+  // Determine preset: flag, then project config, then interactive
   let preset = null;
+  let presetBase = CWD;
   if (args.minimal) preset = 'minimal';
   else if (args.standard) preset = 'standard';
   else if (args.full) preset = 'full';
@@ -228,10 +421,14 @@ async function cmdInit(args) {
   else if (args.go) preset = 'go';
   else if (args.java || args.springboot || args['spring-boot']) preset = 'java';
   else if (args.preset) preset = args.preset;
+  else if (projectConfig.preset) {
+    preset = projectConfig.preset;
+    presetBase = targetDir;
+  }
 
   // Interactive selection if no preset specified
   if (!preset) {
-    console.log(`  ${COLORS.dim}Select a preset (or use --preset=<name>):${COLORS.reset}`);
+    console.log(`  ${COLORS.dim}Select a preset (or use --preset=<name|file|package>):${COLORS.reset}`);
     console.log();
     const presetNames = Object.keys(PRESETS);
     presetNames.forEach((name, i) => {
@@ -248,19 +445,57 @@ async function cmdInit(args) {
       preset = 'standard';
     } else if (num >= 1 && num <= presetNames.length) {
       preset = presetNames[num - 1];
-    } else if (PRESETS[choice]) {
-      preset = choice;
     } else {
-      preset = 'standard';
+      preset = choice;
     }
   }
 
-  const config = PRESETS[preset];
+  let resolved;
+  try {
+    resolved = resolvePreset(preset, presetBase);
+  } catch (err) {
+    log(ICONS.error, err.message);
+    process.exitCode = 1;
+    return;
+  }
+  let config = resolved.preset;
+  preset = resolved.name;
+
+  // --agents=planner,tdd replaces the preset's agent list
+  if (args.agents) {
+    const requested = String(args.agents).split(',').map((a) => a.trim()).filter(Boolean);
+    const known = BUILT_IN.agents.map((a) => a.name);
+    const unknown = requested.filter((a) => !known.includes(a));
+    if (unknown.length > 0) {
+      log(ICONS.error, `Unknown agent(s): ${unknown.join(', ')}. Available: ${known.join(', ')}`);
+      process.exitCode = 1;
+      return;
+    }
+    config = { ...config, includeAgents: false, agents: requested };
+  }
   log(ICONS.info, `Using preset: ${COLORS.bold}${preset}${COLORS.reset} — ${config.desc}`);
+  if (resolved.source) {
+    log(ICONS.info, `Preset source: ${resolved.source}`);
+  }
+  if (loaded.exists) {
+    log(ICONS.info, `Project config: ${configLib.CONFIG_FILE}`);
+  }
   console.log();
 
+  // Refuse to clobber a workspace that is already tracked by a lockfile
+  const existingManifest = manifestLib.loadManifest(targetDir);
+  if (existingManifest && !args.force) {
+    log(ICONS.warn, `Workspace already initialized by everything-copilot v${existingManifest.toolkitVersion} (${manifestLib.LOCKFILE})`);
+    log(ICONS.info, `Run ${COLORS.cyan}npx everything-copilot upgrade${COLORS.reset} to update it without losing local edits,`);
+    log(ICONS.info, `or re-run init with ${COLORS.cyan}--force${COLORS.reset} to overwrite every toolkit file.`);
+    console.log();
+    return;
+  }
+
+  const ops = createFileOps({ dryRun: args['dry-run'], diff: args.diff });
+
   // Check for existing .copilot
-  if (exists(destCopilot)) {
+  if (!existingManifest && exists(destCopilot) && !args.force && !ops.dryRun) {
     log(ICONS.warn, `${COPILOT_DIR}/ already exists in ${targetDir}`);
     const overwrite = await ask('Overwrite existing files? [y/N]:');
     if (overwrite.toLowerCase() !== 'y') {
@@ -269,91 +504,325 @@ async function cmdInit(args) {
     }
   }
 
-  // Step 0: Copy .github/agents/ (proper VS Code format)
-  const srcAgentsDir = path.join(REPO_ROOT, '.github', 'agents');
-  const destGithub = path.join(targetDir, '.github');
-  if (config.includeAgents && exists(srcAgentsDir)) {
-    const destAgentsDir = path.join(destGithub, 'agents');
-    copyDirSync(srcAgentsDir, destAgentsDir);
-    const agentCount = fs.readdirSync(destAgentsDir).filter((f) => f.endsWith('.agent.md')).length;
-    log(ICONS.success, `.github/agents/ ${COLORS.dim}(${agentCount} agent files — VS Code native)${COLORS.reset}`);
+  const selection = selectionFor(preset, config, resolved.source);
+  const { groups, missingSkills, missingAgents } = planInstall(withProjectConfig(selection, projectConfig));
+  const manifest = manifestLib.createManifest(VERSION, selection);
+  if (existingManifest) manifest.installedAt = existingManifest.installedAt;
+  installGroups(targetDir, manifest, groups, ops);
+  for (const skillName of missingSkills) {
+    log(ICONS.warn, `skills/${skillName}/ — not found in source, skipping`);
   }
+  for (const agentName of missingAgents) {
+    log(ICONS.warn, `.github/agents/${agentName}.agent.md — not found in source, skipping`);
+  }
+  manifestLib.saveManifest(targetDir, manifest, ops);
 
-  // Step 0b: Copy .github/copilot-instructions.md
-  const srcCopilotInstr = path.join(REPO_ROOT, '.github', 'copilot-instructions.md');
-  if (config.includeInstructions && exists(srcCopilotInstr)) {
-    fs.mkdirSync(destGithub, { recursive: true });
-    fs.copyFileSync(srcCopilotInstr, path.join(destGithub, 'copilot-instructions.md'));
-    log(ICONS.success, `.github/copilot-instructions.md ${COLORS.dim}(repo-wide rules)${COLORS.reset}`);
+  // Record the chosen preset so the setup is reproducible from the repo
+  if (!loaded.exists) {
+    ops.write(loaded.path, configLib.initialConfigText(resolved.source || preset));
+    if (!ops.dryRun) {
+      log(ICONS.success, `${configLib.CONFIG_FILE} ${COLORS.dim}(project config — commit it)${COLORS.reset}`);
+    }
+  }
+  if (ops.dryRun) {
+    printPlan(ops, targetDir);
+    return;
   }
+  log(ICONS.success, `${manifestLib.LOCKFILE} ${COLORS.dim}(${Object.keys(manifest.files).length} tracked files)${COLORS.reset}`);
 
-  // Step 0c: Copy .github/instructions/ (file-type specific)
-  const srcGithubInstr = path.join(REPO_ROOT, '.github', 'instructions');
-  if (config.includeInstructions && exists(srcGithubInstr)) {
-    const destGithubInstr = path.join(destGithub, 'instructions');
-    copyDirSync(srcGithubInstr, destGithubInstr);
-    const instrCount = fs.readdirSync(destGithubInstr).filter((f) => f.endsWith('.instructions.md')).length;
-    log(ICONS.success, `.github/instructions/ ${COLORS.dim}(${instrCount} language-specific rules)${COLORS.reset}`);
+  // Summary
+  console.log();
+  log(ICONS.success, `${COLORS.green}${COLORS.bold}Done!${COLORS.reset} Copilot workspace initialized.`);
+  console.log();
+  console.log(`  ${COLORS.dim}Next steps:${COLORS.reset}`);
+  console.log(`    1. ${ICONS.arrow} Review ${COPILOT_DIR}/instructions/ for your project conventions`);
+  console.log(`    2. ${ICONS.arrow} Customize ${COPILOT_DIR}/AGENTS.md for your team`);
+  if (config.skills.length > 0) {
+    console.log(`    3. ${ICONS.arrow} Add custom skills: ${COLORS.cyan}npx everything-copilot skill:create${COLORS.reset}`);
+  } else {
+    console.log(`    3. ${ICONS.arrow} Add skills: ${COLORS.cyan}npx everything-copilot add:skill coding-standards${COLORS.reset}`);
   }
+  console.log(`    4. ${ICONS.arrow} Validate: ${COLORS.cyan}npx everything-copilot validate${COLORS.reset}`);
+  console.log();
+}
+
+// ---------------------------------------------------------------------------
+// Command: upgrade
+// ---------------------------------------------------------------------------
+
+const UPGRADE_LABELS = {
+  create: [ICONS.success, 'new in this release'],
+  update: [ICONS.success, 'updated'],
+  merge: [ICONS.success, 'merged with local edits'],
+  conflict: [ICONS.error, 'CONFLICT'],
+  keep: [ICONS.info, 'kept local edits (no upstream change)'],
+  adopt: [ICONS.info, 'now tracked (identical to toolkit)'],
+  'skip-modified': [ICONS.warn, 'skipped (locally modified)'],
+  'skip-deleted': [ICONS.warn, 'skipped (deleted locally)'],
+  'skip-untracked': [ICONS.warn, 'skipped (exists but was not installed by the toolkit)'],
+  remove: [ICONS.info, 'removed (no longer shipped)'],
+  orphan: [ICONS.warn, 'no longer shipped — kept your modified copy, now untracked'],
+};
 
-  // Step 1: Copy legacy AGENTS.md (for backward compat with .copilot/)
-  if (config.includeAgents) {
-    const src = path.join(srcCopilot, 'AGENTS.md');
-    const dest = path.join(destCopilot, 'AGENTS.md');
-    fs.mkdirSync(destCopilot, { recursive: true });
-    if (exists(src)) {
-      fs.copyFileSync(src, dest);
-      log(ICONS.success, `.copilot/AGENTS.md ${COLORS.dim}(legacy format — also included)${COLORS.reset}`);
+/**
+ * Presets may gain skills between releases (built-ins with the toolkit,
+ * custom presets when their file or package changes); pick those up on
+ * upgrade, except for skills the user explicitly removed.
+ */
+function resolveUpgradeSelection(selection, targetDir) {
+  let preset = null;
+  if (selection.presetSource) {
+    try {
+      preset = resolvePreset(selection.presetSource, targetDir).preset;
+    } catch (err) {
+      log(ICONS.warn, `Could not reload preset ${selection.presetSource} — keeping the recorded selection.`);
+      log(ICONS.info, `${COLORS.dim}${err.message.split('\n')[0]}${COLORS.reset}`);
     }
+  } else if (selection.preset) {
+    preset = PRESETS[selection.preset];
+  }
+  if (!preset) return selection;
+  const excluded = selection.excludeSkills || [];
+  const skills = [...selection.skills];
+  for (const skillName of preset.skills) {
+    if (!skills.includes(skillName) && !excluded.includes(skillName)) skills.push(skillName);
+  }
+  return { ...selection, skills };
+}
+
+function cmdUpgrade(args) {
+  printBanner();
+  header('Upgrade Copilot Workspace');
+
+  const targetDir = args.target || CWD;
+  const manifest = manifestLib.loadManifest(targetDir);
+  if (!manifest) {
+    log(ICONS.error, `No ${manifestLib.LOCKFILE} found. Run ${COLORS.cyan}npx everything-copilot init${COLORS.reset} first.`);
+    process.exitCode = 1;
+    return;
   }
 
-  // Step 2: Copy instructions/
-  if (config.includeInstructions) {
-    const src = path.join(srcCopilot, 'instructions');
-    const dest = path.join(destCopilot, 'instructions');
-    copyDirSync(src, dest);
-    log(ICONS.success, `instructions/ ${COLORS.dim}(4 instruction files)${COLORS.reset}`);
+  const loaded = loadProjectConfig(targetDir);
+  if (!loaded) return;
+
+  const strategy = args.strategy || 'merge';
+  if (strategy !== 'merge' && strategy !== 'skip') {
+    log(ICONS.error, `Unknown strategy "${strategy}". Use --strategy=merge (default) or --strategy=skip.`);
+    process.exitCode = 1;
+    return;
   }
 
-  // Step 3: Copy selected skills
-  if (config.skills.length > 0) {
-    const skillsDir = path.join(destCopilot, 'skills');
-    fs.mkdirSync(skillsDir, { recursive: true });
-
-    for (const skillName of config.skills) {
-      const src = path.join(srcCopilot, 'skills', skillName);
-      const dest = path.join(skillsDir, skillName);
-      if (exists(src)) {
-        copyDirSync(src, dest);
-        const fileCount = countFiles(dest);
-        log(ICONS.success, `skills/${skillName}/ ${COLORS.dim}(${fileCount} files)${COLORS.reset}`);
-      } else {
-        log(ICONS.warn, `skills/${skillName}/ — not found in source, skipping`);
+  log(ICONS.info, `Installed v${manifest.toolkitVersion} ${ICONS.arrow} toolkit v${VERSION} ${COLORS.dim}(strategy: ${strategy})${COLORS.reset}`);
+  console.log();
+
+  const selection = resolveUpgradeSelection(manifest.selection, targetDir);
+  const planned = planInstall(withProjectConfig(selection, loaded.config)).groups.flatMap((g) => g.files);
+  const actions = manifestLib.planUpgrade(targetDir, manifest, planned, { strategy, toolkitVersion: `v${VERSION}` });
+
+  const counts = {};
+  for (const act of actions) {
+    counts[act.action] = (counts[act.action] || 0) + 1;
+    if (act.action === 'unchanged') continue;
+    const [icon, label] = UPGRADE_LABELS[act.action];
+    const detail = act.action === 'conflict' ? ` (${act.conflicts} conflicting hunk(s))` : '';
+    log(icon, `${act.path} ${COLORS.dim}— ${label}${detail}${COLORS.reset}`);
+    if (args.diff && act.content !== undefined) {
+      const currentPath = path.join(targetDir, ...act.path.split('/'));
+      const current = exists(currentPath) ? fs.readFileSync(currentPath, 'utf8') : '';
+      const patch = unifiedDiff(current, act.content, { fromFile: `a/${act.path}`, toFile: `b/${act.path}` });
+      for (const line of patch.trimEnd().split('\n')) {
+        console.log(`      ${line}`);
       }
     }
   }
+  if (counts.unchanged) {
+    log(ICONS.success, `${counts.unchanged} file(s) already up to date`);
+  }
+  console.log();
 
-  // Step 4: Copy scripts (for full preset)
-  if (preset === 'full') {
-    const scriptsSrc = path.join(REPO_ROOT, 'scripts');
-    const scriptsDest = path.join(targetDir, 'scripts', 'copilot');
-    copyDirSync(scriptsSrc, scriptsDest);
-    log(ICONS.success, `scripts/copilot/ ${COLORS.dim}(utility scripts)${COLORS.reset}`);
+  if (args['dry-run'] || args.diff) {
+    log(ICONS.info, 'Dry run — no files were changed.');
+    console.log();
+    return;
   }
 
-  // Summary
+  manifest.toolkitVersion = VERSION;
+  manifest.selection = selection;
+  manifestLib.applyUpgrade(targetDir, manifest, actions);
+  manifestLib.saveManifest(targetDir, manifest);
+
+  if (counts.conflict) {
+    log(ICONS.error, `${counts.conflict} file(s) have merge conflicts. Resolve the ${COLORS.bold}<<<<<<<${COLORS.reset} markers, then run validate.`);
+    process.exitCode = 1;
+  } else {
+    log(ICONS.success, `${COLORS.green}${COLORS.bold}Upgrade complete.${COLORS.reset}`);
+  }
   console.log();
-  log(ICONS.success, `${COLORS.green}${COLORS.bold}Done!${COLORS.reset} Copilot workspace initialized.`);
+}
+
+// ---------------------------------------------------------------------------
+// Commands: uninstall, remove:skill
+// ---------------------------------------------------------------------------
+
+const REMOVAL_LABELS = {
+  delete: [ICONS.info, 'delete'],
+  'delete-modified': [ICONS.warn, 'delete (locally modified, --force)'],
+  blocked: [ICONS.error, 'locally modified — refusing to delete without --force'],
+  forget: [ICONS.info, 'already deleted — stop tracking'],
+};
+
+const UNINSTALL_TARGETS = ['agents', 'instructions', 'scripts', 'skills', 'mcp'];
+
+/**
+ * Print the removal plan, then delete the files once confirmed.
+ * Returns true when files were actually removed.
+ */
+async function runRemoval(targetDir, manifest, matchComponent, args) {
+  const actions = manifestLib.planRemoval(targetDir, manifest, matchComponent, { force: Boolean(args.force) });
+  if (actions.length === 0) {
+    log(ICONS.info, 'Nothing to remove.');
+    return false;
+  }
+
+  console.log(`  ${COLORS.dim}Plan:${COLORS.reset}`);
+  for (const act of actions) {
+    const [icon, label] = REMOVAL_LABELS[act.action];
+    log(icon, `${act.path} ${COLORS.dim}— ${label}${COLORS.reset}`);
+  }
   console.log();
-  console.log(`  ${COLORS.dim}Next steps:${COLORS.reset}`);
-  console.log(`    1. ${ICONS.arrow} Review ${COPILOT_DIR}/instructions/ for your project conventions`);
-  console.log(`    2. ${ICONS.arrow} Customize ${COPILOT_DIR}/AGENTS.md for your team`);
-  if (config.skills.length > 0) {
-    console.log(`    3. ${ICONS.arrow} Add custom skills: ${COLORS.cyan}npx everything-copilot skill:create${COLORS.reset}`);
+
+  if (args['dry-run'] || args.diff) {
+    log(ICONS.info, 'Dry run — no files were changed.');
+    console.log();
+    return false;
+  }
+
+  const blocked = actions.filter((a) => a.action === 'blocked');
+  if (blocked.length > 0) {
+    log(ICONS.error, `${blocked.length} file(s) have local modifications. Nothing was removed; re-run with ${COLORS.cyan}--force${COLORS.reset} to delete them anyway.`);
+    process.exitCode = 1;
+    return false;
+  }
+
+  if (!args.yes) {
+    const answer = await ask(`Delete ${actions.length} file(s)? [y/N]:`);
+    if (answer.toLowerCase() !== 'y') {
+      log(ICONS.info, 'Aborted. No changes made.');
+      return false;
+    }
+  }
+
+  manifestLib.applyRemoval(targetDir, manifest, actions);
+  return true;
+}
+
+function loadManifestOrFail(targetDir) {
+  const manifest = manifestLib.loadManifest(targetDir);
+  if (!manifest) {
+    log(ICONS.error, `No ${manifestLib.LOCKFILE} found — cannot tell which files the toolkit installed.`);
+    log(ICONS.info, `Workspaces initialized before lockfiles existed must be cleaned up by hand.`);
+    process.exitCode = 1;
+  }
+  return manifest;
+}
+
+async function cmdRemoveSkill(args) {
+  printBanner();
+  header('Remove Skill');
+
+  const targetDir = args.target || CWD;
+  const manifest = loadManifestOrFail(targetDir);
+  if (!manifest) return;
+
+  const name = args._positional[0];
+  const installed = [...new Set(Object.values(manifest.files)
+    .map((f) => f.component)
+    .filter((c) => c.startsWith('skill:'))
+    .map((c) => c.slice('skill:'.length)))].sort();
+
+  if (!name) {
+    console.log(`  ${COLORS.dim}Installed toolkit skills:${COLORS.reset}`);
+    console.log();
+    for (const skillName of installed) {
+      console.log(`    ${ICONS.skill} ${skillName}`);
+    }
+    console.log();
+    console.log(`  ${COLORS.dim}Usage: ${COLORS.cyan}npx everything-copilot remove:skill <name> [--dry-run] [--force] [--yes]${COLORS.reset}`);
+    console.log();
+    return;
+  }
+
+  if (!installed.includes(name)) {
+    log(ICONS.error, `Skill "${name}" was not installed by everything-copilot (not in ${manifestLib.LOCKFILE}).`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const removed = await runRemoval(targetDir, manifest, (c) => c === `skill:${name}`, args);
+  if (!removed) return;
+
+  const selection = manifest.selection;
+  selection.skills = selection.skills.filter((s) => s !== name);
+  selection.excludeSkills = [...new Set([...(selection.excludeSkills || []), name])];
+  manifestLib.saveManifest(targetDir, manifest);
+
+  const leftover = path.join(targetDir, COPILOT_DIR, 'skills', name);
+  if (exists(leftover)) {
+    log(ICONS.warn, `Kept ${countFiles(leftover)} file(s) in ${COPILOT_DIR}/skills/${name}/ that were not installed by the toolkit.`);
+  }
+  const loaded = loadProjectConfig(targetDir);
+  if (loaded && loaded.config.skills.include.includes(name)) {
+    log(ICONS.warn, `"${name}" is listed in ${configLib.CONFIG_FILE} skills.include — remove it there too, or upgrade will reinstall it.`);
+  }
+  log(ICONS.success, `Removed skill ${COLORS.bold}${name}${COLORS.reset}`);
+  console.log();
+}
+
+async function cmdUninstall(args) {
+  printBanner();
+  header('Uninstall Copilot Workspace');
+
+  const targetDir = args.target || CWD;
+  const manifest = loadManifestOrFail(targetDir);
+  if (!manifest) return;
+
+  // No arguments: remove everything the toolkit installed
+  const targets = args._positional.length > 0 ? args._positional : UNINSTALL_TARGETS;
+  const installedComponents = new Set(Object.values(manifest.files).map((f) => f.component));
+  for (const t of targets) {
+    if (!UNINSTALL_TARGETS.includes(t) && !installedComponents.has(`skill:${t}`)) {
+      log(ICONS.error, `Unknown component "${t}". Use one of: ${UNINSTALL_TARGETS.join(', ')}, or an installed skill name.`);
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  const matchComponent = (component) => targets.some((t) =>
+    component === t ||
+    component === `skill:${t}` ||
+    (t === 'skills' && component.startsWith('skill:')));
+
+  const removed = await runRemoval(targetDir, manifest, matchComponent, args);
+  if (!removed) return;
+
+  if (Object.keys(manifest.files).length === 0) {
+    manifestLib.removeManifest(targetDir);
+    log(ICONS.success, `Removed ${manifestLib.LOCKFILE} — the workspace is no longer managed by everything-copilot.`);
   } else {
-    console.log(`    3. ${ICONS.arrow} Add skills: ${COLORS.cyan}npx everything-copilot add:skill coding-standards${COLORS.reset}`);
+    const selection = manifest.selection;
+    if (targets.includes('agents')) {
+      selection.includeAgents = false;
+      delete selection.agents;
+    }
+    if (targets.includes('instructions')) selection.includeInstructions = false;
+    if (targets.includes('scripts')) selection.includeScripts = false;
+    if (targets.includes('mcp')) delete selection.mcp;
+    const droppedSkills = selection.skills.filter((s) => targets.includes('skills') || targets.includes(s));
+    selection.skills = selection.skills.filter((s) => !droppedSkills.includes(s));
+    selection.excludeSkills = [...new Set([...(selection.excludeSkills || []), ...droppedSkills])];
+    manifestLib.saveManifest(targetDir, manifest);
   }
-  console.log(`    4. ${ICONS.arrow} Validate: ${COLORS.cyan}npx everything-copilot validate${COLORS.reset}`);
+  log(ICONS.success, `${COLORS.green}${COLORS.bold}Uninstalled:${COLORS.reset} ${targets.join(', ')}`);
   console.log();
 }
 
@@ -366,13 +835,16 @@ async function cmdSkillCreate(args) {
   header('Create a New Skill');
 
   const destCopilot = path.join(CWD, COPILOT_DIR);
-  const skillsDir = path.join(destCopilot, 'skills');
 
   if (!exists(destCopilot)) {
     log(ICONS.error, `No ${COPILOT_DIR}/ found. Run ${COLORS.cyan}npx everything-copilot init${COLORS.reset} first.`);
     return;
   }
 
+  const loaded = loadProjectConfig(CWD);
+  if (!loaded) return;
+  const skillsDir = configLib.resolveConfigPath(CWD, loaded.config, 'skills');
+
   // Get skill name
   let name = args._positional[0] || null;
   if (!name) {
@@ -486,9 +958,14 @@ async function cmdSkillCreate(args) {
   }
 
   // Write files
-  fs.mkdirSync(skillDir, { recursive: true });
-  fs.writeFileSync(path.join(skillDir, 'SKILL.md'), skillMd);
-  fs.writeFileSync(path.join(skillDir, patternsFileName), patternsContent);
+  const ops = createFileOps({ dryRun: args['dry-run'], diff: args.diff });
+  ops.write(path.join(skillDir, 'SKILL.md'), skillMd);
+  ops.write(path.join(skillDir, patternsFileName), patternsContent);
+  if (ops.dryRun) {
+    console.log();
+    printPlan(ops, CWD);
+    return;
+  }
 
   console.log();
   log(ICONS.success, `${COLORS.green}${COLORS.bold}Skill created!${COLORS.reset}`);
@@ -516,8 +993,8 @@ function cmdAddSkill(args) {
   if (!name) {
     console.log(`  ${COLORS.dim}Available skills:${COLORS.reset}`);
     console.log();
-    for (const skill of BUILT_IN_SKILLS) {
-      console.log(`    ${ICONS.skill} ${COLORS.bold}${skill.name}${COLORS.reset} — ${skill.desc}`);
+    for (const skill of BUILT_IN.skills) {
+      console.log(`    ${ICONS.skill} ${COLORS.bold}${skill.name}${COLORS.reset} — ${summaryOf(skill.description)}`);
     }
     console.log();
     console.log(`  ${COLORS.dim}Usage: ${COLORS.cyan}npx everything-copilot add:skill <name>${COLORS.reset}`);
@@ -525,7 +1002,7 @@ function cmdAddSkill(args) {
     return;
   }
 
-  const skill = BUILT_IN_SKILLS.find((s) => s.name === name);
+  const skill = BUILT_IN.skills.find((s) => s.name === name && s.file);
   if (!skill) {
     log(ICONS.error, `Unknown skill: "${name}". Run ${COLORS.cyan}npx everything-copilot add:skill${COLORS.reset} to see available skills.`);
     return;
@@ -544,128 +1021,350 @@ function cmdAddSkill(args) {
     return;
   }
 
-  fs.mkdirSync(path.join(CWD, COPILOT_DIR, 'skills'), { recursive: true });
-  copyDirSync(src, dest);
+  // Track the skill in the lockfile so `upgrade` keeps it up to date
+  const manifest = manifestLib.loadManifest(CWD) || manifestLib.createManifest(VERSION, {
+    preset: null,
+    skills: [],
+    includeAgents: false,
+    includeInstructions: false,
+    includeScripts: false,
+  });
+  if (!manifest.selection.skills.includes(name)) manifest.selection.skills.push(name);
+  if (manifest.selection.excludeSkills) {
+    manifest.selection.excludeSkills = manifest.selection.excludeSkills.filter((s) => s !== name);
+  }
+
+  const ops = createFileOps({ dryRun: args['dry-run'], diff: args.diff });
+  const { groups } = planInstall({ skills: [name] });
+  for (const file of groups[0].files) {
+    installFile(CWD, manifest, file, ops);
+  }
+  manifestLib.saveManifest(CWD, manifest, ops);
+  if (ops.dryRun) {
+    printPlan(ops, CWD);
+    return;
+  }
 
   const fileCount = countFiles(dest);
   log(ICONS.success, `Installed ${COLORS.bold}${name}${COLORS.reset} ${COLORS.dim}(${fileCount} files)${COLORS.reset}`);
 }
 
 // ---------------------------------------------------------------------------
-// Command: add:agent (extract specific agent from AGENTS.md — info only)
+// Command: add:agent
 // ---------------------------------------------------------------------------
 
 function cmdAddAgent(args) {
   printBanner();
-  header('Agent Information');
+  header('Add Agent');
+
+  const loaded = loadProjectConfig(CWD);
+  if (!loaded) return;
+  const { models } = loaded.config;
+  let catalog;
+  try {
+    catalog = modelSelector.loadModelCatalog(models);
+  } catch (err) {
+    log(ICONS.error, err.message);
+    process.exitCode = 1;
+    return;
+  }
+  const modelFor = (agent) => {
+    const routed = modelSelector.agentModel(agent.name, models, catalog);
+    return routed ? routed.model : agent.tier || agent.model || models.default;
+  };
+  const agentsDest = path.join(CWD, '.github', 'agents');
 
   const name = args._positional[0];
   if (!name) {
-    console.log(`  ${COLORS.dim}Available agents (all included in AGENTS.md):${COLORS.reset}`);
+    console.log(`  ${COLORS.dim}Available agents:${COLORS.reset}`);
     console.log();
-    for (const agent of BUILT_IN_AGENTS) {
-      const modelColor = agent.model === 'opus' ? COLORS.red : agent.model === 'haiku' ? COLORS.green : COLORS.yellow;
-      console.log(`    ${ICONS.agent} ${COLORS.bold}${agent.name}${COLORS.reset} ${COLORS.dim}[${modelColor}${agent.model}${COLORS.reset}${COLORS.dim}]${COLORS.reset} — ${agent.desc}`);
+    for (const agent of BUILT_IN.agents) {
+      const model = modelFor(agent);
+      const modelColor = model === 'opus' ? COLORS.red : model === 'haiku' ? COLORS.green : COLORS.yellow;
+      const installed = exists(path.join(agentsDest, `${agent.name}.agent.md`)) ? ` ${COLORS.green}(installed)${COLORS.reset}` : '';
+      console.log(`    ${ICONS.agent} ${COLORS.bold}${agent.name}${COLORS.reset} ${COLORS.dim}[${modelColor}${model}${COLORS.reset}${COLORS.dim}]${COLORS.reset} — ${agent.description}${installed}`);
     }
     console.log();
-    console.log(`  ${COLORS.dim}All agents are defined in ${COLORS.cyan}.copilot/AGENTS.md${COLORS.reset}`);
-    console.log(`  ${COLORS.dim}Docs available in ${COLORS.cyan}agents/<name>.md${COLORS.reset}`);
+    console.log(`  ${COLORS.dim}Usage: ${COLORS.cyan}npx everything-copilot add:agent <name>${COLORS.reset}`);
+    console.log(`  ${COLORS.dim}Installs ${COLORS.cyan}.github/agents/<name>.agent.md${COLORS.reset}${COLORS.dim}; docs in ${COLORS.cyan}agents/${COLORS.reset}`);
     console.log();
     return;
   }
 
-  const agent = BUILT_IN_AGENTS.find((a) => a.name === name);
+  const agent = BUILT_IN.agents.find((a) => a.name === name);
   if (!agent) {
-    log(ICONS.error, `Unknown agent: "${name}".`);
+    log(ICONS.error, `"${name}" is not a known agent. Run ${COLORS.cyan}npx everything-copilot add:agent${COLORS.reset} to see available agents.`);
+    process.exitCode = 1;
+    return;
+  }
+  const dest = `.github/agents/${name}.agent.md`;
+  if (exists(path.join(CWD, ...dest.split('/')))) {
+    log(ICONS.warn, `Agent "${name}" already installed (${dest}).`);
+    return;
+  }
+
+  // Track the agent in the lockfile so `upgrade` keeps it up to date
+  const manifest = manifestLib.loadManifest(CWD) || manifestLib.createManifest(VERSION, {
+    preset: null,
+    skills: [],
+    includeAgents: false,
+    includeInstructions: false,
+    includeScripts: false,
+  });
+  if (!manifest.selection.includeAgents) {
+    manifest.selection.agents = [...new Set([...(manifest.selection.agents || []), name])];
+  }
+
+  const ops = createFileOps({ dryRun: args['dry-run'], diff: args.diff });
+  installFile(CWD, manifest, { src: agent.file, dest, component: 'agents' }, ops);
+  manifestLib.saveManifest(CWD, manifest, ops);
+  if (ops.dryRun) {
+    printPlan(ops, CWD);
     return;
   }
 
-  log(ICONS.agent, `${COLORS.bold}${agent.name}${COLORS.reset}`);
-  console.log(`    Model: ${agent.model}`);
-  console.log(`    Description: ${agent.desc}`);
-  console.log(`    Config: .copilot/AGENTS.md`);
-  console.log(`    Docs: agents/${agent.name}.md`);
+  log(ICONS.success, `Installed ${COLORS.bold}${name}${COLORS.reset} ${COLORS.dim}(${dest})${COLORS.reset}`);
+  if (loaded.config.agents.exclude.includes(name)) {
+    log(ICONS.warn, `"${name}" is listed in ${configLib.CONFIG_FILE} agents.exclude — remove it there too, or upgrade will remove it.`);
+  }
+  const override = models.agents[agent.name] ? ` ${COLORS.dim}(set in ${configLib.CONFIG_FILE})${COLORS.reset}` : '';
+  console.log(`    Model: ${modelFor(agent)}${override}`);
+  console.log(`    Description: ${agent.description}`);
+  console.log();
 }
 
 // ---------------------------------------------------------------------------
-// Command: validate
+// Command: agent:create
 // ---------------------------------------------------------------------------
 
-function cmdValidate() {
+async function cmdAgentCreate(args) {
   printBanner();
-  header('Validate Configuration');
+  header('Create a New Agent');
 
-  const destCopilot = path.join(CWD, COPILOT_DIR);
+  const loaded = loadProjectConfig(CWD);
+  if (!loaded) return;
 
-  if (!exists(destCopilot)) {
-    log(ICONS.error, `No ${COPILOT_DIR}/ found. Run ${COLORS.cyan}npx everything-copilot init${COLORS.reset} first.`);
+  // Get agent name
+  let name = args._positional[0] || null;
+  if (!name) {
+    name = await ask('Agent name (kebab-case, e.g., "payment-reviewer"):');
+  }
+
+  if (!name || !/^[a-z][a-z0-9-]*$/.test(name)) {
+    log(ICONS.error, 'Invalid agent name. Use lowercase with hyphens (e.g., "my-agent").');
+    process.exitCode = 1;
     return;
   }
 
-  let hasErrors = false;
+  const dest = `.github/agents/${name}.agent.md`;
+  const agentFile = path.join(CWD, ...dest.split('/'));
+  if (exists(agentFile)) {
+    log(ICONS.error, `Agent "${name}" already exists at ${dest}`);
+    process.exitCode = 1;
+    return;
+  }
 
-  // Check AGENTS.md
-  const agentsFile = path.join(destCopilot, 'AGENTS.md');
-  if (exists(agentsFile)) {
-    const content = fs.readFileSync(agentsFile, 'utf8');
-    const agentCount = (content.match(/^## /gm) || []).length;
-    log(ICONS.success, `AGENTS.md — ${agentCount} agents defined`);
-  } else {
-    log(ICONS.error, 'AGENTS.md — missing');
-    hasErrors = true;
+  // Get description
+  const description = args.desc || await ask('Description (what does this agent do?):');
+
+  // Get tools and model (prompted only when the description was not passed as a flag)
+  let toolsRaw = args.tools || '';
+  if (!toolsRaw && !args.desc) {
+    toolsRaw = await ask(`Tools (comma-separated, from: ${agentTemplate.AGENT_TOOLS.join(', ')}) [${agentTemplate.DEFAULT_TOOLS.join(', ')}]:`);
+  }
+  const { tools, unknown } = agentTemplate.parseTools(toolsRaw);
+  if (unknown.length > 0) {
+    log(ICONS.error, `Unknown tool(s): ${unknown.join(', ')}. Available: ${agentTemplate.AGENT_TOOLS.join(', ')}`);
+    process.exitCode = 1;
+    return;
   }
 
-  // Check instructions/
-  const instrDir = path.join(destCopilot, 'instructions');
+  let catalog;
+  try {
+    catalog = modelSelector.loadModelCatalog(loaded.config.models);
+  } catch (err) {
+    log(ICONS.error, err.message);
+    process.exitCode = 1;
+    return;
+  }
+  const defaultModel = loaded.config.models.default;
+  let model = args.model || '';
+  if (!model && !args.desc) {
+    model = await ask(`Model (opus, sonnet, haiku, a catalog model or a Copilot model name) [${defaultModel}]:`);
+  }
+  model = agentTemplate.copilotModelFor(model || defaultModel, catalog);
+
+  const content = agentTemplate.renderAgent({ name, description, tools, model });
+
+  const ops = createFileOps({ dryRun: args['dry-run'], diff: args.diff });
+  ops.write(agentFile, content);
+  if (ops.dryRun) {
+    console.log();
+    printPlan(ops, CWD);
+    return;
+  }
+
+  console.log();
+  log(ICONS.success, `${COLORS.green}${COLORS.bold}Agent created!${COLORS.reset}`);
+  console.log();
+  console.log(`  ${ICONS.agent} ${dest}`);
+  console.log(`    Tools: ${tools.join(', ')}`);
+  console.log(`    Model: ${model}`);
+  console.log();
+  console.log(`  ${COLORS.dim}Next steps:${COLORS.reset}`);
+  console.log(`    1. ${ICONS.arrow} Fill in the ${COLORS.cyan}Workflow${COLORS.reset} and ${COLORS.cyan}Rules${COLORS.reset} sections`);
+  console.log(`    2. ${ICONS.arrow} Validate: ${COLORS.cyan}npx everything-copilot validate${COLORS.reset}`);
+  console.log(`    3. ${ICONS.arrow} Pick the agent from the Copilot Chat agent dropdown in VS Code`);
+  console.log();
+}
+
+// ---------------------------------------------------------------------------
+// Command: validate
+// ---------------------------------------------------------------------------
+
+/**
+ * Run the validation rules (scripts/lib/validation.js) against `dir` and
+ * summarise each area that passed.  Targets are paths relative to `dir`,
+ * so they can be used as annotation file names.
+ *
+ * @param {string} dir
+ * @param {{ strict?: boolean }} [opts] - Treat warnings as errors, on top of
+ *   `validate.strict` in the project config.
+ * @returns {{ ok: boolean, strict: boolean, errors: number, warnings: number, checks: Array<{ status: string, target: string, message: string, rule?: string }> }}
+ */
+function collectValidation(dir, opts = {}) {
+  const project = validationLib.validateProject(dir);
+  const strict = Boolean(opts.strict) || project.strict;
+  const checks = [];
+  const check = (status, target, message) => checks.push({ status, target, message });
+  const report = (match) => {
+    const found = project.findings.filter((f) => match(f.rule));
+    for (const f of found) checks.push({ status: f.severity, target: f.target, message: f.message, rule: f.rule });
+    return found;
+  };
+  const hasError = (findings, target) => findings.some((f) => f.target === target && f.severity === 'error');
+
+  // Check ecp.config.json
+  if (report((rule) => rule === 'project/config').length === 0 && exists(path.join(dir, ...configLib.CONFIG_FILE.split('/')))) {
+    check('pass', configLib.CONFIG_FILE, 'valid');
+  }
+
+  // Check .github/agents/*.agent.md (and the legacy AGENTS.md)
+  const agentFindings = report((rule) => /^(agent|agents-md)\//.test(rule) || rule === 'project/agents');
+  const readableAgents = project.agents.filter((a) => !hasError(agentFindings, `.github/agents/${a.name}.agent.md`));
+  if (readableAgents.length > 0) {
+    check('pass', '.github/agents/', `${readableAgents.length} agent(s)`);
+  }
+  if (project.agentsMd && !hasError(agentFindings, validationLib.AGENTS_MD)) {
+    const agentCount = validationLib.agentsMdSections(fs.readFileSync(project.agentsMd, 'utf8')).length;
+    check('pass', validationLib.AGENTS_MD, `${agentCount} agents defined`);
+  }
+
+  // Check instructions/ and .github/instructions/*.instructions.md
+  const instrDir = path.join(dir, COPILOT_DIR, 'instructions');
+  report((rule) => rule === 'project/instructions');
   if (exists(instrDir)) {
     const files = fs.readdirSync(instrDir).filter((f) => f.endsWith('.md'));
-    log(ICONS.success, `instructions/ — ${files.length} files`);
-  } else {
-    log(ICONS.warn, 'instructions/ — missing (optional but recommended)');
+    check('pass', `${COPILOT_DIR}/instructions/`, `${files.length} files`);
+  }
+  const instructionFindings = report((rule) => rule.startsWith('instruction/'));
+  const cleanInstructions = project.instructions.filter((i) =>
+    !hasError(instructionFindings, `${registryLib.INSTRUCTIONS_DIR}/${i.name}${registryLib.INSTRUCTIONS_SUFFIX}`));
+  if (cleanInstructions.length > 0) {
+    check('pass', `${registryLib.INSTRUCTIONS_DIR}/`, `${cleanInstructions.length} instruction file(s)`);
   }
 
   // Check skills/
-  const skillsDir = path.join(destCopilot, 'skills');
-  if (exists(skillsDir)) {
-    const skillDirs = fs.readdirSync(skillsDir, { withFileTypes: true }).filter((d) => d.isDirectory());
-    let validSkills = 0;
-    let invalidSkills = 0;
-
-    for (const dir of skillDirs) {
-      const skillMd = path.join(skillsDir, dir.name, 'SKILL.md');
-      if (exists(skillMd)) {
-        const content = fs.readFileSync(skillMd, 'utf8');
-        const hasName = /## Name/i.test(content);
-        const hasTriggers = /## Trigger Conditions/i.test(content);
-        const hasFiles = /## Files/i.test(content);
-
-        if (hasName && hasTriggers && hasFiles) {
-          validSkills++;
-        } else {
-          const missing = [];
-          if (!hasName) missing.push('Name');
-          if (!hasTriggers) missing.push('Trigger Conditions');
-          if (!hasFiles) missing.push('Files');
-          log(ICONS.warn, `skills/${dir.name}/ — SKILL.md missing sections: ${missing.join(', ')}`);
-          invalidSkills++;
-        }
-      } else {
-        log(ICONS.error, `skills/${dir.name}/ — missing SKILL.md`);
-        invalidSkills++;
-        hasErrors = true;
-      }
-    }
-
+  const skillFindings = report((rule) => rule.startsWith('skill/'));
+  if (project.skills.length > 0) {
+    const skillsTarget = `${path.relative(dir, path.dirname(project.skills[0].dir)).split(path.sep).join('/')}/`;
+    const flagged = project.skills.filter((s) => skillFindings.some((f) => f.target.startsWith(`${skillsTarget}${s.name}/`)));
+    const validSkills = project.skills.length - flagged.length;
     if (validSkills > 0) {
-      log(ICONS.success, `skills/ — ${validSkills} valid skill(s)${invalidSkills > 0 ? `, ${invalidSkills} need attention` : ''}`);
+      check('pass', skillsTarget, `${validSkills} valid skill(s)${flagged.length > 0 ? `, ${flagged.length} need attention` : ''}`);
     }
   } else {
-    log(ICONS.info, 'skills/ — none installed (add with: npx everything-copilot add:skill <name>)');
+    check('info', `${COPILOT_DIR}/skills/`, 'none installed (add with: npx everything-copilot add:skill <name>)');
+  }
+
+  const errors = checks.filter((c) => c.status === 'error').length;
+  const warnings = checks.filter((c) => c.status === 'warn').length;
+  return { ok: errors === 0 && !(strict && warnings > 0), strict, errors, warnings, checks };
+}
+
+const CHECK_ICONS = { pass: ICONS.success, info: ICONS.info, warn: ICONS.warn, error: ICONS.error };
+
+/**
+ * Write validate output to `--output <file>` or stdout.
+ */
+function emitValidateOutput(args, text) {
+  if (args.output) {
+    fs.writeFileSync(path.resolve(CWD, args.output), text);
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+function cmdValidate(args) {
+  const { EXIT_CODES, FORMATS } = ciOutput;
+  // --ci: warnings fail the run, no banner, annotations when running in GitHub Actions
+  const format = args.format || (args.json ? 'json' : args.ci && process.env.GITHUB_ACTIONS === 'true' ? 'github' : 'text');
+  const quiet = Boolean(args.ci) || format !== 'text';
+
+  if (!FORMATS.includes(format)) {
+    log(ICONS.error, `Unknown --format "${format}". Use one of: ${FORMATS.join(', ')}`);
+    process.exitCode = EXIT_CODES.usage;
+    return;
+  }
+
+  const destCopilot = path.join(CWD, COPILOT_DIR);
+  if (!exists(destCopilot)) {
+    const message = `No ${COPILOT_DIR}/ found. Run npx everything-copilot init first.`;
+    process.exitCode = EXIT_CODES.usage;
+    if (format === 'json') {
+      reportLib.printReport(reportLib.createFailure('validate', message));
+    } else if (format === 'github') {
+      process.stdout.write(`::error title=ecp validate::${message}\n`);
+    } else {
+      if (!quiet) {
+        printBanner();
+        header('Validate Configuration');
+      }
+      log(ICONS.error, `No ${COPILOT_DIR}/ found. Run ${COLORS.cyan}npx everything-copilot init${COLORS.reset} first.`);
+    }
+    return;
+  }
+
+  const result = collectValidation(CWD, { strict: args.strict || args.ci });
+  process.exitCode = result.ok ? EXIT_CODES.ok : EXIT_CODES.failed;
+
+  if (format === 'json') {
+    emitValidateOutput(args, JSON.stringify(reportLib.createReport('validate', result), null, 2) + '\n');
+    return;
+  }
+  if (format === 'github') {
+    emitValidateOutput(args, ciOutput.formatGithub(result));
+    return;
+  }
+  if (format === 'junit') {
+    emitValidateOutput(args, ciOutput.formatJUnit(result));
+    return;
+  }
+
+  if (!quiet) {
+    printBanner();
+    header('Validate Configuration');
+  }
+  for (const c of result.checks) {
+    const icon = ciOutput.isFailure(c, result.strict) ? ICONS.error : CHECK_ICONS[c.status];
+    log(icon, `${c.target} — ${c.message}${c.rule ? ` ${COLORS.dim}(${c.rule})${COLORS.reset}` : ''}`);
   }
 
   console.log();
-  if (hasErrors) {
+  if (result.errors > 0) {
     log(ICONS.error, `${COLORS.red}Validation failed.${COLORS.reset} Fix the issues above.`);
+  } else if (!result.ok) {
+    log(ICONS.error, `${COLORS.red}Validation failed.${COLORS.reset} ${result.warnings} warning(s) treated as errors (strict mode).`);
   } else {
     log(ICONS.success, `${COLORS.green}${COLORS.bold}All checks passed!${COLORS.reset}`);
   }
@@ -676,77 +1375,425 @@ function cmdValidate() {
 // Command: list
 // ---------------------------------------------------------------------------
 
-function cmdList() {
-  printBanner();
-  header('Installed Components');
-
+function cmdList(args) {
   const destCopilot = path.join(CWD, COPILOT_DIR);
 
+  if (!exists(destCopilot) && args.json) {
+    reportLib.printReport(reportLib.createFailure('list', `No ${COPILOT_DIR}/ found. Run npx everything-copilot init first.`));
+    process.exitCode = 1;
+    return;
+  }
+  if (!args.json) {
+    printBanner();
+    header('Installed Components');
+  }
   if (!exists(destCopilot)) {
     log(ICONS.error, `No ${COPILOT_DIR}/ found. Run ${COLORS.cyan}npx everything-copilot init${COLORS.reset} first.`);
     return;
   }
 
+  let loaded;
+  let catalog;
+  try {
+    loaded = configLib.loadConfig(CWD);
+    catalog = modelSelector.loadModelCatalog(loaded.config.models);
+  } catch (err) {
+    if (args.json) {
+      reportLib.printReport(reportLib.createFailure('list', err.message));
+    } else {
+      log(ICONS.error, err.message);
+    }
+    process.exitCode = 1;
+    return;
+  }
+
+  const project = registryLib.loadRegistry(CWD);
+  const instrDir = path.join(destCopilot, 'instructions');
+  const installed = new Set(project.skills.map((s) => s.name));
+  const excluded = loaded.config.skills.exclude;
+  const modelFor = (agent) => {
+    const routed = modelSelector.agentModel(agent.name, loaded.config.models, catalog);
+    return routed ? routed.model : agent.tier || agent.model;
+  };
+  const report = {
+    config: { path: configLib.CONFIG_FILE, exists: loaded.exists, preset: loaded.config.preset },
+    agents: project.agents.map((agent) => ({
+      name: agent.name,
+      description: agent.description,
+      model: modelFor(agent),
+      tools: agent.tools,
+    })),
+    instructions: exists(instrDir) ? fs.readdirSync(instrDir).filter((f) => f.endsWith('.md')) : [],
+    skills: project.skills.map((skill) => ({ name: skill.name, description: skill.description, files: skill.files })),
+    available: BUILT_IN.skills
+      .filter((s) => !installed.has(s.name) && !excluded.includes(s.name))
+      .map((s) => ({ name: s.name, description: s.description })),
+  };
+  if (args.json) {
+    reportLib.printReport(reportLib.createReport('list', report));
+    return;
+  }
+
+  if (loaded.exists) {
+    console.log(`  ${COLORS.dim}Config: ${configLib.CONFIG_FILE} (preset: ${loaded.config.preset || 'none'})${COLORS.reset}`);
+    console.log();
+  }
+
   // Agents
-  const agentsFile = path.join(destCopilot, 'AGENTS.md');
-  if (exists(agentsFile)) {
-    const content = fs.readFileSync(agentsFile, 'utf8');
+  if (report.agents.length > 0) {
+    console.log(`  ${COLORS.bold}Agents (${report.agents.length}):${COLORS.reset}`);
+    for (const agent of report.agents) {
+      const detail = [agent.model, agent.description].filter(Boolean).join(' — ');
+      console.log(`    ${ICONS.agent} ${agent.name}${detail ? ` ${COLORS.dim}${detail}${COLORS.reset}` : ''}`);
+    }
+    console.log();
+  } else if (exists(path.join(destCopilot, 'AGENTS.md'))) {
+    // Legacy single-file format
+    const content = fs.readFileSync(path.join(destCopilot, 'AGENTS.md'), 'utf8');
     const agents = content.match(/^## (.+)/gm) || [];
-    console.log(`  ${COLORS.bold}Agents (${agents.length}):${COLORS.reset}`);
+    console.log(`  ${COLORS.bold}Agents (${agents.length}, AGENTS.md):${COLORS.reset}`);
     for (const agent of agents) {
-      const name = agent.replace('## ', '');
-      console.log(`    ${ICONS.agent} ${name}`);
+      console.log(`    ${ICONS.agent} ${agent.replace('## ', '')}`);
     }
     console.log();
   }
 
   // Instructions
-  const instrDir = path.join(destCopilot, 'instructions');
   if (exists(instrDir)) {
-    const files = fs.readdirSync(instrDir).filter((f) => f.endsWith('.md'));
-    console.log(`  ${COLORS.bold}Instructions (${files.length}):${COLORS.reset}`);
-    for (const file of files) {
+    console.log(`  ${COLORS.bold}Instructions (${report.instructions.length}):${COLORS.reset}`);
+    for (const file of report.instructions) {
       console.log(`    ${ICONS.info} ${file}`);
     }
     console.log();
   }
 
   // Skills
-  const skillsDir = path.join(destCopilot, 'skills');
-  if (exists(skillsDir)) {
-    const skillDirs = fs.readdirSync(skillsDir, { withFileTypes: true }).filter((d) => d.isDirectory());
-    console.log(`  ${COLORS.bold}Skills (${skillDirs.length}):${COLORS.reset}`);
-    for (const dir of skillDirs) {
-      const fileCount = countFiles(path.join(skillsDir, dir.name));
-      console.log(`    ${ICONS.skill} ${dir.name} ${COLORS.dim}(${fileCount} files)${COLORS.reset}`);
+  if (report.skills.length > 0) {
+    console.log(`  ${COLORS.bold}Skills (${report.skills.length}):${COLORS.reset}`);
+    for (const skill of report.skills) {
+      console.log(`    ${ICONS.skill} ${skill.name} ${COLORS.dim}(${skill.files.length} files)${COLORS.reset}`);
     }
     console.log();
   }
 
   // Not installed
-  if (exists(skillsDir)) {
-    const installed = new Set(fs.readdirSync(skillsDir, { withFileTypes: true }).filter((d) => d.isDirectory()).map((d) => d.name));
-    const notInstalled = BUILT_IN_SKILLS.filter((s) => !installed.has(s.name));
-    if (notInstalled.length > 0) {
-      console.log(`  ${COLORS.bold}Available to add (${notInstalled.length}):${COLORS.reset}`);
-      for (const skill of notInstalled) {
-        console.log(`    ${COLORS.dim}${skill.name} — ${skill.desc}${COLORS.reset}`);
-      }
-      console.log();
-      console.log(`  ${COLORS.dim}Add with: ${COLORS.cyan}npx everything-copilot add:skill <name>${COLORS.reset}`);
-      console.log();
+  if (report.available.length > 0) {
+    console.log(`  ${COLORS.bold}Available to add (${report.available.length}):${COLORS.reset}`);
+    for (const skill of report.available) {
+      console.log(`    ${COLORS.dim}${skill.name} — ${summaryOf(skill.description)}${COLORS.reset}`);
     }
+    console.log();
+    console.log(`  ${COLORS.dim}Add with: ${COLORS.cyan}npx everything-copilot add:skill <name>${COLORS.reset}`);
+    console.log();
   }
 }
 
 // ---------------------------------------------------------------------------
-// Command: doctor
+// Command: explain
 // ---------------------------------------------------------------------------
 
-function cmdDoctor() {
-  printBanner();
-  header('Health Check');
+const LAYER_LABELS = { 'repo-instructions': 'always', instructions: 'applyTo', skill: 'skill' };
+
+function cmdExplain(args) {
+  const target = args._positional[0];
+  const fail = (message) => {
+    if (args.json) {
+      reportLib.printReport(reportLib.createFailure('explain', message));
+    } else {
+      log(ICONS.error, message);
+    }
+    process.exitCode = 1;
+  };
+
+  if (!args.json) {
+    printBanner();
+    header('Explain Context');
+  }
+  if (!target) {
+    fail('Usage: npx everything-copilot explain <file>');
+    return;
+  }
+
+  let stack;
+  try {
+    const loaded = configLib.loadConfig(CWD);
+    stack = contextLib.resolveContext(CWD, target, { skillsDir: loaded.config.paths.skills });
+  } catch (err) {
+    fail(err.message);
+    return;
+  }
+
+  if (args.json) {
+    reportLib.printReport(reportLib.createReport('explain', stack));
+    return;
+  }
+
+  const fmt = (n) => n.toLocaleString('en-US');
+  console.log(`  ${COLORS.bold}${stack.file}${COLORS.reset} ${COLORS.dim}— context in load order${COLORS.reset}`);
+  console.log();
+  if (stack.layers.length === 0) {
+    log(ICONS.info, 'No instructions or skills apply to this file.');
+  }
+  stack.layers.forEach((layer, i) => {
+    const why = layer.matched ? `${LAYER_LABELS[layer.kind]} ${layer.matched}` : LAYER_LABELS[layer.kind];
+    console.log(`    ${i + 1}. ${layer.source} ${COLORS.dim}(${why}) ~${fmt(layer.tokens)} tokens${COLORS.reset}`);
+  });
+  console.log();
+  console.log(`  ${COLORS.bold}Total:${COLORS.reset} ~${fmt(stack.tokens)} tokens`);
 
+  if (stack.agents.length > 0) {
+    console.log();
+    console.log(`  ${COLORS.bold}Agents${COLORS.reset} ${COLORS.dim}(added on top when selected in chat):${COLORS.reset}`);
+    for (const agent of stack.agents) {
+      console.log(`    ${ICONS.agent} ${agent.name} ${COLORS.dim}~${fmt(agent.tokens)} tokens${COLORS.reset}`);
+    }
+  }
+  console.log();
+}
+
+// ---------------------------------------------------------------------------
+// Command: route
+// ---------------------------------------------------------------------------
+
+function cmdRoute(args) {
+  const task = args._positional.join(' ').trim();
+  const fail = (message) => {
+    if (args.json) {
+      reportLib.printReport(reportLib.createFailure('route', message));
+    } else {
+      log(ICONS.error, message);
+    }
+    process.exitCode = 1;
+  };
+
+  if (!args.json) {
+    printBanner();
+    header('Route Task');
+  }
+  if (!task) {
+    fail('Usage: npx everything-copilot route "<task description>"');
+    return;
+  }
+
+  let catalog;
+  try {
+    catalog = modelSelector.loadModelCatalog(configLib.loadConfig(CWD).config.models);
+  } catch (err) {
+    fail(err.message);
+    return;
+  }
+  const result = modelSelector.classifyTask(task, catalog);
+
+  if (args.json) {
+    reportLib.printReport(reportLib.createReport('route', result));
+    return;
+  }
+
+  const evidenceText = (evidence) => evidence
+    .map((e) => `${e.negated ? 'not ' : ''}${e.matched} ${e.weight > 0 ? '+' : ''}${e.weight}`)
+    .join(', ');
+  const modelName = (id) => (catalog.models[id] && catalog.models[id].name) || id;
+
+  console.log(`  ${COLORS.dim}Task:${COLORS.reset} ${task}`);
+  console.log();
+  if (!result.category) {
+    log(ICONS.info, `No task category matched — using the default model ${COLORS.bold}${result.model}${COLORS.reset}`);
+    console.log();
+    return;
+  }
+  log(ICONS.arrow, `${COLORS.bold}${result.model}${COLORS.reset} ${COLORS.dim}(${modelName(result.model)})${COLORS.reset} — ${result.category}, score ${result.score}, confidence ${Math.round(result.confidence * 100)}%`);
+  console.log(`    ${COLORS.dim}Evidence: ${evidenceText(result.evidence)}${COLORS.reset}`);
+
+  if (result.alternatives.length > 0) {
+    console.log();
+    console.log(`  ${COLORS.bold}Alternatives:${COLORS.reset}`);
+    for (const alt of result.alternatives) {
+      console.log(`    ${alt.category.padEnd(18)} ${alt.model.padEnd(10)} score ${String(alt.score).padEnd(5)} ${COLORS.dim}${evidenceText(alt.evidence)}${COLORS.reset}`);
+    }
+  }
+  console.log();
+}
+
+// ---------------------------------------------------------------------------
+// Command: models:sync
+// ---------------------------------------------------------------------------
+
+function cmdModelsSync(args) {
+  const fail = (message) => {
+    if (args.json) {
+      reportLib.printReport(reportLib.createFailure('models:sync', message));
+    } else {
+      log(ICONS.error, message);
+    }
+    process.exitCode = 1;
+  };
+
+  if (!args.json) {
+    printBanner();
+    header('Sync Agent Models');
+  }
+
+  let models;
+  let catalog;
+  try {
+    models = configLib.loadConfig(CWD).config.models;
+    catalog = modelSelector.loadModelCatalog(models);
+  } catch (err) {
+    fail(err.message);
+    return;
+  }
+  let sync = modelSync.checkAgentModels(CWD, { models, catalog });
+
+  // Rewrite drifted frontmatter, then check again for what is left
+  const ops = createFileOps({ dryRun: args['dry-run'], diff: args.diff });
+  const written = [];
+  if (args.write) {
+    for (const agent of sync.agents.filter((a) => a.fixable)) {
+      const file = path.join(CWD, ...agent.frontmatter.source.split('/'));
+      const content = modelSync.setFrontmatterModel(fs.readFileSync(file, 'utf8'), agentTemplate.copilotModelFor(agent.expected, catalog));
+      if (ops.write(file, content) !== 'unchanged') written.push(agent.frontmatter.source);
+    }
+    if (!ops.dryRun) sync = modelSync.checkAgentModels(CWD, { models, catalog });
+  }
+  const failed = (args.strict || args.ci) && sync.drift > 0;
+  if (failed) process.exitCode = 1;
+
+  if (args.json) {
+    reportLib.printReport(reportLib.createReport('models:sync', { ...sync, written: ops.dryRun ? [] : written }));
+    return;
+  }
+  if (ops.dryRun) {
+    printPlan(ops, CWD);
+    return;
+  }
+
+  console.log(`  ${COLORS.dim}Source of truth: task routing in scripts/lib/model-selector.js and models in ${configLib.CONFIG_FILE}${COLORS.reset}`);
+  console.log();
+  for (const agent of sync.agents) {
+    const icon = agent.drift.length > 0 ? ICONS.warn : agent.expected ? ICONS.success : ICONS.info;
+    const via = agent.expected ? `(${agent.source})` : 'not routed — keeps its frontmatter model';
+    console.log(`    ${icon} ${agent.name.padEnd(20)} ${(agent.expected || '—').padEnd(10)} ${COLORS.dim}${via}${COLORS.reset}`);
+    for (const message of agent.drift) {
+      console.log(`        ${COLORS.dim}${message}${COLORS.reset}`);
+    }
+  }
+
+  console.log();
+  for (const file of written) {
+    log(ICONS.success, `Updated ${file}`);
+  }
+  if (sync.drift === 0) {
+    log(ICONS.success, 'Agent models match the routing table');
+  } else {
+    log(ICONS.warn, `${sync.drift} agent(s) drift from the routing table`);
+    if (sync.agents.some((a) => a.fixable)) {
+      console.log(`    ${COLORS.dim}Run ${COLORS.cyan}npx everything-copilot models:sync --write${COLORS.reset}${COLORS.dim} to rewrite the frontmatter; update docs by hand.${COLORS.reset}`);
+    }
+  }
+  if (failed) {
+    log(ICONS.error, 'Agent models drifted (--strict)');
+  }
+  console.log();
+}
+
+// ---------------------------------------------------------------------------
+// Command: budget
+// ---------------------------------------------------------------------------
+
+/**
+ * The files `budget` measures: the installed workspace, or what a preset
+ * (`--preset=<name|file|package>`) would install, with the project config applied.
+ */
+function budgetFiles(args, projectConfig) {
+  if (!args.preset) return budgetLib.readWorkspace(CWD, projectConfig.paths.skills);
+  const resolved = resolvePreset(String(args.preset), CWD);
+  const selection = withProjectConfig(selectionFor(resolved.name, resolved.preset, resolved.source), projectConfig);
+  return planInstall(selection).groups
+    .flatMap((group) => group.files)
+    .map((file) => ({ path: file.dest, text: file.content !== undefined ? file.content : fs.readFileSync(file.src, 'utf8') }));
+}
+
+function cmdBudget(args) {
+  const fail = (message) => {
+    if (args.json) {
+      reportLib.printReport(reportLib.createFailure('budget', message));
+    } else {
+      log(ICONS.error, message);
+    }
+    process.exitCode = 1;
+  };
+
+  if (!args.json) {
+    printBanner();
+    header('Context Budget');
+  }
+
+  let budget;
+  try {
+    const { config } = configLib.loadConfig(CWD);
+    const catalog = modelSelector.loadModelCatalog(config.models);
+    // A preset installs skills to the default location, not paths.skills
+    const skillsDir = args.preset ? `${COPILOT_DIR}/skills` : config.paths.skills;
+    budget = budgetLib.measureBudget(budgetFiles(args, config), { skillsDir, thresholds: config.budget, catalog });
+  } catch (err) {
+    fail(err.message);
+    return;
+  }
+  const failed = (args.strict || args.ci) && budget.warnings.length > 0;
+  if (failed) process.exitCode = 1;
+
+  if (args.json) {
+    reportLib.printReport(reportLib.createReport('budget', { preset: args.preset ? String(args.preset) : null, ...budget }));
+    return;
+  }
+
+  const fmt = (n) => n.toLocaleString('en-US');
+  const row = (label, tokens, note = '') =>
+    console.log(`    ${label.padEnd(24)} ${`~${fmt(tokens)}`.padStart(8)} tokens${note ? ` ${COLORS.dim}${note}${COLORS.reset}` : ''}`);
+  const largest = budget.agents.find((agent) => agent.tokens === budget.totals.largestAgent);
+
+  console.log(`  ${COLORS.bold}${args.preset ? `Preset ${args.preset}` : 'Installed workspace'}${COLORS.reset} ${COLORS.dim}— estimated tokens${COLORS.reset}`);
+  console.log();
+  row('Always loaded', budget.totals.always, budget.always.length === 0 ? '(no copilot-instructions.md)' : '');
+  row(`Instructions (${budget.instructions.length})`, budget.totals.instructions, '(when applyTo matches)');
+  row(`Skills (${budget.skills.length})`, budget.totals.skills, '(SKILL.md + supporting files)');
+  row('Largest agent', budget.totals.largestAgent, largest ? `(${largest.name})` : '');
+  console.log(`    ${'─'.repeat(40)}`);
+  row('Worst case', budget.totals.worstCase, '(all of the above together)');
+
+  if (budget.skills.length > 0) {
+    console.log();
+    console.log(`  ${COLORS.bold}Skills${COLORS.reset} ${COLORS.dim}(limit ${fmt(budget.thresholds.skillTokens)} each):${COLORS.reset}`);
+    for (const skill of [...budget.skills].sort((a, b) => b.tokens - a.tokens)) {
+      const icon = skill.tokens > budget.thresholds.skillTokens ? ICONS.warn : ICONS.skill;
+      console.log(`    ${icon} ${skill.name.padEnd(26)}${`~${fmt(skill.tokens)}`.padStart(8)} ${COLORS.dim}(SKILL.md ~${fmt(skill.skillTokens)})${COLORS.reset}`);
+    }
+  }
+
+  console.log();
+  console.log(`  ${COLORS.bold}Context windows:${COLORS.reset}`);
+  for (const entry of budget.models) {
+    console.log(`    ${entry.model.padEnd(16)} ${fmt(entry.contextWindow).padStart(9)} tokens ${COLORS.dim}worst case uses ${entry.percent}%${COLORS.reset}`);
+  }
+
+  console.log();
+  if (budget.warnings.length === 0) {
+    log(ICONS.success, `Within budget (total limit ${fmt(budget.thresholds.totalTokens)} tokens)`);
+  }
+  for (const warning of budget.warnings) {
+    log(ICONS.warn, warning);
+  }
+  if (failed) {
+    log(ICONS.error, 'Over budget (--strict)');
+  }
+  console.log();
+}
+
+// ---------------------------------------------------------------------------
+// Command: doctor
+// ---------------------------------------------------------------------------
+
+function cmdDoctor(args) {
   const checks = [];
 
   // Check Node.js version
@@ -765,11 +1812,12 @@ function cmdDoctor() {
     msg: exists(destCopilot) ? `.copilot/ directory found` : `.copilot/ not found — run: npx everything-copilot init`,
   });
 
-  // Check AGENTS.md
-  const agentsFile = path.join(destCopilot, 'AGENTS.md');
+  // Check agents (.github/agents/*.agent.md, or the legacy AGENTS.md)
+  const agentCount = registryLib.loadRegistry(CWD).agents.length;
+  const hasLegacyAgents = exists(path.join(destCopilot, 'AGENTS.md'));
   checks.push({
-    ok: exists(agentsFile),
-    msg: exists(agentsFile) ? 'AGENTS.md present' : 'AGENTS.md missing',
+    ok: agentCount > 0 || hasLegacyAgents,
+    msg: agentCount > 0 ? `${agentCount} agent(s) in .github/agents/` : hasLegacyAgents ? 'AGENTS.md present' : 'No agents installed',
   });
 
   // Check instructions
@@ -779,6 +1827,22 @@ function cmdDoctor() {
     msg: exists(instrDir) ? 'instructions/ present' : 'instructions/ missing',
   });
 
+  // Check project config
+  try {
+    const loaded = configLib.loadConfig(CWD);
+    checks.push({
+      ok: loaded.exists,
+      optional: true,
+      msg: loaded.exists ? `${configLib.CONFIG_FILE} valid` : `${configLib.CONFIG_FILE} not found (optional — init writes one)`,
+    });
+    const instinctDir = configLib.resolveConfigPath(CWD, loaded.config, 'instincts');
+    if (loaded.exists && !exists(instinctDir)) {
+      checks.push({ ok: false, optional: true, msg: `Instinct store ${loaded.config.paths.instincts} not found (optional — created on first use)` });
+    }
+  } catch (err) {
+    checks.push({ ok: false, msg: err.message });
+  }
+
   // Check git
   let hasGit = false;
   try {
@@ -802,15 +1866,26 @@ function cmdDoctor() {
   }
   checks.push({
     ok: hasCode,
+    optional: true,
     msg: hasCode ? 'VS Code CLI available' : 'VS Code CLI not found (optional)',
   });
 
+  const failures = checks.filter((c) => !c.ok && !c.optional);
+  if (args.json) {
+    reportLib.printReport(reportLib.createReport('doctor', {
+      ok: failures.length === 0,
+      checks: checks.map((c) => ({ ok: c.ok, optional: Boolean(c.optional), message: c.msg })),
+    }));
+    return;
+  }
+
   // Print results
+  printBanner();
+  header('Health Check');
   for (const check of checks) {
-    log(check.ok ? ICONS.success : (check.msg.includes('optional') ? ICONS.warn : ICONS.error), check.msg);
+    log(check.ok ? ICONS.success : (check.optional ? ICONS.warn : ICONS.error), check.msg);
   }
 
-  const failures = checks.filter((c) => !c.ok && !c.msg.includes('optional'));
   console.log();
   if (failures.length === 0) {
     log(ICONS.success, `${COLORS.green}${COLORS.bold}Everything looks good!${COLORS.reset}`);
@@ -838,6 +1913,15 @@ function cmdHelp() {
   console.log(`      --frontend                 Frontend preset (React, CSS, performance)`);
   console.log(`      --backend                  Backend preset (APIs, DB, security)`);
   console.log(`      --go                       Go preset (Go patterns, testing)`);
+  console.log(`      --preset=<name|file|pkg>   Built-in preset, JSON/YAML preset file, or npm package`);
+  console.log(`      --agents=planner,tdd       Install only these agents instead of the preset's`);
+  console.log(`      --force                    Overwrite a workspace that is already initialized`);
+  console.log(`    ${COLORS.cyan}upgrade${COLORS.reset}                    Update installed files to this toolkit version`);
+  console.log(`      --strategy=merge|skip      Three-way merge (default) or skip locally modified files`);
+  console.log(`      --dry-run                  Show what would change without writing`);
+  console.log(`    ${COLORS.cyan}uninstall${COLORS.reset} [component...]      Remove toolkit files (agents, instructions, scripts, skills, mcp)`);
+  console.log(`      --force                    Also delete files you modified locally`);
+  console.log(`      --yes                      Skip the confirmation prompt`);
   console.log();
   console.log(`  ${COLORS.bold}Skills:${COLORS.reset}`);
   console.log(`    ${COLORS.cyan}skill:create${COLORS.reset} [name]           Create a new custom skill interactively`);
@@ -848,16 +1932,49 @@ function cmdHelp() {
   console.log();
   console.log(`  ${COLORS.bold}Agents:${COLORS.reset}`);
   console.log(`    ${COLORS.cyan}add:agent${COLORS.reset}                    List all available agents and models`);
-  console.log(`    ${COLORS.cyan}add:agent${COLORS.reset} <name>             Show agent details`);
+  console.log(`    ${COLORS.cyan}add:agent${COLORS.reset} <name>             Install .github/agents/<name>.agent.md`);
+  console.log(`    ${COLORS.cyan}agent:create${COLORS.reset} [name]           Scaffold a new custom agent interactively`);
+  console.log(`      --desc "description"       Agent description`);
+  console.log(`      --tools search,editFiles   Tools the agent may use`);
+  console.log(`      --model opus|sonnet|haiku  Model tier, catalog model or Copilot model name`);
   console.log();
   console.log(`  ${COLORS.bold}Maintenance:${COLORS.reset}`);
   console.log(`    ${COLORS.cyan}validate${COLORS.reset}                     Validate agents and skills configuration`);
+  console.log(`      --strict                   Treat warnings as errors`);
+  console.log(`      --ci                       --strict, no banner, GitHub annotations in Actions`);
+  console.log(`      --format=<fmt>             text | json | github | junit`);
+  console.log(`      --output <file>            Write the json/github/junit report to a file`);
+  console.log(`      Exit codes: 0 passed, 1 failed, 2 could not validate`);
   console.log(`    ${COLORS.cyan}list${COLORS.reset}                         List installed agents, skills, instructions`);
+  console.log(`    ${COLORS.cyan}explain${COLORS.reset} <file>               Show the instructions and skills Copilot loads for a file`);
+  console.log(`      --json                     Print a JSON report`);
+  console.log(`    ${COLORS.cyan}route${COLORS.reset} "<task>"               Show which model a task routes to, and why`);
+  console.log(`      --json                     Print a JSON report`);
+  console.log(`    ${COLORS.cyan}models:sync${COLORS.reset}                  Check agent frontmatter and docs against model routing`);
+  console.log(`      --write                    Rewrite drifted .agent.md model frontmatter`);
+  console.log(`      --strict                   Exit 1 when any agent drifts`);
+  console.log(`      --json                     Print a JSON report`);
+  console.log(`    ${COLORS.cyan}budget${COLORS.reset}                       Estimate context tokens against model context windows`);
+  console.log(`      --preset=<name>            Measure what a preset would install`);
+  console.log(`      --strict                   Exit 1 when over budget`);
+  console.log(`      --json                     Print a JSON report`);
   console.log(`    ${COLORS.cyan}doctor${COLORS.reset}                       Run environment health check`);
+  console.log(`      --json                     Print a JSON report (schemas/ecp.report.schema.json)`);
   console.log();
   console.log(`  ${COLORS.bold}Learning:${COLORS.reset}`);
   console.log(`    ${COLORS.cyan}instinct${COLORS.reset} <subcommand>        Manage learned instincts`);
   console.log(`      list | add | remove | export | import | evolve | status`);
+  console.log(`      use | confirm | reject <id|name>  Reinforce or weaken an instinct`);
+  console.log(`      prune | restore <id|name>  Archive stale instincts, or bring one back`);
+  console.log(`      evolve --apply=<cluster>   Turn an instinct cluster into a skill`);
+  console.log(`      list | evolve | status --json  Print a JSON report`);
+  console.log();
+  console.log(`  ${COLORS.bold}Global options (commands that write files):${COLORS.reset}`);
+  console.log(`    --dry-run                    Print planned create/overwrite/skip operations only`);
+  console.log(`    --diff                       Dry run plus a unified diff for every overwritten file`);
+  console.log();
+  console.log(`  ${COLORS.bold}Project config:${COLORS.reset}`);
+  console.log(`    ${configLib.CONFIG_FILE}      Preset, extra/excluded skills and agents, paths, models, strictness`);
   console.log();
   console.log(`  ${COLORS.bold}Examples:${COLORS.reset}`);
   console.log(`    ${COLORS.dim}# Quick start${COLORS.reset}`);
@@ -879,6 +1996,12 @@ function cmdHelp() {
 // Argument parser
 // ---------------------------------------------------------------------------
 
+// Flags that never take a value, so `--dry-run my-skill` keeps `my-skill` positional
+const BOOLEAN_FLAGS = new Set([
+  'dry-run', 'diff', 'force', 'yes', 'json', 'ci', 'strict', 'write',
+  'minimal', 'standard', 'full', 'frontend', 'backend', 'go', 'java', 'springboot', 'spring-boot',
+]);
+
 function parseCliArgs() {
   const raw = process.argv.slice(2);
   const command = raw[0] || 'help';
@@ -890,7 +2013,7 @@ function parseCliArgs() {
       const eqIdx = arg.indexOf('=');
       if (eqIdx > 0) {
         args[arg.slice(2, eqIdx)] = arg.slice(eqIdx + 1);
-      } else if (i + 1 < raw.length && !raw[i + 1].startsWith('-')) {
+      } else if (!BOOLEAN_FLAGS.has(arg.slice(2)) && i + 1 < raw.length && !raw[i + 1].startsWith('-')) {
         args[arg.slice(2)] = raw[++i];
       } else {
         args[arg.slice(2)] = true;
@@ -914,6 +2037,10 @@ async function main() {
     case 'init':
       await cmdInit(args);
       break;
+    case 'upgrade':
+    case 'update':
+      cmdUpgrade(args);
+      break;
     case 'skill:create':
     case 'skill-create':
     case 'create-skill':
@@ -923,28 +2050,53 @@ async function main() {
     case 'add-skill':
       cmdAddSkill(args);
       break;
+    case 'remove:skill':
+    case 'remove-skill':
+      await cmdRemoveSkill(args);
+      break;
+    case 'uninstall':
+      await cmdUninstall(args);
+      break;
     case 'add:agent':
     case 'add-agent':
       cmdAddAgent(args);
       break;
+    case 'agent:create':
+    case 'agent-create':
+    case 'create-agent':
+      await cmdAgentCreate(args);
+      break;
     case 'validate':
-      cmdValidate();
+      cmdValidate(args);
       break;
     case 'list':
     case 'ls':
-      cmdList();
+      cmdList(args);
+      break;
+    case 'explain':
+      cmdExplain(args);
+      break;
+    case 'budget':
+      cmdBudget(args);
+      break;
+    case 'models:sync':
+    case 'models-sync':
+      cmdModelsSync(args);
+      break;
+    case 'route':
+      cmdRoute(args);
       break;
     case 'doctor':
-      cmdDoctor();
+      cmdDoctor(args);
       break;
     case 'instinct':
-      // Delegate to instinct-manager
+      // Delegate to instinct-manager, forwarding flags such as --dry-run
       try {
         const instinctScript = path.join(REPO_ROOT, 'scripts', 'instinct-manager.js');
-        const subcmd = args._positional.join(' ');
-        execSync(`node "${instinctScript}" ${subcmd}`, { stdio: 'inherit' });
-      } catch {
-        // exit code already printed by child
+        execFileSync(process.execPath, [instinctScript, ...process.argv.slice(3)], { stdio: 'inherit' });
+      } catch (err) {
+        // Child already printed its error; propagate the exit code
+        process.exitCode = err.status || 1;
       }
       break;
     case 'help':
@@ -9,11 +9,18 @@
  *   remove   Remove an instinct by ID
  *   export   Export instincts to JSON file
  *   import   Import instincts from JSON file
- *   evolve   Cluster instincts and suggest skill creation
+ *   evolve   Cluster instincts by content and suggest skill creation;
+ *            with --apply=<cluster>, generate the skill
  *   status   Summary of instinct store
+ *   use      Record a successful use of an instinct (+confidence)
+ *   confirm  Mark an instinct as validated by the user
+ *   reject   Record that an instinct proved wrong (-confidence)
+ *   prune    Save decayed confidence and archive stale instincts
+ *   restore  Move an archived instinct back into the store
  *
  * Usage:
- *   node scripts/instinct-manager.js <command> [options]
+ *   node scripts/instinct-manager.js <command> [options] [--dry-run] [--diff]
+ *   node scripts/instinct-manager.js list|evolve|status --json
  */
 
 'use strict';
@@ -21,44 +28,78 @@
 const fs = require('node:fs');
 const path = require('node:path');
 const crypto = require('node:crypto');
-const { log, readFile, writeFile, fileExists, getProjectRoot } = require('./lib/utils');
+const { log, getProjectRoot } = require('./lib/utils');
+const { createFileOps } = require('./lib/file-ops');
+const { loadConfig, resolveConfigPath } = require('./lib/config');
+const { createReport, createFailure, printReport } = require('./lib/report');
+const { readStore, updateStore } = require('./lib/instinct-store');
+const { clusterInstincts, resolveThresholds } = require('./lib/instinct-clusters');
+const { generateClusterManifest, generateClusterPatterns } = require('./skill-creator');
+const { validateSkill } = require('./validate-skills');
 
 // ---------------------------------------------------------------------------
 // Constants
 // ---------------------------------------------------------------------------
 
-const STORE_DIR = '.copilot/skills/continuous-learning/learned';
 const STORE_FILE = 'instincts.json';
+const ARCHIVE_FILE = path.join('archive', 'instincts-archive.json');
 const INITIAL_CONFIDENCE = 0.5;
 const CONFIDENCE_INCREMENT = 0.05;
 const CONFIDENCE_CAP = 0.95;
 const DECAY_PER_WEEK = 0.01;
 const CONFIDENCE_FLOOR = 0.1;
+const CONFIRMED_CONFIDENCE = 0.8;
+const REJECT_PENALTY = 0.15;
+// Events kept per instinct; older ones are dropped
+const HISTORY_LIMIT = 50;
+// `prune` archives instincts below PRUNE_THRESHOLD, and those unused for
+// STALE_DAYS that never reached STALE_CONFIDENCE (see instinct-storage.md)
+const PRUNE_THRESHOLD = 0.2;
+const STALE_DAYS = 90;
+const STALE_CONFIDENCE = 0.5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const VALID_SKILL_NAME_RE = /^[a-z][a-z0-9-]*$/;
 
 // ---------------------------------------------------------------------------
 // Store helpers
 // ---------------------------------------------------------------------------
 
+// All writes go through this recorder so --dry-run / --diff can preview them.
+let fileOps = createFileOps();
+
+// The store directory comes from `paths.instincts` in .copilot/ecp.config.json.
 function getStorePath() {
   const root = getProjectRoot() || process.cwd();
-  return path.join(root, STORE_DIR, STORE_FILE);
+  const { config } = loadConfig(root);
+  return path.join(resolveConfigPath(root, config, 'instincts'), STORE_FILE);
 }
 
+/**
+ * The stored instincts.  Throws when the store cannot be read (see
+ * lib/instinct-store.js) rather than starting fresh and losing them.
+ */
 function loadInstincts() {
-  const storePath = getStorePath();
-  if (!fileExists(storePath)) return [];
-  try {
-    const raw = readFile(storePath);
-    return JSON.parse(raw);
-  } catch {
-    log('warn', 'Could not parse instincts file. Starting fresh.');
-    return [];
-  }
+  return readStore(getStorePath()).instincts;
+}
+
+// Archived instincts live next to the store, in archive/instincts-archive.json
+function getArchivePath() {
+  return path.join(path.dirname(getStorePath()), ARCHIVE_FILE);
+}
+
+/**
+ * Change the stored instincts under the store lock; `update` mutates the
+ * array it is given.  Returns what `update` returns.
+ */
+function modifyInstincts(update) {
+  return updateStore(getStorePath(), update, { ops: fileOps });
 }
 
+/** Replace every stored instinct. */
 function saveInstincts(instincts) {
-  const storePath = getStorePath();
-  writeFile(storePath, JSON.stringify(instincts, null, 2) + '\n');
+  modifyInstincts((stored) => {
+    stored.splice(0, stored.length, ...instincts);
+  });
 }
 
 function generateId() {
@@ -69,26 +110,77 @@ function generateId() {
 // Confidence helpers
 // ---------------------------------------------------------------------------
 
+/**
+ * Lower confidence by DECAY_PER_WEEK for every full week since `lastUsed`.
+ * `decayWeeks` counts the weeks already saved by `prune`, so decay is never
+ * applied twice; using or confirming an instinct resets it.
+ */
 function applyDecay(instinct) {
   const now = Date.now();
   const lastUsed = new Date(instinct.lastUsed).getTime();
-  const daysSince = (now - lastUsed) / (24 * 60 * 60 * 1000);
+  const daysSince = (now - lastUsed) / DAY_MS;
   const weeksUnused = Math.floor(daysSince / 7);
+  const pending = weeksUnused - (instinct.decayWeeks || 0);
 
-  if (weeksUnused > 0) {
-    const decay = weeksUnused * DECAY_PER_WEEK;
-    instinct.confidence = Math.max(CONFIDENCE_FLOOR, instinct.confidence - decay);
+  if (pending > 0) {
+    const decay = pending * DECAY_PER_WEEK;
+    instinct.confidence = Math.round(Math.max(CONFIDENCE_FLOOR, instinct.confidence - decay) * 100) / 100;
+    instinct.decayWeeks = weeksUnused;
   }
   return instinct;
 }
 
+// Keep confidence within [CONFIDENCE_FLOOR, CONFIDENCE_CAP], without float noise
+function clampConfidence(value) {
+  return Math.round(Math.min(CONFIDENCE_CAP, Math.max(CONFIDENCE_FLOOR, value)) * 100) / 100;
+}
+
 function incrementConfidence(instinct) {
-  instinct.confidence = Math.min(CONFIDENCE_CAP, instinct.confidence + CONFIDENCE_INCREMENT);
+  instinct.confidence = clampConfidence(instinct.confidence + CONFIDENCE_INCREMENT);
   instinct.lastUsed = new Date().toISOString();
   instinct.useCount = (instinct.useCount || 0) + 1;
+  delete instinct.decayWeeks;
   return instinct;
 }
 
+/**
+ * How each reinforcement event changes an instinct:
+ *   use      a successful use — +0.05 confidence, one more use, used now
+ *   confirm  validated by the user — raised to 0.8 (never lowered), used now
+ *   reject   proved wrong — -0.15 confidence; `lastUsed` is kept so decay continues
+ */
+const REINFORCEMENTS = {
+  use: incrementConfidence,
+  confirm(instinct) {
+    instinct.confidence = clampConfidence(Math.max(instinct.confidence, CONFIRMED_CONFIDENCE));
+    instinct.lastUsed = new Date().toISOString();
+    delete instinct.decayWeeks;
+    return instinct;
+  },
+  reject(instinct) {
+    instinct.confidence = clampConfidence(instinct.confidence - REJECT_PENALTY);
+    return instinct;
+  },
+};
+
+/**
+ * Append an event to an instinct's `history` (the last HISTORY_LIMIT are kept).
+ *
+ * @param {object} instinct
+ * @param {{ event: string, from: number, to: number, note?: string }} entry
+ */
+function recordEvent(instinct, entry) {
+  const event = { event: entry.event, at: new Date().toISOString(), from: entry.from, to: entry.to };
+  if (entry.note) event.note = entry.note;
+  instinct.history = [...(instinct.history || []), event].slice(-HISTORY_LIMIT);
+  return instinct;
+}
+
+// An instinct by id, or else by name
+function findInstinct(instincts, ref) {
+  return instincts.find((i) => i.id === ref) || instincts.find((i) => i.name === ref) || null;
+}
+
 // ---------------------------------------------------------------------------
 // Commands
 // ---------------------------------------------------------------------------
@@ -99,28 +191,29 @@ function addInstinct(name, category, pattern) {
     return false;
   }
 
-  const instincts = loadInstincts();
-
-  // Check for duplicate name
-  if (instincts.some((i) => i.name === name)) {
+  const instinct = modifyInstincts((instincts) => {
+    // Check for duplicate name
+    if (instincts.some((i) => i.name === name)) return null;
+
+    const added = {
+      id: generateId(),
+      name,
+      category,
+      pattern,
+      confidence: INITIAL_CONFIDENCE,
+      created: new Date().toISOString(),
+      lastUsed: new Date().toISOString(),
+      useCount: 0,
+      tags: [],
+    };
+    instincts.push(added);
+    return added;
+  });
+
+  if (!instinct) {
     log('error', `Instinct "${name}" already exists. Use a different name.`);
     return false;
   }
-
-  const instinct = {
-    id: generateId(),
-    name,
-    category,
-    pattern,
-    confidence: INITIAL_CONFIDENCE,
-    created: new Date().toISOString(),
-    lastUsed: new Date().toISOString(),
-    useCount: 0,
-    tags: [],
-  };
-
-  instincts.push(instinct);
-  saveInstincts(instincts);
   log('success', `Added instinct "${name}" (${instinct.id}) with confidence ${INITIAL_CONFIDENCE}`);
   return true;
 }
@@ -131,21 +224,154 @@ function removeInstinct(id) {
     return false;
   }
 
-  const instincts = loadInstincts();
-  const idx = instincts.findIndex((i) => i.id === id);
-  if (idx === -1) {
+  const removed = modifyInstincts((instincts) => {
+    const idx = instincts.findIndex((i) => i.id === id);
+    return idx === -1 ? null : instincts.splice(idx, 1)[0];
+  });
+  if (!removed) {
     log('error', `Instinct "${id}" not found.`);
     return false;
   }
 
-  const removed = instincts.splice(idx, 1)[0];
-  saveInstincts(instincts);
   log('success', `Removed instinct "${removed.name}" (${removed.id})`);
   return true;
 }
 
-function listInstincts(opts = {}) {
-  let instincts = loadInstincts().map(applyDecay);
+/**
+ * Apply a `REINFORCEMENTS` event to the instinct with id or name `ref` and
+ * record it in the instinct's history.
+ *
+ * @param {'use'|'confirm'|'reject'} event
+ * @param {string} ref - Instinct id or name.
+ * @param {{ note?: string }} [opts]
+ * @returns {boolean}
+ */
+function reinforceInstinct(event, ref, opts = {}) {
+  if (!ref) {
+    log('error', `Usage: ${event} <id|name> [--note="<why>"]`);
+    return false;
+  }
+
+  const change = modifyInstincts((instincts) => {
+    const instinct = findInstinct(instincts, ref);
+    if (!instinct) return null;
+    const from = instinct.confidence;
+    REINFORCEMENTS[event](instinct);
+    recordEvent(instinct, { event, from, to: instinct.confidence, note: typeof opts.note === 'string' ? opts.note : undefined });
+    return { instinct, from };
+  });
+  if (!change) {
+    log('error', `Instinct "${ref}" not found.`);
+    return false;
+  }
+
+  const { instinct, from } = change;
+  const limit = instinct.confidence === CONFIDENCE_CAP ? ' (cap)' : instinct.confidence === CONFIDENCE_FLOOR ? ' (floor)' : '';
+  log('success', `${event}: "${instinct.name}" (${instinct.id}) confidence ${from.toFixed(2)} → ${instinct.confidence.toFixed(2)}${limit}, ${instinct.useCount || 0} use(s)`);
+  return true;
+}
+
+// Why `prune` archives an instinct (after decay), or null to keep it
+function pruneReason(instinct, threshold) {
+  if (instinct.confidence < threshold) return `confidence ${instinct.confidence.toFixed(2)} < ${threshold}`;
+  const daysUnused = Math.floor((Date.now() - new Date(instinct.lastUsed).getTime()) / DAY_MS);
+  if (daysUnused >= STALE_DAYS && instinct.confidence < STALE_CONFIDENCE) {
+    return `unused for ${daysUnused} days at confidence ${instinct.confidence.toFixed(2)}`;
+  }
+  return null;
+}
+
+/**
+ * Save decayed confidence to the store and move stale instincts (see
+ * `pruneReason`) to the archive.  The archive is written first, so an
+ * interrupted prune can duplicate an instinct but never lose one.
+ *
+ * @param {{ threshold?: number }} [opts] - Archive below this confidence (default 0.2).
+ * @returns {{ decayed: object[], archived: object[] }}
+ */
+function pruneInstincts(opts = {}) {
+  const threshold = opts.threshold === undefined ? PRUNE_THRESHOLD : opts.threshold;
+  if (typeof threshold !== 'number' || !(threshold >= 0 && threshold <= 1)) {
+    log('error', 'Usage: prune [--threshold=0.2]  (a confidence between 0 and 1)');
+    return null;
+  }
+
+  const result = modifyInstincts((instincts) => {
+    const decayed = [];
+    const keep = [];
+    const archived = [];
+    for (const instinct of instincts) {
+      const before = instinct.confidence;
+      applyDecay(instinct);
+      if (instinct.confidence !== before) decayed.push({ instinct, from: before });
+      const reason = pruneReason(instinct, threshold);
+      if (reason) archived.push({ ...instinct, archived: new Date().toISOString(), archiveReason: reason });
+      else keep.push(instinct);
+    }
+    if (archived.length > 0) {
+      updateStore(getArchivePath(), (archive) => {
+        archive.push(...archived);
+      }, { ops: fileOps });
+    }
+    instincts.splice(0, instincts.length, ...keep);
+    return { decayed, archived };
+  });
+
+  for (const { instinct, from } of result.decayed) {
+    log('info', `Decayed "${instinct.name}" (${instinct.id}) ${from.toFixed(2)} → ${instinct.confidence.toFixed(2)}`);
+  }
+  for (const instinct of result.archived) {
+    log('info', `Archived "${instinct.name}" (${instinct.id}): ${instinct.archiveReason}`);
+  }
+  log('success', `Pruned: ${result.decayed.length} decayed, ${result.archived.length} archived` +
+    (result.archived.length > 0 ? ` to ${path.relative(process.cwd(), getArchivePath())}` : ''));
+  return result;
+}
+
+/**
+ * Move an archived instinct back into the store.  It starts over as if
+ * just added: used now, confidence at least INITIAL_CONFIDENCE.
+ *
+ * @param {string} ref - Instinct id or name.
+ * @returns {boolean}
+ */
+function restoreInstinct(ref) {
+  if (!ref) {
+    log('error', 'Usage: restore <id|name>  (see: list --archived)');
+    return false;
+  }
+
+  const restored = modifyInstincts((instincts) => updateStore(getArchivePath(), (archive) => {
+    const instinct = findInstinct(archive, ref);
+    if (!instinct) return { error: `Instinct "${ref}" is not in the archive.` };
+    if (instincts.some((i) => i.name === instinct.name)) {
+      return { error: `An instinct named "${instinct.name}" already exists. Remove it first.` };
+    }
+
+    archive.splice(archive.indexOf(instinct), 1);
+    const { archived, archiveReason, decayWeeks, ...rest } = instinct;
+    const from = rest.confidence;
+    rest.confidence = clampConfidence(Math.max(rest.confidence, INITIAL_CONFIDENCE));
+    rest.lastUsed = new Date().toISOString();
+    recordEvent(rest, { event: 'restore', from, to: rest.confidence });
+    instincts.push(rest);
+    return { instinct: rest };
+  }, { ops: fileOps }));
+
+  if (restored.error) {
+    log('error', restored.error);
+    return false;
+  }
+  log('success', `Restored "${restored.instinct.name}" (${restored.instinct.id}) with confidence ${restored.instinct.confidence.toFixed(2)}`);
+  return true;
+}
+
+/**
+ * Instincts matching the list filters, highest confidence first.  With
+ * `archived`, the archive is listed instead.
+ */
+function queryInstincts(opts = {}) {
+  let instincts = opts.archived ? readStore(getArchivePath()).instincts : loadInstincts().map(applyDecay);
 
   if (opts.category) {
     instincts = instincts.filter((i) => i.category === opts.category);
@@ -160,13 +386,22 @@ function listInstincts(opts = {}) {
     instincts = instincts.filter((i) => i.confidence >= opts.minConfidence);
   }
 
+  return instincts.sort((a, b) => b.confidence - a.confidence);
+}
+
+function listInstincts(opts = {}) {
+  const instincts = queryInstincts(opts);
+
+  if (opts.json) {
+    printReport(createReport('instinct list', { instincts }));
+    return instincts;
+  }
+
   if (instincts.length === 0) {
     log('info', 'No instincts found.');
-    return;
+    return instincts;
   }
 
-  instincts.sort((a, b) => b.confidence - a.confidence);
-
   console.log('');
   console.log(`  ${'ID'.padEnd(14)} ${'Name'.padEnd(30)} ${'Category'.padEnd(16)} ${'Conf'.padEnd(6)} Uses`);
   console.log(`  ${'─'.repeat(14)} ${'─'.repeat(30)} ${'─'.repeat(16)} ${'─'.repeat(6)} ${'─'.repeat(5)}`);
@@ -176,13 +411,14 @@ function listInstincts(opts = {}) {
     console.log(`  ${i.id.padEnd(14)} ${i.name.padEnd(30)} ${i.category.padEnd(16)} ${conf.padEnd(6)} ${i.useCount}`);
   }
   console.log('');
+  return instincts;
 }
 
 function exportInstincts(file) {
   const outFile = file || 'instincts-export.json';
   const instincts = loadInstincts();
   const outPath = path.resolve(process.cwd(), outFile);
-  writeFile(outPath, JSON.stringify(instincts, null, 2) + '\n');
+  fileOps.write(outPath, JSON.stringify(instincts, null, 2) + '\n');
   log('success', `Exported ${instincts.length} instincts to ${outPath}`);
 }
 
@@ -193,94 +429,176 @@ function importInstincts(file) {
   }
 
   const filePath = path.resolve(process.cwd(), file);
-  if (!fileExists(filePath)) {
+  if (!fs.existsSync(filePath)) {
     log('error', `File not found: ${filePath}`);
     return false;
   }
 
   let imported;
   try {
-    imported = JSON.parse(readFile(filePath));
+    imported = JSON.parse(fs.readFileSync(filePath, 'utf8'));
   } catch {
     log('error', 'Invalid JSON in import file.');
     return false;
   }
 
+  // An export (array) or another project's instincts.json
+  if (imported && Array.isArray(imported.instincts)) imported = imported.instincts;
   if (!Array.isArray(imported)) {
     log('error', 'Import file must contain a JSON array of instincts.');
     return false;
   }
 
-  const existing = loadInstincts();
-  const existingNames = new Set(existing.map((i) => i.name));
-  let added = 0;
-  let skipped = 0;
-
-  for (const inst of imported) {
-    if (existingNames.has(inst.name)) {
-      skipped++;
-      continue;
+  const { added, skipped } = modifyInstincts((existing) => {
+    const existingNames = new Set(existing.map((i) => i.name));
+    const counts = { added: 0, skipped: 0 };
+    for (const inst of imported) {
+      if (existingNames.has(inst.name)) {
+        counts.skipped++;
+        continue;
+      }
+      // Reduce confidence for imported instincts (not yet validated locally)
+      inst.confidence = Math.max(CONFIDENCE_FLOOR, (inst.confidence || INITIAL_CONFIDENCE) * 0.8);
+      inst.id = generateId();
+      existing.push(inst);
+      existingNames.add(inst.name);
+      counts.added++;
     }
-    // Reduce confidence for imported instincts (not yet validated locally)
-    inst.confidence = Math.max(CONFIDENCE_FLOOR, (inst.confidence || INITIAL_CONFIDENCE) * 0.8);
-    inst.id = generateId();
-    existing.push(inst);
-    existingNames.add(inst.name);
-    added++;
-  }
+    return counts;
+  });
 
-  saveInstincts(existing);
   log('success', `Imported ${added} instincts (${skipped} duplicates skipped).`);
   return true;
 }
 
-function evolveInstincts() {
-  const instincts = loadInstincts().map(applyDecay);
-
-  // Cluster by category
-  const clusters = {};
-  for (const inst of instincts) {
-    const cat = inst.category || 'uncategorized';
-    if (!clusters[cat]) clusters[cat] = [];
-    clusters[cat].push(inst);
+/**
+ * Cluster instincts by what they say (see lib/instinct-clusters.js) and show
+ * which clusters are ready to become skills.  Thresholds come from the
+ * `evolve` section of the project config; `opts.thresholds` overrides them.
+ * Instincts already evolved into a skill are left out.
+ *
+ * @returns {object[]} The clusters.
+ */
+function evolveInstincts(opts = {}) {
+  const { config } = loadConfig(getProjectRoot() || process.cwd());
+  const { thresholds, clusters, unclustered } = clusterInstincts(
+    loadInstincts().filter((i) => !i.evolved).map(applyDecay),
+    resolveThresholds(config.evolve, opts.thresholds),
+  );
+
+  if (opts.json) {
+    printReport(createReport('instinct evolve', { thresholds, clusters, unclustered }));
+    return clusters;
   }
 
   console.log('');
-  log('info', 'Instinct Clusters:');
+  log('info', `Instinct Clusters (similarity ≥ ${thresholds.similarity.toFixed(2)}):`);
   console.log('');
 
-  let readyCount = 0;
-
-  for (const [cat, members] of Object.entries(clusters)) {
-    const avgConf = members.reduce((s, m) => s + m.confidence, 0) / members.length;
-    const ready = members.length >= 3 && avgConf >= 0.7;
-    const marker = ready ? ' ★ READY' : '';
+  const readyCount = clusters.filter((cluster) => cluster.ready).length;
 
-    if (ready) readyCount++;
+  for (const cluster of clusters) {
+    const marker = cluster.ready ? ' ★ READY' : '';
+    console.log(`  ${cluster.name} (${cluster.members.length} patterns, avg confidence: ${cluster.avgConfidence.toFixed(2)})${marker}`);
+    for (const m of cluster.members) {
+      console.log(`    - ${m.name} (${m.confidence.toFixed(2)}) [${m.category}]`);
+    }
+    for (const reason of cluster.reasons) {
+      console.log(`    · ${reason}`);
+    }
+    console.log('');
+  }
 
-    console.log(`  ${cat} (${members.length} patterns, avg confidence: ${avgConf.toFixed(2)})${marker}`);
-    for (const m of members) {
-      console.log(`    - ${m.name} (${m.confidence.toFixed(2)})`);
+  if (unclustered.length > 0) {
+    console.log(`  Unclustered (${unclustered.length} patterns)`);
+    for (const m of unclustered) {
+      const nearest = m.nearest ? ` — closest: ${m.nearest.name} (${m.nearest.similarity.toFixed(2)})` : '';
+      console.log(`    - ${m.name} (${m.confidence.toFixed(2)})${nearest}`);
     }
     console.log('');
   }
 
   if (readyCount > 0) {
     log('success', `${readyCount} cluster(s) ready for evolution into formal skills.`);
-    log('info', 'Run: node scripts/skill-creator.js <name> to create a skill from a cluster.');
+    log('info', 'Run: node scripts/instinct-manager.js evolve --apply=<cluster> to turn a cluster into a skill.');
   } else {
     log('info', 'No clusters ready for evolution yet. Keep using and validating patterns.');
   }
+  return clusters;
 }
 
-function getStatus() {
-  const instincts = loadInstincts().map(applyDecay);
+/**
+ * Turn one cluster from `evolve` into a skill under `paths.skills`: SKILL.md
+ * and `<skill>-patterns.md` (see skill-creator.js), then mark the source
+ * instincts `evolved` and validate the new skill.
+ *
+ * @param {string} clusterName - As `evolve` lists it.
+ * @param {{ name?: string, force?: boolean, thresholds?: object }} [opts] -
+ *   `name` overrides the skill name; `force` evolves a cluster that is not ready.
+ * @returns {boolean} False when nothing was evolved or the skill is invalid.
+ */
+function applyCluster(clusterName, opts = {}) {
+  if (typeof clusterName !== 'string' || !clusterName) {
+    log('error', 'Usage: evolve --apply=<cluster> [--name=<skill>] [--force]');
+    return false;
+  }
 
-  if (instincts.length === 0) {
-    log('info', 'No instincts stored. Use "add" to create your first instinct.');
-    return {};
+  const root = getProjectRoot() || process.cwd();
+  const { config } = loadConfig(root);
+  const instincts = loadInstincts().filter((i) => !i.evolved).map(applyDecay);
+  const { clusters } = clusterInstincts(instincts, resolveThresholds(config.evolve, opts.thresholds));
+
+  const cluster = clusters.find((c) => c.name === clusterName);
+  if (!cluster) {
+    const names = clusters.map((c) => c.name).join(', ') || 'none';
+    log('error', `No cluster "${clusterName}" (clusters: ${names}). Run "evolve" to list them.`);
+    return false;
   }
+  if (!cluster.ready && !opts.force) {
+    log('error', `Cluster "${clusterName}" is ${cluster.reasons[cluster.reasons.length - 1]}. Pass --force to evolve it anyway.`);
+    return false;
+  }
+
+  const skillName = typeof opts.name === 'string' ? opts.name : cluster.name;
+  if (!VALID_SKILL_NAME_RE.test(skillName)) {
+    log('error', `Invalid skill name "${skillName}". Pass --name=<skill> in lowercase with hyphens (e.g., "api-errors").`);
+    return false;
+  }
+  const skillDir = path.join(resolveConfigPath(root, config, 'skills'), skillName);
+  if (fs.existsSync(skillDir)) {
+    log('error', `Skill directory already exists: ${skillDir}. Pass --name=<skill> to use another name.`);
+    return false;
+  }
+
+  const ids = new Set(cluster.members.map((m) => m.id));
+  const members = instincts.filter((i) => ids.has(i.id));
+  const evolved = new Date().toISOString();
+  fileOps.write(path.join(skillDir, 'SKILL.md'), generateClusterManifest(skillName, cluster, members, evolved));
+  fileOps.write(path.join(skillDir, `${skillName}-patterns.md`), generateClusterPatterns(skillName, cluster, members, evolved));
+  modifyInstincts((stored) => {
+    for (const instinct of stored) {
+      if (!ids.has(instinct.id)) continue;
+      instinct.evolved = evolved;
+      instinct.evolvedTo = skillName;
+    }
+  });
+
+  log('success', `Evolved "${cluster.name}" (${members.length} instincts) into ${path.relative(root, skillDir) || skillDir}`);
+  if (fileOps.dryRun) return true;
 
+  const result = validateSkill(skillDir);
+  for (const err of result.errors) log('error', `  ${err}`);
+  for (const warn of result.warnings) log('warn', `  ${warn}`);
+  log(result.pass ? 'success' : 'error', `Skill "${skillName}" ${result.pass ? 'is valid' : 'failed validation'}.`);
+  return result.pass;
+}
+
+/**
+ * Summary numbers for a set of instincts.
+ *
+ * @returns {{ total: number, avgConf: number|null, highConf: number, lowConf: number, categories: Record<string, number> }}
+ */
+function summarizeInstincts(instincts) {
   const categories = {};
   for (const inst of instincts) {
     const cat = inst.category || 'uncategorized';
@@ -288,25 +606,49 @@ function getStatus() {
     categories[cat]++;
   }
 
-  const avgConf = instincts.reduce((s, i) => s + i.confidence, 0) / instincts.length;
-  const highConf = instincts.filter((i) => i.confidence >= 0.7).length;
-  const lowConf = instincts.filter((i) => i.confidence < 0.3).length;
+  return {
+    total: instincts.length,
+    avgConf: instincts.length > 0 ? instincts.reduce((s, i) => s + i.confidence, 0) / instincts.length : null,
+    highConf: instincts.filter((i) => i.confidence >= 0.7).length,
+    lowConf: instincts.filter((i) => i.confidence < 0.3).length,
+    categories,
+  };
+}
+
+function getStatus(opts = {}) {
+  const stats = summarizeInstincts(loadInstincts().map(applyDecay));
+
+  if (opts.json) {
+    printReport(createReport('instinct status', {
+      total: stats.total,
+      averageConfidence: stats.avgConf,
+      highConfidence: stats.highConf,
+      lowConfidence: stats.lowConf,
+      categories: stats.categories,
+    }));
+    return stats;
+  }
+
+  if (stats.total === 0) {
+    log('info', 'No instincts stored. Use "add" to create your first instinct.');
+    return {};
+  }
 
   console.log('');
   console.log('  Instinct Store Status');
   console.log('  ─────────────────────');
-  console.log(`  Total instincts:      ${instincts.length}`);
-  console.log(`  Average confidence:   ${avgConf.toFixed(2)}`);
-  console.log(`  High confidence (≥0.7): ${highConf}`);
-  console.log(`  Low confidence (<0.3):  ${lowConf}`);
+  console.log(`  Total instincts:      ${stats.total}`);
+  console.log(`  Average confidence:   ${stats.avgConf.toFixed(2)}`);
+  console.log(`  High confidence (≥0.7): ${stats.highConf}`);
+  console.log(`  Low confidence (<0.3):  ${stats.lowConf}`);
   console.log('');
   console.log('  By category:');
-  for (const [cat, count] of Object.entries(categories).sort((a, b) => b[1] - a[1])) {
+  for (const [cat, count] of Object.entries(stats.categories).sort((a, b) => b[1] - a[1])) {
     console.log(`    ${cat}: ${count}`);
   }
   console.log('');
 
-  return { total: instincts.length, avgConf, highConf, lowConf, categories };
+  return stats;
 }
 
 // ---------------------------------------------------------------------------
@@ -335,12 +677,18 @@ function parseCliArgs(argv) {
   return { command, opts };
 }
 
-if (require.main === module) {
-  const { command, opts } = parseCliArgs(process.argv);
+// A numeric --flag=value; undefined when the flag is not given, and the
+// value as typed when it is not a number, for the error message
+function numberOpt(value) {
+  if (value === undefined) return undefined;
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+  return Number.isNaN(number) ? value : number;
+}
 
+function runCommand(command, opts) {
   switch (command) {
     case 'list':
-      listInstincts({ category: opts.category, search: opts.search, minConfidence: parseFloat(opts['min-confidence']) || 0 });
+      listInstincts({ category: opts.category, search: opts.search, minConfidence: parseFloat(opts['min-confidence']) || 0, archived: opts.archived, json: opts.json });
       break;
     case 'add':
       addInstinct(opts._positional, opts.category, opts.pattern);
@@ -354,25 +702,113 @@ if (require.main === module) {
     case 'import':
       importInstincts(opts._positional || opts.file);
       break;
-    case 'evolve':
-      evolveInstincts();
+    case 'evolve': {
+      const thresholds = {
+        similarity: numberOpt(opts.similarity),
+        duplicate: numberOpt(opts.duplicate),
+        minSize: numberOpt(opts['min-size']),
+        minConfidence: numberOpt(opts['min-confidence']),
+        maxSize: numberOpt(opts['max-size']),
+      };
+      if (opts.apply !== undefined) {
+        // --apply=<cluster>, or --apply <cluster>
+        const cluster = opts.apply === true ? opts._positional : opts.apply;
+        if (!applyCluster(cluster, { name: opts.name, force: opts.force, thresholds })) process.exitCode = 1;
+      } else {
+        evolveInstincts({ json: opts.json, thresholds });
+      }
       break;
+    }
     case 'status':
-      getStatus();
+      getStatus({ json: opts.json });
+      break;
+    case 'use':
+    case 'confirm':
+    case 'reject':
+      if (!reinforceInstinct(command, opts._positional, { note: opts.note })) process.exitCode = 1;
+      break;
+    case 'prune':
+      if (!pruneInstincts({ threshold: numberOpt(opts.threshold) })) process.exitCode = 1;
+      break;
+    case 'restore':
+      if (!restoreInstinct(opts._positional)) process.exitCode = 1;
       break;
     default:
       console.log('Usage: node instinct-manager.js <command> [options]');
       console.log('');
       console.log('Commands:');
-      console.log('  list     [--category=X] [--search=X] [--min-confidence=0.5]');
+      console.log('  list     [--category=X] [--search=X] [--min-confidence=0.5] [--archived] [--json]');
       console.log('  add      <name> --category=<cat> --pattern="<desc>"');
       console.log('  remove   <id>');
       console.log('  export   [--file=instincts.json]');
       console.log('  import   <file>');
-      console.log('  evolve   Cluster instincts and suggest skill creation');
-      console.log('  status   Summary of instinct store');
+      console.log('  evolve   [--similarity=0.3] [--duplicate=0.7] [--min-size=3] [--min-confidence=0.7] [--max-size=10] [--json]');
+      console.log('           Cluster instincts by content and suggest skill creation');
+      console.log('  evolve   --apply=<cluster> [--name=<skill>] [--force]  Turn a cluster into a skill');
+      console.log('  status   Summary of instinct store [--json]');
+      console.log('  use      <id|name> [--note="..."]  A successful use: +0.05 confidence');
+      console.log('  confirm  <id|name> [--note="..."]  Validated by you: confidence to at least 0.8');
+      console.log('  reject   <id|name> [--note="..."]  Proved wrong: -0.15 confidence');
+      console.log('  prune    [--threshold=0.2]  Save decay; archive instincts below the threshold or unused for 90 days');
+      console.log('  restore  <id|name>          Move an archived instinct back (list --archived shows them)');
+      console.log('');
+      console.log('Options:');
+      console.log('  --dry-run  Print planned file writes without changing anything');
+      console.log('  --diff     Like --dry-run, plus a unified diff of changed files');
+      console.log('  --json     list / evolve / status: print a JSON report (schemas/ecp.report.schema.json)');
       process.exit(1);
   }
 }
 
-module.exports = { addInstinct, removeInstinct, evolveInstincts, getStatus, loadInstincts, saveInstincts, applyDecay, incrementConfidence };
+if (require.main === module) {
+  const { command, opts } = parseCliArgs(process.argv);
+  fileOps = createFileOps({ dryRun: opts['dry-run'], diff: opts.diff });
+
+  try {
+    getStorePath();
+  } catch (err) {
+    log('error', err.message);
+    process.exit(1);
+  }
+
+  try {
+    runCommand(command, opts);
+  } catch (err) {
+    // The store is unreadable, from a newer toolkit or locked by another session
+    if (opts.json && ['list', 'evolve', 'status'].includes(command)) {
+      printReport(createFailure(`instinct ${command}`, err.message));
+    } else {
+      log('error', err.message);
+    }
+    process.exit(1);
+  }
+
+  if (fileOps.dryRun) {
+    console.log('');
+    log('info', 'Planned file operations:');
+    for (const line of fileOps.formatPlan()) {
+      console.log(`  ${line}`);
+    }
+    console.log('');
+    log('info', 'Dry run — no files were changed.');
+  }
+}
+
+module.exports = {
+  addInstinct,
+  removeInstinct,
+  listInstincts,
+  queryInstincts,
+  evolveInstincts,
+  applyCluster,
+  getStatus,
+  summarizeInstincts,
+  loadInstincts,
+  saveInstincts,
+  applyDecay,
+  incrementConfidence,
+  reinforceInstinct,
+  REINFORCEMENTS,
+  pruneInstincts,
+  restoreInstinct,
+};
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * agent-template.js - Scaffold for new VS Code custom agents
+ * (`.github/agents/<name>.agent.md`), used by `ecp agent:create`.
+ *
+ * The generated file has the frontmatter VS Code reads (`name`,
+ * `description`, `tools`, `model`) and the same body layout as the
+ * toolkit's own agents: intro, Workflow, Output Format and Rules.
+ */
+
+'use strict';
+
+const { MODEL_CONFIGS } = require('./model-selector');
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Tools the toolkit's agents use; unknown tool names are rejected. */
+const AGENT_TOOLS = ['editFiles', 'search', 'runCommand', 'usages', 'githubRepo', 'fetch'];
+
+const DEFAULT_TOOLS = ['search', 'usages'];
+
+/**
+ * Built-in VS Code chat tools.  Validators accept these as well as
+ * AGENT_TOOLS and MCP tools (`server/tool`, `server/*`).
+ */
+const VSCODE_TOOLS = [
+  'changes', 'codebase', 'editFiles', 'extensions', 'fetch', 'findTestFiles', 'githubRepo', 'new',
+  'openSimpleBrowser', 'problems', 'runCommands', 'runNotebooks', 'runTasks', 'runTests', 'search',
+  'searchResults', 'terminalLastCommand', 'terminalSelection', 'testFailure', 'think', 'todos',
+  'usages', 'vscodeAPI',
+];
+
+/** Copilot model strings for the opus / sonnet / haiku tiers. */
+const COPILOT_MODELS = Object.fromEntries(Object.entries(MODEL_CONFIGS).map(([tier, config]) => [tier, config.copilot]));
+
+/** Other model strings the Copilot model picker accepts in `model:`. */
+const KNOWN_MODELS = [
+  ...Object.values(COPILOT_MODELS),
+  'Claude Opus 4', 'Claude Sonnet 4', 'Claude Sonnet 3.7', 'Claude Sonnet 3.5',
+  'GPT-4.1', 'GPT-4o', 'GPT-5', 'GPT-5 mini', 'o3', 'o3-mini', 'o4-mini',
+  'Gemini 2.5 Pro', 'Gemini 2.0 Flash',
+];
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function titleCase(name) {
+  return name.split('-').map((w) => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+}
+
+/**
+ * Map a model tier — or a model id from the project's model catalog — to
+ * its Copilot model string.  Anything else is taken to be a model string
+ * already and passed through.
+ *
+ * @param {string} model
+ * @param {{ models: object }} [catalog] - A `loadModelCatalog()` result.
+ * @returns {string}
+ */
+function copilotModelFor(model, catalog) {
+  const entry = catalog ? catalog.models[String(model).toLowerCase()] : null;
+  if (entry && entry.copilot) return entry.copilot;
+  return COPILOT_MODELS[String(model).toLowerCase()] || model;
+}
+
+/**
+ * Whether `tool` is a tool name VS Code knows: a toolkit or built-in tool,
+ * or an MCP tool reference (`server/tool`).
+ *
+ * @param {string} tool
+ * @returns {boolean}
+ */
+function isKnownTool(tool) {
+  return AGENT_TOOLS.includes(tool) || VSCODE_TOOLS.includes(tool) || /^[\w.-]+\/(\*|[\w.-]+)$/.test(tool);
+}
+
+/**
+ * Whether `model` is a model string Copilot recognizes, or the Copilot
+ * string or display name of a model in the project's catalog.  A trailing
+ * vendor suffix such as ` (copilot)` is optional; case never matters.
+ *
+ * @param {string} model
+ * @param {{ models: object }} [catalog] - A `loadModelCatalog()` result.
+ * @returns {boolean}
+ */
+function isKnownModel(model, catalog) {
+  const normalize = (m) => String(m).trim().toLowerCase();
+  const catalogModels = catalog ? Object.values(catalog.models).flatMap((c) => [c.copilot, c.name]).filter(Boolean) : [];
+  const known = [...KNOWN_MODELS, ...catalogModels].map(normalize);
+  return known.includes(normalize(model)) || known.includes(normalize(String(model).replace(/\s*\([^)]*\)\s*$/, '')));
+}
+
+/**
+ * Split a comma-separated tool list and check it against AGENT_TOOLS.
+ *
+ * @param {string|string[]} raw
+ * @returns {{ tools: string[], unknown: string[] }}
+ */
+function parseTools(raw) {
+  const list = Array.isArray(raw) ? raw : String(raw || '').split(',');
+  const tools = [...new Set(list.map((t) => t.trim()).filter(Boolean))];
+  return {
+    tools: tools.length > 0 ? tools : [...DEFAULT_TOOLS],
+    unknown: tools.filter((t) => !AGENT_TOOLS.includes(t)),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// renderAgent(opts) -> string
+// ---------------------------------------------------------------------------
+
+/**
+ * Render a new `.agent.md` file.
+ *
+ * @param {{ name: string, description?: string, tools?: string[], model?: string }} opts
+ *   `name` is the kebab-case file name; `model` a tier or Copilot model string.
+ * @returns {string}
+ */
+function renderAgent(opts) {
+  const title = titleCase(opts.name);
+  const description = (opts.description || `${title} specialist`).replace(/\s+/g, ' ').trim();
+  const tools = opts.tools && opts.tools.length > 0 ? opts.tools : DEFAULT_TOOLS;
+  const model = copilotModelFor(opts.model || 'sonnet');
+  const quote = (s) => `'${s.replace(/'/g, "''")}'`;
+
+  return [
+    '---',
+    `name: ${title}`,
+    `description: ${/[:#'"]/.test(description) ? quote(description) : description}`,
+    `tools: [${tools.map(quote).join(', ')}]`,
+    `model: ${quote(model)}`,
+    '---',
+    '',
+    `# ${title} Agent`,
+    '',
+    `You are the ${title} agent. ${description.replace(/\.?$/, '.')}`,
+    '',
+    '## Workflow',
+    '',
+    '1. **Understand** — TODO: What to read or ask before acting',
+    '2. **Analyze** — TODO: What to look for',
+    '3. **Act** — TODO: What to produce or change',
+    '4. **Verify** — TODO: How to check the result',
+    '',
+    '## Output Format',
+    '',
+    '```markdown',
+    `### ${title}: [Subject]`,
+    '',
+    '**Findings:**',
+    '- [Finding] — [File:Line]',
+    '',
+    '**Next Steps:**',
+    '1. [Step]',
+    '```',
+    '',
+    '## Rules',
+    '',
+    '- TODO: Add the rules this agent must follow',
+    '',
+  ].join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  AGENT_TOOLS,
+  DEFAULT_TOOLS,
+  VSCODE_TOOLS,
+  COPILOT_MODELS,
+  KNOWN_MODELS,
+  copilotModelFor,
+  isKnownTool,
+  isKnownModel,
+  parseTools,
+  renderAgent,
+};
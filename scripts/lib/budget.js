@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+
+/**
+ * budget.js - Estimate the context a workspace can put in front of a model.
+ *
+ * Files are grouped the way Copilot loads them:
+ *   - always:       `.github/copilot-instructions.md`, sent with every request.
+ *   - instructions: `.github/instructions/*.instructions.md`, added when
+ *                   their `applyTo` globs match.
+ *   - skills:       `<skills dir>/<name>/SKILL.md` plus the supporting files
+ *                   it reads on demand.
+ *   - agents:       `.github/agents/*.agent.md`, one at a time when picked.
+ *
+ * The worst case is everything that can be loaded together: the always-on
+ * and conditional instructions, every skill in full and the largest agent.
+ * It is compared against the `contextWindow` of each model in the catalog.
+ * Token counts are `estimateTokens` estimates; frontmatter is not sent, so
+ * it is not counted.
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const registryLib = require('./registry');
+const { DEFAULT_CONFIG } = require('./config');
+const { REPO_INSTRUCTIONS } = require('./context');
+const { DEFAULT_CATALOG, estimateTokens } = require('./model-selector');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+// Tokens of a markdown file as sent to the model (frontmatter stripped)
+function bodyTokens(text) {
+  return estimateTokens(registryLib.parseFrontmatter(text).body);
+}
+
+const sum = (items) => items.reduce((total, item) => total + item.tokens, 0);
+
+// `paths.skills` as a POSIX path without a trailing slash
+function skillsPrefix(skillsDir = DEFAULT_CONFIG.paths.skills) {
+  return path.posix.normalize(skillsDir.split(path.sep).join('/')).replace(/\/$/, '');
+}
+
+function listFiles(root, rel) {
+  const dir = path.join(root, ...rel.split('/'));
+  if (!fs.existsSync(dir)) return [];
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const child = `${rel}/${entry.name}`;
+    if (entry.isDirectory()) files.push(...listFiles(root, child));
+    else if (entry.isFile()) files.push(child);
+  }
+  return files.sort();
+}
+
+// ---------------------------------------------------------------------------
+// readWorkspace(root, skillsDir) -> BudgetFile[]
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} BudgetFile
+ * @property {string} path - POSIX path relative to the project root.
+ * @property {string} text
+ */
+
+/**
+ * Read the installed files that `measureBudget` counts.
+ *
+ * @param {string} root - Project root.
+ * @param {string} [skillsDir] - Configured `paths.skills`.
+ * @returns {BudgetFile[]}
+ */
+function readWorkspace(root, skillsDir) {
+  const rels = [
+    REPO_INSTRUCTIONS,
+    ...listFiles(root, registryLib.INSTRUCTIONS_DIR),
+    ...listFiles(root, registryLib.AGENTS_DIR),
+    ...listFiles(root, skillsPrefix(skillsDir)),
+  ];
+  return rels
+    .filter((rel) => fs.existsSync(path.join(root, ...rel.split('/'))))
+    .map((rel) => ({ path: rel, text: fs.readFileSync(path.join(root, ...rel.split('/')), 'utf8') }));
+}
+
+// ---------------------------------------------------------------------------
+// measureBudget(files, opts) -> Budget
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} BudgetSkill
+ * @property {string} name
+ * @property {string} source        - Skill directory, relative to the project root.
+ * @property {number} skillTokens   - SKILL.md.
+ * @property {number} supportTokens - Every other file in the skill directory.
+ * @property {number} tokens        - Both together.
+ */
+
+/**
+ * @typedef {Object} Budget
+ * @property {Array<{ name: string, source: string, tokens: number }>} always
+ * @property {Array<{ name: string, source: string, tokens: number }>} instructions
+ * @property {BudgetSkill[]} skills
+ * @property {Array<{ name: string, source: string, tokens: number }>} agents
+ * @property {{ always: number, instructions: number, skills: number, largestAgent: number, worstCase: number }} totals
+ * @property {Array<{ model: string, contextWindow: number, percent: number }>} models -
+ *   The worst case as a share of each model's context window.
+ * @property {{ skillTokens: number, totalTokens: number }} thresholds
+ * @property {string[]} warnings
+ */
+
+/**
+ * Sum estimated tokens per group and check them against the thresholds and
+ * every model's context window.  Files outside the known locations are
+ * ignored, so a whole install plan can be passed in.
+ *
+ * @param {BudgetFile[]} files
+ * @param {{ skillsDir?: string, thresholds?: { skillTokens?: number, totalTokens?: number }, catalog?: object }} [opts] -
+ *   `skillsDir` is the configured `paths.skills`; `thresholds` the `budget` config section;
+ *   `catalog` a `loadModelCatalog()` result.
+ * @returns {Budget}
+ */
+function measureBudget(files, opts = {}) {
+  const thresholds = { ...DEFAULT_CONFIG.budget, ...(opts.thresholds || {}) };
+  const skillsRel = skillsPrefix(opts.skillsDir);
+  const always = [];
+  const instructions = [];
+  const agents = [];
+  const skillsByName = new Map();
+
+  for (const file of files) {
+    const rel = file.path;
+    if (rel === REPO_INSTRUCTIONS) {
+      always.push({ name: 'copilot-instructions', source: rel, tokens: bodyTokens(file.text) });
+    } else if (rel.startsWith(`${registryLib.INSTRUCTIONS_DIR}/`) && rel.endsWith(registryLib.INSTRUCTIONS_SUFFIX)) {
+      instructions.push({ name: path.posix.basename(rel, registryLib.INSTRUCTIONS_SUFFIX), source: rel, tokens: bodyTokens(file.text) });
+    } else if (rel.startsWith(`${registryLib.AGENTS_DIR}/`) && rel.endsWith(registryLib.AGENT_SUFFIX)) {
+      agents.push({ name: path.posix.basename(rel, registryLib.AGENT_SUFFIX), source: rel, tokens: bodyTokens(file.text) });
+    } else if (rel.startsWith(`${skillsRel}/`)) {
+      const [name, ...rest] = rel.slice(skillsRel.length + 1).split('/');
+      if (rest.length === 0) continue;
+      if (!skillsByName.has(name)) {
+        skillsByName.set(name, { name, source: `${skillsRel}/${name}/`, skillTokens: 0, supportTokens: 0, tokens: 0 });
+      }
+      const skill = skillsByName.get(name);
+      const isSkillFile = rest.join('/') === 'SKILL.md';
+      const tokens = isSkillFile ? bodyTokens(file.text) : estimateTokens(file.text);
+      if (isSkillFile) skill.skillTokens += tokens;
+      else skill.supportTokens += tokens;
+      skill.tokens += tokens;
+    }
+  }
+
+  const skills = [...skillsByName.values()].sort((a, b) => a.name.localeCompare(b.name));
+  const largestAgent = agents.reduce((max, agent) => Math.max(max, agent.tokens), 0);
+  const totals = {
+    always: sum(always),
+    instructions: sum(instructions),
+    skills: sum(skills),
+    largestAgent,
+  };
+  totals.worstCase = totals.always + totals.instructions + totals.skills + largestAgent;
+
+  const models = Object.entries((opts.catalog || DEFAULT_CATALOG).models).map(([model, config]) => ({
+    model,
+    contextWindow: config.contextWindow,
+    percent: Math.round((totals.worstCase / config.contextWindow) * 1000) / 10,
+  }));
+
+  const warnings = [];
+  for (const skill of skills) {
+    if (skill.tokens > thresholds.skillTokens) {
+      warnings.push(`skill "${skill.name}" is ~${skill.tokens} tokens (budget.skillTokens: ${thresholds.skillTokens})`);
+    }
+  }
+  if (totals.worstCase > thresholds.totalTokens) {
+    warnings.push(`worst-case context is ~${totals.worstCase} tokens (budget.totalTokens: ${thresholds.totalTokens})`);
+  }
+  for (const entry of models) {
+    if (totals.worstCase > entry.contextWindow) {
+      warnings.push(`worst-case context does not fit the ${entry.model} context window (${entry.contextWindow} tokens)`);
+    }
+  }
+
+  return { always, instructions, skills, agents, totals, models, thresholds, warnings };
+}
+
+// ---------------------------------------------------------------------------
+// Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  readWorkspace,
+  measureBudget,
+};
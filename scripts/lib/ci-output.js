@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * ci-output.js - CI output formats for `ecp validate`.
+ *
+ * Formats a validation result (`{ ok, strict, errors, warnings, checks }`,
+ * see `collectValidation` in bin/ecp.js) as GitHub Actions workflow
+ * commands or a JUnit XML report, and defines the exit codes CI can rely on.
+ */
+
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Exit codes of `ecp validate`. */
+const EXIT_CODES = Object.freeze({
+  ok: 0,
+  failed: 1, // an error, or a warning in strict mode
+  usage: 2, // could not validate: bad flags, no .copilot/ directory
+});
+
+const FORMATS = ['text', 'json', 'github', 'junit'];
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Whether a check fails the run: errors always, warnings in strict mode.
+ */
+function isFailure(check, strict) {
+  return check.status === 'error' || (strict && check.status === 'warn');
+}
+
+/**
+ * Whether a check target names a file in the repository, so GitHub can
+ * attach the annotation to it.  Directories (`.github/agents/`), the
+ * project root, absolute paths and paths outside the repository do not.
+ */
+function isRepoFile(target) {
+  if (typeof target !== 'string' || target === '' || target === '.' || target.endsWith('/')) return false;
+  if (/^(?:[A-Za-z]:)?[\\/]/.test(target)) return false;
+  return !target.split(/[\\/]/).includes('..');
+}
+
+// Workflow command data and property escaping, as done by @actions/core
+function escapeData(text) {
+  return String(text).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+function escapeProperty(text) {
+  return escapeData(text).replace(/:/g, '%3A').replace(/,/g, '%2C');
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// ---------------------------------------------------------------------------
+// formatGithub(result) -> string
+// ---------------------------------------------------------------------------
+
+/**
+ * GitHub Actions annotations (`::error file=...::message`) for every
+ * warning and error, followed by a one-line summary.  In strict mode
+ * warnings are annotated as errors.  The annotation title names the rule
+ * that produced the check.  Checks whose target is not a repository file
+ * (see `isRepoFile`) get no `file=`; the target leads the message instead.
+ *
+ * @param {{ strict: boolean, errors: number, warnings: number, checks: Array<{ status: string, target: string, message: string, rule?: string }> }} result
+ * @returns {string}
+ */
+function formatGithub(result) {
+  const lines = [];
+  for (const check of result.checks) {
+    if (check.status !== 'warn' && check.status !== 'error') continue;
+    const level = isFailure(check, result.strict) ? 'error' : 'warning';
+    const title = check.rule ? `ecp validate (${check.rule})` : 'ecp validate';
+    if (isRepoFile(check.target)) {
+      lines.push(`::${level} file=${escapeProperty(check.target)},title=${escapeProperty(title)}::${escapeData(check.message)}`);
+    } else {
+      lines.push(`::${level} title=${escapeProperty(title)}::${escapeData(`${check.target}: ${check.message}`)}`);
+    }
+  }
+  const mode = result.strict ? ' (strict)' : '';
+  lines.push(`ecp validate${mode}: ${result.errors} error(s), ${result.warnings} warning(s) — ${result.ok ? 'passed' : 'failed'}`);
+  return lines.join('\n') + '\n';
+}
+
+// ---------------------------------------------------------------------------
+// formatJUnit(result) -> string
+// ---------------------------------------------------------------------------
+
+/**
+ * A JUnit XML report with one test case per check, classed by rule ID
+ * (`ecp.validate.skill.triggers`).  Failing checks (see `isFailure`) become
+ * `<failure>`s; non-strict warnings pass and keep their message in
+ * `<system-out>`.
+ *
+ * @param {{ strict: boolean, checks: Array<{ status: string, target: string, message: string, rule?: string }> }} result
+ * @returns {string}
+ */
+function formatJUnit(result) {
+  const failures = result.checks.filter((c) => isFailure(c, result.strict)).length;
+  const tests = result.checks.length;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="ecp validate" tests="${tests}" failures="${failures}">`,
+    `  <testsuite name="ecp validate" tests="${tests}" failures="${failures}" errors="0" skipped="0">`,
+  ];
+  for (const check of result.checks) {
+    const classname = check.rule ? `ecp.validate.${check.rule.replace(/\//g, '.')}` : 'ecp.validate';
+    const open = `    <testcase classname="${escapeXml(classname)}" name="${escapeXml(check.target)}"`;
+    if (isFailure(check, result.strict)) {
+      const type = check.status === 'error' ? 'error' : 'warning';
+      lines.push(`${open}>`);
+      lines.push(`      <failure type="${type}" message="${escapeXml(check.message.split('\n')[0])}">${escapeXml(check.message)}</failure>`);
+      lines.push('    </testcase>');
+    } else if (check.status === 'warn') {
+      lines.push(`${open}>`);
+      lines.push(`      <system-out>warning: ${escapeXml(check.message)}</system-out>`);
+      lines.push('    </testcase>');
+    } else {
+      lines.push(`${open}/>`);
+    }
+  }
+  lines.push('  </testsuite>', '</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+// ---------------------------------------------------------------------------
+// Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  EXIT_CODES,
+  FORMATS,
+  isFailure,
+  formatGithub,
+  formatJUnit,
+};
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+/**
+ * config.js - Project config file (`.copilot/ecp.config.json`).
+ *
+ * The config declares how a project uses the toolkit — preset, extra and
+ * excluded skills/agents, store locations, default models, token budgets,
+ * validator strictness and instinct clustering thresholds — so the setup
+ * can be reproduced from the repository alone.  Every ecp command reads it;
+ * every key is optional.
+ *
+ * The file is checked against `schemas/ecp.config.schema.json` (see
+ * schema.js), so editors and the CLI agree on what is valid.
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { validateSchema } = require('./schema');
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const CONFIG_FILE = '.copilot/ecp.config.json';
+const SCHEMA_PATH = path.resolve(__dirname, '..', '..', 'schemas', 'ecp.config.schema.json');
+
+const DEFAULT_CONFIG = Object.freeze({
+  preset: null,
+  skills: { include: [], exclude: [] },
+  agents: { include: [], exclude: [] },
+  paths: {
+    skills: '.copilot/skills',
+    instincts: '.copilot/skills/continuous-learning/learned',
+  },
+  models: { default: 'sonnet', agents: {}, catalog: {}, tasks: {} },
+  budget: { skillTokens: 8000, totalTokens: 40000 },
+  validate: { strict: false, rules: {} },
+  evolve: { similarity: 0.3, duplicate: 0.7, minSize: 3, minConfidence: 0.7, maxSize: 10 },
+});
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+/**
+ * Validate a parsed config object against the schema.
+ *
+ * @param {*} value
+ * @returns {string[]} Human-readable problems; empty when valid.
+ */
+function validateConfig(value) {
+  return validateSchema(value, SCHEMA_PATH);
+}
+
+// ---------------------------------------------------------------------------
+// Loading
+// ---------------------------------------------------------------------------
+
+/**
+ * Merge a user config over the defaults, one section deep.
+ *
+ * @param {object} [userConfig]
+ * @returns {object}
+ */
+function withDefaults(userConfig = {}) {
+  const defaults = JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+  const merged = { preset: userConfig.preset || defaults.preset };
+  for (const section of ['skills', 'agents', 'paths', 'models', 'budget', 'validate', 'evolve']) {
+    merged[section] = { ...defaults[section], ...(userConfig[section] || {}) };
+  }
+  for (const key of ['agents', 'catalog', 'tasks']) {
+    merged.models[key] = { ...(userConfig.models && userConfig.models[key]) };
+  }
+  return merged;
+}
+
+/**
+ * Read `.copilot/ecp.config.json` from `projectDir`.
+ *
+ * A missing file is not an error: the defaults are returned with
+ * `exists: false`.  Invalid JSON or schema violations throw, listing every
+ * problem, so a broken config never silently falls back to defaults.
+ *
+ * @param {string} projectDir
+ * @returns {{ config: object, path: string, exists: boolean }}
+ */
+function loadConfig(projectDir) {
+  const filePath = path.join(projectDir, ...CONFIG_FILE.split('/'));
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return { config: withDefaults(), path: filePath, exists: false };
+    throw err;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`${CONFIG_FILE} is not valid JSON: ${err.message}`);
+  }
+
+  const errors = validateConfig(parsed);
+  if (errors.length > 0) {
+    throw new Error(`${CONFIG_FILE} is invalid:\n${errors.map((e) => `  - ${e}`).join('\n')}`);
+  }
+
+  return { config: withDefaults(parsed), path: filePath, exists: true };
+}
+
+/**
+ * Resolve one of the configured store locations to an absolute path.
+ *
+ * @param {string} projectDir
+ * @param {object} config - A config returned by `loadConfig`.
+ * @param {'skills'|'instincts'} key
+ * @returns {string}
+ */
+function resolveConfigPath(projectDir, config, key) {
+  return path.resolve(projectDir, config.paths[key]);
+}
+
+/**
+ * Render the config `ecp init` writes for a freshly initialised project.
+ * Only the chosen preset is recorded; everything else stays at its default
+ * until the user edits the file.  Editors resolve `$schema` relative to the
+ * file, which lives in `.copilot/`.
+ *
+ * @param {string} preset
+ * @returns {string}
+ */
+function initialConfigText(preset) {
+  const config = {
+    $schema: '../node_modules/everything-copilot/schemas/ecp.config.schema.json',
+    preset,
+    skills: { include: [], exclude: [] },
+    agents: { include: [], exclude: [] },
+  };
+  return JSON.stringify(config, null, 2) + '\n';
+}
+
+// ---------------------------------------------------------------------------
+// Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  CONFIG_FILE,
+  SCHEMA_PATH,
+  DEFAULT_CONFIG,
+  validateConfig,
+  withDefaults,
+  loadConfig,
+  resolveConfigPath,
+  initialConfigText,
+};
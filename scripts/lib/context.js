@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+/**
+ * context.js - Resolve the context Copilot loads for a file.
+ *
+ * For a path in the project, the stack is, in load order:
+ *   1. `.github/copilot-instructions.md` — always loaded.
+ *   2. `.github/instructions/*.instructions.md` whose `applyTo` globs match.
+ *   3. Skills whose `Files matching:` trigger patterns match (SKILL.md only;
+ *      supporting files are read on demand).
+ *
+ * Agents are not path-scoped: they load only when picked in chat, so they
+ * are listed separately.  Token counts are `estimateTokens` estimates of
+ * the body; frontmatter is not sent, so it is not counted.
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const glob = require('./glob');
+const registryLib = require('./registry');
+const { estimateTokens } = require('./model-selector');
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const REPO_INSTRUCTIONS = '.github/copilot-instructions.md';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+// Tokens of a markdown file as sent to the model (frontmatter stripped)
+function bodyTokens(file) {
+  return estimateTokens(registryLib.parseFrontmatter(fs.readFileSync(file, 'utf8')).body);
+}
+
+function posixRelative(root, file) {
+  return path.relative(root, file).split(path.sep).join('/');
+}
+
+/**
+ * Whether a skill `Files matching:` pattern matches a file.  Patterns
+ * without a `/` (`*.tsx`, `*auth*`) match the file name in any directory.
+ *
+ * @param {string} pattern
+ * @param {string} rel - POSIX path relative to the project root.
+ * @returns {boolean}
+ */
+function matchesSkillPattern(pattern, rel) {
+  if (glob.checkPattern(pattern) !== null) return false;
+  return pattern.includes('/') ? glob.matchGlob(pattern, rel) : glob.matchGlob(pattern, path.posix.basename(rel));
+}
+
+// ---------------------------------------------------------------------------
+// resolveContext(root, file) -> ContextStack
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} ContextLayer
+ * @property {'repo-instructions'|'instructions'|'skill'} kind
+ * @property {string}      name
+ * @property {string}      source  - File that is loaded, relative to the project root.
+ * @property {string|null} matched - The glob that matched; null when always loaded.
+ * @property {number}      tokens  - Estimated tokens.
+ */
+
+/**
+ * @typedef {Object} ContextStack
+ * @property {string}         file   - The path, relative to the project root.
+ * @property {ContextLayer[]} layers - In load order.
+ * @property {number}         tokens - Sum over `layers`.
+ * @property {Array<{ name: string, source: string, tokens: number }>} agents -
+ *   Installed agents, each loaded on top of the stack when selected.
+ */
+
+/**
+ * Work out which instructions and skills apply to `file`.  The file does
+ * not need to exist.
+ *
+ * @param {string} root - Project root.
+ * @param {string} file - Absolute path, or relative to `root`.
+ * @param {{ skillsDir?: string }} [opts] - Configured `paths.skills`.
+ * @returns {ContextStack}
+ * @throws {Error} When `file` is outside `root`.
+ */
+function resolveContext(root, file, opts = {}) {
+  const rel = posixRelative(root, path.resolve(root, file));
+  if (!rel || rel.startsWith('../') || rel === '..' || path.isAbsolute(rel)) {
+    throw new Error(`${file} is not inside the project (${root})`);
+  }
+
+  const registry = registryLib.loadRegistry(root, opts);
+  const layers = [];
+
+  const repoInstructions = path.join(root, ...REPO_INSTRUCTIONS.split('/'));
+  if (fs.existsSync(repoInstructions)) {
+    layers.push({ kind: 'repo-instructions', name: 'copilot-instructions', source: REPO_INSTRUCTIONS, matched: null, tokens: bodyTokens(repoInstructions) });
+  }
+
+  for (const instruction of registry.instructions) {
+    if (typeof instruction.applyTo !== 'string') continue;
+    const matched = glob.splitPatterns(instruction.applyTo)
+      .find((pattern) => glob.checkPattern(pattern) === null && glob.matchGlob(pattern, rel));
+    if (matched) {
+      layers.push({ kind: 'instructions', name: instruction.name, source: posixRelative(root, instruction.file), matched, tokens: bodyTokens(instruction.file) });
+    }
+  }
+
+  for (const skill of registry.skills) {
+    const matched = skill.file && skill.filePatterns.find((pattern) => matchesSkillPattern(pattern, rel));
+    if (matched) {
+      layers.push({ kind: 'skill', name: skill.name, source: posixRelative(root, skill.file), matched, tokens: bodyTokens(skill.file) });
+    }
+  }
+
+  return {
+    file: rel,
+    layers,
+    tokens: layers.reduce((sum, layer) => sum + layer.tokens, 0),
+    agents: registry.agents.map((agent) => ({ name: agent.name, source: posixRelative(root, agent.file), tokens: bodyTokens(agent.file) })),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  REPO_INSTRUCTIONS,
+  matchesSkillPattern,
+  resolveContext,
+};
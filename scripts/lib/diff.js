@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+
+/**
+ * diff.js - Line-based diff and three-way merge helpers.
+ *
+ * Used by `ecp upgrade` to merge toolkit updates into locally customised
+ * files, and by `--diff` previews to show what a command would change.
+ * The implementation is a plain LCS diff with common prefix/suffix
+ * trimming, which is plenty for markdown and script files of a few thousand
+ * lines.  No external dependencies.
+ */
+
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Split text into lines.  A trailing newline produces a final empty entry so
+ * that `splitLines(x).join('\n') === x` always holds.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitLines(text) {
+  if (text === null || text === undefined || text === '') return [];
+  return String(text).split('\n');
+}
+
+/**
+ * Compute the longest common subsequence between two line arrays.
+ *
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {number[]} `match[i]` is the index in `b` paired with `a[i]`, or -1.
+ */
+function matchLines(a, b) {
+  const match = new Array(a.length).fill(-1);
+
+  // Trim the common prefix and suffix; most edits are small and local.
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    match[start] = start;
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+    match[endA] = endB;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  if (n === 0 || m === 0) return match;
+
+  // Classic DP table of suffix LCS lengths.
+  const width = m + 1;
+  const table = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i * width + j] = a[start + i] === b[start + j]
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[start + i] === b[start + j]) {
+      match[start + i] = start + j;
+      i++;
+      j++;
+    } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return match;
+}
+
+function sameLines(x, y) {
+  if (x.length !== y.length) return false;
+  for (let i = 0; i < x.length; i++) {
+    if (x[i] !== y[i]) return false;
+  }
+  return true;
+}
+
+// ---------------------------------------------------------------------------
+// diffLines(oldText, newText) -> Array<{ type, line }>
+// ---------------------------------------------------------------------------
+
+/**
+ * Produce a line-level edit script turning `oldText` into `newText`.
+ *
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{ type: 'equal'|'remove'|'add', line: string }>}
+ */
+function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+  const match = matchLines(a, b);
+  const ops = [];
+
+  let j = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (match[i] === -1) {
+      ops.push({ type: 'remove', line: a[i] });
+      continue;
+    }
+    while (j < match[i]) {
+      ops.push({ type: 'add', line: b[j++] });
+    }
+    ops.push({ type: 'equal', line: a[i] });
+    j++;
+  }
+  while (j < b.length) {
+    ops.push({ type: 'add', line: b[j++] });
+  }
+
+  return ops;
+}
+
+// ---------------------------------------------------------------------------
+// unifiedDiff(oldText, newText, opts) -> string
+// ---------------------------------------------------------------------------
+
+/**
+ * Render a unified diff (as produced by `diff -u`) between two texts.
+ * Returns an empty string when the texts are identical.
+ *
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {{ fromFile?: string, toFile?: string, context?: number }} [opts]
+ * @returns {string}
+ */
+function unifiedDiff(oldText, newText, opts = {}) {
+  const fromFile = opts.fromFile || 'a';
+  const toFile = opts.toFile || 'b';
+  const context = opts.context === undefined ? 3 : opts.context;
+
+  // A trailing newline terminates the last line; it is not a line of its own.
+  const a = (oldText || '').replace(/\n$/, '');
+  const b = (newText || '').replace(/\n$/, '');
+
+  let oldNo = 1;
+  let newNo = 1;
+  const rows = diffLines(a, b).map((op) => {
+    const row = { ...op, oldNo, newNo };
+    if (op.type !== 'add') oldNo++;
+    if (op.type !== 'remove') newNo++;
+    return row;
+  });
+
+  // Group changed rows (plus context) into hunks.
+  const ranges = [];
+  rows.forEach((row, idx) => {
+    if (row.type === 'equal') return;
+    const start = Math.max(0, idx - context);
+    const end = Math.min(rows.length - 1, idx + context);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last[1] + 1) {
+      last[1] = end;
+    } else {
+      ranges.push([start, end]);
+    }
+  });
+  if (ranges.length === 0) return '';
+
+  const lines = [`--- ${fromFile}`, `+++ ${toFile}`];
+  for (const [start, end] of ranges) {
+    const slice = rows.slice(start, end + 1);
+    const oldCount = slice.filter((r) => r.type !== 'add').length;
+    const newCount = slice.filter((r) => r.type !== 'remove').length;
+    const oldStart = oldCount === 0 ? slice[0].oldNo - 1 : slice[0].oldNo;
+    const newStart = newCount === 0 ? slice[0].newNo - 1 : slice[0].newNo;
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const row of slice) {
+      const prefix = row.type === 'add' ? '+' : row.type === 'remove' ? '-' : ' ';
+      lines.push(prefix + row.line);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// ---------------------------------------------------------------------------
+// merge3(base, ours, theirs, labels) -> { content, conflicts, clean }
+// ---------------------------------------------------------------------------
+
+/**
+ * Three-way merge of two descendants of a common ancestor (diff3 style).
+ *
+ * Regions changed on only one side are taken from that side; regions
+ * changed identically on both sides are taken once; anything else becomes a
+ * conflict wrapped in git-style markers.
+ *
+ * @param {string} base   - Common ancestor (the toolkit file as installed).
+ * @param {string} ours   - Local version (possibly customised).
+ * @param {string} theirs - Incoming toolkit version.
+ * @param {{ ours?: string, theirs?: string }} [labels] - Marker labels.
+ * @returns {{ content: string, conflicts: number, clean: boolean }}
+ */
+function merge3(base, ours, theirs, labels = {}) {
+  const b = splitLines(base);
+  const o = splitLines(ours);
+  const t = splitLines(theirs);
+  const mo = matchLines(b, o);
+  const mt = matchLines(b, t);
+  const oursLabel = labels.ours || 'local';
+  const theirsLabel = labels.theirs || 'toolkit';
+
+  const out = [];
+  let conflicts = 0;
+  let bi = 0;
+  let oi = 0;
+  let ti = 0;
+
+  while (true) {
+    // Copy lines that are unchanged on both sides.
+    while (bi < b.length && mo[bi] === oi && mt[bi] === ti) {
+      out.push(b[bi]);
+      bi++;
+      oi++;
+      ti++;
+    }
+    if (bi >= b.length && oi >= o.length && ti >= t.length) break;
+
+    // Find the next base line that both sides still share.
+    let k = bi;
+    while (k < b.length && (mo[k] === -1 || mt[k] === -1)) k++;
+    const oEnd = k < b.length ? mo[k] : o.length;
+    const tEnd = k < b.length ? mt[k] : t.length;
+
+    const baseChunk = b.slice(bi, k);
+    const oursChunk = o.slice(oi, oEnd);
+    const theirsChunk = t.slice(ti, tEnd);
+
+    if (sameLines(oursChunk, baseChunk)) {
+      out.push(...theirsChunk);
+    } else if (sameLines(theirsChunk, baseChunk) || sameLines(oursChunk, theirsChunk)) {
+      out.push(...oursChunk);
+    } else {
+      conflicts++;
+      out.push(`<<<<<<< ${oursLabel}`, ...oursChunk, '=======', ...theirsChunk, `>>>>>>> ${theirsLabel}`);
+    }
+
+    bi = k;
+    oi = oEnd;
+    ti = tEnd;
+  }
+
+  return { content: out.join('\n'), conflicts, clean: conflicts === 0 };
+}
+
+// ---------------------------------------------------------------------------
+// Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  diffLines,
+  unifiedDiff,
+  merge3,
+};
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+/**
+ * file-ops.js - Planned file writes with dry-run and diff preview.
+ *
+ * Every command that writes into a project routes its writes through a
+ * file-ops instance.  In normal mode writes happen immediately and are
+ * recorded; with `dryRun` they are only recorded, so the command can print
+ * the plan (create / overwrite / skip) and, with `diff`, a unified diff of
+ * every overwritten file.
+ *
+ * Writes are synchronous: plans are built in order and the CLI never writes
+ * concurrently.
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { unifiedDiff } = require('./diff');
+const { colours } = require('./utils');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function readText(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+function colouriseDiff(text) {
+  return text
+    .split('\n')
+    .map((line) => {
+      if (line.startsWith('+++') || line.startsWith('---')) return `${colours.dim}${line}${colours.reset}`;
+      if (line.startsWith('@@')) return `${colours.cyan}${line}${colours.reset}`;
+      if (line.startsWith('+')) return `${colours.green}${line}${colours.reset}`;
+      if (line.startsWith('-')) return `${colours.red}${line}${colours.reset}`;
+      return line;
+    })
+    .join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// createFileOps(options) -> FileOps
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} FileOp
+ * @property {'create'|'overwrite'|'unchanged'|'skip'|'delete'} action
+ * @property {string}  path     - Absolute path.
+ * @property {string|null} [before] - Previous content (null when absent).
+ * @property {string}  [after]  - New content.
+ * @property {string}  [reason] - Why the file was skipped.
+ * @property {boolean} [internal] - Bookkeeping file, summarised in plans.
+ */
+
+/**
+ * Create a file-ops recorder.
+ *
+ * @param {{ dryRun?: boolean, diff?: boolean }} [options]
+ *   `diff` implies `dryRun`: previews never touch the disk.
+ * @returns {{ dryRun: boolean, showDiff: boolean, ops: FileOp[], write: Function, skip: Function, remove: Function, formatPlan: Function }}
+ */
+function createFileOps(options = {}) {
+  const showDiff = Boolean(options.diff);
+  const dryRun = Boolean(options.dryRun) || showDiff;
+  const ops = [];
+
+  /**
+   * Write (or plan to write) `content` to `filePath`, creating parent
+   * directories as needed.
+   *
+   * @param {string} filePath
+   * @param {string} content
+   * @param {{ internal?: boolean }} [meta]
+   * @returns {'create'|'overwrite'|'unchanged'}
+   */
+  function write(filePath, content, meta = {}) {
+    const abs = path.resolve(filePath);
+    const before = readText(abs);
+    let action = 'overwrite';
+    if (before === null) action = 'create';
+    else if (before === content) action = 'unchanged';
+
+    ops.push({ action, path: abs, before, after: content, internal: Boolean(meta.internal) });
+    if (!dryRun && action !== 'unchanged') {
+      fs.mkdirSync(path.dirname(abs), { recursive: true });
+      fs.writeFileSync(abs, content);
+    }
+    return action;
+  }
+
+  /**
+   * Record a file the command deliberately leaves alone.
+   *
+   * @param {string} filePath
+   * @param {string} reason
+   */
+  function skip(filePath, reason) {
+    ops.push({ action: 'skip', path: path.resolve(filePath), reason });
+  }
+
+  /**
+   * Delete (or plan to delete) a file.
+   *
+   * @param {string} filePath
+   * @param {{ internal?: boolean }} [meta]
+   */
+  function remove(filePath, meta = {}) {
+    const abs = path.resolve(filePath);
+    const before = readText(abs);
+    if (before === null) return;
+    ops.push({ action: 'delete', path: abs, before, after: '', internal: Boolean(meta.internal) });
+    if (!dryRun) fs.rmSync(abs, { force: true });
+  }
+
+  /**
+   * Render the recorded operations as printable lines.
+   *
+   * @param {string} [root] - Paths are shown relative to this directory.
+   * @returns {string[]}
+   */
+  function formatPlan(root = process.cwd()) {
+    const lines = [];
+    let internal = 0;
+
+    for (const op of ops) {
+      if (op.internal) {
+        if (op.action !== 'unchanged') internal++;
+        continue;
+      }
+      const rel = path.relative(root, op.path).split(path.sep).join('/');
+      const label = op.action === 'unchanged' ? 'skip' : op.action;
+      const note = op.action === 'unchanged' ? ' (unchanged)' : op.reason ? ` (${op.reason})` : '';
+      lines.push(`${label.padEnd(10)} ${rel}${colours.dim}${note}${colours.reset}`);
+
+      if (showDiff && (op.action === 'overwrite' || op.action === 'delete')) {
+        const patch = unifiedDiff(op.before, op.after, { fromFile: `a/${rel}`, toFile: op.action === 'delete' ? '/dev/null' : `b/${rel}` });
+        lines.push(...colouriseDiff(patch.trimEnd()).split('\n').map((l) => `    ${l}`));
+      }
+    }
+
+    if (internal > 0) {
+      lines.push(`${colours.dim}(+ ${internal} bookkeeping file(s) written by the toolkit)${colours.reset}`);
+    }
+    return lines;
+  }
+
+  return { dryRun, showDiff, ops, write, skip, remove, formatPlan };
+}
+
+// ---------------------------------------------------------------------------
+// Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  createFileOps,
+};
@@ -0,0 +1,348 @@
+#!/usr/bin/env node
+
+/**
+ * instinct-clusters.js - Group related instincts by what they say.
+ *
+ * Each instinct becomes a TF-IDF vector over the words of its `name`,
+ * `pattern`, `context` and `tags`, plus two-word shingles ("input
+ * validation") so phrases count for more than loose words.  Instincts are
+ * then clustered bottom-up (average linkage): the two most similar groups
+ * are merged until no pair reaches the `similarity` threshold.
+ *
+ * Categories play no part in the similarity, so one category can split
+ * into several clusters and one cluster can span categories.  Members at
+ * least `duplicate` similar are near-duplicates (a pattern saved twice in
+ * different words) and count as one pattern towards readiness.
+ *
+ * Everything runs offline on the store's own text; see
+ * .copilot/skills/continuous-learning-v2/instinct-clustering.md.
+ */
+
+'use strict';
+
+const { DEFAULT_CONFIG } = require('./config');
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+// Names and tags summarise an instinct, so their words count double
+const FIELD_WEIGHTS = { name: 2, pattern: 1, context: 1, tags: 2 };
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'do', 'for', 'from', 'in', 'into', 'is', 'it',
+  'its', 'of', 'on', 'or', 'so', 'than', 'that', 'the', 'their', 'then', 'this', 'to', 'use',
+  'when', 'with', 'without',
+]);
+
+// Terms shown in a cluster's name and in its explanation
+const NAME_TERMS = 3;
+const REASON_TERMS = 5;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+// Lower-case words of a text, camelCase and kebab-case split, stopwords dropped
+function splitWords(text) {
+  return String(text || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 1 && !STOPWORDS.has(word));
+}
+
+/**
+ * Crude suffix stripping, enough for "validates", "validated" and
+ * "validation" to meet ("validat").  Not a full stemmer.
+ *
+ * @param {string} word - Lower case.
+ * @returns {string}
+ */
+function stem(word) {
+  let base = word;
+  if (base.length > 3 && /[^siu]s$/.test(base)) base = base.slice(0, -1);
+  const suffix = base.length > 5 && ['ing', 'ion', 'ed'].find((end) => base.endsWith(end));
+  if (suffix) {
+    base = base.slice(0, -suffix.length);
+    // logging -> logg -> log
+    if (/([^aeiou])\1$/.test(base) && !/(ss|ll)$/.test(base)) base = base.slice(0, -1);
+  }
+  if (base.length > 4 && base.endsWith('e')) base = base.slice(0, -1);
+  return base;
+}
+
+/**
+ * Stemmed words of a text (see `stem`).
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return splitWords(text).map(stem);
+}
+
+// Weighted term counts of one instinct: words and two-word shingles per
+// field.  `spelling` maps each stem to the first word seen for it, for display.
+function termCounts(instinct, spelling) {
+  const counts = new Map();
+  const add = (term, weight) => counts.set(term, (counts.get(term) || 0) + weight);
+  const fields = { ...instinct, tags: (instinct.tags || []).join(' ') };
+  for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+    const words = splitWords(fields[field]);
+    const stems = words.map(stem);
+    stems.forEach((term, i) => {
+      if (!spelling.has(term)) spelling.set(term, words[i]);
+      add(term, weight);
+      if (i > 0) add(`${stems[i - 1]} ${term}`, weight);
+    });
+  }
+  return counts;
+}
+
+// Unit-length TF-IDF vectors; idf is smoothed so terms every instinct shares
+// still count a little
+function tfidfVectors(instincts, spelling) {
+  const counts = instincts.map((instinct) => termCounts(instinct, spelling));
+  const df = new Map();
+  for (const terms of counts) {
+    for (const term of terms.keys()) df.set(term, (df.get(term) || 0) + 1);
+  }
+  return counts.map((terms) => {
+    const vector = new Map();
+    let norm = 0;
+    for (const [term, tf] of terms) {
+      const weight = tf * (Math.log((1 + instincts.length) / (1 + df.get(term))) + 1);
+      vector.set(term, weight);
+      norm += weight * weight;
+    }
+    norm = Math.sqrt(norm) || 1;
+    for (const [term, weight] of vector) vector.set(term, weight / norm);
+    return vector;
+  });
+}
+
+function cosine(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [term, weight] of small) {
+    if (large.has(term)) dot += weight * large.get(term);
+  }
+  return dot;
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const mean = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+
+/**
+ * Thresholds over the defaults of the `evolve` config section, later layers
+ * winning; undefined values are skipped.
+ *
+ * @param {...object} layers - e.g. the project's `evolve` section, then command-line flags.
+ * @returns {Thresholds}
+ * @throws {Error} When a threshold is out of range.
+ */
+function resolveThresholds(...layers) {
+  const thresholds = { ...DEFAULT_CONFIG.evolve };
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer || {})) {
+      if (value !== undefined) thresholds[key] = value;
+    }
+  }
+  for (const key of ['similarity', 'duplicate', 'minConfidence']) {
+    const value = thresholds[key];
+    if (typeof value !== 'number' || Number.isNaN(value) || value < 0 || value > 1) {
+      throw new Error(`${key} must be a number from 0 to 1, got ${thresholds[key]}`);
+    }
+  }
+  for (const key of ['minSize', 'maxSize']) {
+    if (!Number.isInteger(thresholds[key]) || thresholds[key] < 2) {
+      throw new Error(`${key} must be a whole number of at least 2, got ${thresholds[key]}`);
+    }
+  }
+  return thresholds;
+}
+
+// ---------------------------------------------------------------------------
+// clusterInstincts(instincts, thresholds) -> Clustering
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} Thresholds
+ * @property {number} similarity    - Groups merge while their average similarity reaches this.
+ * @property {number} duplicate     - Pairs at least this similar are near-duplicates.
+ * @property {number} minSize       - Distinct patterns a cluster needs to be ready.
+ * @property {number} minConfidence - Average confidence a cluster needs to be ready.
+ * @property {number} maxSize       - Clusters are not merged past this many instincts.
+ */
+
+/**
+ * @typedef {Object} ClusterMember
+ * @property {string} id
+ * @property {string} name
+ * @property {string} category
+ * @property {number} confidence
+ */
+
+/**
+ * @typedef {Object} Cluster
+ * @property {string}          name          - From the terms its members share most.
+ * @property {ClusterMember[]} members
+ * @property {string[]}        categories
+ * @property {number}          distinct      - Members, counting near-duplicates once.
+ * @property {number}          avgConfidence
+ * @property {number}          cohesion      - Average similarity between members.
+ * @property {string[]}        terms         - Terms most members share, strongest first.
+ * @property {{ a: string, b: string, similarity: number }[]} duplicates
+ * @property {boolean}         ready
+ * @property {string[]}        reasons       - Why it formed, and why it is (not) ready.
+ */
+
+/**
+ * @typedef {Object} Clustering
+ * @property {Thresholds} thresholds
+ * @property {Cluster[]}  clusters    - Ready first, then largest.
+ * @property {(ClusterMember & { nearest: { name: string, similarity: number }|null })[]} unclustered
+ */
+
+/**
+ * Cluster instincts by text similarity.
+ *
+ * @param {object[]} instincts
+ * @param {object} [thresholds] - Overrides for the `evolve` config defaults.
+ * @returns {Clustering}
+ */
+function clusterInstincts(instincts, thresholds) {
+  const limits = resolveThresholds(thresholds);
+  const spelling = new Map();
+  const vectors = tfidfVectors(instincts, spelling);
+  const spell = (term) => term.split(' ').map((word) => spelling.get(word)).join(' ');
+  const similarity = instincts.map((_, i) => instincts.map((__, j) => (i === j ? 1 : cosine(vectors[i], vectors[j]))));
+
+  // Average linkage; `links` holds the average similarity between groups
+  let groups = instincts.map((_, i) => [i]);
+  let links = similarity.map((row) => row.slice());
+  for (;;) {
+    let best = null;
+    for (let a = 0; a < groups.length; a++) {
+      for (let b = a + 1; b < groups.length; b++) {
+        if (groups[a].length + groups[b].length > limits.maxSize) continue;
+        if (links[a][b] >= limits.similarity && (!best || links[a][b] > best.link)) best = { a, b, link: links[a][b] };
+      }
+    }
+    if (!best) break;
+
+    const { a, b } = best;
+    const [sizeA, sizeB] = [groups[a].length, groups[b].length];
+    const merged = links[a].map((link, c) => (link * sizeA + links[b][c] * sizeB) / (sizeA + sizeB));
+    groups[a] = groups[a].concat(groups[b]);
+    links[a] = merged;
+    links.forEach((row, c) => { row[a] = merged[c]; });
+    groups = groups.filter((_, i) => i !== b);
+    links = links.filter((_, i) => i !== b).map((row) => row.filter((__, i) => i !== b));
+  }
+
+  const member = (i) => ({
+    id: instincts[i].id,
+    name: instincts[i].name,
+    category: instincts[i].category || 'uncategorized',
+    confidence: instincts[i].confidence,
+  });
+
+  const multi = groups.filter((group) => group.length > 1);
+  const clusterOf = new Map();
+  multi.forEach((group, c) => group.forEach((i) => clusterOf.set(i, c)));
+
+  const usedNames = new Set();
+  const clusters = multi.map((group, c) => {
+    const pairs = [];
+    for (let x = 0; x < group.length; x++) {
+      for (let y = x + 1; y < group.length; y++) pairs.push([group[x], group[y]]);
+    }
+
+    // Near-duplicates, and how many distinct patterns remain once they are merged
+    const parent = new Map(group.map((i) => [i, i]));
+    const root = (i) => (parent.get(i) === i ? i : root(parent.get(i)));
+    const duplicates = [];
+    for (const [i, j] of pairs) {
+      if (similarity[i][j] < limits.duplicate) continue;
+      duplicates.push({ a: instincts[i].name, b: instincts[j].name, similarity: round(similarity[i][j]) });
+      parent.set(root(i), root(j));
+    }
+    const distinct = new Set(group.map(root)).size;
+
+    // Terms at least two members share, by their weight across the cluster
+    const weights = new Map();
+    const holders = new Map();
+    for (const i of group) {
+      for (const [term, weight] of vectors[i]) {
+        weights.set(term, (weights.get(term) || 0) + weight);
+        holders.set(term, (holders.get(term) || 0) + 1);
+      }
+    }
+    const terms = [...weights.keys()]
+      .filter((term) => holders.get(term) > 1)
+      .sort((x, y) => holders.get(y) - holders.get(x) || weights.get(y) - weights.get(x) || x.localeCompare(y))
+      .map(spell);
+
+    const words = [];
+    for (const term of terms) {
+      for (const word of term.split(' ')) {
+        if (words.length < NAME_TERMS && !words.includes(word)) words.push(word);
+      }
+    }
+    let name = words.join('-') || 'cluster';
+    for (let n = 2; usedNames.has(name); n++) name = `${words.join('-') || 'cluster'}-${n}`;
+    usedNames.add(name);
+
+    const members = group.map(member);
+    const categories = [...new Set(members.map((m) => m.category))].sort();
+    const avgConfidence = round(mean(members.map((m) => m.confidence)));
+    const cohesion = round(mean(pairs.map(([i, j]) => similarity[i][j])));
+
+    const reasons = [];
+    if (terms.length > 0) reasons.push(`shares ${terms.slice(0, REASON_TERMS).map((t) => `"${t}"`).join(', ')}`);
+    reasons.push(`cohesion ${cohesion.toFixed(2)} (merged at similarity ≥ ${limits.similarity.toFixed(2)})`);
+    if (categories.length > 1) reasons.push(`spans categories ${categories.join(', ')}`);
+    for (const category of categories) {
+      const elsewhere = instincts.filter((inst, i) => (inst.category || 'uncategorized') === category && clusterOf.get(i) !== c).length;
+      if (elsewhere > 0) reasons.push(`${elsewhere} other "${category}" instinct(s) differ and stay out`);
+    }
+    for (const dup of duplicates) reasons.push(`near-duplicates: ${dup.a} ≈ ${dup.b} (${dup.similarity.toFixed(2)}), counted once`);
+
+    const shortfalls = [];
+    if (distinct < limits.minSize) shortfalls.push(`${distinct} distinct pattern(s), needs ${limits.minSize}`);
+    if (avgConfidence < limits.minConfidence) shortfalls.push(`average confidence ${avgConfidence.toFixed(2)}, needs ${limits.minConfidence.toFixed(2)}`);
+    const ready = shortfalls.length === 0;
+    reasons.push(ready
+      ? `ready: ${distinct} distinct patterns at average confidence ${avgConfidence.toFixed(2)}`
+      : `not ready: ${shortfalls.join('; ')}`);
+
+    return { name, members, categories, distinct, avgConfidence, cohesion, terms: terms.slice(0, REASON_TERMS), duplicates, ready, reasons };
+  });
+
+  clusters.sort((x, y) => Number(y.ready) - Number(x.ready) || y.members.length - x.members.length || y.avgConfidence - x.avgConfidence);
+
+  const unclustered = groups.filter((group) => group.length === 1).map(([i]) => {
+    let nearest = null;
+    similarity[i].forEach((value, j) => {
+      if (j !== i && (!nearest || value > nearest.similarity)) nearest = { name: instincts[j].name, similarity: value };
+    });
+    if (nearest) nearest.similarity = round(nearest.similarity);
+    return { ...member(i), nearest };
+  });
+
+  return { thresholds: limits, clusters, unclustered };
+}
+
+// ---------------------------------------------------------------------------
+// Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  stem,
+  tokenize,
+  resolveThresholds,
+  clusterInstincts,
+};
@@ -0,0 +1,286 @@
+#!/usr/bin/env node
+
+/**
+ * instinct-store.js - Persistence for the instinct store (`instincts.json`).
+ *
+ * The store is one JSON document, `{ schemaVersion, instincts }`; stores
+ * written before versioning (a bare array) are read as version 0 and
+ * rewritten in the current format on the next save.
+ *
+ * Several CLI and agent sessions may update the store at once, so every
+ * change is a locked read-modify-write (`updateStore`):
+ *   1. take `instincts.json.lock` (created exclusively; a lock whose process
+ *      no longer runs is renamed aside and taken over);
+ *   2. read the current store and apply the change to it;
+ *   3. copy the previous file to `instincts.json.bak`;
+ *   4. write `instincts.json.<pid>.tmp` and rename it over the store, so a
+ *      reader sees the old or the new file, never half of one.
+ *
+ * Like file-ops.js this is synchronous: the CLI does one thing at a time,
+ * and the lock keeps separate processes apart.
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const STORE_SCHEMA_VERSION = 1;
+const LOCK_SUFFIX = '.lock';
+const BACKUP_SUFFIX = '.bak';
+
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_RETRY_MS = 50;
+// A lock without a readable owner this old is abandoned (its writer died
+// between creating and filling it)
+const LOCK_STALE_MS = 60000;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+function readLock(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+const hasPid = (owner) => Boolean(owner && Number.isInteger(owner.pid));
+
+const sameOwner = (a, b) => (hasPid(a) && hasPid(b)
+  ? a.pid === b.pid && a.created === b.created
+  : !hasPid(a) && !hasPid(b));
+
+// Whether a lock file was left behind by a session that is gone: its
+// process no longer runs, or it has no readable owner and is old
+function isStale(lockPath, owner) {
+  if (hasPid(owner)) return owner.pid !== process.pid && !isRunning(owner.pid);
+  try {
+    return Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS;
+  } catch {
+    return false;
+  }
+}
+
+// Remove a stale lock without racing other sessions that found it stale
+// too: rename it aside (only one rename succeeds), then check it is still
+// the lock that was judged stale.  If another session had already replaced
+// it, put that session's lock back.
+function takeOver(lockPath, owner) {
+  const aside = `${lockPath}.${process.pid}.${Date.now()}.stale`;
+  try {
+    fs.renameSync(lockPath, aside);
+  } catch (err) {
+    if (err.code === 'ENOENT') return;
+    throw err;
+  }
+  if (!sameOwner(readLock(aside), owner)) {
+    try {
+      fs.linkSync(aside, lockPath);
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+  }
+  fs.rmSync(aside, { force: true });
+}
+
+/**
+ * Bring a parsed store document up to the current schema.
+ *
+ * @param {*} data
+ * @param {string} storePath - For error messages.
+ * @returns {{ schemaVersion: number, instincts: object[] }}
+ */
+function migrate(data, storePath) {
+  // Version 0: a bare array of instincts
+  if (Array.isArray(data)) return { schemaVersion: STORE_SCHEMA_VERSION, instincts: data };
+
+  if (!data || typeof data !== 'object' || !Array.isArray(data.instincts)) {
+    throw new Error(`${storePath} is missing the "instincts" array`);
+  }
+  if (data.schemaVersion > STORE_SCHEMA_VERSION) {
+    throw new Error(`${storePath} was written by a newer everything-copilot (schemaVersion ${data.schemaVersion})`);
+  }
+  return { ...data, schemaVersion: STORE_SCHEMA_VERSION };
+}
+
+function serialize(store) {
+  return JSON.stringify({ ...store, schemaVersion: STORE_SCHEMA_VERSION }, null, 2) + '\n';
+}
+
+// ---------------------------------------------------------------------------
+// readStore(storePath) -> Store
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} Store
+ * @property {number}   schemaVersion
+ * @property {object[]} instincts
+ */
+
+/**
+ * Read a store without locking it.  Writes replace the file atomically, so
+ * a reader never sees a partly written store.
+ *
+ * @param {string} storePath
+ * @returns {Store} An empty store when the file does not exist.
+ * @throws {Error} When the file is not valid JSON or from a newer schema;
+ *   the message names the backup to restore, if there is one.
+ */
+function readStore(storePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(storePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return { schemaVersion: STORE_SCHEMA_VERSION, instincts: [] };
+    throw err;
+  }
+
+  try {
+    return migrate(JSON.parse(raw), storePath);
+  } catch (err) {
+    const backup = storePath + BACKUP_SUFFIX;
+    const hint = fs.existsSync(backup) ? `; the previous version is in ${backup}` : '';
+    const reason = err instanceof SyntaxError ? `${storePath} is not valid JSON: ${err.message}` : err.message;
+    throw new Error(reason + hint);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// withLock(storePath, fn) -> *
+// ---------------------------------------------------------------------------
+
+/**
+ * Run `fn` while holding the store's lock file.
+ *
+ * @param {string} storePath
+ * @param {function(): *} fn
+ * @param {{ timeout?: number }} [opts] - How long to wait for another session, in ms.
+ * @returns {*} What `fn` returns.
+ * @throws {Error} When the lock is still held after `timeout`.
+ */
+function withLock(storePath, fn, opts = {}) {
+  const lockPath = storePath + LOCK_SUFFIX;
+  const deadline = Date.now() + (opts.timeout === undefined ? LOCK_TIMEOUT_MS : opts.timeout);
+  fs.mkdirSync(path.dirname(storePath), { recursive: true });
+
+  let fd;
+  for (;;) {
+    try {
+      fd = fs.openSync(lockPath, 'wx');
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+    const owner = readLock(lockPath);
+    if (isStale(lockPath, owner)) {
+      takeOver(lockPath, owner);
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(`${storePath} is locked by ${owner && owner.pid ? `process ${owner.pid}` : 'another session'}. ` +
+        `Try again, or delete ${lockPath} if no other session is running.`);
+    }
+    sleep(LOCK_RETRY_MS);
+  }
+
+  try {
+    fs.writeSync(fd, JSON.stringify({ pid: process.pid, created: new Date().toISOString() }));
+    fs.closeSync(fd);
+    return fn();
+  } finally {
+    // Only release the lock if it is still ours
+    const owner = readLock(lockPath);
+    if (owner && owner.pid === process.pid) fs.rmSync(lockPath, { force: true });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// writeStore(storePath, store)
+// ---------------------------------------------------------------------------
+
+/**
+ * Replace the store: back up the current file, then write a temporary file
+ * and rename it into place.  Call it while holding the lock (`withLock`).
+ *
+ * @param {string} storePath
+ * @param {Store} store
+ */
+function writeStore(storePath, store) {
+  fs.mkdirSync(path.dirname(storePath), { recursive: true });
+  if (fs.existsSync(storePath)) fs.copyFileSync(storePath, storePath + BACKUP_SUFFIX);
+
+  const tmp = `${storePath}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tmp, serialize(store));
+    fs.renameSync(tmp, storePath);
+  } catch (err) {
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// updateStore(storePath, update, opts) -> *
+// ---------------------------------------------------------------------------
+
+/**
+ * Change the store under its lock.  `update` gets the current instincts
+ * (read after the lock is taken, so no other session's change is lost) and
+ * changes the array in place; the store is saved when it differs from what
+ * was read.
+ *
+ * @param {string} storePath
+ * @param {function(object[]): *} update
+ * @param {{ ops?: object, timeout?: number }} [opts] - `ops` is a file-ops
+ *   recorder (see file-ops.js); in a dry run the new store is only recorded
+ *   and no lock is taken.
+ * @returns {*} What `update` returns.
+ */
+function updateStore(storePath, update, opts = {}) {
+  const dryRun = Boolean(opts.ops && opts.ops.dryRun);
+  const apply = () => {
+    const store = readStore(storePath);
+    const before = serialize(store);
+    const result = update(store.instincts);
+    if (serialize(store) !== before) {
+      if (dryRun) opts.ops.write(storePath, serialize(store));
+      else writeStore(storePath, store);
+    }
+    return result;
+  };
+  return dryRun ? apply() : withLock(storePath, apply, opts);
+}
+
+// ---------------------------------------------------------------------------
+// Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  STORE_SCHEMA_VERSION,
+  LOCK_SUFFIX,
+  BACKUP_SUFFIX,
+  readStore,
+  withLock,
+  writeStore,
+  updateStore,
+};
@@ -0,0 +1,432 @@
+#!/usr/bin/env node
+
+/**
+ * manifest.js - Install lockfile for toolkit-managed files.
+ *
+ * `ecp init` records every file it copies into `.copilot/ecp.lock.json`
+ * together with the toolkit version and a content hash.  A pristine copy of
+ * each installed file is kept under `.copilot/.ecp-base/` so that `ecp
+ * upgrade` can tell untouched files from customised ones and three-way
+ * merge toolkit updates into the latter.
+ *
+ * All I/O here is synchronous: the CLI performs a handful of small reads and
+ * writes per command and never runs them concurrently.
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { merge3 } = require('./diff');
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Lockfile location, relative to the target project root. */
+const LOCKFILE = '.copilot/ecp.lock.json';
+
+/** Directory holding the pristine toolkit copy of every tracked file. */
+const BASE_DIR = '.copilot/.ecp-base';
+
+/** Bump when the lockfile layout changes incompatibly. */
+const LOCKFILE_VERSION = 1;
+
+// ---------------------------------------------------------------------------
+// Hashing
+// ---------------------------------------------------------------------------
+
+/**
+ * Hash file content.  Line endings are normalised so that a checkout with
+ * `core.autocrlf` does not make every file look locally modified.
+ *
+ * @param {string} content
+ * @returns {string} e.g. "sha256-3f2a..."
+ */
+function hashContent(content) {
+  const normalised = String(content).replace(/\r\n/g, '\n');
+  return 'sha256-' + crypto.createHash('sha256').update(normalised, 'utf8').digest('hex');
+}
+
+function readText(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+function writeText(filePath, content, ops, meta) {
+  if (ops) {
+    ops.write(filePath, content, meta);
+    return;
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+function toAbs(targetDir, relPath) {
+  return path.join(targetDir, ...relPath.split('/'));
+}
+
+// ---------------------------------------------------------------------------
+// Lockfile load / save
+// ---------------------------------------------------------------------------
+
+/**
+ * Create an empty manifest.
+ *
+ * @param {string} toolkitVersion - Version of everything-copilot doing the install.
+ * @param {{ preset: string, skills: string[], includeAgents: boolean, includeInstructions: boolean, includeScripts: boolean }} selection
+ * @returns {object}
+ */
+function createManifest(toolkitVersion, selection) {
+  const now = new Date().toISOString();
+  return {
+    lockfileVersion: LOCKFILE_VERSION,
+    toolkitVersion,
+    installedAt: now,
+    updatedAt: now,
+    selection,
+    files: {},
+  };
+}
+
+/**
+ * Load the manifest from a target project.
+ *
+ * @param {string} targetDir
+ * @returns {object|null} `null` when no lockfile exists.
+ * @throws {Error} When the lockfile exists but is unreadable or from a newer toolkit.
+ */
+function loadManifest(targetDir) {
+  const raw = readText(toAbs(targetDir, LOCKFILE));
+  if (raw === null) return null;
+
+  let manifest;
+  try {
+    manifest = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`${LOCKFILE} is not valid JSON: ${err.message}`);
+  }
+  if (!manifest || typeof manifest.files !== 'object') {
+    throw new Error(`${LOCKFILE} is missing the "files" map`);
+  }
+  if (manifest.lockfileVersion > LOCKFILE_VERSION) {
+    throw new Error(`${LOCKFILE} was written by a newer everything-copilot (lockfileVersion ${manifest.lockfileVersion})`);
+  }
+  return manifest;
+}
+
+/**
+ * Write the manifest back to disk with sorted file keys (stable diffs).
+ *
+ * @param {string} targetDir
+ * @param {object} manifest
+ * @param {object} [ops] - File-ops recorder (see file-ops.js); writes directly when omitted.
+ */
+function saveManifest(targetDir, manifest, ops) {
+  const files = {};
+  for (const key of Object.keys(manifest.files).sort()) {
+    files[key] = manifest.files[key];
+  }
+  const out = { ...manifest, updatedAt: new Date().toISOString(), files };
+  writeText(toAbs(targetDir, LOCKFILE), JSON.stringify(out, null, 2) + '\n', ops);
+}
+
+// ---------------------------------------------------------------------------
+// File tracking
+// ---------------------------------------------------------------------------
+
+/**
+ * Record a toolkit-provided file in the manifest and store its pristine copy.
+ *
+ * @param {string} targetDir
+ * @param {object} manifest
+ * @param {string} relPath   - POSIX path relative to `targetDir`.
+ * @param {string} content   - Toolkit content of the file.
+ * @param {string} component - Owning component, e.g. "agents" or "skill:security-review".
+ * @param {object} [ops]     - File-ops recorder; writes directly when omitted.
+ */
+function recordFile(targetDir, manifest, relPath, content, component, ops) {
+  manifest.files[relPath] = {
+    hash: hashContent(content),
+    version: manifest.toolkitVersion,
+    component,
+  };
+  writeText(toAbs(targetDir, `${BASE_DIR}/${relPath}`), content, ops, { internal: true });
+}
+
+/**
+ * Drop a file from the manifest and delete its pristine copy.
+ *
+ * @param {string} targetDir
+ * @param {object} manifest
+ * @param {string} relPath
+ */
+function forgetFile(targetDir, manifest, relPath) {
+  delete manifest.files[relPath];
+  try {
+    fs.rmSync(toAbs(targetDir, `${BASE_DIR}/${relPath}`), { force: true });
+  } catch {
+    // A missing base copy is not worth failing over.
+  }
+}
+
+/**
+ * Classify a file against the manifest.
+ *
+ * @param {string} targetDir
+ * @param {object} manifest
+ * @param {string} relPath
+ * @returns {'untracked'|'missing'|'unmodified'|'modified'}
+ */
+function fileStatus(targetDir, manifest, relPath) {
+  const entry = manifest.files[relPath];
+  if (!entry) return 'untracked';
+  const current = readText(toAbs(targetDir, relPath));
+  if (current === null) return 'missing';
+  return hashContent(current) === entry.hash ? 'unmodified' : 'modified';
+}
+
+// ---------------------------------------------------------------------------
+// Upgrade planning
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} UpgradeAction
+ * @property {string} path      - POSIX path relative to the target.
+ * @property {string} action    - create | update | unchanged | keep | merge | conflict |
+ *                                skip-modified | skip-deleted | skip-untracked | adopt |
+ *                                remove | orphan
+ * @property {string} [component]
+ * @property {string} [incoming] - New toolkit content (for create/update/merge/conflict/adopt).
+ * @property {string} [content]  - Content to write to the working file.
+ * @property {number} [conflicts]
+ */
+
+/**
+ * Work out what an upgrade would do, without touching the disk.
+ *
+ * @param {string} targetDir
+ * @param {object} manifest
+ * @param {Array<{ src?: string, content?: string, dest: string, component: string }>} planned
+ *   Files the current toolkit would install for the manifest's selection;
+ *   generated files carry their `content` instead of a `src` path.
+ * @param {{ strategy?: 'merge'|'skip', toolkitVersion?: string }} [opts]
+ * @returns {UpgradeAction[]}
+ */
+function planUpgrade(targetDir, manifest, planned, opts = {}) {
+  const strategy = opts.strategy || 'merge';
+  const actions = [];
+  const seen = new Set();
+
+  for (const file of planned) {
+    seen.add(file.dest);
+    const incoming = file.content !== undefined ? file.content : fs.readFileSync(file.src, 'utf8');
+    const incomingHash = hashContent(incoming);
+    const entry = manifest.files[file.dest];
+    const base = { path: file.dest, component: file.component, incoming };
+    const current = readText(toAbs(targetDir, file.dest));
+
+    if (!entry) {
+      if (current === null) {
+        actions.push({ ...base, action: 'create', content: incoming });
+      } else if (hashContent(current) === incomingHash) {
+        actions.push({ ...base, action: 'adopt' });
+      } else {
+        actions.push({ ...base, action: 'skip-untracked' });
+      }
+      continue;
+    }
+
+    if (current === null) {
+      actions.push({ ...base, action: 'skip-deleted' });
+      continue;
+    }
+
+    const currentHash = hashContent(current);
+    if (currentHash === entry.hash) {
+      actions.push({ ...base, action: incomingHash === entry.hash ? 'unchanged' : 'update', content: incoming });
+      continue;
+    }
+
+    // Locally modified from here on.
+    if (incomingHash === entry.hash || incomingHash === currentHash) {
+      actions.push({ ...base, action: 'keep' });
+      continue;
+    }
+    if (strategy === 'skip') {
+      actions.push({ ...base, action: 'skip-modified' });
+      continue;
+    }
+
+    const ancestor = readText(toAbs(targetDir, `${BASE_DIR}/${file.dest}`));
+    if (ancestor === null) {
+      // Without the pristine copy there is nothing to merge against.
+      actions.push({ ...base, action: 'skip-modified' });
+      continue;
+    }
+
+    const merged = merge3(ancestor, current, incoming, {
+      ours: 'local',
+      theirs: `everything-copilot ${opts.toolkitVersion || ''}`.trim(),
+    });
+    actions.push({
+      ...base,
+      action: merged.clean ? 'merge' : 'conflict',
+      content: merged.content,
+      conflicts: merged.conflicts,
+    });
+  }
+
+  // Files the toolkit no longer ships.
+  for (const relPath of Object.keys(manifest.files)) {
+    if (seen.has(relPath)) continue;
+    const status = fileStatus(targetDir, manifest, relPath);
+    actions.push({
+      path: relPath,
+      component: manifest.files[relPath].component,
+      action: status === 'modified' ? 'orphan' : 'remove',
+    });
+  }
+
+  return actions.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Apply planned upgrade actions and update the manifest in place.
+ * The caller is responsible for saving the manifest afterwards.
+ *
+ * @param {string} targetDir
+ * @param {object} manifest
+ * @param {UpgradeAction[]} actions
+ */
+function applyUpgrade(targetDir, manifest, actions) {
+  for (const act of actions) {
+    const abs = toAbs(targetDir, act.path);
+    switch (act.action) {
+      case 'create':
+      case 'update':
+      case 'merge':
+      case 'conflict':
+        writeText(abs, act.content);
+        recordFile(targetDir, manifest, act.path, act.incoming, act.component);
+        break;
+      case 'unchanged':
+      case 'keep':
+      case 'adopt':
+        recordFile(targetDir, manifest, act.path, act.incoming, act.component);
+        break;
+      case 'remove':
+        fs.rmSync(abs, { force: true });
+        forgetFile(targetDir, manifest, act.path);
+        break;
+      case 'orphan':
+        forgetFile(targetDir, manifest, act.path);
+        break;
+      default:
+        // skip-* actions leave both the file and its manifest entry alone.
+        break;
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Removal planning
+// ---------------------------------------------------------------------------
+
+/**
+ * Work out which tracked files removing a set of components would delete.
+ *
+ * Locally modified files are `blocked` unless `opts.force` is set, in which
+ * case they become `delete-modified`.  Files already gone from disk are
+ * simply forgotten.
+ *
+ * @param {string} targetDir
+ * @param {object} manifest
+ * @param {function(string): boolean} matchComponent - Selects components to remove.
+ * @param {{ force?: boolean }} [opts]
+ * @returns {Array<{ path: string, component: string, action: 'delete'|'delete-modified'|'blocked'|'forget' }>}
+ */
+function planRemoval(targetDir, manifest, matchComponent, opts = {}) {
+  const actions = [];
+  for (const [relPath, entry] of Object.entries(manifest.files)) {
+    if (!matchComponent(entry.component)) continue;
+    const status = fileStatus(targetDir, manifest, relPath);
+    let action = 'delete';
+    if (status === 'missing') action = 'forget';
+    else if (status === 'modified') action = opts.force ? 'delete-modified' : 'blocked';
+    actions.push({ path: relPath, component: entry.component, action });
+  }
+  return actions.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/** Remove `dir` and its parents while they are empty, stopping at `stopAt`. */
+function pruneEmptyDirs(dir, stopAt) {
+  let current = dir;
+  while (current.startsWith(stopAt + path.sep)) {
+    try {
+      if (fs.readdirSync(current).length > 0) return;
+      fs.rmdirSync(current);
+    } catch {
+      return;
+    }
+    current = path.dirname(current);
+  }
+}
+
+/**
+ * Apply planned removals.  Blocked entries are left untouched.  The caller
+ * is responsible for saving the manifest afterwards.
+ *
+ * @param {string} targetDir
+ * @param {object} manifest
+ * @param {ReturnType<typeof planRemoval>} actions
+ */
+function applyRemoval(targetDir, manifest, actions) {
+  const root = path.resolve(targetDir);
+  for (const act of actions) {
+    if (act.action === 'blocked') continue;
+    const abs = toAbs(root, act.path);
+    fs.rmSync(abs, { force: true });
+    forgetFile(root, manifest, act.path);
+    pruneEmptyDirs(path.dirname(abs), root);
+    pruneEmptyDirs(path.dirname(toAbs(root, `${BASE_DIR}/${act.path}`)), root);
+  }
+}
+
+/**
+ * Delete the lockfile and the pristine copies directory.
+ *
+ * @param {string} targetDir
+ */
+function removeManifest(targetDir) {
+  const root = path.resolve(targetDir);
+  fs.rmSync(toAbs(root, LOCKFILE), { force: true });
+  fs.rmSync(toAbs(root, BASE_DIR), { recursive: true, force: true });
+  pruneEmptyDirs(path.dirname(toAbs(root, LOCKFILE)), root);
+}
+
+// ---------------------------------------------------------------------------
+// Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  LOCKFILE,
+  BASE_DIR,
+  LOCKFILE_VERSION,
+  hashContent,
+  createManifest,
+  loadManifest,
+  saveManifest,
+  recordFile,
+  forgetFile,
+  fileStatus,
+  planUpgrade,
+  applyUpgrade,
+  planRemoval,
+  applyRemoval,
+  removeManifest,
+};
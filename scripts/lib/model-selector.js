@@ -3,9 +3,14 @@
 /**
  * model-selector.js - Model routing logic for the everything-copilot project.
  *
- * Maps task types to the most cost-effective Claude model, exposes per-model
- * configuration, and provides lightweight helpers for token estimation and
- * budget checking.
+ * Maps task types to the most cost-effective model, exposes per-model
+ * configuration, and provides lightweight helpers for token estimation
+ * (lib/tokenizer.js) and budget checking.
+ *
+ * The built-in catalog has the three Claude tiers below.  Projects extend or
+ * override it with `models.catalog` and re-route categories with
+ * `models.tasks` in `.copilot/ecp.config.json`; `loadModelCatalog` builds the
+ * catalog the other functions take as an optional last argument.
  *
  * Model hierarchy (descending capability / ascending cost):
  *   opus   - Complex reasoning, architecture, security review
@@ -15,6 +20,8 @@
 
 'use strict';
 
+const { DEFAULT_TOKENIZER, countTokens, getTokenizer } = require('./tokenizer');
+
 // ---------------------------------------------------------------------------
 // TASK_CATEGORIES
 // ---------------------------------------------------------------------------
@@ -23,76 +30,110 @@
  * Maps a human-readable task category to the recommended Claude model.
  *
  * Each entry contains:
- *   - `model`       : default model name
- *   - `description` : what this category covers
+ *   - `model`        : default model name
+ *   - `description`  : what this category covers
+ *   - `outputTokens` : typical size of the answer, used by `estimateCost`
+ *   - `keywords`     : weighted terms `classifyTask` scores a task by.  A
+ *                      single word also matches words it starts
+ *                      (`migrat` -> migrating); phrases match word for word.
  *
- * @type {Record<string, { model: string, description: string }>}
+ * @type {Record<string, { model: string, description: string, outputTokens: number, keywords: Record<string, number> }>}
  */
 const TASK_CATEGORIES = {
   // --- Opus-level tasks (high complexity) ---
   architecture: {
     model: 'opus',
     description: 'System design, architecture decisions, complex refactoring',
+    outputTokens: 4000,
+    keywords: { architect: 3, 'system design': 4, design: 1, scalab: 2, microservice: 2, 'trade-off': 2, tradeoff: 2, adr: 3 },
   },
   'security-review': {
     model: 'opus',
     description: 'Security audits, vulnerability analysis, threat modeling',
+    outputTokens: 3000,
+    keywords: { security: 3, vulnerab: 3, 'threat model': 4, audit: 2, owasp: 3, xss: 3, injection: 3, secret: 2, cve: 3, pentest: 3, auth: 1 },
   },
   'complex-debugging': {
     model: 'opus',
     description: 'Multi-file debugging, race conditions, memory leaks',
+    outputTokens: 3000,
+    keywords: { debug: 2, 'race condition': 4, 'memory leak': 4, deadlock: 3, crash: 2, flaky: 2, intermittent: 3, 'root cause': 3, segfault: 3, bug: 1 },
   },
   'code-migration': {
     model: 'opus',
     description: 'Large-scale migrations, framework upgrades, language ports',
+    outputTokens: 12000,
+    keywords: { migrat: 3, upgrade: 2, porting: 3, convert: 2, 'framework upgrade': 4, legacy: 2 },
   },
   planning: {
     model: 'opus',
     description: 'Project planning, technical specifications, RFC drafting',
+    outputTokens: 4000,
+    keywords: { plan: 3, roadmap: 3, spec: 2, rfc: 3, estimate: 2, milestone: 2, breakdown: 2 },
   },
 
   // --- Sonnet-level tasks (medium complexity) ---
   coding: {
     model: 'sonnet',
     description: 'General feature implementation and bug fixes',
+    outputTokens: 3000,
+    keywords: { implement: 3, feature: 2, 'bug fix': 3, fix: 1, bug: 1, build: 1, add: 1, endpoint: 2, function: 1, code: 1 },
   },
   'code-review': {
     model: 'sonnet',
     description: 'Pull request reviews, code quality checks',
+    outputTokens: 1500,
+    keywords: { review: 3, 'pull request': 3, pr: 2, 'code quality': 3, feedback: 1 },
   },
   refactoring: {
     model: 'sonnet',
     description: 'Code restructuring, pattern application, cleanup',
+    outputTokens: 4000,
+    keywords: { refactor: 3, restructur: 3, cleanup: 2, 'clean up': 3, rename: 2, extract: 2, simplif: 2, 'dead code': 3, duplicat: 2 },
   },
   testing: {
     model: 'sonnet',
     description: 'Test generation, test review, coverage improvement',
+    outputTokens: 3000,
+    keywords: { test: 3, coverage: 3, 'unit test': 4, 'integration test': 4, e2e: 3, mock: 2, fixture: 2, tdd: 3 },
   },
   documentation: {
     model: 'haiku',
     description: 'API docs, READMEs, inline documentation',
+    outputTokens: 2000,
+    keywords: { document: 3, docs: 3, readme: 3, jsdoc: 3, docstring: 3, comment: 2, guide: 2, 'api docs': 4 },
   },
 
   // --- Haiku-level tasks (low complexity) ---
   formatting: {
     model: 'haiku',
     description: 'Code formatting, linting fixes, style adjustments',
+    outputTokens: 1500,
+    keywords: { format: 3, lint: 3, prettier: 3, eslint: 2, indent: 2, whitespace: 2, style: 1 },
   },
   'simple-generation': {
     model: 'haiku',
     description: 'Boilerplate, templates, repetitive patterns',
+    outputTokens: 2000,
+    keywords: { boilerplate: 3, scaffold: 3, template: 2, stub: 2, generat: 1, crud: 2 },
   },
   lookup: {
     model: 'haiku',
     description: 'API lookups, syntax checks, quick answers',
+    outputTokens: 300,
+    keywords: { 'what is': 3, 'how do': 2, syntax: 3, lookup: 3, 'look up': 3, signature: 2, which: 1 },
   },
   summarization: {
     model: 'haiku',
     description: 'Summarizing files, changelogs, commit messages',
+    outputTokens: 500,
+    keywords: { summar: 3, tldr: 3, 'commit message': 4, changelog: 3, recap: 2, digest: 2 },
   },
   translation: {
     model: 'haiku',
     description: 'i18n string translation, locale file generation',
+    outputTokens: 2000,
+    keywords: { translat: 3, i18n: 3, l10n: 3, locale: 3, locali: 3 },
   },
 };
 
@@ -101,79 +142,348 @@ const TASK_CATEGORIES = {
 // ---------------------------------------------------------------------------
 
 /**
- * Per-model configuration: context window size, output limits, and an
- * approximate cost tier (relative, not actual pricing).
+ * @typedef {Object} ModelConfig
+ * @property {string} provider        - e.g. `Anthropic`, `OpenAI`.
+ * @property {string} name            - Display name.
+ * @property {string} copilot         - Model string for `.agent.md` `model:` frontmatter.
+ * @property {number} contextWindow
+ * @property {number} maxOutput
+ * @property {string} costTier        - `low`, `medium` or `high`.
+ * @property {number} inputCostPer1k  - USD.
+ * @property {number} outputCostPer1k - USD.
+ * @property {string} tokenizer       - A lib/tokenizer.js name.
+ */
+
+/**
+ * Per-model configuration: provider, names, context window size, output
+ * limits, an approximate cost tier (relative, not actual pricing) and the
+ * tokenizer (see lib/tokenizer.js) used to count tokens for the model.
  *
- * @type {Record<string, { contextWindow: number, maxOutput: number, costTier: string, inputCostPer1k: number, outputCostPer1k: number }>}
+ * @type {Record<string, ModelConfig>}
  */
 const MODEL_CONFIGS = {
   opus: {
+    provider: 'Anthropic',
+    name: 'Claude Opus 4',
+    copilot: 'claude-4-opus (Anthropic)',
     contextWindow: 200000,
     maxOutput: 32000,
     costTier: 'high',
     // Approximate costs in USD per 1 000 tokens (illustrative).
     inputCostPer1k: 0.015,
     outputCostPer1k: 0.075,
+    tokenizer: 'bpe',
   },
   sonnet: {
+    provider: 'Anthropic',
+    name: 'Claude Sonnet 4',
+    copilot: 'claude-sonnet-4 (Anthropic)',
     contextWindow: 200000,
     maxOutput: 16000,
     costTier: 'medium',
     inputCostPer1k: 0.003,
     outputCostPer1k: 0.015,
+    tokenizer: 'bpe',
   },
   haiku: {
+    provider: 'Anthropic',
+    name: 'Claude Haiku 3.5',
+    copilot: 'claude-haiku-3.5 (Anthropic)',
     contextWindow: 200000,
     maxOutput: 8000,
     costTier: 'low',
     inputCostPer1k: 0.00025,
     outputCostPer1k: 0.00125,
+    tokenizer: 'bpe',
   },
 };
 
 // ---------------------------------------------------------------------------
-// selectModel(task) -> string
+// loadModelCatalog(models) -> ModelCatalog
 // ---------------------------------------------------------------------------
 
+const CATALOG_NUMBERS = ['contextWindow', 'maxOutput', 'inputCostPer1k', 'outputCostPer1k'];
+const DEFAULT_MODEL = 'sonnet';
+
 /**
- * Given a task description or category name, return the recommended model.
- *
- * Resolution order:
- *   1. Exact match against `TASK_CATEGORIES` keys.
- *   2. Fuzzy keyword match in the task string against category keys.
- *   3. Default to `'sonnet'` (best general-purpose trade-off).
+ * @typedef {Object} ModelCatalog
+ * @property {Record<string, ModelConfig>} models - By model id.
+ * @property {Record<string, string>}      tasks  - Task category -> model id.
+ * @property {string}                      default - Model id used when no category matches.
+ */
+
+/** The built-in catalog: MODEL_CONFIGS routed by TASK_CATEGORIES. */
+const DEFAULT_CATALOG = Object.freeze({
+  models: MODEL_CONFIGS,
+  tasks: Object.fromEntries(Object.entries(TASK_CATEGORIES).map(([category, config]) => [category, config.model])),
+  default: DEFAULT_MODEL,
+});
+
+/**
+ * Build the model catalog for a project from the `models` section of its
+ * config.  `catalog` entries are merged over the built-in model with the
+ * same id or added as new models (which then need a context window, output
+ * limit and prices); `tasks` re-routes task categories; `default` is used
+ * when it names a catalog model.
  *
- * @param {string} task - A task category key or free-text description.
- * @returns {string} One of `'opus'`, `'sonnet'`, `'haiku'`.
+ * @param {{ default?: string, catalog?: Record<string, Partial<ModelConfig>>, tasks?: Record<string, string> }} [models]
+ * @returns {ModelCatalog}
+ * @throws {Error} Listing every entry that is incomplete or points nowhere.
+ */
+function loadModelCatalog(models = {}) {
+  const problems = [];
+  const catalog = { models: {}, tasks: { ...DEFAULT_CATALOG.tasks }, default: DEFAULT_MODEL };
+
+  for (const [id, config] of Object.entries(MODEL_CONFIGS)) catalog.models[id] = { ...config };
+  for (const [rawId, entry] of Object.entries(models.catalog || {})) {
+    const id = rawId.toLowerCase();
+    const base = catalog.models[id];
+    const merged = {
+      provider: 'unknown',
+      name: rawId,
+      copilot: rawId,
+      costTier: 'medium',
+      tokenizer: DEFAULT_TOKENIZER,
+      ...base,
+      ...entry,
+    };
+    const missing = CATALOG_NUMBERS.filter((key) => typeof merged[key] !== 'number');
+    if (missing.length > 0) problems.push(`models.catalog.${rawId}: missing ${missing.join(', ')}`);
+    try {
+      getTokenizer(merged.tokenizer);
+    } catch (err) {
+      problems.push(`models.catalog.${rawId}.tokenizer: ${err.message}`);
+    }
+    catalog.models[id] = merged;
+  }
+
+  for (const [category, model] of Object.entries(models.tasks || {})) {
+    if (!TASK_CATEGORIES[category]) {
+      problems.push(`models.tasks.${category}: unknown task category. Available: ${Object.keys(TASK_CATEGORIES).join(', ')}`);
+    }
+    const config = getModelConfig(model, catalog);
+    if (!config) problems.push(`models.tasks.${category}: "${model}" is not in the model catalog`);
+    else catalog.tasks[category] = config.id;
+  }
+
+  const fallback = getModelConfig(models.default, catalog);
+  if (fallback) catalog.default = fallback.id;
+
+  if (problems.length > 0) {
+    throw new Error(`Model catalog is invalid:\n${problems.map((p) => `  - ${p}`).join('\n')}`);
+  }
+  return catalog;
+}
+
+// ---------------------------------------------------------------------------
+// classifyTask(task) -> Classification
+// ---------------------------------------------------------------------------
+
+// Words that turn the next few keywords against a category ("without tests")
+const NEGATIONS = new Set(['no', 'not', 'dont', 'don\'t', 'without', 'skip', 'except', 'never', 'avoid']);
+const NEGATION_SCOPE = 3;
+// The category name itself, and a keyword that opens the task (its verb)
+const CATEGORY_WEIGHT = 4;
+const LEADING_BONUS = 1.5;
+
+/**
+ * @typedef {Object} Evidence
+ * @property {string}  keyword - The `keywords` entry (or category name) that matched.
+ * @property {string}  matched - The words of the task it matched.
+ * @property {number}  weight  - Contribution to the score; negative when negated.
+ * @property {boolean} negated
+ */
+
+/**
+ * @typedef {Object} CategoryScore
+ * @property {string}     category
+ * @property {string}     model    - Catalog model id the category routes to.
+ * @property {number}     score
+ * @property {Evidence[]} evidence
  */
-function selectModel(task) {
-  if (!task || typeof task !== 'string') {
-    return 'sonnet';
+
+/**
+ * @typedef {Object} Classification
+ * @property {string}          task
+ * @property {string|null}     category     - Null when nothing matched.
+ * @property {string}          model        - Chosen catalog model id.
+ * @property {number}          score
+ * @property {number}          confidence   - Share of all positive scores, 0-1.
+ * @property {Evidence[]}      evidence
+ * @property {CategoryScore[]} alternatives - The other matching categories, best first.
+ */
+
+// Words of the task, each with the clause it is in (negations stop at a clause)
+function taskWords(task) {
+  const words = [];
+  task.toLowerCase().split(/[,.;:!?()]|\b(?:but|instead|just|only)\b/).forEach((clause, index) => {
+    for (const word of clause.match(/[a-z0-9]+(?:['-][a-z0-9]+)*/g) || []) words.push({ word, clause: index });
+  });
+  return words;
+}
+
+// Keyword parts of 4+ letters also match longer words (`test` -> tests)
+const partMatches = (part, word) => (part.length >= 4 ? word.startsWith(part) : word === part);
+
+// Where `keyword` matches: the first word and the number of words
+function keywordHits(keyword, words) {
+  const parts = keyword.split(/[\s-]+/);
+  const hits = [];
+  for (let i = 0; i + parts.length <= words.length; i++) {
+    const slice = words.slice(i, i + parts.length);
+    if (parts.every((part, j) => partMatches(part, slice[j]))) {
+      hits.push({ index: i, length: parts.length, matched: slice.join(' ') });
+    }
   }
+  // A hyphenated keyword also matches as one word (`trade-off`)
+  if (parts.length > 1) {
+    words.forEach((word, i) => {
+      if (word === keyword) hits.push({ index: i, length: 1, matched: word });
+    });
+  }
+  return hits;
+}
 
-  const normalised = task.trim().toLowerCase();
+/**
+ * Score every task category against a task description and pick the best.
+ *
+ * Each keyword hit adds its weight (the category's own name adds 4); a hit
+ * on the task's first word — usually the verb — counts 1.5 times, and a hit
+ * within three words after a negation ("no", "without", "skip", ...)
+ * subtracts instead.  The highest score wins; ties go to the category listed
+ * first in `TASK_CATEGORIES`.  With no positive score the catalog default is
+ * chosen.  An exact category name always wins.
+ *
+ * @param {string} task - A task category key or free-text description.
+ * @param {ModelCatalog} [catalog] - Default: the built-in catalog.
+ * @returns {Classification}
+ */
+function classifyTask(task, catalog = DEFAULT_CATALOG) {
+  const text = typeof task === 'string' ? task.trim() : '';
+  const normalised = text.toLowerCase();
+  const result = (scores) => {
+    const ranked = scores.filter((s) => s.score > 0).sort((a, b) => b.score - a.score);
+    const total = ranked.reduce((sum, s) => sum + s.score, 0);
+    const [best, ...alternatives] = ranked;
+    return {
+      task: text,
+      category: best ? best.category : null,
+      model: best ? best.model : catalog.default,
+      score: best ? best.score : 0,
+      confidence: best ? Math.round((best.score / total) * 100) / 100 : 0,
+      evidence: best ? best.evidence : [],
+      alternatives,
+    };
+  };
 
-  // 1. Exact match.
   if (TASK_CATEGORIES[normalised]) {
-    return TASK_CATEGORIES[normalised].model;
+    return result([{
+      category: normalised,
+      model: catalog.tasks[normalised],
+      score: CATEGORY_WEIGHT,
+      evidence: [{ keyword: normalised, matched: normalised, weight: CATEGORY_WEIGHT, negated: false }],
+    }]);
   }
 
-  // 2. Keyword search: check if any category key appears in the task text.
-  for (const [category, config] of Object.entries(TASK_CATEGORIES)) {
-    // Match either the key or significant words in the description.
-    const keywords = [
-      category,
-      ...config.description.toLowerCase().split(/[\s,]+/),
-    ];
-    for (const kw of keywords) {
-      if (kw.length > 3 && normalised.includes(kw)) {
-        return config.model;
+  const tagged = taskWords(text);
+  const words = tagged.map((t) => t.word);
+  const negated = tagged.map((t, i) => tagged
+    .slice(Math.max(0, i - NEGATION_SCOPE), i)
+    .some((before) => before.clause === t.clause && NEGATIONS.has(before.word)));
+
+  const scores = Object.entries(TASK_CATEGORIES).map(([category, config]) => {
+    const keywords = { [category.replace(/-/g, ' ')]: CATEGORY_WEIGHT, ...config.keywords };
+    const evidence = [];
+    const used = new Set();
+    // Phrases first, so `unit tests` counts as `unit test` rather than `test`
+    const byLength = Object.entries(keywords).sort(([a], [b]) => b.split(/[\s-]+/).length - a.split(/[\s-]+/).length);
+    for (const [keyword, weight] of byLength) {
+      for (const hit of keywordHits(keyword, words)) {
+        // Count each word once per category (`unit test` and `test`)
+        const span = Array.from({ length: hit.length }, (_, j) => hit.index + j);
+        if (span.some((index) => used.has(index))) continue;
+        span.forEach((index) => used.add(index));
+        const scaled = hit.index === 0 ? weight * LEADING_BONUS : weight;
+        evidence.push({ keyword, matched: hit.matched, weight: negated[hit.index] ? -scaled : scaled, negated: negated[hit.index] });
       }
     }
-  }
+    return {
+      category,
+      model: catalog.tasks[category],
+      score: evidence.reduce((sum, e) => sum + e.weight, 0),
+      evidence,
+    };
+  });
 
-  // 3. Fallback.
-  return 'sonnet';
+  return result(scores);
+}
+
+// ---------------------------------------------------------------------------
+// selectModel(task) -> string
+// ---------------------------------------------------------------------------
+
+/**
+ * Given a task description or category name, return the recommended model:
+ * the model of the category `classifyTask` picks, or the catalog default
+ * (`'sonnet'`, the best general-purpose trade-off) when none matches.
+ *
+ * Categories route to the model the catalog's `tasks` names.
+ *
+ * @param {string} task - A task category key or free-text description.
+ * @param {ModelCatalog} [catalog] - Default: the built-in catalog.
+ * @returns {string} A catalog model id, e.g. `'opus'`, `'sonnet'`, `'haiku'`.
+ */
+function selectModel(task, catalog = DEFAULT_CATALOG) {
+  return classifyTask(task, catalog).model;
+}
+
+// ---------------------------------------------------------------------------
+// agentModel(agent) -> { model, source }
+// ---------------------------------------------------------------------------
+
+/**
+ * The task category each built-in agent works on.  The agent runs on the
+ * model that category routes to, so re-routing a category in `models.tasks`
+ * moves its agents too; `ecp models:sync` checks agent frontmatter and the
+ * agents/*.md docs against it.
+ *
+ * @type {Record<string, string>}
+ */
+const AGENT_TASKS = {
+  architect: 'architecture',
+  'build-fixer': 'coding',
+  'code-reviewer': 'code-review',
+  'doc-updater': 'documentation',
+  'e2e-runner': 'testing',
+  'go-reviewer': 'code-review',
+  'java-reviewer': 'code-review',
+  performance: 'refactoring',
+  planner: 'planning',
+  refactor: 'refactoring',
+  'security-reviewer': 'security-review',
+  tdd: 'testing',
+};
+
+/**
+ * The model an agent should run on: its `models.agents` override, otherwise
+ * the model its `AGENT_TASKS` category routes to.
+ *
+ * @param {string} agent - Agent name, e.g. 'planner'.
+ * @param {{ agents?: Record<string, string> }} [models] - The `models` config section.
+ * @param {ModelCatalog} [catalog] - Default: the built-in catalog.
+ * @returns {{ model: string, source: string } | null} `model` is a catalog
+ *   model id, or the override verbatim when the catalog does not know it;
+ *   `source` is `models.agents.<agent>` or the task category.  null for
+ *   agents that are neither routed nor overridden.
+ */
+function agentModel(agent, models = {}, catalog = DEFAULT_CATALOG) {
+  const override = models.agents && models.agents[agent];
+  if (override) {
+    const config = getModelConfig(override, catalog);
+    return { model: config ? config.id : override, source: `models.agents.${agent}` };
+  }
+  const category = AGENT_TASKS[agent];
+  return category ? { model: catalog.tasks[category], source: category } : null;
 }
 
 // ---------------------------------------------------------------------------
@@ -181,57 +491,176 @@ function selectModel(task) {
 // ---------------------------------------------------------------------------
 
 /**
- * Return the configuration object for a given model.
+ * Return the configuration object for a given model.  Besides its id, a
+ * model can be named by its Copilot model string (the ` (Vendor)` suffix is
+ * optional) or display name, so `.agent.md` `model:` values resolve too.
  *
- * @param {string} model - One of 'opus', 'sonnet', 'haiku'.
- * @returns {{ contextWindow: number, maxOutput: number, costTier: string, inputCostPer1k: number, outputCostPer1k: number } | null}
+ * @param {string} model - e.g. 'sonnet', 'claude-sonnet-4 (Anthropic)'.
+ * @param {ModelCatalog} [catalog] - Default: the built-in catalog.
+ * @returns {(ModelConfig & { id: string }) | null}
  */
-function getModelConfig(model) {
+function getModelConfig(model, catalog = DEFAULT_CATALOG) {
   if (!model || typeof model !== 'string') return null;
-  return MODEL_CONFIGS[model.toLowerCase()] || null;
+  const normalize = (m) => String(m).trim().toLowerCase().replace(/\s*\([^)]*\)$/, '');
+  const wanted = model.trim().toLowerCase();
+  const entries = Object.entries(catalog.models);
+  const found = entries.find(([id]) => id === wanted)
+    || entries.find(([, config]) => [config.copilot, config.name].some((n) => n && normalize(n) === normalize(wanted)));
+  return found ? { id: found[0], ...found[1] } : null;
 }
 
 // ---------------------------------------------------------------------------
-// estimateTokens(text) -> number
+// estimateTokens(text, model, catalog) -> number
 // ---------------------------------------------------------------------------
 
 /**
- * Quick-and-dirty token estimation.  A common heuristic for English text
- * processed by BPE tokenisers is ~4 characters per token.
+ * Estimate the tokens `text` takes up for `model`, with the tokenizer its
+ * `MODEL_CONFIGS` entry names.  Without a known model the default (`bpe`)
+ * approximation is used.
  *
  * @param {string} text
+ * @param {string} [model] - A catalog model, e.g. 'sonnet'.
+ * @param {ModelCatalog} [catalog] - Default: the built-in catalog.
  * @returns {number} Estimated token count (always >= 0).
  */
-function estimateTokens(text) {
-  if (!text || typeof text !== 'string') return 0;
-  return Math.ceil(text.length / 4);
+function estimateTokens(text, model, catalog) {
+  const config = getModelConfig(model, catalog);
+  return countTokens(text, config ? config.tokenizer : DEFAULT_TOKENIZER);
 }
 
 // ---------------------------------------------------------------------------
-// isWithinBudget(model, estimatedTokens, budget) -> boolean
+// isWithinBudget(model, estimatedTokens, budget, opts) -> boolean
 // ---------------------------------------------------------------------------
 
 /**
  * Check whether sending `estimatedTokens` to `model` fits within the given
- * dollar `budget`.
+ * dollar `budget`.  Pass the prompt text instead of a count to have it
+ * counted with the model's tokenizer.
  *
- * The cost is computed as input cost only (output cost is unpredictable).
- * This provides a conservative lower-bound check.
+ * Without `opts` the cost is input cost only, a conservative lower bound.
+ * With `opts` (expected output, category, turns, attempts) the full
+ * `estimateCost` total is compared instead.
  *
- * @param {string} model           - One of 'opus', 'sonnet', 'haiku'.
- * @param {number} estimatedTokens - Estimated input token count.
- * @param {number} budget          - Maximum spend in USD.
+ * @param {string} model                  - One of 'opus', 'sonnet', 'haiku'.
+ * @param {number|string} estimatedTokens - Estimated input token count, or the input text.
+ * @param {number} budget                 - Maximum spend in USD.
+ * @param {Object} [opts]                 - As for `estimateCost`.
  * @returns {boolean}
  */
-function isWithinBudget(model, estimatedTokens, budget) {
-  const config = getModelConfig(model);
+function isWithinBudget(model, estimatedTokens, budget, opts) {
+  const config = getModelConfig(model, opts && opts.catalog);
   if (!config) return false;
   if (typeof budget !== 'number' || budget <= 0) return false;
 
-  const estimatedCost = (estimatedTokens / 1000) * config.inputCostPer1k;
+  const input = typeof estimatedTokens === 'string' ? { input: estimatedTokens } : { inputTokens: estimatedTokens };
+  if (opts) return estimateCost(model, { ...opts, ...input }).totalCost <= budget;
+
+  const tokens = typeof estimatedTokens === 'string' ? estimateTokens(estimatedTokens, model, opts && opts.catalog) : estimatedTokens;
+  const estimatedCost = (tokens / 1000) * config.inputCostPer1k;
   return estimatedCost <= budget;
 }
 
+// ---------------------------------------------------------------------------
+// estimateCost(model, opts) -> CostEstimate
+// ---------------------------------------------------------------------------
+
+// Expected answer size, as a share of `maxOutput`, when the category is unknown
+const DEFAULT_OUTPUT_SHARE = 0.1;
+
+const usd = (amount) => Math.round(amount * 1e6) / 1e6;
+
+/**
+ * @typedef {Object} CostEstimate
+ * @property {string}  model
+ * @property {number}  turns          - Requests per session.
+ * @property {number}  attempts       - Sessions (pass@k: k independent tries).
+ * @property {number}  inputTokens    - Over all turns and attempts.
+ * @property {number}  outputTokens   - Over all turns and attempts.
+ * @property {number}  inputCost      - USD.
+ * @property {number}  outputCost     - USD.
+ * @property {number}  totalCost      - USD.
+ * @property {number}  attemptCost    - USD for one session.
+ * @property {number}  contextTokens  - Largest request: the last turn's input plus its answer.
+ * @property {boolean} fitsContext    - `contextTokens` fits the context window.
+ * @property {boolean} fitsOutput     - One answer fits `maxOutput`.
+ */
+
+/**
+ * Estimate what a task costs on `model`, output included.
+ *
+ * Every turn resends the conversation so far: turn `n` pays for the initial
+ * input plus the `n - 1` previous answers and follow-up messages.  With
+ * `attempts` > 1 (pass@k) the whole session is paid for `k` times.
+ *
+ * When `outputTokens` is not given, the answer size is the category's
+ * `outputTokens` (capped at the model's `maxOutput`), or 10% of `maxOutput`.
+ *
+ * @param {string} model - A catalog model, e.g. 'sonnet'.
+ * @param {Object}  [opts]
+ * @param {string}  [opts.input]          - Prompt text, counted with the model's tokenizer.
+ * @param {number}  [opts.inputTokens]    - Or its size in tokens.
+ * @param {number}  [opts.outputTokens]   - Expected answer size per turn.
+ * @param {string}  [opts.category]       - A `TASK_CATEGORIES` key.
+ * @param {number}  [opts.turns=1]
+ * @param {number}  [opts.followUpTokens=0] - New user input per extra turn.
+ * @param {number}  [opts.attempts=1]
+ * @param {ModelCatalog} [opts.catalog] - Default: the built-in catalog.
+ * @returns {CostEstimate|null} Null for an unknown model.
+ */
+function estimateCost(model, opts = {}) {
+  const config = getModelConfig(model, opts.catalog);
+  if (!config) return null;
+
+  const input = typeof opts.input === 'string' ? estimateTokens(opts.input, model, opts.catalog) : Math.max(0, opts.inputTokens || 0);
+  const category = TASK_CATEGORIES[opts.category];
+  const output = typeof opts.outputTokens === 'number'
+    ? opts.outputTokens
+    : Math.min(category ? category.outputTokens : Math.round(config.maxOutput * DEFAULT_OUTPUT_SHARE), config.maxOutput);
+  const turns = Math.max(1, Math.floor(opts.turns || 1));
+  const attempts = Math.max(1, Math.floor(opts.attempts || 1));
+  const perTurn = output + (opts.followUpTokens || 0);
+
+  // Turn n sends the input plus (n - 1) earlier exchanges
+  const sessionInput = turns * input + perTurn * (turns * (turns - 1)) / 2;
+  const sessionOutput = turns * output;
+  const attemptCost = (sessionInput / 1000) * config.inputCostPer1k + (sessionOutput / 1000) * config.outputCostPer1k;
+  const contextTokens = input + perTurn * (turns - 1) + output;
+
+  return {
+    model: config.id,
+    turns,
+    attempts,
+    inputTokens: sessionInput * attempts,
+    outputTokens: sessionOutput * attempts,
+    inputCost: usd((sessionInput * attempts / 1000) * config.inputCostPer1k),
+    outputCost: usd((sessionOutput * attempts / 1000) * config.outputCostPer1k),
+    totalCost: usd(attemptCost * attempts),
+    attemptCost: usd(attemptCost),
+    contextTokens,
+    fitsContext: contextTokens <= config.contextWindow,
+    fitsOutput: output <= config.maxOutput,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// cheapestModel(opts, budget) -> CostEstimate|null
+// ---------------------------------------------------------------------------
+
+/**
+ * Find the cheapest model in the catalog for a task.
+ *
+ * @param {Object} [opts]   - As for `estimateCost`; `opts.catalog` is searched.
+ * @param {number} [budget] - Maximum spend in USD; any cost when omitted.
+ * @returns {CostEstimate|null} The cheapest estimate that fits the model's
+ *   context window and output limit and whose total cost fits `budget`, or null.
+ */
+function cheapestModel(opts = {}, budget = Infinity) {
+  return Object.keys((opts.catalog || DEFAULT_CATALOG).models)
+    .map((model) => estimateCost(model, opts))
+    .filter((estimate) => estimate.fitsContext && estimate.fitsOutput && estimate.totalCost <= budget)
+    .sort((a, b) => a.totalCost - b.totalCost)[0] || null;
+}
+
 // ---------------------------------------------------------------------------
 // Exports
 // ---------------------------------------------------------------------------
@@ -239,8 +668,15 @@ function isWithinBudget(model, estimatedTokens, budget) {
 module.exports = {
   TASK_CATEGORIES,
   MODEL_CONFIGS,
+  AGENT_TASKS,
+  DEFAULT_CATALOG,
+  loadModelCatalog,
+  classifyTask,
   selectModel,
+  agentModel,
   getModelConfig,
   estimateTokens,
   isWithinBudget,
+  estimateCost,
+  cheapestModel,
 };
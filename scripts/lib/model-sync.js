@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+
+/**
+ * model-sync.js - Keep agent models in line with the model routing table.
+ *
+ * An agent's model is stated in three places that drift apart:
+ *   - the routing table: `AGENT_TASKS` in model-selector.js (re-routed by
+ *     `models.tasks`) or a `models.agents` override in the project config —
+ *     the source of truth, and what `ecp add:agent` lists;
+ *   - the `model:` frontmatter of `.github/agents/<name>.agent.md`, which is
+ *     what Copilot actually runs;
+ *   - the "Model Recommendation" table of the `agents/<doc>.md` docs.
+ *
+ * `checkAgentModels` reports where the last two disagree with the first;
+ * `setFrontmatterModel` rewrites the frontmatter.  Docs are prose and are
+ * only reported.
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const registryLib = require('./registry');
+const modelSelector = require('./model-selector');
+const { parseMarkdown } = require('./utils');
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const DOCS_DIR = 'agents';
+
+// agents/*.md docs that are not named after their agent
+const DOC_NAMES = {
+  'build-fixer': 'build-error-resolver',
+  performance: 'performance-optimizer',
+  refactor: 'refactor-cleaner',
+  tdd: 'tdd-guide',
+};
+
+const FRONTMATTER = /^(---\r?\n)([\s\S]*?)(\r?\n---)/;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * The model an agent doc recommends: the first row of its
+ * `## Model Recommendation` table, verbatim (e.g. `Sonnet 4.5`).
+ *
+ * @param {string} text - Markdown of an agents/*.md doc.
+ * @returns {string|null}
+ */
+function docModel(text) {
+  const section = parseMarkdown(text).sections['model recommendation'];
+  if (!section) return null;
+  const row = section.split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line.startsWith('|') && !/^\|[\s:|-]+$/.test(line))[1];
+  return row ? row.split('|')[1].trim() || null : null;
+}
+
+// Catalog id a model name refers to, falling back to the opus/sonnet/haiku
+// tier it mentions ("Sonnet 4.5"); null when it names neither
+function modelId(model, catalog) {
+  const config = modelSelector.getModelConfig(model, catalog);
+  return config ? config.id : registryLib.modelTier(model);
+}
+
+const sameModel = (stated, expected) => (stated.id
+  ? stated.id === expected
+  : String(stated.model || '').trim().toLowerCase() === expected.trim().toLowerCase());
+
+// ---------------------------------------------------------------------------
+// checkAgentModels(root, opts) -> ModelSync
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} StatedModel
+ * @property {string}      source - File it is stated in, relative to the project root.
+ * @property {string|null} model  - As written; null when the file states none.
+ * @property {string|null} id     - Catalog model id (or tier) it names.
+ */
+
+/**
+ * @typedef {Object} AgentModelCheck
+ * @property {string}           name
+ * @property {string|null}      expected    - Model the routing table gives the agent; null when unrouted.
+ * @property {string|null}      source      - Task category or `models.agents.<name>` it comes from.
+ * @property {StatedModel|null} frontmatter - null when the agent is not installed.
+ * @property {StatedModel|null} doc         - null when there is no agents/*.md doc.
+ * @property {string[]}         drift       - One message per disagreeing file.
+ * @property {boolean}          fixable     - Whether `setFrontmatterModel` can fix the frontmatter.
+ */
+
+/**
+ * @typedef {Object} ModelSync
+ * @property {AgentModelCheck[]} agents - By name.
+ * @property {number}            drift  - Agents with at least one drift message.
+ */
+
+/**
+ * Compare every installed agent, and every routed agent with a doc, against
+ * the routing table.
+ *
+ * @param {string} root - Project root.
+ * @param {{ models?: object, catalog?: object }} [opts] - The `models` config
+ *   section and its `loadModelCatalog()` result.
+ * @returns {ModelSync}
+ */
+function checkAgentModels(root, opts = {}) {
+  const catalog = opts.catalog || modelSelector.DEFAULT_CATALOG;
+  const installed = new Map(registryLib.discoverAgents(path.join(root, ...registryLib.AGENTS_DIR.split('/')))
+    .map((agent) => [agent.name, agent]));
+  const docFor = (name) => path.join(root, DOCS_DIR, `${DOC_NAMES[name] || name}.md`);
+  const names = new Set([
+    ...installed.keys(),
+    ...Object.keys(modelSelector.AGENT_TASKS).filter((name) => fs.existsSync(docFor(name))),
+  ]);
+
+  const agents = [...names].sort().map((name) => {
+    const routed = modelSelector.agentModel(name, opts.models, catalog);
+    const agent = installed.get(name);
+    const frontmatter = agent
+      ? { source: `${registryLib.AGENTS_DIR}/${name}${registryLib.AGENT_SUFFIX}`, model: agent.model, id: modelId(agent.model, catalog) }
+      : null;
+    let doc = null;
+    if (fs.existsSync(docFor(name))) {
+      const model = docModel(fs.readFileSync(docFor(name), 'utf8'));
+      doc = { source: `${DOCS_DIR}/${path.basename(docFor(name))}`, model, id: modelId(model, catalog) };
+    }
+
+    const drift = [];
+    if (routed) {
+      if (frontmatter && !sameModel(frontmatter, routed.model)) {
+        drift.push(frontmatter.model
+          ? `${frontmatter.source}: model is ${frontmatter.id || `"${frontmatter.model}"`}, not ${routed.model}`
+          : `${frontmatter.source}: no model, expected ${routed.model}`);
+      }
+      if (doc && !sameModel(doc, routed.model)) {
+        drift.push(doc.model
+          ? `${doc.source}: recommends ${doc.id || `"${doc.model}"`}, not ${routed.model}`
+          : `${doc.source}: no Model Recommendation table, expected ${routed.model}`);
+      }
+    }
+    return {
+      name,
+      expected: routed ? routed.model : null,
+      source: routed ? routed.source : null,
+      frontmatter,
+      doc,
+      drift,
+      fixable: Boolean(routed && frontmatter && agent.frontmatter && !sameModel(frontmatter, routed.model)),
+    };
+  });
+
+  return { agents, drift: agents.filter((agent) => agent.drift.length > 0).length };
+}
+
+// ---------------------------------------------------------------------------
+// setFrontmatterModel(text, model) -> string
+// ---------------------------------------------------------------------------
+
+/**
+ * Set the `model:` key of an agent file's frontmatter, adding it at the end
+ * of the frontmatter when missing.  Everything else is left as it is.
+ *
+ * @param {string} text  - The `.agent.md` file.
+ * @param {string} model - Copilot model string, e.g. `claude-4-opus (Anthropic)`.
+ * @returns {string} `text` unchanged when it has no frontmatter.
+ */
+function setFrontmatterModel(text, model) {
+  const line = `model: '${model.replace(/'/g, "''")}'`;
+  return text.replace(FRONTMATTER, (all, open, body, close) => {
+    const updated = /^model:.*$/m.test(body) ? body.replace(/^model:.*$/m, line) : `${body}\n${line}`;
+    return `${open}${updated}${close}`;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  DOCS_DIR,
+  docModel,
+  checkAgentModels,
+  setFrontmatterModel,
+};
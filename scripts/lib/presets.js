@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+
+/**
+ * presets.js - Resolve `ecp init --preset=<spec>` to a preset definition.
+ *
+ * A spec is one of:
+ *   - a built-in preset name (`standard`, `go`, ...);
+ *   - a path to a JSON or YAML preset file (`./our-preset.json`);
+ *   - an installed npm package (`@acme/copilot-preset`) whose package.json
+ *     points at a preset file via `"everything-copilot": { "preset": "..." }`,
+ *     or which ships `preset.json` / `preset.yaml` / `preset.yml` at its root.
+ *
+ * Custom presets are validated against `schemas/ecp.preset.schema.json` and
+ * against what this toolkit actually ships: unknown skills, agents,
+ * instruction files or MCP profiles are errors, never silent skips.
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { validateSchema } = require('./schema');
+const { parseYaml } = require('./yaml');
+const { loadRegistry } = require('./registry');
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const PRESET_SCHEMA_PATH = path.resolve(__dirname, '..', '..', 'schemas', 'ecp.preset.schema.json');
+const PACKAGE_PRESET_FILES = ['preset.json', 'preset.yaml', 'preset.yml'];
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+function isPresetPath(spec) {
+  return /^[.~/\\]/.test(spec) || path.isAbsolute(spec) || /\.(json|ya?ml)$/i.test(spec);
+}
+
+function listNames(dir, suffix) {
+  try {
+    return fs.readdirSync(dir).filter((f) => f.endsWith(suffix)).map((f) => f.slice(0, -suffix.length));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Read a preset file, choosing the parser from its extension.
+ */
+function readPresetFile(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch {
+    throw new Error(`Preset file not found: ${filePath}`);
+  }
+  try {
+    return /\.ya?ml$/i.test(filePath) ? parseYaml(raw) : JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Could not parse preset ${filePath}: ${err.message}`);
+  }
+}
+
+/**
+ * Find `node_modules/<name>` from `fromDir` upwards, like Node's resolver.
+ */
+function findPackageDir(name, fromDir) {
+  let current = path.resolve(fromDir);
+  while (true) {
+    const candidate = path.join(current, 'node_modules', ...name.split('/'));
+    if (fs.existsSync(path.join(candidate, 'package.json'))) return candidate;
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+/**
+ * Locate the preset file for a path or package spec.
+ *
+ * @returns {{ file: string, source: string, defaultName: string }}
+ */
+function locatePreset(spec, baseDir) {
+  if (isPresetPath(spec)) {
+    const file = path.resolve(baseDir, spec.replace(/^~(?=$|[/\\])/, os.homedir()));
+    const rel = path.relative(baseDir, file);
+    const inside = rel && !rel.startsWith('..') && !path.isAbsolute(rel);
+    return {
+      file,
+      source: inside ? `./${rel.split(path.sep).join('/')}` : file,
+      defaultName: path.basename(file).replace(/\.(json|ya?ml)$/i, ''),
+    };
+  }
+
+  const pkgDir = findPackageDir(spec, baseDir);
+  if (!pkgDir) {
+    throw new Error(`Preset package "${spec}" is not installed. Run: npm install --save-dev ${spec}`);
+  }
+  const pkg = JSON.parse(fs.readFileSync(path.join(pkgDir, 'package.json'), 'utf8'));
+  const declared = pkg['everything-copilot'] && pkg['everything-copilot'].preset;
+  const candidates = declared ? [declared] : PACKAGE_PRESET_FILES;
+  const found = candidates.map((f) => path.join(pkgDir, f)).find((f) => fs.existsSync(f));
+  if (!found) {
+    throw new Error(`Package "${spec}" has no preset file (expected ${candidates.join(', ')}).`);
+  }
+  return { file: found, source: spec, defaultName: spec.replace(/^@[^/]+\//, '') };
+}
+
+// ---------------------------------------------------------------------------
+// toolkitInventory(toolkitRoot) -> { skills, agents, instructions, mcpProfiles }
+// ---------------------------------------------------------------------------
+
+/**
+ * Names a preset may refer to, as shipped by the toolkit at `toolkitRoot`.
+ *
+ * Instruction names are `.github/instructions/<name>.instructions.md` and
+ * `.copilot/instructions/<name>.md` basenames.
+ *
+ * @param {string} toolkitRoot
+ * @returns {{ skills: string[], agents: string[], instructions: string[], mcpProfiles: string[] }}
+ */
+function toolkitInventory(toolkitRoot) {
+  const registry = loadRegistry(toolkitRoot);
+
+  let mcpProfiles = [];
+  try {
+    const servers = JSON.parse(fs.readFileSync(path.join(toolkitRoot, 'mcp-configs', 'mcp-servers.json'), 'utf8'));
+    mcpProfiles = Object.keys(servers.profiles || {});
+  } catch {
+    // no MCP registry shipped
+  }
+
+  return {
+    skills: registry.skills.map((s) => s.name),
+    agents: registry.agents.map((a) => a.name),
+    instructions: [
+      ...listNames(path.join(toolkitRoot, '.github', 'instructions'), '.instructions.md'),
+      ...listNames(path.join(toolkitRoot, '.copilot', 'instructions'), '.md'),
+    ].sort(),
+    mcpProfiles: mcpProfiles.sort(),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// loadCustomPreset(spec, opts) -> { name, preset, source }
+// ---------------------------------------------------------------------------
+
+/**
+ * Load and validate a preset file or package.
+ *
+ * The returned `preset` has the same shape as the built-in presets
+ * (`desc`, `skills`, `includeAgents`, `includeInstructions`,
+ * `includeScripts`) plus optional `agents`, `instructions` and `mcp`.
+ *
+ * @param {string} spec
+ * @param {{ baseDir: string, toolkitRoot: string, builtIns: object }} opts
+ * @returns {{ name: string, preset: object, source: string }}
+ * @throws {Error} Listing every problem found in the preset.
+ */
+function loadCustomPreset(spec, opts) {
+  const { file, source, defaultName } = locatePreset(spec, opts.baseDir);
+  const data = readPresetFile(file);
+
+  const errors = validateSchema(data, PRESET_SCHEMA_PATH);
+  if (data && typeof data === 'object' && !Array.isArray(data)) {
+    const inventory = toolkitInventory(opts.toolkitRoot);
+    const checkNames = (key, known, label) => {
+      if (!Array.isArray(data[key])) return;
+      for (const name of data[key].filter((n) => typeof n === 'string')) {
+        if (!known.includes(name)) errors.push(`${key}: unknown ${label} "${name}"`);
+      }
+    };
+    if (typeof data.extends === 'string' && !opts.builtIns[data.extends]) {
+      errors.push(`extends: unknown built-in preset "${data.extends}" (available: ${Object.keys(opts.builtIns).join(', ')})`);
+    }
+    checkNames('skills', inventory.skills, 'skill');
+    checkNames('agents', inventory.agents, 'agent');
+    checkNames('instructions', inventory.instructions, 'instruction file');
+    if (typeof data.mcp === 'string' && !inventory.mcpProfiles.includes(data.mcp)) {
+      errors.push(`mcp: unknown MCP profile "${data.mcp}" (available: ${inventory.mcpProfiles.join(', ')})`);
+    }
+  }
+  if (errors.length > 0) {
+    throw new Error(`Preset ${source} is invalid:\n${errors.map((e) => `  - ${e}`).join('\n')}`);
+  }
+
+  const base = data.extends ? opts.builtIns[data.extends] : {};
+  const preset = {
+    desc: data.description || base.desc || `Custom preset from ${source}`,
+    skills: [...(data.skills || base.skills || [])],
+    includeAgents: base.includeAgents !== undefined ? Boolean(base.includeAgents) : true,
+    includeInstructions: base.includeInstructions !== undefined ? Boolean(base.includeInstructions) : true,
+    includeScripts: data.scripts !== undefined ? data.scripts : Boolean(base.includeScripts),
+  };
+  if (base.agents) preset.agents = [...base.agents];
+  if (base.instructions) preset.instructions = [...base.instructions];
+  if (base.mcp) preset.mcp = base.mcp;
+
+  if (Array.isArray(data.agents)) {
+    preset.includeAgents = false;
+    preset.agents = [...data.agents];
+  } else if (data.agents !== undefined) {
+    preset.includeAgents = data.agents;
+    delete preset.agents;
+  }
+  if (Array.isArray(data.instructions)) {
+    preset.includeInstructions = true;
+    preset.instructions = [...data.instructions];
+  } else if (data.instructions !== undefined) {
+    preset.includeInstructions = data.instructions;
+    delete preset.instructions;
+  }
+  if (data.mcp) preset.mcp = data.mcp;
+
+  return { name: data.name || defaultName, preset, source };
+}
+
+// ---------------------------------------------------------------------------
+// resolvePreset(spec, opts) -> { name, preset, source }
+// ---------------------------------------------------------------------------
+
+/**
+ * Resolve a preset spec: built-in name first, then file path or package.
+ *
+ * @param {string} spec
+ * @param {{ baseDir: string, toolkitRoot: string, builtIns: object }} opts
+ * @returns {{ name: string, preset: object, source: string|null }}
+ *   `source` is null for built-in presets.
+ */
+function resolvePreset(spec, opts) {
+  if (opts.builtIns[spec]) return { name: spec, preset: opts.builtIns[spec], source: null };
+  if (!isPresetPath(spec) && !findPackageDir(spec, opts.baseDir)) {
+    throw new Error(
+      `Unknown preset "${spec}". Built-in presets: ${Object.keys(opts.builtIns).join(', ')}. ` +
+      'Custom presets: pass a file (--preset=./preset.json) or an installed npm package.'
+    );
+  }
+  return loadCustomPreset(spec, opts);
+}
+
+// ---------------------------------------------------------------------------
+// renderMcpConfig(profile, toolkitRoot) -> string
+// ---------------------------------------------------------------------------
+
+const SHELL_VAR_RE = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+// Connection strings count as secrets: they usually carry a password.
+const SECRET_VAR_RE = /TOKEN|SECRET|PASSWORD|_KEY$|^(?:DATABASE|POSTGRES)_URL$/;
+
+/**
+ * Rewrite the shell-style `${VAR}` / `${VAR:-default}` references of the
+ * server registry into the variables VS Code understands, collecting the
+ * prompts they need into `inputs`.
+ *
+ *   WORKSPACE_ROOT     -> ${workspaceFolder}
+ *   secrets            -> ${input:<var>} with `password: true`
+ *   ${VAR:-default}    -> ${input:<var>} prompting with the default
+ *   ${VAR}             -> ${env:VAR}
+ *
+ * @param {string} value
+ * @param {string} server - server name, for the input description
+ * @param {Map<string, object>} inputs - collected inputs, keyed by id
+ * @returns {string}
+ */
+function toVsCodeVars(value, server, inputs) {
+  return value.replace(SHELL_VAR_RE, (match, name, fallback) => {
+    if (name === 'WORKSPACE_ROOT') return '${workspaceFolder}';
+    const secret = SECRET_VAR_RE.test(name);
+    if (!secret && fallback === undefined) return `\${env:${name}}`;
+
+    const id = name.toLowerCase().replace(/_/g, '-');
+    if (!inputs.has(id)) {
+      const input = { type: 'promptString', id, description: `${name} for the ${server} MCP server` };
+      if (secret) input.password = true;
+      else input.default = fallback;
+      inputs.set(id, input);
+    }
+    return `\${input:${id}}`;
+  });
+}
+
+/**
+ * Build a VS Code `.vscode/mcp.json` for an MCP profile of the toolkit's
+ * server registry.  Variable references are translated by `toVsCodeVars`:
+ * secrets and values with a default become `inputs` VS Code prompts for,
+ * everything else is read from the environment.
+ *
+ * @param {string} profile
+ * @param {string} toolkitRoot
+ * @returns {string}
+ */
+function renderMcpConfig(profile, toolkitRoot) {
+  const registry = JSON.parse(fs.readFileSync(path.join(toolkitRoot, 'mcp-configs', 'mcp-servers.json'), 'utf8'));
+  const inputs = new Map();
+  const servers = {};
+  for (const name of registry.profiles[profile].servers) {
+    const server = registry.servers[name];
+    const entry = {
+      type: 'stdio',
+      command: server.command,
+      args: (server.args || []).map((arg) => toVsCodeVars(arg, name, inputs)),
+    };
+    if (server.env && Object.keys(server.env).length > 0) {
+      entry.env = {};
+      for (const [key, value] of Object.entries(server.env)) entry.env[key] = toVsCodeVars(value, name, inputs);
+    }
+    servers[name] = entry;
+  }
+  const config = inputs.size > 0 ? { inputs: [...inputs.values()], servers } : { servers };
+  return JSON.stringify(config, null, 2) + '\n';
+}
+
+// ---------------------------------------------------------------------------
+// Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  PRESET_SCHEMA_PATH,
+  toolkitInventory,
+  loadCustomPreset,
+  resolvePreset,
+  renderMcpConfig,
+};
@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+
+/**
+ * registry.js - Discover skills, agents and instruction files from the
+ * filesystem.
+ *
+ * Skills are `.copilot/skills/<name>/SKILL.md` directories; agents are
+ * `.github/agents/<name>.agent.md` files; instruction files are
+ * `.github/instructions/<name>.instructions.md`.  Metadata comes from the
+ * files themselves — YAML frontmatter where present, otherwise the SKILL.md
+ * `## Description` / `**Description:**` conventions — so the CLI never
+ * drifts from what is actually shipped or installed.
+ *
+ * The same functions describe the toolkit (pass its root) and a project
+ * (pass the project root).
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseYaml } = require('./yaml');
+const { parseMarkdown } = require('./utils');
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const SKILL_FILE = 'SKILL.md';
+const AGENT_SUFFIX = '.agent.md';
+const INSTRUCTIONS_SUFFIX = '.instructions.md';
+const SKILLS_DIR = '.copilot/skills';
+const AGENTS_DIR = '.github/agents';
+const INSTRUCTIONS_DIR = '.github/instructions';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function listFiles(dir, prefix = '') {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) files.push(...listFiles(path.join(dir, entry.name), rel));
+    else files.push(rel);
+  }
+  return files;
+}
+
+function firstParagraph(text) {
+  return (text || '').split(/\n\s*\n/)[0].replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Split a markdown file into its YAML frontmatter and body.
+ *
+ * @param {string} text
+ * @returns {{ data: object|null, body: string, error: string|null }}
+ *   `data` is null when there is no frontmatter or it does not parse.
+ */
+function parseFrontmatter(text) {
+  const normalized = String(text).replace(/\r\n?/g, '\n');
+  const match = normalized.match(/^---\n([\s\S]*?)\n---(?:\n|$)/);
+  if (!match) return { data: null, body: normalized, error: null };
+
+  const body = normalized.slice(match[0].length);
+  try {
+    const data = parseYaml(match[1]);
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      return { data: null, body, error: 'frontmatter is not a mapping' };
+    }
+    return { data, body, error: null };
+  } catch (err) {
+    // Frontmatter line numbers start after the opening `---`
+    return { data: null, body, error: `frontmatter ${err.message.replace(/^line (\d+)/, (_, n) => `line ${Number(n) + 1}`)}` };
+  }
+}
+
+/**
+ * Model tier (`opus`, `sonnet`, `haiku`) named in a Copilot model string
+ * such as `claude-sonnet-4 (Anthropic)`; null for other models.
+ *
+ * @param {string} model
+ * @returns {string|null}
+ */
+function modelTier(model) {
+  const match = /\b(opus|sonnet|haiku)\b/i.exec(String(model || '').replace(/[-_]/g, ' '));
+  return match ? match[1].toLowerCase() : null;
+}
+
+// ---------------------------------------------------------------------------
+// Skills
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} SkillEntry
+ * @property {string}      name        - Directory name.
+ * @property {string}      dir         - Absolute path to the skill directory.
+ * @property {string|null} file        - Absolute path to SKILL.md; null when missing.
+ * @property {string}      title       - First `#` heading (without a trailing "Skill").
+ * @property {string}      description - Empty when the skill has none.
+ * @property {string[]}    triggers    - Trigger condition bullets.
+ * @property {string[]}    filePatterns - Globs from a `Files matching: \`*.tsx\`, ...` trigger.
+ * @property {string[]}    files       - Every file in the skill, POSIX-relative, sorted.
+ */
+
+/**
+ * Describe one skill directory.
+ *
+ * @param {string} dir
+ * @returns {SkillEntry}
+ */
+function readSkill(dir) {
+  const name = path.basename(dir);
+  const file = path.join(dir, SKILL_FILE);
+  const entry = { name, dir, file: null, title: name, description: '', triggers: [], filePatterns: [], files: listFiles(dir).sort() };
+  if (!fs.existsSync(file)) return entry;
+
+  entry.file = file;
+  const { data, body } = parseFrontmatter(fs.readFileSync(file, 'utf8'));
+  const { headings, sections } = parseMarkdown(body);
+  const h1 = headings.find((h) => h.level === 1);
+  if (h1) entry.title = h1.text.replace(/\s+Skill$/i, '');
+
+  const label = /\*\*Description:\*\*\s*(.+)/i.exec(body);
+  entry.description = (data && typeof data.description === 'string' && data.description.trim()) ||
+    firstParagraph(sections.description) ||
+    (label ? label[1].trim() : '');
+
+  const triggerText = sections['trigger conditions'] || sections.triggers || '';
+  entry.triggers = triggerText.split('\n')
+    .filter((line) => /^\s*[-*]\s+/.test(line))
+    .map((line) => line.replace(/^\s*[-*]\s+/, '').trim());
+  if (entry.triggers.length === 0 && data && Array.isArray(data.triggers)) {
+    entry.triggers = data.triggers.map(String);
+  }
+
+  // `- Files matching: `*.tsx`, `*.jsx`` (as written by `ecp skill:create`)
+  for (const trigger of entry.triggers) {
+    const match = /^files matching:\s*(.+)$/i.exec(trigger);
+    if (match) entry.filePatterns.push(...[...match[1].matchAll(/`([^`]+)`/g)].map((m) => m[1]));
+  }
+  return entry;
+}
+
+/**
+ * Every skill directory under `skillsDir`, sorted by name.  Directories
+ * without a SKILL.md are included with `file: null`.
+ *
+ * @param {string} skillsDir
+ * @returns {SkillEntry[]}
+ */
+function discoverSkills(skillsDir) {
+  let dirs;
+  try {
+    dirs = fs.readdirSync(skillsDir, { withFileTypes: true }).filter((d) => d.isDirectory());
+  } catch {
+    return [];
+  }
+  return dirs.map((d) => readSkill(path.join(skillsDir, d.name))).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// ---------------------------------------------------------------------------
+// Agents
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} AgentEntry
+ * @property {string}      name        - File name without `.agent.md`.
+ * @property {string}      file        - Absolute path to the agent file.
+ * @property {string}      title       - Frontmatter `name` (falls back to `name`).
+ * @property {string}      description
+ * @property {string|null} model       - Frontmatter `model`, verbatim.
+ * @property {string|null} tier        - `opus`, `sonnet` or `haiku`, from `model`.
+ * @property {string[]}    tools
+ * @property {object|null} frontmatter - Parsed frontmatter, for validators.
+ * @property {string|null} error       - Why the frontmatter could not be read.
+ */
+
+/**
+ * Describe one `.agent.md` file.
+ *
+ * @param {string} file
+ * @returns {AgentEntry}
+ */
+function readAgent(file) {
+  const { data, error } = parseFrontmatter(fs.readFileSync(file, 'utf8'));
+  const fm = data || {};
+  const str = (v) => (typeof v === 'string' && v.trim() ? v.trim() : null);
+  const model = str(fm.model);
+  return {
+    name: path.basename(file).slice(0, -AGENT_SUFFIX.length),
+    file,
+    title: str(fm.name) || path.basename(file).slice(0, -AGENT_SUFFIX.length),
+    description: str(fm.description) || '',
+    model,
+    tier: modelTier(model),
+    tools: Array.isArray(fm.tools) ? fm.tools.map(String) : [],
+    frontmatter: data,
+    error: error || (data ? null : 'missing frontmatter'),
+  };
+}
+
+/**
+ * Every `*.agent.md` file in `agentsDir`, sorted by name.
+ *
+ * @param {string} agentsDir
+ * @returns {AgentEntry[]}
+ */
+function discoverAgents(agentsDir) {
+  let files;
+  try {
+    files = fs.readdirSync(agentsDir).filter((f) => f.endsWith(AGENT_SUFFIX));
+  } catch {
+    return [];
+  }
+  return files.sort().map((f) => readAgent(path.join(agentsDir, f)));
+}
+
+// ---------------------------------------------------------------------------
+// Instructions
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} InstructionEntry
+ * @property {string}      name        - File name without `.instructions.md`.
+ * @property {string}      file        - Absolute path to the instruction file.
+ * @property {*}           applyTo     - Frontmatter `applyTo`, verbatim (normally a
+ *   comma-separated glob string); undefined when unset.
+ * @property {object|null} frontmatter - Parsed frontmatter, for validators.
+ * @property {string|null} error       - Why the frontmatter could not be read.
+ */
+
+/**
+ * Describe one `.instructions.md` file.
+ *
+ * @param {string} file
+ * @returns {InstructionEntry}
+ */
+function readInstruction(file) {
+  const { data, error } = parseFrontmatter(fs.readFileSync(file, 'utf8'));
+  return {
+    name: path.basename(file).slice(0, -INSTRUCTIONS_SUFFIX.length),
+    file,
+    applyTo: data ? data.applyTo : undefined,
+    frontmatter: data,
+    error: error || (data ? null : 'missing frontmatter'),
+  };
+}
+
+/**
+ * Every `*.instructions.md` file in `instructionsDir`, sorted by name.
+ *
+ * @param {string} instructionsDir
+ * @returns {InstructionEntry[]}
+ */
+function discoverInstructions(instructionsDir) {
+  let files;
+  try {
+    files = fs.readdirSync(instructionsDir).filter((f) => f.endsWith(INSTRUCTIONS_SUFFIX));
+  } catch {
+    return [];
+  }
+  return files.sort().map((f) => readInstruction(path.join(instructionsDir, f)));
+}
+
+// ---------------------------------------------------------------------------
+// loadRegistry(root) -> { skills, agents, instructions }
+// ---------------------------------------------------------------------------
+
+/**
+ * Skills, agents and instruction files found under `root` (the toolkit or
+ * a project).
+ *
+ * @param {string} root
+ * @param {{ skillsDir?: string }} [opts] - Skills directory relative to
+ *   `root`, for projects that configure `paths.skills`.
+ * @returns {{ skills: SkillEntry[], agents: AgentEntry[], instructions: InstructionEntry[] }}
+ */
+function loadRegistry(root, opts = {}) {
+  return {
+    skills: discoverSkills(path.resolve(root, opts.skillsDir || SKILLS_DIR)),
+    agents: discoverAgents(path.join(root, ...AGENTS_DIR.split('/'))),
+    instructions: discoverInstructions(path.join(root, ...INSTRUCTIONS_DIR.split('/'))),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  SKILL_FILE,
+  AGENT_SUFFIX,
+  INSTRUCTIONS_SUFFIX,
+  SKILLS_DIR,
+  AGENTS_DIR,
+  INSTRUCTIONS_DIR,
+  parseFrontmatter,
+  modelTier,
+  readSkill,
+  discoverSkills,
+  readAgent,
+  discoverAgents,
+  readInstruction,
+  discoverInstructions,
+  loadRegistry,
+};
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * report.js - Machine-readable (`--json`) command output.
+ *
+ * Every report is one JSON document on stdout shaped as
+ * `{ schemaVersion, command, ...fields }` and described, per command, in
+ * `schemas/ecp.report.schema.json`.  Fields may be added within a schema
+ * version; renaming or removing one bumps `REPORT_SCHEMA_VERSION`.
+ */
+
+'use strict';
+
+const path = require('node:path');
+const { validateSchema } = require('./schema');
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const REPORT_SCHEMA_VERSION = 1;
+const REPORT_SCHEMA_PATH = path.resolve(__dirname, '..', '..', 'schemas', 'ecp.report.schema.json');
+
+// Schema definition describing each command's report
+const DEFINITIONS = {
+  list: 'list',
+  validate: 'validate',
+  doctor: 'doctor',
+  explain: 'explain',
+  budget: 'budget',
+  route: 'route',
+  'models:sync': 'modelsSync',
+  'instinct list': 'instinctList',
+  'instinct evolve': 'instinctEvolve',
+  'instinct status': 'instinctStatus',
+};
+
+// ---------------------------------------------------------------------------
+// createReport / printReport
+// ---------------------------------------------------------------------------
+
+/**
+ * Wrap command output in the versioned report envelope.
+ *
+ * @param {string} command - e.g. `list`, `instinct status`.
+ * @param {object} fields
+ * @returns {object}
+ */
+function createReport(command, fields) {
+  return { schemaVersion: REPORT_SCHEMA_VERSION, command, ...fields };
+}
+
+/**
+ * Report for a command that could not run at all.
+ *
+ * @param {string} command
+ * @param {string} error
+ * @returns {object}
+ */
+function createFailure(command, error) {
+  return createReport(command, { ok: false, error });
+}
+
+/**
+ * Write a report to stdout as pretty-printed JSON.
+ *
+ * @param {object} report
+ */
+function printReport(report) {
+  process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+}
+
+// ---------------------------------------------------------------------------
+// validateReport(report) -> string[]
+// ---------------------------------------------------------------------------
+
+/**
+ * Check a report against its definition in the report schema.
+ *
+ * @param {object} report
+ * @returns {string[]} Problems; empty when the report matches.
+ */
+function validateReport(report) {
+  const schema = require(REPORT_SCHEMA_PATH);
+  const name = report && report.error !== undefined ? 'failure' : DEFINITIONS[report && report.command];
+  if (!name) return [`command: no report schema for "${report && report.command}"`];
+  return validateSchema(report, { $ref: `#/definitions/${name}`, definitions: schema.definitions });
+}
+
+// ---------------------------------------------------------------------------
+// Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  REPORT_SCHEMA_VERSION,
+  REPORT_SCHEMA_PATH,
+  createReport,
+  createFailure,
+  printReport,
+  validateReport,
+};
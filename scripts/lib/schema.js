@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * schema.js - Minimal JSON Schema checker.
+ *
+ * Covers the subset of JSON Schema used by the files in `schemas/`: local
+ * `$ref`, `type` (single or list, including `integer`), `required`, `properties`,
+ * `additionalProperties`, `items`, `uniqueItems`, `enum`, `pattern`,
+ * `minLength` and `minimum`.  Anything else is ignored.  No external dependencies.
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+const cache = new Map();
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function check(value, schema, where, root, errors) {
+  if (schema.$ref) {
+    const name = schema.$ref.replace(/^#\/definitions\//, '');
+    check(value, root.definitions[name], where, root, errors);
+    return;
+  }
+
+  const actual = typeOf(value);
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const isInteger = actual === 'number' && Number.isInteger(value);
+    if (!allowed.includes(actual) && !(isInteger && allowed.includes('integer'))) {
+      errors.push(`${where}: expected ${allowed.join(' or ')}, got ${actual}`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (actual === 'number' && typeof schema.minimum === 'number' && value < schema.minimum) {
+    errors.push(`${where}: must be at least ${schema.minimum}`);
+  }
+
+  if (actual === 'string') {
+    if (schema.minLength && value.length < schema.minLength) {
+      errors.push(`${where}: must not be empty`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${where}: "${value}" does not match ${schema.pattern}`);
+    }
+  }
+
+  if (actual === 'array') {
+    if (schema.uniqueItems) {
+      const seen = new Set();
+      for (const item of value) {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) errors.push(`${where}: duplicate entry ${key}`);
+        seen.add(key);
+      }
+    }
+    if (schema.items) {
+      value.forEach((item, i) => check(item, schema.items, `${where}[${i}]`, root, errors));
+    }
+  }
+
+  if (actual === 'object') {
+    const props = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${where === '' ? key : `${where}.${key}`}: required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childWhere = where === '' ? key : `${where}.${key}`;
+      if (props[key]) {
+        check(child, props[key], childWhere, root, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${childWhere}: unknown key`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        check(child, schema.additionalProperties, childWhere, root, errors);
+      }
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// validateSchema(value, schema) -> string[]
+// ---------------------------------------------------------------------------
+
+/**
+ * Check `value` against a JSON Schema.
+ *
+ * @param {*} value
+ * @param {object|string} schema - Schema object, or path to a schema file.
+ * @returns {string[]} Problems as `<location>: <message>`; empty when valid.
+ */
+function validateSchema(value, schema) {
+  if (typeof schema === 'string') {
+    if (!cache.has(schema)) cache.set(schema, JSON.parse(fs.readFileSync(schema, 'utf8')));
+    schema = cache.get(schema);
+  }
+  const errors = [];
+  check(value, schema, '', schema, errors);
+  return errors.map((e) => (e.startsWith(':') ? `(root)${e}` : e));
+}
+
+// ---------------------------------------------------------------------------
+// Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  validateSchema,
+};
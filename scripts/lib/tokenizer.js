@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+/**
+ * tokenizer.js - Offline token counting.
+ *
+ * Real tokenizers ship multi-megabyte vocabularies, so this module bundles
+ * approximations instead and lets callers plug in a real one:
+ *
+ *   - `bpe`   (default) mimics a byte-pair encoder: text is pre-split the way
+ *             BPE tokenisers split it (words with their leading space, digit
+ *             groups, punctuation runs, whitespace), then each piece is
+ *             costed — common-length words are one token, identifiers are
+ *             split on camelCase, long words cost one token per few letters,
+ *             CJK costs about a token per character and repeated
+ *             punctuation (`-----`) is merged.
+ *   - `chars` the classic ~4 characters per token.
+ *
+ * `bpe` is calibrated against cl100k_base on tests/fixtures/tokens, where it
+ * stays within 10% for prose, code, JSON and CJK; `chars` is off by up to 4x
+ * for CJK.  `MODEL_CONFIGS[model].tokenizer` picks the tokenizer per model.
+ */
+
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const DEFAULT_TOKENIZER = 'bpe';
+
+// Pre-tokenisation, after the cl100k_base split pattern
+const PIECE = /'(?:[sdmt]|ll|ve|re)|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/gu;
+const CJK = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+// Identifier parts: `getHTTPResponse` -> get, HTTP, Response
+const WORD_PART = /[A-Z]+(?![a-z])|[A-Z]?[a-z]+|[A-Za-z]+/g;
+
+// Calibrated on the fixtures (see the module comment)
+const WORD_LETTERS = 10;     // letters a single-token word can have
+const LETTERS_PER_TOKEN = 4; // beyond that
+const PUNCT_PER_TOKEN = 2.5;
+const RUN_PER_TOKEN = 16;    // `-----`, `=====`
+const OTHER_PER_TOKEN = 2;   // letters of other non-Latin scripts
+
+// ---------------------------------------------------------------------------
+// Bundled tokenizers
+// ---------------------------------------------------------------------------
+
+function wordTokens(word) {
+  if (CJK.test(word)) {
+    let tokens = 0;
+    for (const ch of word) tokens += CJK.test(ch) ? 1 : 0.5;
+    return Math.ceil(tokens);
+  }
+  if (/[^\x00-\x7f]/.test(word)) return Math.ceil([...word].length / OTHER_PER_TOKEN);
+
+  let tokens = 0;
+  for (const part of word.match(WORD_PART) || [word]) {
+    tokens += part.length <= WORD_LETTERS ? 1 : 1 + Math.ceil((part.length - WORD_LETTERS) / LETTERS_PER_TOKEN);
+  }
+  return tokens;
+}
+
+function punctuationTokens(piece) {
+  let tokens = 0;
+  const rest = piece.trim().replace(/(.)\1{2,}/gu, (run) => {
+    tokens += Math.ceil(run.length / RUN_PER_TOKEN);
+    return '';
+  });
+  return tokens + Math.ceil(rest.length / PUNCT_PER_TOKEN);
+}
+
+function bpe(text) {
+  let tokens = 0;
+  for (const [piece] of text.matchAll(PIECE)) {
+    if (/\p{L}/u.test(piece)) tokens += wordTokens(piece.replace(/^[^\p{L}]/u, ''));
+    else if (/\p{N}/u.test(piece) || /^\s+$/.test(piece)) tokens += 1;
+    else tokens += punctuationTokens(piece);
+  }
+  return tokens;
+}
+
+function chars(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/** @type {Map<string, function(string): number>} */
+const TOKENIZERS = new Map([
+  ['bpe', bpe],
+  ['chars', chars],
+]);
+
+// ---------------------------------------------------------------------------
+// registerTokenizer / getTokenizer / countTokens
+// ---------------------------------------------------------------------------
+
+/**
+ * Add or replace a tokenizer, e.g. one backed by a real vocabulary:
+ *
+ *   registerTokenizer('cl100k', (text) => encoder.encode(text).length);
+ *
+ * @param {string} name
+ * @param {function(string): number} count - Tokens in a non-empty string.
+ */
+function registerTokenizer(name, count) {
+  if (!name || typeof name !== 'string') throw new Error('Tokenizer name must be a non-empty string');
+  if (typeof count !== 'function') throw new Error(`Tokenizer "${name}" must be a function`);
+  TOKENIZERS.set(name, count);
+}
+
+/**
+ * @param {string} [name] - Default: `bpe`.
+ * @returns {function(string): number}
+ * @throws {Error} When no tokenizer has that name.
+ */
+function getTokenizer(name = DEFAULT_TOKENIZER) {
+  const count = TOKENIZERS.get(name);
+  if (!count) throw new Error(`Unknown tokenizer "${name}". Available: ${[...TOKENIZERS.keys()].join(', ')}`);
+  return count;
+}
+
+/**
+ * Count the tokens of `text` with a named tokenizer.
+ *
+ * @param {string} text
+ * @param {string} [name] - Default: `bpe`.
+ * @returns {number} Always >= 0; 0 for empty or non-string input.
+ */
+function countTokens(text, name = DEFAULT_TOKENIZER) {
+  if (!text || typeof text !== 'string') return 0;
+  return getTokenizer(name)(text);
+}
+
+// ---------------------------------------------------------------------------
+// Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  DEFAULT_TOKENIZER,
+  registerTokenizer,
+  getTokenizer,
+  countTokens,
+};
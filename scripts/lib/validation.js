@@ -0,0 +1,654 @@
+#!/usr/bin/env node
+
+/**
+ * validation.js - The rule engine behind every validator.
+ *
+ * `ecp validate`, `scripts/validate-skills.js` and
+ * `scripts/validate-agents.js` all run the rules defined here, so a skill
+ * or agent that passes one of them passes all of them.
+ *
+ * A rule has an ID (`<kind>/<name>`), a default severity and a `check`
+ * that returns problem messages for one subject.  Subjects are skills,
+ * `.agent.md` files, `.instructions.md` files, a legacy
+ * `.copilot/AGENTS.md` or the project itself.
+ * Projects change severities (or switch rules off) with `validate.rules`
+ * in the project config.
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const configLib = require('./config');
+const agentTemplate = require('./agent-template');
+const glob = require('./glob');
+const manifestLib = require('./manifest');
+const modelSelector = require('./model-selector');
+const registryLib = require('./registry');
+const { parseMarkdown } = require('./utils');
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Severities a rule can be set to in `validate.rules`. */
+const LEVELS = ['off', 'warn', 'error'];
+
+const AGENTS_MD = '.copilot/AGENTS.md';
+const INSTRUCTIONS_DIR = '.copilot/instructions';
+
+/** Frontmatter keys every `.agent.md` file must set. */
+const AGENT_KEYS = ['name', 'description', 'tools', 'model'];
+
+/** Sub-sections every `## Agent` in AGENTS.md must contain. */
+const AGENTS_MD_SECTIONS = ['description', 'model', 'tools', 'constraints'];
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Determine whether a field is present in markdown content.
+ *
+ * We accept the field if:
+ *   - A markdown heading contains the field name (e.g., `## Name`).
+ *   - A bold-label pattern exists (e.g., `**Name:**`).
+ *   - A YAML-like key exists at the start of a line (e.g., `name:`).
+ *
+ * @param {string} field   - Field name (lowercase).
+ * @param {string} content - Raw markdown content.
+ * @param {{ headings: Array<{ text: string }> }} parsed - Parsed markdown.
+ * @returns {boolean}
+ */
+function hasField(field, content, parsed) {
+  const lower = field.toLowerCase();
+  if (parsed.headings.some((h) => h.text.toLowerCase().includes(lower))) return true;
+  if (new RegExp(`\\*\\*${field}\\*\\*\\s*:?`, 'i').test(content)) return true;
+  return new RegExp(`^${field}\\s*:`, 'im').test(content);
+}
+
+/**
+ * Extract local file references from skill content: `file:`, `path:` and
+ * `template:` lines, and markdown links that are not URLs or anchors.
+ *
+ * @param {string} content  - Raw markdown content.
+ * @param {string} skillDir - Absolute path used to resolve relative paths.
+ * @returns {string[]} Absolute paths that were referenced.
+ */
+function extractFileReferences(content, skillDir) {
+  const refs = new Set();
+
+  const yamlFileRegex = /^(?:file|path|template)\s*:\s*(.+)$/gim;
+  let match;
+  while ((match = yamlFileRegex.exec(content)) !== null) {
+    const refPath = match[1].trim().replace(/^['"]|['"]$/g, '');
+    if (refPath && !refPath.startsWith('http')) refs.add(path.resolve(skillDir, refPath));
+  }
+
+  const linkRegex = /\[.*?\]\(([^)]+)\)/g;
+  while ((match = linkRegex.exec(content)) !== null) {
+    const href = match[1].trim();
+    if (href && !href.startsWith('http') && !href.startsWith('#') && !href.startsWith('mailto:')) {
+      refs.add(path.resolve(skillDir, href));
+    }
+  }
+
+  return Array.from(refs);
+}
+
+/**
+ * Check each `##` agent section of an AGENTS.md for the required `###`
+ * sub-sections.
+ *
+ * @param {string} content
+ * @returns {Array<{ name: string, missing: string[], found: string[] }>}
+ */
+function agentsMdSections(content) {
+  const { headings } = parseMarkdown(content);
+  const agentHeadings = headings.filter((h) => h.level === 2);
+
+  return agentHeadings.map((heading, i) => {
+    const next = i + 1 < agentHeadings.length ? agentHeadings[i + 1].line : Infinity;
+    const subHeadings = headings
+      .filter((h) => h.level === 3 && h.line > heading.line && h.line < next)
+      .map((h) => h.text.toLowerCase());
+    const found = AGENTS_MD_SECTIONS.filter((req) => subHeadings.some((s) => s.includes(req)));
+    const missing = AGENTS_MD_SECTIONS.filter((req) => !found.includes(req));
+    return { name: heading.text, missing, found };
+  });
+}
+
+/** Directories never searched when matching `applyTo` globs. */
+const IGNORED_DIRS = ['.git', 'node_modules'];
+
+/**
+ * Every file in the project as a POSIX path relative to `root`, skipping
+ * IGNORED_DIRS.
+ *
+ * @param {string} root
+ * @returns {string[]}
+ */
+function listProjectFiles(root) {
+  const files = [];
+  const walk = (dir, prefix) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory() && !IGNORED_DIRS.includes(entry.name)) walk(path.join(dir, entry.name), rel);
+      else if (entry.isFile()) files.push(rel);
+    }
+  };
+  walk(root, '');
+  return files.sort();
+}
+
+// The applyTo patterns of an instruction file, or null when unusable
+function validPatterns(instruction) {
+  if (typeof instruction.applyTo !== 'string') return null;
+  const patterns = glob.splitPatterns(instruction.applyTo);
+  return patterns.every((p) => glob.checkPattern(p) === null) ? patterns : null;
+}
+
+// Project files an instruction file applies to, cached per validation run
+function matchedFiles(instruction, ctx) {
+  if (!ctx.matches.has(instruction.file)) {
+    const patterns = validPatterns(instruction);
+    const regexes = patterns ? patterns.map(glob.globToRegExp) : [];
+    ctx.matches.set(instruction.file, ctx.projectFiles.filter((f) => regexes.some((re) => re.test(f))));
+  }
+  return ctx.matches.get(instruction.file);
+}
+
+// Files `ecp init` installed, per the lockfile; none when it is missing or unreadable
+function toolkitFiles(root) {
+  try {
+    const manifest = manifestLib.loadManifest(root);
+    return new Set(manifest ? Object.keys(manifest.files) : []);
+  } catch {
+    return new Set();
+  }
+}
+
+// Whether a finding target is a file the toolkit installed
+function isToolkitFile(target, ctx) {
+  return Boolean(ctx.toolkitFiles) && ctx.toolkitFiles.has(target);
+}
+
+// POSIX path relative to the project root, for finding targets
+function relTarget(root, file) {
+  return path.relative(root, file).split(path.sep).join('/') || '.';
+}
+
+// A SKILL.md that exists and has content; other skill rules skip the rest
+function hasContent(skill) {
+  return Boolean(skill.file) && skill.content.trim().length > 0;
+}
+
+// ---------------------------------------------------------------------------
+// Rules
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} Rule
+ * @property {string}   id          - `<kind>/<name>`, used in `validate.rules`.
+ * @property {'skill'|'agent'|'agents-md'|'instruction'|'project'} kind
+ * @property {'warn'|'error'} severity - Default severity.
+ * @property {string}   description
+ * @property {string}   [target]    - Fixed finding target, else the subject's.
+ * @property {(subject: object, ctx: { root: string, config: object }) => string[]} check
+ */
+
+/** @type {Rule[]} */
+const RULES = [
+  {
+    id: 'project/config',
+    kind: 'project',
+    severity: 'error',
+    description: `${configLib.CONFIG_FILE} is valid JSON and matches the schema`,
+    check: (project) => (project.configError ? [project.configError] : []),
+  },
+  {
+    id: 'project/agents',
+    kind: 'project',
+    severity: 'warn',
+    target: `${registryLib.AGENTS_DIR}/`,
+    description: `At least one agent is installed (${registryLib.AGENTS_DIR}/ or ${AGENTS_MD})`,
+    check: (project, ctx) =>
+      registryLib.discoverAgents(path.join(ctx.root, ...registryLib.AGENTS_DIR.split('/'))).length === 0 &&
+      !fs.existsSync(path.join(ctx.root, ...AGENTS_MD.split('/')))
+        ? ['no agents installed (add with: npx everything-copilot add:agent <name>)']
+        : [],
+  },
+  {
+    id: 'project/instructions',
+    kind: 'project',
+    severity: 'warn',
+    target: `${INSTRUCTIONS_DIR}/`,
+    description: `${INSTRUCTIONS_DIR}/ exists`,
+    check: (project, ctx) =>
+      fs.existsSync(path.join(ctx.root, ...INSTRUCTIONS_DIR.split('/'))) ? [] : ['missing (optional but recommended)'],
+  },
+  {
+    id: 'skill/skill-file',
+    kind: 'skill',
+    severity: 'error',
+    description: `Every skill directory has a ${registryLib.SKILL_FILE}`,
+    check: (skill) => (skill.file ? [] : [`missing ${registryLib.SKILL_FILE}`]),
+  },
+  {
+    id: 'skill/not-empty',
+    kind: 'skill',
+    severity: 'error',
+    description: `${registryLib.SKILL_FILE} is not empty`,
+    check: (skill) => (skill.file && !hasContent(skill) ? [`${registryLib.SKILL_FILE} is empty`] : []),
+  },
+  {
+    id: 'skill/name',
+    kind: 'skill',
+    severity: 'error',
+    description: 'The skill is named by a `# Title`, a `## Name` section, `**Name:**` or `name:` frontmatter',
+    check: (skill) => {
+      if (!hasContent(skill)) return [];
+      const parsed = parseMarkdown(skill.content);
+      const named = parsed.headings.some((h) => h.level === 1) || hasField('name', skill.content, parsed);
+      return named ? [] : ['missing name (a `# Title`, `## Name` section or `name:` frontmatter)'];
+    },
+  },
+  {
+    id: 'skill/description',
+    kind: 'skill',
+    severity: 'error',
+    description: 'The skill has a `## Description` section, `**Description:**` or `description:` frontmatter',
+    check: (skill) =>
+      hasContent(skill) && !skill.description
+        ? ['missing description (a `## Description` section or `description:` frontmatter)']
+        : [],
+  },
+  {
+    id: 'skill/triggers',
+    kind: 'skill',
+    severity: 'error',
+    description: 'The skill lists trigger conditions as bullets under `## Trigger Conditions`',
+    check: (skill) =>
+      hasContent(skill) && skill.triggers.length === 0
+        ? ['missing trigger conditions (bullets under `## Trigger Conditions`)']
+        : [],
+  },
+  {
+    id: 'skill/file-references',
+    kind: 'skill',
+    severity: 'warn',
+    description: 'Local files linked or referenced from SKILL.md exist',
+    check: (skill) => {
+      if (!hasContent(skill)) return [];
+      return extractFileReferences(skill.content, skill.dir)
+        .filter((ref) => !fs.existsSync(ref))
+        .map((ref) => `referenced file not found: ${path.relative(skill.dir, ref).split(path.sep).join('/')}`);
+    },
+  },
+  {
+    id: 'agent/frontmatter',
+    kind: 'agent',
+    severity: 'error',
+    description: 'The `.agent.md` file starts with parseable YAML frontmatter',
+    check: (agent) => (agent.error ? [agent.error] : []),
+  },
+  {
+    id: 'agent/required-keys',
+    kind: 'agent',
+    severity: 'error',
+    description: `The frontmatter sets ${AGENT_KEYS.map((k) => `\`${k}\``).join(', ')}; \`tools\` is a list`,
+    check: (agent) => {
+      if (!agent.frontmatter) return [];
+      const fm = agent.frontmatter;
+      const problems = [];
+      const missing = AGENT_KEYS.filter((key) => fm[key] === undefined || fm[key] === null || fm[key] === '');
+      if (missing.length > 0) problems.push(`missing frontmatter keys: ${missing.join(', ')}`);
+      for (const key of ['name', 'description', 'model']) {
+        if (!missing.includes(key) && typeof fm[key] !== 'string') problems.push(`\`${key}\` must be a string`);
+      }
+      if (!missing.includes('tools') && (!Array.isArray(fm.tools) || fm.tools.some((t) => typeof t !== 'string'))) {
+        problems.push('`tools` must be a list of tool names');
+      }
+      return problems;
+    },
+  },
+  {
+    id: 'agent/tools',
+    kind: 'agent',
+    severity: 'warn',
+    description: 'Every tool is a VS Code built-in, toolkit or MCP (`server/tool`) tool',
+    check: (agent) => {
+      const tools = agent.frontmatter && Array.isArray(agent.frontmatter.tools) ? agent.frontmatter.tools : [];
+      const unknown = tools.filter((t) => typeof t === 'string' && !agentTemplate.isKnownTool(t));
+      return unknown.length > 0 ? [`unknown tools: ${unknown.join(', ')}`] : [];
+    },
+  },
+  {
+    id: 'agent/model',
+    kind: 'agent',
+    severity: 'warn',
+    description: 'The model is one the Copilot model picker recognizes',
+    check: (agent, ctx) => {
+      if (!agent.model || agentTemplate.isKnownModel(agent.model, ctx.catalog)) return [];
+      const catalogModel = ctx.catalog && ctx.catalog.models[agent.model.toLowerCase()];
+      const tierModel = (catalogModel && catalogModel.copilot) || agentTemplate.COPILOT_MODELS[agent.model.toLowerCase()];
+      return [tierModel ? `model "${agent.model}" is a model id; use '${tierModel}'` : `unrecognized model "${agent.model}"`];
+    },
+  },
+  {
+    id: 'agent/duplicate-name',
+    kind: 'agent',
+    severity: 'error',
+    description: 'No two agents share a `name`',
+    check: (agent, ctx) => (ctx.agents || [])
+      .filter((other) => other.file !== agent.file && other.title.toLowerCase() === agent.title.toLowerCase())
+      .map((other) => `name "${agent.title}" is also used by ${relTarget(ctx.root, other.file)}`),
+  },
+  {
+    id: 'agent/body',
+    kind: 'agent',
+    severity: 'warn',
+    description: 'The body has a `# Title` heading, instructions and a `## Rules` section',
+    check: (agent) => {
+      if (agent.error) return [];
+      if (!agent.body.trim()) return ['body is empty'];
+      const { headings } = parseMarkdown(agent.body);
+      const problems = [];
+      if (!headings.some((h) => h.level === 1)) problems.push('missing `# Title` heading');
+      if (!headings.some((h) => h.level === 2 && h.text.toLowerCase() === 'rules')) problems.push('missing `## Rules` section');
+      return problems;
+    },
+  },
+  {
+    id: 'instruction/frontmatter',
+    kind: 'instruction',
+    severity: 'error',
+    description: 'The `.instructions.md` file starts with parseable YAML frontmatter',
+    check: (instruction) => (instruction.error ? [instruction.error] : []),
+  },
+  {
+    id: 'instruction/apply-to',
+    kind: 'instruction',
+    severity: 'error',
+    description: '`applyTo` is a comma-separated list of valid globs',
+    check: (instruction) => {
+      if (instruction.error) return [];
+      if (instruction.applyTo === undefined || instruction.applyTo === null) return ['missing `applyTo` glob'];
+      if (typeof instruction.applyTo !== 'string') return ['`applyTo` must be a string of comma-separated globs'];
+      return glob.splitPatterns(instruction.applyTo)
+        .map((pattern) => [pattern, glob.checkPattern(pattern)])
+        .filter(([, problem]) => problem)
+        .map(([pattern, problem]) => `applyTo "${pattern}": ${problem}`);
+    },
+  },
+  {
+    id: 'instruction/matches',
+    kind: 'instruction',
+    severity: 'warn',
+    description: '`applyTo` matches at least one file in the project, unless the toolkit installed it',
+    check: (instruction, ctx) =>
+      validPatterns(instruction) && !isToolkitFile(instruction.target, ctx) && matchedFiles(instruction, ctx).length === 0
+        ? [`applyTo "${instruction.applyTo}" matches no files in the project`]
+        : [],
+  },
+  {
+    id: 'instruction/overlap',
+    kind: 'instruction',
+    severity: 'warn',
+    description: 'No file is matched by two instruction files, unless the toolkit installed both',
+    check: (instruction, ctx) => {
+      if (!validPatterns(instruction)) return [];
+      const mine = new Set(matchedFiles(instruction, ctx));
+      const shipped = isToolkitFile(instruction.target, ctx);
+      // Each pair is reported once, on the file that sorts first
+      return (ctx.instructions || [])
+        .map((other) => ({ other, target: relTarget(ctx.root, other.file) }))
+        .filter(({ other, target }) =>
+          target > instruction.target && !(shipped && isToolkitFile(target, ctx)) && validPatterns(other))
+        .map(({ other, target }) => [target, matchedFiles(other, ctx).filter((f) => mine.has(f))])
+        .filter(([, shared]) => shared.length > 0)
+        .map(([target, shared]) => `applies to ${shared.length} file(s) also matched by ${target} (e.g. ${shared[0]})`);
+    },
+  },
+  {
+    id: 'agents-md/agents',
+    kind: 'agents-md',
+    severity: 'error',
+    description: 'AGENTS.md defines agents as `## Agent Name` sections',
+    check: (doc) => (doc.agents.length === 0 ? ['no agent definitions (## headings) found'] : []),
+  },
+  {
+    id: 'agents-md/sections',
+    kind: 'agents-md',
+    severity: 'error',
+    description: `Every AGENTS.md agent has ${AGENTS_MD_SECTIONS.map((s) => `\`### ${s[0].toUpperCase()}${s.slice(1)}\``).join(', ')} sub-sections`,
+    check: (doc) => doc.agents
+      .filter((agent) => agent.missing.length > 0)
+      .map((agent) => `${agent.name}: missing sections: ${agent.missing.join(', ')}`),
+  },
+];
+
+// ---------------------------------------------------------------------------
+// resolveRules(overrides) -> Rule[]
+// ---------------------------------------------------------------------------
+
+/**
+ * Apply `validate.rules` severity overrides to the rule set.  Rules set to
+ * `off` are dropped.
+ *
+ * @param {Object<string, string>} [overrides] - Rule ID -> `off`|`warn`|`error`.
+ * @param {Rule[]} [rules]
+ * @returns {Rule[]}
+ * @throws {Error} When an override names an unknown rule or severity.
+ */
+function resolveRules(overrides = {}, rules = RULES) {
+  for (const [id, level] of Object.entries(overrides)) {
+    if (!rules.some((rule) => rule.id === id)) {
+      throw new Error(`validate.rules: unknown rule "${id}" (known: ${rules.map((r) => r.id).join(', ')})`);
+    }
+    if (!LEVELS.includes(level)) {
+      throw new Error(`validate.rules: "${id}" must be one of ${LEVELS.join(', ')}`);
+    }
+  }
+  return rules
+    .map((rule) => ({ ...rule, severity: overrides[rule.id] || rule.severity }))
+    .filter((rule) => rule.severity !== 'off');
+}
+
+// ---------------------------------------------------------------------------
+// Running rules
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} Finding
+ * @property {string}          rule     - Rule ID.
+ * @property {'warn'|'error'}  severity
+ * @property {string}          target   - File or directory, relative to the project root.
+ * @property {string}          message
+ */
+
+/**
+ * Run every rule of `kind` against one subject.
+ *
+ * @param {Rule[]} rules
+ * @param {string} kind
+ * @param {object} subject - Carries the default finding `target`.
+ * @param {{ root: string, config: object }} ctx
+ * @returns {Finding[]}
+ */
+function runRules(rules, kind, subject, ctx) {
+  const findings = [];
+  for (const rule of rules.filter((r) => r.kind === kind)) {
+    for (const message of rule.check(subject, ctx)) {
+      findings.push({ rule: rule.id, severity: rule.severity, target: rule.target || subject.target, message });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Validate one skill directory.
+ *
+ * @param {string} dir
+ * @param {Rule[]} rules
+ * @param {{ root: string, config: object }} ctx
+ * @returns {Finding[]}
+ */
+function validateSkill(dir, rules, ctx) {
+  const skill = registryLib.readSkill(dir);
+  const content = skill.file ? fs.readFileSync(skill.file, 'utf8') : '';
+  const target = skill.file ? relTarget(ctx.root, skill.file) : `${relTarget(ctx.root, dir)}/`;
+  return runRules(rules, 'skill', { ...skill, content, target }, ctx);
+}
+
+/**
+ * Validate one `.agent.md` file.
+ *
+ * @param {string} file
+ * @param {Rule[]} rules
+ * @param {{ root: string, config: object, agents?: AgentEntry[] }} ctx -
+ *   `agents` are the file's siblings, checked for duplicate names.
+ * @returns {Finding[]}
+ */
+function validateAgent(file, rules, ctx) {
+  const agent = registryLib.readAgent(file);
+  const { body } = registryLib.parseFrontmatter(fs.readFileSync(file, 'utf8'));
+  return runRules(rules, 'agent', { ...agent, body, target: relTarget(ctx.root, file) }, ctx);
+}
+
+/**
+ * Validate one `.instructions.md` file.
+ *
+ * @param {string} file
+ * @param {Rule[]} rules
+ * @param {{ root: string, config: object, instructions?: InstructionEntry[], projectFiles?: string[], toolkitFiles?: Set<string> }} ctx -
+ *   `instructions` are the file's siblings, checked for overlapping globs;
+ *   `projectFiles` defaults to every file under `root`; `toolkitFiles`
+ *   defaults to the files in the install lockfile.
+ * @returns {Finding[]}
+ */
+function validateInstruction(file, rules, ctx) {
+  const instruction = registryLib.readInstruction(file);
+  const instructionCtx = {
+    ...ctx,
+    projectFiles: ctx.projectFiles || listProjectFiles(ctx.root),
+    matches: ctx.matches || new Map(),
+    toolkitFiles: ctx.toolkitFiles || toolkitFiles(ctx.root),
+  };
+  return runRules(rules, 'instruction', { ...instruction, target: relTarget(ctx.root, file) }, instructionCtx);
+}
+
+/**
+ * Validate a legacy AGENTS.md file.
+ *
+ * @param {string} file
+ * @param {Rule[]} rules
+ * @param {{ root: string, config: object }} ctx
+ * @returns {Finding[]}
+ */
+function validateAgentsMd(file, rules, ctx) {
+  const content = fs.readFileSync(file, 'utf8');
+  const doc = { file, content, agents: agentsMdSections(content), target: relTarget(ctx.root, file) };
+  return runRules(rules, 'agents-md', doc, ctx);
+}
+
+// ---------------------------------------------------------------------------
+// loadRuleContext(root) -> { rules, ctx, strict, configError }
+// ---------------------------------------------------------------------------
+
+/**
+ * Read the project config and resolve the rule set and model catalog it
+ * selects.  A broken config is reported (as `configError`, picked up by
+ * `project/config`) rather than thrown, and the defaults are used instead.
+ *
+ * @param {string} root - Project root.
+ * @returns {{ rules: Rule[], ctx: { root: string, config: object, catalog: object }, strict: boolean, configError: string|null }}
+ */
+function loadRuleContext(root) {
+  let config = configLib.withDefaults();
+  let configError = null;
+  try {
+    config = configLib.loadConfig(root).config;
+  } catch (err) {
+    configError = err.message;
+  }
+
+  let rules = RULES;
+  try {
+    rules = resolveRules(config.validate.rules);
+  } catch (err) {
+    configError = err.message;
+  }
+  let catalog = modelSelector.DEFAULT_CATALOG;
+  try {
+    catalog = modelSelector.loadModelCatalog(config.models);
+  } catch (err) {
+    configError = err.message;
+  }
+  return { rules, ctx: { root, config, catalog }, strict: Boolean(config.validate.strict), configError };
+}
+
+/**
+ * Validate a whole project: its config, `.agent.md` files, legacy
+ * AGENTS.md, instruction files and skills.
+ *
+ * @param {string} root
+ * @returns {{ strict: boolean, findings: Finding[], skills: SkillEntry[], agents: AgentEntry[], instructions: InstructionEntry[], agentsMd: string|null }}
+ *   `agentsMd` is the absolute path of `.copilot/AGENTS.md` when present.
+ */
+function validateProject(root) {
+  const { rules, ctx, strict, configError } = loadRuleContext(root);
+  const registry = registryLib.loadRegistry(root, { skillsDir: ctx.config.paths.skills });
+  const agentsMdFile = path.join(root, ...AGENTS_MD.split('/'));
+  const agentsMd = fs.existsSync(agentsMdFile) ? agentsMdFile : null;
+
+  const findings = runRules(rules, 'project', { configError, target: configLib.CONFIG_FILE }, ctx);
+  const agentCtx = { ...ctx, agents: registry.agents };
+  for (const agent of registry.agents) findings.push(...validateAgent(agent.file, rules, agentCtx));
+  if (agentsMd) findings.push(...validateAgentsMd(agentsMd, rules, ctx));
+  if (registry.instructions.length > 0) {
+    const instructionCtx = {
+      ...ctx,
+      instructions: registry.instructions,
+      projectFiles: listProjectFiles(root),
+      matches: new Map(),
+      toolkitFiles: toolkitFiles(root),
+    };
+    for (const instruction of registry.instructions) {
+      findings.push(...validateInstruction(instruction.file, rules, instructionCtx));
+    }
+  }
+  for (const skill of registry.skills) findings.push(...validateSkill(skill.dir, rules, ctx));
+
+  return { strict, findings, skills: registry.skills, agents: registry.agents, instructions: registry.instructions, agentsMd };
+}
+
+// ---------------------------------------------------------------------------
+// Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  LEVELS,
+  RULES,
+  AGENTS_MD,
+  AGENT_KEYS,
+  AGENTS_MD_SECTIONS,
+  hasField,
+  extractFileReferences,
+  agentsMdSections,
+  resolveRules,
+  runRules,
+  validateSkill,
+  validateAgent,
+  validateInstruction,
+  validateAgentsMd,
+  listProjectFiles,
+  loadRuleContext,
+  validateProject,
+};
@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+
+/**
+ * yaml.js - Parser for the small YAML subset used by preset files and
+ * markdown frontmatter.
+ *
+ * Supported: nested block mappings and sequences (indentation based),
+ * sequences of mappings, flow sequences (`[a, 'b']`), empty flow
+ * collections, quoted and plain scalars, booleans, null, numbers, literal
+ * (`|`) and folded (`>`) block scalars, comments and `---` markers.
+ * Anchors, tags, multi-document streams and flow mappings with content are
+ * not supported.  No external dependencies.
+ */
+
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+const KEY_RE = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s'"#[\]{}-][^:]*?|-[^\s:][^:]*?)\s*:(?:\s+(.*))?$/;
+
+function indentOf(line) {
+  return line.length - line.trimStart().length;
+}
+
+function isIgnorable(line) {
+  const t = line.trim();
+  return t === '' || t.startsWith('#') || t === '---' || t === '...';
+}
+
+/**
+ * Remove a trailing ` # comment` that is not inside quotes.
+ */
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\' && quote === '"') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text;
+}
+
+/**
+ * Split the inside of a flow sequence on commas outside quotes.
+ */
+function splitFlow(inner) {
+  const parts = [];
+  let quote = null;
+  let current = '';
+  for (let i = 0; i < inner.length; i++) {
+    const ch = inner[i];
+    if (quote) {
+      if (ch === '\\' && quote === '"') {
+        current += ch + inner[++i];
+        continue;
+      }
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === ',') {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  if (current.trim() !== '') parts.push(current.trim());
+  return parts;
+}
+
+function unquote(text) {
+  if (text.startsWith("'")) return text.slice(1, -1).replace(/''/g, "'");
+  return JSON.parse(text.replace(/\\'/g, "'"));
+}
+
+function parseScalar(raw, lineNo) {
+  const text = stripComment(raw).trim();
+  if (text.startsWith('[')) {
+    if (!text.endsWith(']')) throw new Error(`line ${lineNo}: unterminated flow sequence`);
+    return splitFlow(text.slice(1, -1)).map((part) => parseScalar(part, lineNo));
+  }
+  if (text === '{}') return {};
+  if (text.startsWith('{')) throw new Error(`line ${lineNo}: flow mappings are not supported`);
+  if ((text.startsWith('"') && text.endsWith('"') && text.length > 1) ||
+      (text.startsWith("'") && text.endsWith("'") && text.length > 1)) {
+    try {
+      return unquote(text);
+    } catch {
+      throw new Error(`line ${lineNo}: invalid quoted string`);
+    }
+  }
+  if (text === '' || text === '~' || text === 'null') return null;
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  return text;
+}
+
+// ---------------------------------------------------------------------------
+// parseYaml(text) -> value
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse a YAML document.
+ *
+ * @param {string} text
+ * @returns {*} The parsed value (`null` for an empty document).
+ * @throws {Error} `line <n>: <problem>` for unsupported or malformed input.
+ */
+function parseYaml(text) {
+  const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+  let i = 0;
+
+  function skipIgnorable() {
+    while (i < lines.length && isIgnorable(lines[i])) i++;
+  }
+
+  function parseBlock(minIndent) {
+    skipIgnorable();
+    if (i >= lines.length) return null;
+    const indent = indentOf(lines[i]);
+    if (indent < minIndent) return null;
+    return /^-(\s|$)/.test(lines[i].trimStart()) ? parseSequence(indent) : parseMapping(indent);
+  }
+
+  function parseBlockScalar(style, parentIndent) {
+    const body = [];
+    let blockIndent = null;
+    while (i < lines.length) {
+      const line = lines[i];
+      if (line.trim() === '') {
+        body.push('');
+        i++;
+        continue;
+      }
+      const indent = indentOf(line);
+      if (indent <= parentIndent) break;
+      if (blockIndent === null) blockIndent = indent;
+      body.push(line.slice(Math.min(indent, blockIndent)));
+      i++;
+    }
+    while (body.length > 0 && body[body.length - 1] === '') body.pop();
+    if (style === '|') return body.join('\n') + '\n';
+    return body.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ') + '\n';
+  }
+
+  function parseValue(rest, indent, lineNo) {
+    if (rest === undefined || stripComment(rest).trim() === '') {
+      skipIgnorable();
+      if (i < lines.length) {
+        const nextIndent = indentOf(lines[i]);
+        const nextIsItem = /^-(\s|$)/.test(lines[i].trimStart());
+        if (nextIndent > indent || (nextIndent === indent && nextIsItem)) {
+          return nextIsItem ? parseSequence(nextIndent) : parseMapping(nextIndent);
+        }
+      }
+      return null;
+    }
+    const trimmed = stripComment(rest).trim();
+    if (/^[|>][-+]?$/.test(trimmed)) return parseBlockScalar(trimmed[0], indent);
+    return parseScalar(rest, lineNo);
+  }
+
+  function parseMapping(indent) {
+    const result = {};
+    while (true) {
+      skipIgnorable();
+      if (i >= lines.length) break;
+      const line = lines[i];
+      const lineIndent = indentOf(line);
+      if (lineIndent < indent) break;
+      const lineNo = i + 1;
+      if (lineIndent > indent) throw new Error(`line ${lineNo}: unexpected indentation`);
+      const content = line.trim();
+      if (/^-(\s|$)/.test(content)) break;
+
+      const match = content.match(KEY_RE);
+      if (!match) throw new Error(`line ${lineNo}: expected "key: value"`);
+      const key = /^["']/.test(match[1]) ? unquote(match[1]) : match[1].trim();
+      if (Object.prototype.hasOwnProperty.call(result, key)) {
+        throw new Error(`line ${lineNo}: duplicate key "${key}"`);
+      }
+      i++;
+      result[key] = parseValue(match[2], indent, lineNo);
+    }
+    return result;
+  }
+
+  function parseSequence(indent) {
+    const result = [];
+    while (true) {
+      skipIgnorable();
+      if (i >= lines.length) break;
+      const line = lines[i];
+      const lineIndent = indentOf(line);
+      const content = line.trim();
+      if (lineIndent < indent || !/^-(\s|$)/.test(content)) break;
+      const lineNo = i + 1;
+      if (lineIndent > indent) throw new Error(`line ${lineNo}: unexpected indentation`);
+
+      const rest = content.slice(1).trimStart();
+      if (rest === '' || rest.startsWith('#')) {
+        i++;
+        result.push(parseBlock(indent + 1));
+      } else if (KEY_RE.test(stripComment(rest))) {
+        // "- key: value" starts a mapping indented past the dash.
+        const itemIndent = lineIndent + (content.length - rest.length);
+        lines[i] = ' '.repeat(itemIndent) + rest;
+        result.push(parseMapping(itemIndent));
+      } else {
+        i++;
+        result.push(parseValue(rest, indent, lineNo));
+      }
+    }
+    return result;
+  }
+
+  const value = parseBlock(0);
+  skipIgnorable();
+  if (i < lines.length) throw new Error(`line ${i + 1}: unexpected content`);
+  return value;
+}
+
+// ---------------------------------------------------------------------------
+// Exports
+// ---------------------------------------------------------------------------
+
+module.exports = {
+  parseYaml,
+};
@@ -4,7 +4,7 @@
  * setup-package-manager.js - Configure the package manager for the project.
  *
  * Usage:
- *   node setup-package-manager.js [--pm <npm|yarn|pnpm|bun>]
+ *   node setup-package-manager.js [--pm <npm|yarn|pnpm|bun>] [--dry-run] [--diff]
  *
  * What it does:
  *   1. Detects the current package manager (or prompts if none found).
@@ -21,7 +21,8 @@ const fsPromises = require('node:fs/promises');
 const path = require('node:path');
 const readline = require('node:readline');
 
-const { log, readFile, writeFile, fileExists, getProjectRoot, colours } = require('./lib/utils');
+const { log, readFile, fileExists, getProjectRoot, colours } = require('./lib/utils');
+const { createFileOps } = require('./lib/file-ops');
 const {
   detectPackageManager,
   getInstallCommand,
@@ -36,7 +37,7 @@ const {
 
 function parseArgs() {
   const args = process.argv.slice(2);
-  const result = { pm: null, help: false };
+  const result = { pm: null, help: false, dryRun: false, diff: false };
 
   for (let i = 0; i < args.length; i++) {
     switch (args[i]) {
@@ -55,6 +56,14 @@ function parseArgs() {
         }
         break;
 
+      case '--dry-run':
+        result.dryRun = true;
+        break;
+
+      case '--diff':
+        result.diff = true;
+        break;
+
       case '--help':
       case '-h':
         result.help = true;
@@ -168,8 +177,9 @@ function getConfigTemplate(pm) {
  *
  * @param {string} projectRoot
  * @param {string} pm
+ * @param {object} ops - File-ops recorder (see lib/file-ops.js).
  */
-async function updatePackageJsonScripts(projectRoot, pm) {
+async function updatePackageJsonScripts(projectRoot, pm, ops) {
   const pkgPath = path.join(projectRoot, 'package.json');
   let pkg;
 
@@ -214,11 +224,12 @@ async function updatePackageJsonScripts(projectRoot, pm) {
 
   if (changed) {
     const serialised = JSON.stringify(pkg, null, 2) + '\n';
-    const ok = await writeFile(pkgPath, serialised);
-    if (ok) {
+    ops.write(pkgPath, serialised);
+    if (!ops.dryRun) {
       log('success', 'Updated package.json scripts and packageManager field.');
     }
   } else {
+    ops.skip(pkgPath, 'scripts already up to date');
     log('info', 'package.json scripts already up to date.');
   }
 }
@@ -232,18 +243,21 @@ async function main() {
 
   if (opts.help) {
     console.log(`
-Usage: node setup-package-manager.js [--pm <npm|yarn|pnpm|bun>]
+Usage: node setup-package-manager.js [--pm <npm|yarn|pnpm|bun>] [--dry-run] [--diff]
 
 Detect or configure the package manager for this project.
 
 Options:
   --pm, -p <name>  Explicitly set the package manager (npm, yarn, pnpm, bun)
+  --dry-run        Print the planned file operations without writing
+  --diff           Like --dry-run, plus a unified diff of changed files
   --help, -h       Show this help message
 `);
     process.exit(0);
   }
 
   const projectRoot = getProjectRoot();
+  const ops = createFileOps({ dryRun: opts.dryRun, diff: opts.diff });
 
   // Step 1: Detect or select a PM.
   let pm = opts.pm;
@@ -272,17 +286,29 @@ Options:
   if (template) {
     const configPath = path.join(projectRoot, template.filename);
     if (await fileExists(configPath)) {
+      ops.skip(configPath, 'already exists');
       log('warn', `${template.filename} already exists; skipping (will not overwrite).`);
     } else {
-      const ok = await writeFile(configPath, template.content);
-      if (ok) {
+      ops.write(configPath, template.content);
+      if (!ops.dryRun) {
         log('success', `Created ${template.filename}`);
       }
     }
   }
 
   // Step 3: Update package.json.
-  await updatePackageJsonScripts(projectRoot, pm);
+  await updatePackageJsonScripts(projectRoot, pm, ops);
+
+  if (ops.dryRun) {
+    console.log('');
+    log('info', 'Planned file operations:');
+    for (const line of ops.formatPlan(projectRoot)) {
+      console.log(`  ${line}`);
+    }
+    console.log('');
+    log('info', 'Dry run — no files were changed.');
+    return;
+  }
 
   // Step 4: Summary.
   console.log('');
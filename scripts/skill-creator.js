@@ -5,9 +5,13 @@
  *
  * Analyses recent commits to extract patterns and generates a new skill
  * directory with SKILL.md manifest and supporting documentation files.
+ * `generateClusterManifest` / `generateClusterPatterns` build the same two
+ * files from an instinct cluster instead (`instinct evolve --apply`).
  *
  * Usage:
  *   node scripts/skill-creator.js <skill-name> [--range=HEAD~10..HEAD] [--output=.copilot/skills/]
+ *
+ * The output directory defaults to `paths.skills` in .copilot/ecp.config.json.
  */
 
 'use strict';
@@ -16,6 +20,7 @@ const fs = require('node:fs');
 const path = require('node:path');
 const { execSync } = require('node:child_process');
 const { log, writeFile, fileExists, getProjectRoot } = require('./lib/utils');
+const { loadConfig } = require('./lib/config');
 
 // ---------------------------------------------------------------------------
 // Constants
@@ -24,7 +29,6 @@ const { log, writeFile, fileExists, getProjectRoot } = require('./lib/utils');
 const VALID_NAME_RE = /^[a-z][a-z0-9-]*$/;
 
 const DEFAULT_RANGE = 'HEAD~20..HEAD';
-const DEFAULT_OUTPUT = '.copilot/skills';
 
 // ---------------------------------------------------------------------------
 // CLI argument parsing
@@ -32,7 +36,7 @@ const DEFAULT_OUTPUT = '.copilot/skills';
 
 function parseArgs(argv) {
   const args = argv.slice(2);
-  const opts = { range: DEFAULT_RANGE, output: DEFAULT_OUTPUT, name: null };
+  const opts = { range: DEFAULT_RANGE, output: null, name: null };
 
   for (const arg of args) {
     if (arg.startsWith('--range=')) {
@@ -163,6 +167,105 @@ function titleCase(str) {
     .join(' ');
 }
 
+// ---------------------------------------------------------------------------
+// Skill generation from an instinct cluster
+// ---------------------------------------------------------------------------
+
+const unique = (items) => [...new Set(items)];
+
+// One line of text, for bullets
+const oneLine = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+// A code fence longer than any run of backticks in `text`
+function fence(text) {
+  const longest = Math.max(2, ...(String(text).match(/`+/g) || []).map((run) => run.length));
+  return '`'.repeat(longest + 1);
+}
+
+/**
+ * SKILL.md for a skill evolved from an instinct cluster.  Trigger conditions
+ * are the instincts' contexts plus one bullet for their tags.
+ *
+ * @param {string}   name      - Skill name.
+ * @param {object}   cluster   - A cluster from lib/instinct-clusters.js.
+ * @param {object[]} instincts - The cluster's members as stored.
+ * @param {string}   date      - ISO date of the evolution.
+ * @returns {string}
+ */
+function generateClusterManifest(name, cluster, instincts, date) {
+  const words = cluster.terms.filter((term) => !term.includes(' ')).slice(0, 3).join(', ');
+  const triggers = unique(instincts.map((i) => oneLine(i.context)).filter(Boolean));
+  const tags = unique(instincts.flatMap((i) => i.tags || []));
+  if (tags.length > 0) triggers.push(`Working with ${tags.map((t) => `\`${t}\``).join(', ')}`);
+  if (triggers.length === 0) triggers.push(words ? `Working on ${words}` : 'General development tasks');
+  const topic = words ? ` about ${words}` : '';
+
+  return [
+    `# ${titleCase(name)} Skill`,
+    '',
+    '## Name',
+    titleCase(name),
+    '',
+    '## Description',
+    `Patterns learned from ${instincts.length} instincts${topic}. Evolved from the "${cluster.name}" instinct cluster.`,
+    '',
+    '## Trigger Conditions',
+    ...triggers.map((t) => `- ${t}`),
+    '',
+    '## Files',
+    `- \`${name}-patterns.md\` — The source instincts' patterns and examples`,
+    '',
+    '## Model Recommendation',
+    '- **Sonnet** for applying patterns during implementation',
+    '',
+    '## Evolved From',
+    ...instincts.map((i) => `- \`${i.id}\` ${i.name} (${i.confidence.toFixed(2)})`),
+    `- On ${date.slice(0, 10)}, at average confidence ${cluster.avgConfidence.toFixed(2)}`,
+    '',
+  ].join('\n');
+}
+
+/**
+ * The patterns file of a skill evolved from an instinct cluster: one section
+ * per instinct with its context, pattern and example.
+ *
+ * @param {string}   name
+ * @param {object}   cluster
+ * @param {object[]} instincts
+ * @param {string}   date - ISO date of the evolution.
+ * @returns {string}
+ */
+function generateClusterPatterns(name, cluster, instincts, date) {
+  const lines = [
+    `# ${titleCase(name)} Patterns`,
+    '',
+    `Evolved on ${date.slice(0, 10)} from ${instincts.length} instincts. Review before relying on it.`,
+    '',
+  ];
+
+  for (const i of instincts) {
+    lines.push(`## ${titleCase(i.name)}`, '');
+    lines.push(`**Category:** ${i.category || 'uncategorized'} · **Confidence:** ${i.confidence.toFixed(2)} · \`${i.id}\``, '');
+    if (i.context) lines.push(`**Context:** ${oneLine(i.context)}`, '');
+    lines.push(`**Pattern:** ${oneLine(i.pattern)}`, '');
+    if (i.example) {
+      const marks = fence(i.example);
+      lines.push('**Example:**', '', marks, String(i.example).replace(/\s+$/, ''), marks, '');
+    }
+  }
+
+  lines.push('## Checklist', '');
+  lines.push('- [ ] Review the evolved patterns for accuracy');
+  for (const dup of cluster.duplicates) {
+    lines.push(`- [ ] Merge the near-duplicates ${dup.a} and ${dup.b}`);
+  }
+  if (instincts.some((i) => !i.example)) lines.push('- [ ] Add concrete code examples');
+  lines.push('- [ ] Validate trigger conditions in SKILL.md');
+  lines.push('');
+
+  return lines.join('\n');
+}
+
 // ---------------------------------------------------------------------------
 // Main: createSkill
 // ---------------------------------------------------------------------------
@@ -225,8 +328,24 @@ function createSkill(name, range, outputBase) {
 
 if (require.main === module) {
   const opts = parseArgs(process.argv);
+  if (!opts.output) {
+    try {
+      opts.output = loadConfig(getProjectRoot()).config.paths.skills;
+    } catch (err) {
+      log('error', err.message);
+      process.exit(1);
+    }
+  }
   const success = createSkill(opts.name, opts.range, opts.output);
   process.exit(success ? 0 : 1);
 }
 
-module.exports = { createSkill, parseGitLog, generateManifest, groupByPrefix, titleCase };
+module.exports = {
+  createSkill,
+  parseGitLog,
+  generateManifest,
+  groupByPrefix,
+  titleCase,
+  generateClusterManifest,
+  generateClusterPatterns,
+};
@@ -1,36 +1,39 @@
 #!/usr/bin/env node
 
 /**
- * validate-agents.js - Validate the AGENTS.md file.
+ * validate-agents.js - Validate agent definitions.
  *
  * Usage:
- *   node validate-agents.js [--path <agents-md-path>]
+ *   node validate-agents.js [--path <file>] [--strict]
  *
- * Reads the `.copilot/AGENTS.md` file (or a custom path), parses its
- * markdown structure, and verifies that every agent section includes
- * the required sub-sections:
+ * Runs the agent rules from lib/validation.js — the same rules as
+ * `ecp validate` — against every `.github/agents/*.agent.md` file and, when
+ * present, the legacy `.copilot/AGENTS.md`.  `--path` validates a single
+ * `.agent.md` or AGENTS.md file instead.
+ *
+ * An `.agent.md` file needs `name`, `description`, `tools` and `model`
+ * frontmatter with known tools and models, a name no other agent uses and a
+ * body with a `# Title` and a `## Rules` section.
+ *
+ * In AGENTS.md, every `## Agent` section must include the sub-sections:
  *
  *   - Description
  *   - Model
  *   - Tools
  *   - Constraints
  *
- * Exits with code 0 when all agents pass, or code 1 if any fail.
+ * Severities follow `validate.rules` in `.copilot/ecp.config.json`.
+ * Exits with code 0 when all agents pass, or code 1 if any fail (with
+ * `--strict` or `validate.strict`, warnings fail too).
  */
 
 'use strict';
 
+const fs = require('node:fs');
 const path = require('node:path');
-const { readFile, parseMarkdown, log, pluralize, getProjectRoot, colours } = require('./lib/utils');
-
-// ---------------------------------------------------------------------------
-// Configuration
-// ---------------------------------------------------------------------------
-
-/**
- * Sub-sections that every agent definition must contain (case-insensitive).
- */
-const REQUIRED_SECTIONS = ['description', 'model', 'tools', 'constraints'];
+const { log, pluralize, getProjectRoot, colours } = require('./lib/utils');
+const validation = require('./lib/validation');
+const { AGENTS_DIR, AGENT_SUFFIX, discoverAgents } = require('./lib/registry');
 
 // ---------------------------------------------------------------------------
 // CLI argument parsing
@@ -38,7 +41,7 @@ const REQUIRED_SECTIONS = ['description', 'model', 'tools', 'constraints'];
 
 function parseArgs() {
   const args = process.argv.slice(2);
-  const result = { path: null, help: false };
+  const result = { path: null, strict: false, help: false };
 
   for (let i = 0; i < args.length; i++) {
     switch (args[i]) {
@@ -52,6 +55,10 @@ function parseArgs() {
         }
         break;
 
+      case '--strict':
+        result.strict = true;
+        break;
+
       case '--help':
       case '-h':
         result.help = true;
@@ -72,7 +79,7 @@ function parseArgs() {
 // ---------------------------------------------------------------------------
 
 /**
- * Parse the AGENTS.md content and validate each agent section.
+ * Parse AGENTS.md content and check each agent section.
  *
  * The expected structure is:
  *
@@ -94,116 +101,108 @@ function parseArgs() {
  * @returns {{ agents: Array<{ name: string, pass: boolean, missing: string[], found: string[] }>, passed: number, failed: number }}
  */
 function validateAgents(content) {
-  const { headings } = parseMarkdown(content);
-
-  // Find all level-2 headings (agent names).
-  const agentHeadings = headings.filter((h) => h.level === 2);
-
-  if (agentHeadings.length === 0) {
-    return { agents: [], passed: 0, failed: 0 };
-  }
-
-  const results = [];
-
-  for (let a = 0; a < agentHeadings.length; a++) {
-    const agentName = agentHeadings[a].text;
-    const agentLine = agentHeadings[a].line;
-
-    // Determine the range of lines belonging to this agent:
-    // from its heading to the next level-2 heading (or end of file).
-    const nextAgentLine =
-      a + 1 < agentHeadings.length ? agentHeadings[a + 1].line : Infinity;
-
-    // Collect level-3 headings within this agent's range.
-    const subHeadings = headings
-      .filter((h) => h.level === 3 && h.line > agentLine && h.line < nextAgentLine)
-      .map((h) => h.text.toLowerCase());
-
-    const found = [];
-    const missing = [];
-
-    for (const req of REQUIRED_SECTIONS) {
-      if (subHeadings.some((s) => s.includes(req))) {
-        found.push(req);
-      } else {
-        missing.push(req);
-      }
-    }
-
-    results.push({
-      name: agentName,
-      pass: missing.length === 0,
-      missing,
-      found,
-    });
-  }
-
+  const agents = validation.agentsMdSections(content)
+    .map((agent) => ({ ...agent, pass: agent.missing.length === 0 }));
   return {
-    agents: results,
-    passed: results.filter((r) => r.pass).length,
-    failed: results.filter((r) => !r.pass).length,
+    agents,
+    passed: agents.filter((a) => a.pass).length,
+    failed: agents.filter((a) => !a.pass).length,
   };
 }
 
+/**
+ * Run the agent rules against one `.agent.md` or AGENTS.md file.  An
+ * `.agent.md` file's name is checked against the other agents in its
+ * directory.
+ *
+ * @param {string} file
+ * @param {{ rules: object[], ctx: object }} context - A `loadRuleContext()` result.
+ * @returns {Array<{ rule: string, severity: string, target: string, message: string }>}
+ */
+function validateAgentFile(file, context) {
+  if (!file.endsWith(AGENT_SUFFIX)) return validation.validateAgentsMd(file, context.rules, context.ctx);
+  const agents = discoverAgents(path.dirname(file));
+  return validation.validateAgent(file, context.rules, { ...context.ctx, agents });
+}
+
 // ---------------------------------------------------------------------------
 // Main
 // ---------------------------------------------------------------------------
 
-async function main() {
+function main() {
   const opts = parseArgs();
 
   if (opts.help) {
     console.log(`
-Usage: node validate-agents.js [--path <agents-md-path>]
+Usage: node validate-agents.js [--path <file>] [--strict]
 
-Validate the AGENTS.md file for the everything-copilot project.
+Validate .github/agents/*.agent.md and .copilot/AGENTS.md.
 
 Options:
-  --path, -p <file>  Path to AGENTS.md (default: .copilot/AGENTS.md)
+  --path, -p <file>  Validate a single .agent.md or AGENTS.md file
+  --strict           Fail agents that only have warnings
   --help, -h         Show this help message
 `);
     process.exit(0);
   }
 
-  // Resolve the file path.
   const projectRoot = getProjectRoot();
-  const agentsPath = opts.path || path.join(projectRoot, '.copilot', 'AGENTS.md');
-
-  log('info', `Validating: ${agentsPath}`);
-
-  // Read the file.
-  const content = await readFile(agentsPath);
-  if (content === null) {
-    log('error', `Cannot read AGENTS.md at ${agentsPath}`);
+  const context = validation.loadRuleContext(projectRoot);
+  if (context.configError) {
+    log('error', context.configError);
     process.exit(1);
   }
 
-  // Validate.
-  const { agents, passed, failed } = validateAgents(content);
+  // Resolve the files to check.
+  let files;
+  if (opts.path) {
+    if (!fs.existsSync(opts.path)) {
+      log('error', `Cannot read ${opts.path}`);
+      process.exit(1);
+    }
+    files = [opts.path];
+  } else {
+    files = discoverAgents(path.join(projectRoot, ...AGENTS_DIR.split('/'))).map((a) => a.file);
+    const agentsMd = path.join(projectRoot, ...validation.AGENTS_MD.split('/'));
+    if (fs.existsSync(agentsMd)) files.push(agentsMd);
+  }
 
-  if (agents.length === 0) {
-    log('warn', 'No agent definitions (## headings) found in AGENTS.md.');
-    log('warn', 'Expected level-2 headings (## Agent Name) with sub-sections.');
+  if (files.length === 0) {
+    log('warn', `No agent definitions found in ${AGENTS_DIR}/ or ${validation.AGENTS_MD}.`);
     process.exit(1);
   }
 
-  // Report results.
+  // Validate and report.
+  const strict = opts.strict || context.strict;
+  let passed = 0;
+  let failed = 0;
+
   console.log('');
-  for (const agent of agents) {
-    if (agent.pass) {
-      log('success', `${agent.name}: all required sections present`);
+  for (const file of files) {
+    const findings = validateAgentFile(file, context);
+    const target = path.relative(projectRoot, file).split(path.sep).join('/');
+    const errors = findings.filter((f) => f.severity === 'error');
+    const warnings = findings.filter((f) => f.severity === 'warn');
+
+    if (errors.length === 0 && !(strict && warnings.length > 0)) {
+      passed++;
+      log('success', `${target}: valid`);
     } else {
-      log('error', `${agent.name}: missing sections: ${agent.missing.join(', ')}`);
-      if (agent.found.length > 0) {
-        log('info', `  Found: ${agent.found.join(', ')}`);
+      failed++;
+      log('error', `${target}: INVALID`);
+      for (const f of errors) {
+        console.log(`    ${colours.red}- ${f.message} (${f.rule})${colours.reset}`);
       }
     }
+    for (const f of warnings) {
+      console.log(`    ${colours.yellow}! ${f.message} (${f.rule})${colours.reset}`);
+    }
   }
 
   console.log('');
   log(
     'info',
-    `Validation complete: ${pluralize(passed, 'agent')} passed, ${pluralize(failed, 'agent')} failed.`
+    `Validation complete: ${pluralize(passed, 'file')} passed, ${pluralize(failed, 'file')} failed.`
   );
 
   process.exit(failed > 0 ? 1 : 0);
@@ -213,7 +212,8 @@ Options:
 // Entry point
 // ---------------------------------------------------------------------------
 
-main().catch((err) => {
-  log('error', `Unexpected error: ${err.message}`);
-  process.exit(1);
-});
+if (require.main === module) {
+  main();
+}
+
+module.exports = { validateAgents, validateAgentFile };
@@ -0,0 +1,32 @@
+// Launch a goroutine
+go func() {
+    result := heavyComputation()
+    fmt.Println(result)
+}()
+
+// ALWAYS manage goroutine lifetime — never fire and forget
+// Use sync.WaitGroup, channels, or context for coordination
+// Unbuffered: sender blocks until receiver is ready
+ch := make(chan int)
+
+// Buffered: sender blocks only when buffer is full
+ch := make(chan int, 10)
+
+// Directional channels in function signatures
+func producer(out chan<- int) { out <- 42 }      // Send only
+func consumer(in <-chan int) { val := <-in }     // Receive only
+
+// Always close channels from the sender side
+close(ch)
+select {
+case msg := <-msgCh:
+    handle(msg)
+case err := <-errCh:
+    handleError(err)
+case <-time.After(5 * time.Second):
+    fmt.Println("timeout")
+case <-ctx.Done():
+    fmt.Println("cancelled")
+default:
+    // Non-blocking: runs if no channel is ready
+}
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * glob.js - The glob syntax of VS Code `applyTo` patterns.
+ *
+ * Supports `*`, `**` (as a whole path segment), `?`, `[abc]` / `[!abc]`
+ * classes and `{a,b}` alternatives.  Patterns are matched against
+ * POSIX paths relative to the workspace root; `**\/` also matches zero
+ * directories, so `**\/*.go` matches `main.go`.
+ *
+ * Dependency-free, like the rest of scripts/lib.
+ */
+
+'use strict';
+
+// ---------------------------------------------------------------------------
+// splitPatterns(value) -> string[]
+// ---------------------------------------------------------------------------
+
+/**
+ * Split a comma-separated `applyTo` value into patterns.  Commas inside
+ * `{...}` belong to the pattern.
+ *
+ * @param {string} value
+ * @returns {string[]} Trimmed patterns; empty ones are kept so they can be reported.
+ */
+function splitPatterns(value) {
+  const patterns = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of String(value)) {
+    if (ch === '{') depth++;
+    if (ch === '}' && depth > 0) depth--;
+    if (ch === ',' && depth === 0) {
+      patterns.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  patterns.push(current.trim());
+  return patterns;
+}
+
+// ---------------------------------------------------------------------------
+// checkPattern(pattern) -> string|null
+// ---------------------------------------------------------------------------
+
+/**
+ * Check one pattern's syntax.
+ *
+ * @param {string} pattern
+ * @returns {string|null} What is wrong with it, or null when it is valid.
+ */
+function checkPattern(pattern) {
+  if (!pattern) return 'empty pattern';
+  if (pattern.includes('\\')) return 'use "/" as the path separator';
+  if (pattern.startsWith('/') || /^[A-Za-z]:/.test(pattern)) return 'must be relative to the workspace root';
+  if (pattern.startsWith('./')) return 'drop the leading "./"';
+
+  let braces = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '[') {
+      const end = pattern.indexOf(']', i + 2);
+      if (end === -1) return 'unclosed "["';
+      i = end;
+    } else if (ch === ']') {
+      return 'unmatched "]"';
+    } else if (ch === '{') {
+      braces++;
+    } else if (ch === '}') {
+      if (braces === 0) return 'unmatched "}"';
+      braces--;
+    }
+  }
+  if (braces > 0) return 'unclosed "{"';
+
+  for (const segment of pattern.split('/')) {
+    if (segment.includes('**') && segment !== '**') return '"**" must be a whole path segment (e.g. "**/*.js")';
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// globToRegExp(pattern) -> RegExp
+// ---------------------------------------------------------------------------
+
+/**
+ * Compile a pattern that passes `checkPattern`.
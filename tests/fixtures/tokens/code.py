@@ -0,0 +1,22 @@
+from typing import Optional
+from collections.abc import Sequence
+
+def get_user(user_id: int) -> Optional[User]:
+    """Fetch a user by ID, returning None if not found."""
+    ...
+
+def process_items(items: Sequence[str], *, batch_size: int = 100) -> list[str]:
+    """Process items in batches. Use keyword-only args after *."""
+    ...
+# PREFER: built-in generics and union syntax
+def fetch(url: str, timeout: int | None = None) -> dict[str, Any]:
+    ...
+
+# AVOID: older typing imports when possible
+from typing import Dict, Optional, Union  # not needed in 3.10+
+from typing import TypedDict, NotRequired
+
+class UserPayload(TypedDict):
+    name: str
+    email: str
+    role: NotRequired[str]
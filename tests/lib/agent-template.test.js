@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const { assert, describe, test } = require('../run-all');
+const { parseYaml } = require('../../scripts/lib/yaml');
+const { copilotModelFor, parseTools, renderAgent } = require('../../scripts/lib/agent-template');
+
+function frontmatter(text) {
+  return parseYaml(text.split('---\n')[1]);
+}
+
+// ---------------------------------------------------------------------------
+// agent-template
+// ---------------------------------------------------------------------------
+
+describe('agent-template', () => {
+  test('copilotModelFor maps tiers and passes model strings through', () => {
+    assert.equal(copilotModelFor('opus'), 'claude-4-opus (Anthropic)');
+    assert.equal(copilotModelFor('Haiku'), 'claude-haiku-3.5 (Anthropic)');
+    assert.equal(copilotModelFor('gpt-4.1'), 'gpt-4.1');
+  });
+
+  test('parseTools defaults, dedupes and reports unknown tools', () => {
+    assert.deepEqual(parseTools(''), { tools: ['search', 'usages'], unknown: [] });
+    assert.deepEqual(parseTools('search, editFiles,search'), { tools: ['search', 'editFiles'], unknown: [] });
+    assert.deepEqual(parseTools('search,terminal').unknown, ['terminal']);
+  });
+
+  test('renderAgent writes valid frontmatter and the standard sections', () => {
+    const text = renderAgent({
+      name: 'payment-reviewer',
+      description: 'Review payment code: refunds and retries',
+      tools: ['search', 'editFiles'],
+      model: 'opus',
+    });
+    assert.deepEqual(frontmatter(text), {
+      name: 'Payment Reviewer',
+      description: 'Review payment code: refunds and retries',
+      tools: ['search', 'editFiles'],
+      model: 'claude-4-opus (Anthropic)',
+    });
+    assert.match(text, /^# Payment Reviewer Agent$/m);
+    for (const section of ['## Workflow', '## Output Format', '## Rules']) {
+      assert.ok(text.includes(`\n${section}\n`), `missing ${section}`);
+    }
+  });
+
+  test('renderAgent fills in a description and default model', () => {
+    const fm = frontmatter(renderAgent({ name: 'triage' }));
+    assert.equal(fm.description, 'Triage specialist');
+    assert.equal(fm.model, 'claude-sonnet-4 (Anthropic)');
+    assert.deepEqual(fm.tools, ['search', 'usages']);
+  });
+});
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const os = require('node:os');
+const { spawnSync } = require('node:child_process');
+const { assert, describe, test } = require('../run-all');
+const { measureBudget, readWorkspace } = require('../../scripts/lib/budget');
+const { validateReport } = require('../../scripts/lib/report');
+
+const ECP = path.resolve(__dirname, '..', '..', 'bin', 'ecp.js');
+
+function makeTmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'budget-test-'));
+}
+
+function cleanup(dir) {
+  try { fs.rmSync(dir, { recursive: true, force: true }); } catch {}
+}
+
+function writeFile(root, rel, content) {
+  const file = path.join(root, ...rel.split('/'));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+// One estimated token per word
+const text = (tokens) => Array(tokens).fill('word').join(' ');
+
+// ---------------------------------------------------------------------------
+// measureBudget
+// ---------------------------------------------------------------------------
+
+describe('measureBudget', () => {
+  test('groups files the way Copilot loads them and sums the worst case', () => {
+    const budget = measureBudget([
+      { path: '.github/copilot-instructions.md', text: text(100) },
+      { path: '.github/instructions/go.instructions.md', text: `---\napplyTo: "**/*.go"\n---\n${text(50)}` },
+      { path: '.github/agents/planner.agent.md', text: `---\nname: Planner\n---\n${text(30)}` },
+      { path: '.github/agents/tdd.agent.md', text: text(80) },
+      { path: '.copilot/skills/go/SKILL.md', text: `---\nname: go\ndescription: Go patterns\n---\n${text(200)}` },
+      { path: '.copilot/skills/go/examples/server.md', text: text(300) },
+      { path: 'scripts/copilot/utils.js', text: text(1000) },
+    ]);
+
+    assert.deepEqual(budget.always.map((f) => f.tokens), [100]);
+    assert.deepEqual(budget.instructions, [{ name: 'go', source: '.github/instructions/go.instructions.md', tokens: 50 }]);
+    assert.deepEqual(budget.skills, [{ name: 'go', source: '.copilot/skills/go/', skillTokens: 200, supportTokens: 300, tokens: 500 }]);
+    assert.deepEqual(budget.totals, { always: 100, instructions: 50, skills: 500, largestAgent: 80, worstCase: 730 });
+    assert.deepEqual(budget.models.map((m) => m.model), ['opus', 'sonnet', 'haiku']);
+    assert.equal(budget.models[0].percent, 0.4);
+    assert.deepEqual(budget.warnings, []);
+  });
+
+  test('warns about oversized skills, the total threshold and context windows', () => {
+    const files = [
+      { path: 'skills/big/SKILL.md', text: text(500) },
+      { path: 'skills/small/SKILL.md', text: text(10) },
+    ];
+    const budget = measureBudget(files, { skillsDir: 'skills/', thresholds: { skillTokens: 400, totalTokens: 450 } });
+    assert.deepEqual(budget.thresholds, { skillTokens: 400, totalTokens: 450 });
+    assert.deepEqual(budget.warnings, [
+      'skill "big" is ~500 tokens (budget.skillTokens: 400)',
+      'worst-case context is ~510 tokens (budget.totalTokens: 450)',
+    ]);
+
+    const huge = measureBudget([{ path: '.copilot/skills/huge/SKILL.md', text: text(250000) }]);
+    assert.ok(huge.warnings.includes('worst-case context does not fit the sonnet context window (200000 tokens)'));
+  });
+
+  test('readWorkspace reads only the measured locations', () => {
+    const tmp = makeTmpDir();
+    try {
+      writeFile(tmp, '.github/copilot-instructions.md', 'Rules.\n');
+      writeFile(tmp, '.github/workflows/ci.yml', 'on: push\n');
+      writeFile(tmp, 'ai/skills/demo/SKILL.md', '# Demo\n');
+      writeFile(tmp, 'src/index.js', '');
+      assert.deepEqual(readWorkspace(tmp, 'ai/skills').map((f) => f.path), ['.github/copilot-instructions.md', 'ai/skills/demo/SKILL.md']);
+    } finally {
+      cleanup(tmp);
+    }
+  });
+});
+
+// ---------------------------------------------------------------------------
+// ecp budget
+// ---------------------------------------------------------------------------
+
+describe('ecp budget', () => {
+  test('--json matches the report schema and --strict fails over budget', () => {
+    const tmp = makeTmpDir();
+    try {
+      writeFile(tmp, '.copilot/skills/demo/SKILL.md', text(120));
+      writeFile(tmp, '.copilot/ecp.config.json', JSON.stringify({ budget: { skillTokens: 100 } }));
+
+      const run = (...args) => spawnSync(process.execPath, [ECP, 'budget', ...args], { cwd: tmp, encoding: 'utf8' });
+      const json = run('--json');
+      const report = JSON.parse(json.stdout);
+      assert.deepEqual(validateReport(report), []);
+      assert.equal(report.preset, null);
+      assert.equal(report.totals.worstCase, 120);
+      assert.equal(json.status, 0);
+      assert.equal(run('--strict').status, 1);
+
+      const preset = JSON.parse(run('--preset=minimal', '--json').stdout);
+      assert.deepEqual(validateReport(preset), []);
+      assert.ok(preset.always.length === 1 && preset.skills.length === 0);
+    } finally {
+      cleanup(tmp);
+    }
+  });
+});
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const os = require('node:os');
+const { spawnSync } = require('node:child_process');
+const { assert, describe, test } = require('../run-all');
+const { EXIT_CODES, formatGithub, formatJUnit } = require('../../scripts/lib/ci-output');
+
+const ECP = path.resolve(__dirname, '..', '..', 'bin', 'ecp.js');
+
+const RESULT = {
+  ok: true,
+  strict: false,
+  errors: 0,
+  warnings: 1,
+  checks: [
+    { status: 'pass', target: '.copilot/ecp.config.json', message: 'valid' },
+    { status: 'warn', target: '.copilot/skills/a/SKILL.md', message: 'missing sections: Trigger Conditions' },
+    { status: 'info', target: '.copilot/skills/', message: 'none <installed>' },
+  ],
+};
+
+function makeTmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'ci-output-test-'));
+}
+
+function cleanup(dir) {
+  try { fs.rmSync(dir, { recursive: true, force: true }); } catch {}
+}
+
+function validate(cwd, ...args) {
+  const env = { ...process.env };
+  delete env.GITHUB_ACTIONS;
+  return spawnSync(process.execPath, [ECP, 'validate', ...args], { cwd, encoding: 'utf8', env });
+}
+
+// ---------------------------------------------------------------------------
+// formatGithub / formatJUnit
+// ---------------------------------------------------------------------------
+
+describe('ci-output', () => {
+  test('formatGithub annotates warnings, as errors in strict mode', () => {
+    assert.equal(formatGithub(RESULT).split('\n')[0],
+      '::warning file=.copilot/skills/a/SKILL.md,title=ecp validate::missing sections: Trigger Conditions');
+    const strict = formatGithub({ ...RESULT, ok: false, strict: true });
+    assert.match(strict, /^::error file=\.copilot\/skills\/a\/SKILL\.md,/);
+    assert.match(strict, /ecp validate \(strict\): 0 error\(s\), 1 warning\(s\) — failed\n$/);
+  });
+
+  test('formatGithub escapes multi-line messages', () => {
+    const out = formatGithub({ ...RESULT, checks: [{ status: 'error', target: 'x,y', message: 'bad:\n  - 100%' }] });
+    assert.equal(out.split('\n')[0], '::error file=x%2Cy,title=ecp validate::bad:%0A  - 100%25');
+  });
+
+  test('formatGithub names only repository files in file=', () => {
+    const checks = [
+      { status: 'warn', target: '.github/agents/', message: 'no agents', rule: 'project/agents' },
+      { status: 'error', target: '/etc/skills/a/SKILL.md', message: 'outside' },
+      { status: 'error', target: '../shared/SKILL.md', message: 'outside' },
+    ];
+    assert.deepEqual(formatGithub({ ...RESULT, checks }).split('\n').slice(0, 3), [
+      '::warning title=ecp validate (project/agents)::.github/agents/: no agents',
+      '::error title=ecp validate::/etc/skills/a/SKILL.md: outside',
+      '::error title=ecp validate::../shared/SKILL.md: outside',
+    ]);
+  });
+
+  test('formatJUnit writes one test case per check', () => {
+    const xml = formatJUnit(RESULT);
+    assert.match(xml, /<testsuite name="ecp validate" tests="3" failures="0"/);
+    assert.match(xml, /<system-out>warning: missing sections: Trigger Conditions<\/system-out>/);
+    assert.ok(xml.includes('name=".copilot/skills/"/>'), 'passing checks are empty test cases');
+    const strict = formatJUnit({ ...RESULT, strict: true });
+    assert.match(strict, /failures="1"/);
+    assert.match(strict, /<failure type="warning" message="missing sections: Trigger Conditions">/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// ecp validate exit codes
+// ---------------------------------------------------------------------------
+
+describe('ecp validate exit codes', () => {
+  test('0 when valid, 1 on warnings with --strict/--ci, 2 when it cannot run', () => {
+    const tmp = makeTmpDir();
+    try {
+      assert.equal(validate(tmp).status, EXIT_CODES.usage);
+      fs.mkdirSync(path.join(tmp, '.copilot', 'skills', 'demo'), { recursive: true });
+      fs.writeFileSync(path.join(tmp, '.copilot', 'skills', 'demo', 'SKILL.md'), '# Demo\n\n## Description\nDemo.\n\n## Trigger Conditions\n- Demos\n');
+      fs.mkdirSync(path.join(tmp, '.copilot', 'instructions'));
+
+      // Only warnings: no agents
+      assert.equal(validate(tmp).status, EXIT_CODES.ok);
+      assert.equal(validate(tmp, '--strict').status, EXIT_CODES.failed);
+      const ci = validate(tmp, '--ci', '--format=junit', '--output', 'report.xml');
+      assert.equal(ci.status, EXIT_CODES.failed);
+      assert.match(fs.readFileSync(path.join(tmp, 'report.xml'), 'utf8'), /failures="1"/);
+      assert.equal(validate(tmp, '--format=xml').status, EXIT_CODES.usage);
+
+      fs.mkdirSync(path.join(tmp, '.copilot', 'skills', 'empty'));
+      const failed = validate(tmp, '--format=github');
+      assert.equal(failed.status, EXIT_CODES.failed);
+      assert.match(failed.stdout, /^::error title=ecp validate \(skill\/skill-file\)::\.copilot\/skills\/empty\/: missing SKILL\.md$/m);
+    } finally {
+      cleanup(tmp);
+    }
+  });
+
+  test('a fresh init passes --ci, with unused and overlapping toolkit instructions', () => {
+    const tmp = makeTmpDir();
+    try {
+      spawnSync(process.execPath, [ECP, 'init', '--standard'], { cwd: tmp, encoding: 'utf8' });
+      fs.mkdirSync(path.join(tmp, 'src'));
+      fs.writeFileSync(path.join(tmp, 'src', 'App.tsx'), '');
+      const ci = validate(tmp, '--ci', '--format=github');
+      assert.equal(ci.status, EXIT_CODES.ok, ci.stdout);
+
+      // An instruction file of the project's own is still checked
+      fs.writeFileSync(path.join(tmp, '.github', 'instructions', 'ui.instructions.md'), '---\napplyTo: "src/**"\n---\nUI rules.\n');
+      const overlap = validate(tmp, '--format=github');
+      assert.equal(overlap.stdout.match(/instruction\/overlap/g).length, 2, 'one finding per overlapping pair');
+      assert.match(overlap.stdout, /react\.instructions\.md.*also matched by \.github\/instructions\/ui\.instructions\.md/);
+    } finally {
+      cleanup(tmp);
+    }
+  });
+});
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const os = require('node:os');
+const { assert, describe, test } = require('../run-all');
+const config = require('../../scripts/lib/config');
+
+function makeProject(contents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+  if (contents !== undefined) {
+    fs.mkdirSync(path.join(dir, '.copilot'), { recursive: true });
+    const text = typeof contents === 'string' ? contents : JSON.stringify(contents);
+    fs.writeFileSync(path.join(dir, '.copilot', 'ecp.config.json'), text);
+  }
+  return dir;
+}
+
+function cleanup(dir) {
+  try { fs.rmSync(dir, { recursive: true, force: true }); } catch {}
+}
+
+// ---------------------------------------------------------------------------
+// validateConfig
+// ---------------------------------------------------------------------------
+
+describe('validateConfig', () => {
+  test('accepts a full config', () => {
+    const errors = config.validateConfig({
+      $schema: './schema.json',
+      preset: 'backend',
+      skills: { include: ['golang-patterns'], exclude: ['security-review'] },
+      agents: { include: ['planner'], exclude: ['e2e-runner'] },
+      paths: { skills: 'skills', instincts: '.ai/instincts' },
+      models: { default: 'sonnet', agents: { planner: 'opus' } },
+      budget: { skillTokens: 6000, totalTokens: 30000 },
+      validate: { strict: true },
+      evolve: { similarity: 0.4, minSize: 4 },
+    });
+    assert.deepEqual(errors, []);
+  });
+
+  test('reports unknown keys, wrong types and bad names with their location', () => {
+    const errors = config.validateConfig({
+      presets: 'x',
+      skills: { include: ['Bad Name', 'ok', 'ok'] },
+      models: { agents: { planner: 3 } },
+      budget: { skillTokens: 0 },
+      validate: { strict: 'yes' },
+      evolve: { minSize: 1.5 },
+    });
+    assert.ok(errors.includes('presets: unknown key'));
+    assert.ok(errors.some((e) => e.startsWith('skills.include[0]:')));
+    assert.ok(errors.some((e) => e.startsWith('skills.include: duplicate entry')));
+    assert.ok(errors.includes('models.agents.planner: expected string, got number'));
+    assert.ok(errors.includes('budget.skillTokens: must be at least 1'));
+    assert.ok(errors.includes('validate.strict: expected boolean, got string'));
+    assert.ok(errors.includes('evolve.minSize: expected integer, got number'));
+  });
+
+  test('rejects a non-object root', () => {
+    assert.deepEqual(config.validateConfig([]), ['(root): expected object, got array']);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// loadConfig
+// ---------------------------------------------------------------------------
+
+describe('loadConfig', () => {
+  test('returns defaults when the file is missing', () => {
+    const dir = makeProject();
+    try {
+      const loaded = config.loadConfig(dir);
+      assert.equal(loaded.exists, false);
+      assert.equal(loaded.config.preset, null);
+      assert.equal(loaded.config.paths.instincts, '.copilot/skills/continuous-learning/learned');
+      assert.equal(loaded.config.validate.strict, false);
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  test('merges the file over the defaults section by section', () => {
+    const dir = makeProject({ preset: 'go', paths: { instincts: '.ai/instincts' }, models: { agents: { tdd: 'opus' } } });
+    try {
+      const loaded = config.loadConfig(dir);
+      assert.equal(loaded.exists, true);
+      assert.equal(loaded.config.preset, 'go');
+      assert.equal(loaded.config.paths.instincts, '.ai/instincts');
+      assert.equal(loaded.config.paths.skills, '.copilot/skills');
+      assert.equal(loaded.config.models.default, 'sonnet');
+      assert.deepEqual(loaded.config.models.agents, { tdd: 'opus' });
+      assert.deepEqual(loaded.config.skills, { include: [], exclude: [] });
+      assert.equal(
+        config.resolveConfigPath(dir, loaded.config, 'instincts'),
+        path.join(dir, '.ai', 'instincts'),
+      );
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  test('throws on invalid JSON and on schema violations', () => {
+    const broken = makeProject('{ "preset": ');
+    const invalid = makeProject({ preset: 42 });
+    try {
+      for (const [dir, pattern] of [[broken, /not valid JSON/], [invalid, /preset: expected string/]]) {
+        let error = null;
+        try { config.loadConfig(dir); } catch (err) { error = err; }
+        assert.ok(error, 'Expected loadConfig to throw');
+        assert.match(error.message, pattern);
+      }
+    } finally {
+      cleanup(broken);
+      cleanup(invalid);
+    }
+  });
+
+  test('initialConfigText produces a config that validates', () => {
+    const parsed = JSON.parse(config.initialConfigText('standard'));
+    assert.equal(parsed.preset, 'standard');
+    assert.deepEqual(config.validateConfig(parsed), []);
+    const schemaFromProject = path.posix.join(path.posix.dirname(config.CONFIG_FILE), parsed.$schema);
+    assert.equal(schemaFromProject, 'node_modules/everything-copilot/schemas/ecp.config.schema.json');
+  });
+});
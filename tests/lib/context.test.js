@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const os = require('node:os');
+const { execFileSync } = require('node:child_process');
+const { assert, describe, test } = require('../run-all');
+const { matchesSkillPattern, resolveContext } = require('../../scripts/lib/context');
+const { measureBudget } = require('../../scripts/lib/budget');
+const { validateReport } = require('../../scripts/lib/report');
+
+const ECP = path.resolve(__dirname, '..', '..', 'bin', 'ecp.js');
+
+function makeTmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'context-test-'));
+}
+
+function cleanup(dir) {
+  try { fs.rmSync(dir, { recursive: true, force: true }); } catch {}
+}
+
+function writeFile(root, rel, content) {
+  const file = path.join(root, ...rel.split('/'));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+function makeProject() {
+  const tmp = makeTmpDir();
+  writeFile(tmp, '.github/copilot-instructions.md', 'Repo rules.\n');
+  writeFile(tmp, '.github/instructions/typescript.instructions.md', '---\napplyTo: "**/*.ts,**/*.tsx"\n---\nUse strict mode.\n');
+  writeFile(tmp, '.github/instructions/go.instructions.md', '---\napplyTo: "**/*.go"\n---\nGo rules.\n');
+  writeFile(tmp, '.copilot/skills/frontend/SKILL.md', '# Frontend\n\n## Trigger Conditions\n- React work\n- Files matching: `*.tsx`, `src/styles/**`\n');
+  writeFile(tmp, '.github/agents/planner.agent.md', '---\nname: Planner\n---\n\n# Planner\n');
+  return tmp;
+}
+
+// ---------------------------------------------------------------------------
+// resolveContext
+// ---------------------------------------------------------------------------
+
+describe('resolveContext', () => {
+  test('stacks repo instructions, matching instruction files and skills in load order', () => {
+    const tmp = makeProject();
+    try {
+      const stack = resolveContext(tmp, 'src/components/App.tsx');
+      assert.equal(stack.file, 'src/components/App.tsx');
+      assert.deepEqual(stack.layers.map((l) => [l.kind, l.name, l.matched]), [
+        ['repo-instructions', 'copilot-instructions', null],
+        ['instructions', 'typescript', '**/*.tsx'],
+        ['skill', 'frontend', '*.tsx'],
+      ]);
+      assert.equal(stack.tokens, stack.layers.reduce((sum, l) => sum + l.tokens, 0));
+      assert.ok(stack.layers[1].tokens > 0);
+      assert.deepEqual(stack.agents.map((a) => a.name), ['planner']);
+
+      assert.deepEqual(resolveContext(tmp, 'main.go').layers.map((l) => l.name), ['copilot-instructions', 'go']);
+      assert.throws(() => resolveContext(tmp, '../elsewhere.ts'), 'not inside the project');
+    } finally {
+      cleanup(tmp);
+    }
+  });
+
+  test('counts skill bodies without frontmatter, as ecp budget does', () => {
+    const tmp = makeProject();
+    try {
+      const skill = '---\nname: frontend\ndescription: React and styling work\n---\n# Frontend\n\n## Trigger Conditions\n- Files matching: `*.tsx`\n';
+      writeFile(tmp, '.copilot/skills/frontend/SKILL.md', skill);
+      const layer = resolveContext(tmp, 'src/App.tsx').layers.find((l) => l.kind === 'skill');
+      const budget = measureBudget([{ path: '.copilot/skills/frontend/SKILL.md', text: skill }]);
+      assert.equal(layer.tokens, budget.skills[0].skillTokens);
+    } finally {
+      cleanup(tmp);
+    }
+  });
+
+  test('skill patterns without a slash match the file name anywhere', () => {
+    assert.ok(matchesSkillPattern('*auth*', 'src/lib/authService.ts'));
+    assert.ok(matchesSkillPattern('src/styles/**', 'src/styles/base.css'));
+    assert.ok(!matchesSkillPattern('src/styles/**', 'lib/src/styles/base.css'));
+  });
+
+  test('ecp explain --json matches the report schema', () => {
+    const tmp = makeProject();
+    try {
+      const out = execFileSync(process.execPath, [ECP, 'explain', 'src/styles/base.css', '--json'], { cwd: tmp, encoding: 'utf8' });
+      const report = JSON.parse(out);
+      assert.deepEqual(validateReport(report), []);
+      assert.deepEqual(report.layers.map((l) => l.name), ['copilot-instructions', 'frontend']);
+    } finally {
+      cleanup(tmp);
+    }
+  });
+});
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const { assert, describe, test } = require('../run-all');
+const { diffLines, unifiedDiff, merge3 } = require('../../scripts/lib/diff');
+
+// ---------------------------------------------------------------------------
+// diffLines
+// ---------------------------------------------------------------------------
+
+describe('diffLines', () => {
+  test('returns only equal ops for identical text', () => {
+    const ops = diffLines('a\nb\n', 'a\nb\n');
+    assert.ok(ops.every((op) => op.type === 'equal'));
+  });
+
+  test('reports removed and added lines in order', () => {
+    const ops = diffLines('a\nb\nc', 'a\nc\nd');
+    assert.deepEqual(ops, [
+      { type: 'equal', line: 'a' },
+      { type: 'remove', line: 'b' },
+      { type: 'equal', line: 'c' },
+      { type: 'add', line: 'd' },
+    ]);
+  });
+
+  test('treats empty input as no lines', () => {
+    const ops = diffLines('', 'x');
+    assert.deepEqual(ops, [{ type: 'add', line: 'x' }]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// merge3
+// ---------------------------------------------------------------------------
+
+describe('merge3', () => {
+  const base = 'a\nb\nc\nd\ne\n';
+
+  test('combines non-overlapping edits from both sides', () => {
+    const result = merge3(base, 'a\nB\nc\nd\ne\n', 'a\nb\nc\nd\nE\nf\n');
+    assert.equal(result.clean, true);
+    assert.equal(result.content, 'a\nB\nc\nd\nE\nf\n');
+  });
+
+  test('takes the incoming version when only the toolkit changed', () => {
+    const result = merge3(base, base, 'a\nb\nX\nd\ne\n');
+    assert.equal(result.content, 'a\nb\nX\nd\ne\n');
+  });
+
+  test('keeps identical edits made on both sides once', () => {
+    const result = merge3(base, 'a\nZ\nc\nd\ne\n', 'a\nZ\nc\nd\ne\n');
+    assert.equal(result.clean, true);
+    assert.equal(result.content, 'a\nZ\nc\nd\ne\n');
+  });
+
+  test('marks overlapping edits as a conflict', () => {
+    const result = merge3(base, 'a\nX\nc\nd\ne\n', 'a\nY\nc\nd\ne\n', { ours: 'local', theirs: 'v2' });
+    assert.equal(result.clean, false);
+    assert.equal(result.conflicts, 1);
+    assert.equal(result.content, 'a\n<<<<<<< local\nX\n=======\nY\n>>>>>>> v2\nc\nd\ne\n');
+  });
+
+  test('handles insertions at both ends', () => {
+    const result = merge3(base, 'top\n' + base, base + 'bottom\n');
+    assert.equal(result.content, 'top\n' + base + 'bottom\n');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// unifiedDiff
+// ---------------------------------------------------------------------------
+
+describe('unifiedDiff', () => {
+  test('returns an empty string for identical text', () => {
+    assert.equal(unifiedDiff('same\n', 'same\n'), '');
+  });
+
+  test('renders headers, hunk ranges and +/- lines', () => {
+    const patch = unifiedDiff('a\nb\nc\n', 'a\nB\nc\n', { fromFile: 'a/x.md', toFile: 'b/x.md' });
+    assert.equal(patch, '--- a/x.md\n+++ b/x.md\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n');
+  });
+
+  test('splits distant changes into separate hunks', () => {
+    const before = 'l1\nl2\nl3\nl4\nl5\nl6\nl7\nl8\nl9\nl10\n';
+    const after = 'L1\nl2\nl3\nl4\nl5\nl6\nl7\nl8\nl9\nL10\n';
+    const hunks = unifiedDiff(before, after).split('\n').filter((l) => l.startsWith('@@'));
+    assert.equal(hunks.length, 2);
+  });
+
+  test('shows a new file as all additions', () => {
+    const patch = unifiedDiff('', 'x\ny\n');
+    assert.match(patch, /@@ -0,0 \+1,2 @@\n\+x\n\+y\n$/);
+  });
+});
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const os = require('node:os');
+const { assert, describe, test } = require('../run-all');
+const { createFileOps } = require('../../scripts/lib/file-ops');
+
+function makeTmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'file-ops-test-'));
+}
+
+function cleanup(dir) {
+  try { fs.rmSync(dir, { recursive: true, force: true }); } catch {}
+}
+
+// Strip ANSI colour codes so assertions do not depend on the terminal.
+function plain(lines) {
+  return lines.map((l) => l.replace(/\x1b\[[0-9;]*m/g, ''));
+}
+
+// ---------------------------------------------------------------------------
+// createFileOps
+// ---------------------------------------------------------------------------
+
+describe('createFileOps', () => {
+  test('writes files and classifies create / overwrite / unchanged', () => {
+    const tmp = makeTmpDir();
+    try {
+      const ops = createFileOps();
+      const file = path.join(tmp, 'nested', 'a.txt');
+      assert.equal(ops.write(file, 'one'), 'create');
+      assert.equal(ops.write(file, 'two'), 'overwrite');
+      assert.equal(ops.write(file, 'two'), 'unchanged');
+      assert.equal(fs.readFileSync(file, 'utf8'), 'two');
+    } finally {
+      cleanup(tmp);
+    }
+  });
+
+  test('dry run records operations without touching the disk', () => {
+    const tmp = makeTmpDir();
+    try {
+      const ops = createFileOps({ dryRun: true });
+      ops.write(path.join(tmp, 'a.txt'), 'hello');
+      ops.skip(path.join(tmp, 'b.txt'), 'already exists');
+      assert.ok(!fs.existsSync(path.join(tmp, 'a.txt')));
+      assert.deepEqual(plain(ops.formatPlan(tmp)), [
+        'create     a.txt',
+        'skip       b.txt (already exists)',
+      ]);
+    } finally {
+      cleanup(tmp);
+    }
+  });
+
+  test('diff implies dry run and renders a unified diff for overwrites', () => {
+    const tmp = makeTmpDir();
+    try {
+      const file = path.join(tmp, 'a.txt');
+      fs.writeFileSync(file, 'old\n');
+      const ops = createFileOps({ diff: true });
+      ops.write(file, 'new\n');
+
+      assert.equal(ops.dryRun, true);
+      assert.equal(fs.readFileSync(file, 'utf8'), 'old\n');
+      const lines = plain(ops.formatPlan(tmp)).map((l) => l.trim());
+      assert.ok(lines.includes('overwrite  a.txt'));
+      assert.ok(lines.includes('-old'));
+      assert.ok(lines.includes('+new'));
+    } finally {
+      cleanup(tmp);
+    }
+  });
+
+  test('summarises internal bookkeeping writes in one line', () => {
+    const tmp = makeTmpDir();
+    try {
+      const ops = createFileOps({ dryRun: true });
+      ops.write(path.join(tmp, 'a.txt'), 'a');
+      ops.write(path.join(tmp, 'base', 'a.txt'), 'a', { internal: true });
+      ops.write(path.join(tmp, 'base', 'b.txt'), 'b', { internal: true });
+      const lines = plain(ops.formatPlan(tmp));
+      assert.equal(lines.length, 2);
+      assert.match(lines[1], /2 bookkeeping file\(s\)/);
+    } finally {
+      cleanup(tmp);
+    }
+  });
+
+  test('remove deletes existing files and ignores missing ones', () => {
+    const tmp = makeTmpDir();
+    try {
+      const file = path.join(tmp, 'a.txt');
+      fs.writeFileSync(file, 'x');
+      const ops = createFileOps();
+      ops.remove(file);
+      ops.remove(path.join(tmp, 'missing.txt'));
+      assert.ok(!fs.existsSync(file));
+      assert.equal(ops.ops.length, 1);
+    } finally {
+      cleanup(tmp);
+    }
+  });
+});
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const { assert, describe, test } = require('../run-all');
+const glob = require('../../scripts/lib/glob');
+
+// ---------------------------------------------------------------------------
+// splitPatterns / checkPattern
+// ---------------------------------------------------------------------------
+
+describe('glob syntax', () => {
+  test('splitPatterns splits on commas outside braces', () => {
+    assert.deepEqual(glob.splitPatterns('**/*.{ts,tsx}, **/pom.xml'), ['**/*.{ts,tsx}', '**/pom.xml']);
+    assert.deepEqual(glob.splitPatterns('**/*.go,'), ['**/*.go', '']);
+  });
+
+  test('checkPattern accepts valid globs and explains invalid ones', () => {
+    for (const pattern of ['**/*.go', 'src/**', '**/components/**', 'file?.[jt]s', '[!_]*.md', '*.{js,mjs}']) {
+      assert.equal(glob.checkPattern(pattern), null, pattern);
+    }
+    assert.equal(glob.checkPattern(''), 'empty pattern');
+    assert.match(glob.checkPattern('src/**.js'), /whole path segment/);
+    assert.match(glob.checkPattern('/src/*.js'), /relative/);
+    assert.match(glob.checkPattern('src\\*.js'), /path separator/);
+    assert.equal(glob.checkPattern('*.[jt'), 'unclosed "["');
+    assert.equal(glob.checkPattern('*.{js,ts'), 'unclosed "{"');
+    assert.equal(glob.checkPattern('*.js}'), 'unmatched "}"');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// matchGlob
+// ---------------------------------------------------------------------------
+
+describe('matchGlob', () => {
+  test('** matches zero or more directories', () => {
+    assert.ok(glob.matchGlob('**/*.go', 'main.go'));
+    assert.ok(glob.matchGlob('**/*.go', 'cmd/api/main.go'));
+    assert.ok(glob.matchGlob('**/components/**', 'src/components/nav/Bar.tsx'));
+    assert.ok(!glob.matchGlob('**/components/**', 'src/components.tsx'));
+  });
+
+  test('* and ? stay within one segment; classes and braces', () => {
+    assert.ok(glob.matchGlob('src/*.ts', 'src/a.ts'));
+    assert.ok(!glob.matchGlob('src/*.ts', 'src/lib/a.ts'));
+    assert.ok(glob.matchGlob('file?.[jt]s', 'file1.ts'));
+    assert.ok(!glob.matchGlob('[!_]*.md', '_draft.md'));
+    assert.ok(glob.matchGlob('**/*.{ts,tsx}', 'app/page.tsx'));
+    assert.ok(!glob.matchGlob('**/*.{ts,tsx}', 'app/page.jsx'));
+  });
+});
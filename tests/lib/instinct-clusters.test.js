@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const os = require('node:os');
+const { spawnSync } = require('node:child_process');
+const { assert, describe, test } = require('../run-all');
+const clusters = require('../../scripts/lib/instinct-clusters');
+const { validateReport } = require('../../scripts/lib/report');
+
+const MANAGER = path.resolve(__dirname, '..', '..', 'scripts', 'instinct-manager.js');
+const STORE_REL = path.join('.copilot', 'skills', 'continuous-learning', 'learned', 'instincts.json');
+
+function makeProject() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'instinct-clusters-test-'));
+  fs.writeFileSync(path.join(dir, 'package.json'), '{}');
+  return dir;
+}
+
+function cleanup(dir) {
+  try { fs.rmSync(dir, { recursive: true, force: true }); } catch {}
+}
+
+const instinct = (name, category, pattern, tags, confidence = 0.75) => ({
+  id: `inst-${name}`, name, category, pattern, tags, confidence, lastUsed: new Date().toISOString(),
+});
+
+const INSTINCTS = [
+  instinct('api-error-response-format', 'code-pattern', 'Return errors as { error: { code, message } } from API handlers', ['api', 'errors']),
+  instinct('api-error-status-codes', 'code-pattern', 'Map validation errors to 422 and missing resources to 404 in API responses', ['api', 'errors']),
+  instinct('api-error-logging', 'debugging', 'Log API errors with the request id before returning the error response', ['api', 'logging']),
+  instinct('zod-input-validation', 'code-pattern', 'Validate request bodies with zod schemas at the route boundary', ['validation', 'zod']),
+  instinct('zod-validate-inputs', 'code-pattern', 'Validate request body input with a zod schema at the route boundary', ['validation', 'zod']),
+  instinct('css-z-index', 'code-pattern', 'Keep z-index values in a shared scale', ['css']),
+];
+
+const byName = (result) => Object.fromEntries(result.clusters.map((c) => [c.members.map((m) => m.name).sort().join(','), c]));
+
+// ---------------------------------------------------------------------------
+// tokenize
+// ---------------------------------------------------------------------------
+
+describe('instinct-clusters tokenize', () => {
+  test('splits names and drops stopwords, and word forms meet', () => {
+    assert.deepEqual(clusters.tokenize('zodInputs-for the API'), ['zod', 'input', 'api']);
+    assert.deepEqual(
+      ['validate', 'validates', 'validated', 'validation'].map(clusters.stem),
+      ['validat', 'validat', 'validat', 'validat'],
+    );
+    assert.deepEqual(['logging', 'status', 'class'].map(clusters.stem), ['log', 'status', 'class']);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// clusterInstincts
+// ---------------------------------------------------------------------------
+
+describe('clusterInstincts', () => {
+  test('splits a mixed category, joins across categories and explains each cluster', () => {
+    const result = clusters.clusterInstincts(INSTINCTS);
+    const found = byName(result);
+    assert.deepEqual(Object.keys(found).sort(), [
+      'api-error-logging,api-error-response-format,api-error-status-codes',
+      'zod-input-validation,zod-validate-inputs',
+    ]);
+    assert.deepEqual(result.unclustered.map((m) => m.name), ['css-z-index']);
+
+    const api = found['api-error-logging,api-error-response-format,api-error-status-codes'];
+    assert.equal(api.name, 'error-api-response');
+    assert.deepEqual(api.categories, ['code-pattern', 'debugging']);
+    assert.ok(api.terms.includes('api error'), 'two-word shingles are shared terms');
+    assert.equal(api.ready, true);
+    assert.deepEqual(api.reasons.filter((r) => !r.startsWith('cohesion')), [
+      'shares "error", "api", "api error", "response", "code"',
+      'spans categories code-pattern, debugging',
+      '3 other "code-pattern" instinct(s) differ and stay out',
+      'ready: 3 distinct patterns at average confidence 0.75',
+    ]);
+    assert.equal(result.clusters[0], api, 'ready clusters come first');
+  });
+
+  test('counts near-duplicates once and applies threshold overrides', () => {
+    const zod = byName(clusters.clusterInstincts(INSTINCTS))['zod-input-validation,zod-validate-inputs'];
+    assert.equal(zod.duplicates.length, 1);
+    assert.equal(zod.distinct, 1);
+    assert.match(zod.reasons[zod.reasons.length - 1], /^not ready: 1 distinct pattern\(s\), needs 3$/);
+
+    const strict = clusters.clusterInstincts(INSTINCTS, { duplicate: 0.95, minSize: 2, minConfidence: 0.8 });
+    const zodStrict = byName(strict)['zod-input-validation,zod-validate-inputs'];
+    assert.equal(zodStrict.distinct, 2);
+    assert.match(zodStrict.reasons[zodStrict.reasons.length - 1], /^not ready: average confidence 0\.75, needs 0\.80$/);
+
+    assert.equal(clusters.clusterInstincts(INSTINCTS, { similarity: 0.9 }).clusters.length, 0);
+    assert.equal(clusters.clusterInstincts(INSTINCTS, { maxSize: 2 }).clusters.every((c) => c.members.length <= 2), true);
+    assert.throws(() => clusters.resolveThresholds({ similarity: 1.5 }), 'similarity must be a number from 0 to 1');
+    assert.throws(() => clusters.resolveThresholds({ minSize: 'x' }), 'minSize must be a whole number of at least 2, got x');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// instinct evolve
+// ---------------------------------------------------------------------------
+
+describe('instinct evolve', () => {
+  test('--json reports clusters with the configured thresholds', () => {
+    const dir = makeProject();
+    try {
+      const store = path.join(dir, STORE_REL);
+      fs.mkdirSync(path.dirname(store), { recursive: true });
+      fs.writeFileSync(store, JSON.stringify({ schemaVersion: 1, instincts: INSTINCTS }));
+      fs.writeFileSync(path.join(dir, '.copilot', 'ecp.config.json'), JSON.stringify({ evolve: { minSize: 2, duplicate: 0.95 } }));
+
+      const run = spawnSync(process.execPath, [MANAGER, 'evolve', '--json', '--min-confidence=0.5'], { cwd: dir, encoding: 'utf8' });
+      const report = JSON.parse(run.stdout);
+      assert.deepEqual(validateReport(report), []);
+      assert.deepEqual(report.thresholds, { similarity: 0.3, duplicate: 0.95, minSize: 2, minConfidence: 0.5, maxSize: 10 });
+      assert.deepEqual(report.clusters.map((c) => c.ready), [true, true]);
+      assert.equal(report.unclustered[0].nearest.similarity < 0.3, true);
+
+      const bad = spawnSync(process.execPath, [MANAGER, 'evolve', '--similarity=high'], { cwd: dir, encoding: 'utf8' });
+      assert.equal(bad.status, 1);
+      assert.match(bad.stderr, /similarity must be a number from 0 to 1, got high/);
+    } finally {
+      cleanup(dir);
+    }
+  });
+});
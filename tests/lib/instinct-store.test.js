@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const os = require('node:os');
+const { spawn, spawnSync } = require('node:child_process');
+const { assert, describe, test } = require('../run-all');
+const store = require('../../scripts/lib/instinct-store');
+const { createFileOps } = require('../../scripts/lib/file-ops');
+
+const MANAGER = path.resolve(__dirname, '..', '..', 'scripts', 'instinct-manager.js');
+const STORE_REL = path.join('.copilot', 'skills', 'continuous-learning', 'learned', 'instincts.json');
+
+function makeTmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'instinct-store-test-'));
+}
+
+function cleanup(dir) {
+  try { fs.rmSync(dir, { recursive: true, force: true }); } catch {}
+}
+
+function makeProject() {
+  const dir = makeTmpDir();
+  fs.writeFileSync(path.join(dir, 'package.json'), '{}');
+  return dir;
+}
+
+const instinct = (name) => ({ id: `inst-${name}`, name, category: 'testing', pattern: name, confidence: 0.5, lastUsed: new Date().toISOString(), useCount: 0 });
+
+// ---------------------------------------------------------------------------
+// readStore / updateStore
+// ---------------------------------------------------------------------------
+
+describe('instinct store', () => {
+  test('reads missing, legacy and current stores and rejects broken ones', () => {
+    const tmp = makeTmpDir();
+    try {
+      const file = path.join(tmp, 'instincts.json');
+      assert.deepEqual(store.readStore(file), { schemaVersion: 1, instincts: [] });
+
+      fs.writeFileSync(file, JSON.stringify([instinct('old')]));
+      assert.deepEqual(store.readStore(file).instincts.map((i) => i.name), ['old']);
+
+      fs.writeFileSync(file, JSON.stringify({ schemaVersion: 99, instincts: [] }));
+      assert.throws(() => store.readStore(file), 'newer everything-copilot (schemaVersion 99)');
+
+      fs.writeFileSync(file, '{not json');
+      fs.writeFileSync(file + store.BACKUP_SUFFIX, '[]');
+      assert.throws(() => store.readStore(file), `the previous version is in ${file}.bak`);
+    } finally {
+      cleanup(tmp);
+    }
+  });
+
+  test('updateStore writes a versioned store atomically and backs up the previous one', () => {
+    const tmp = makeTmpDir();
+    try {
+      const file = path.join(tmp, 'learned', 'instincts.json');
+      fs.mkdirSync(path.dirname(file));
+      fs.writeFileSync(file, JSON.stringify([instinct('old')]));
+
+      const result = store.updateStore(file, (instincts) => {
+        instincts.push(instinct('new'));
+        return instincts.length;
+      });
+      assert.equal(result, 2);
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      assert.equal(saved.schemaVersion, store.STORE_SCHEMA_VERSION);
+      assert.deepEqual(saved.instincts.map((i) => i.name), ['old', 'new']);
+      assert.deepEqual(JSON.parse(fs.readFileSync(file + store.BACKUP_SUFFIX, 'utf8')).map((i) => i.name), ['old']);
+      assert.deepEqual(fs.readdirSync(path.dirname(file)).sort(), ['instincts.json', 'instincts.json.bak']);
+
+      // Unchanged stores are not rewritten; dry runs only record the write
+      const mtime = fs.statSync(file).mtimeMs;
+      store.updateStore(file, () => {});
+      assert.equal(fs.statSync(file).mtimeMs, mtime);
+      const ops = createFileOps({ dryRun: true });
+      store.updateStore(file, (instincts) => { instincts.pop(); }, { ops });
+      assert.deepEqual(ops.ops.map((op) => op.action), ['overwrite']);
+      assert.equal(store.readStore(file).instincts.length, 2);
+    } finally {
+      cleanup(tmp);
+    }
+  });
+
+  test('withLock waits for live sessions and takes over abandoned locks', () => {
+    const tmp = makeTmpDir();
+    try {
+      const file = path.join(tmp, 'instincts.json');
+      const lock = file + store.LOCK_SUFFIX;
+
+      fs.writeFileSync(lock, JSON.stringify({ pid: process.ppid }));
+      assert.throws(() => store.withLock(file, () => {}, { timeout: 100 }), `is locked by process ${process.ppid}`);
+
+      // A process id that cannot be running
+      fs.writeFileSync(lock, JSON.stringify({ pid: 2 ** 22 + 1 }));
+      assert.equal(store.withLock(file, () => 'ran'), 'ran');
+      assert.ok(!fs.existsSync(lock));
+    } finally {
+      cleanup(tmp);
+    }
+  });
+
+  test('an old lock is kept while its process runs, and only an unreadable one expires', () => {
+    const tmp = makeTmpDir();
+    try {
+      const file = path.join(tmp, 'instincts.json');
+      const lock = file + store.LOCK_SUFFIX;
+      const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+
+      fs.writeFileSync(lock, JSON.stringify({ pid: process.ppid }));
+      fs.utimesSync(lock, hourAgo, hourAgo);
+      assert.throws(() => store.withLock(file, () => {}, { timeout: 100 }), `is locked by process ${process.ppid}`);
+      assert.deepEqual(JSON.parse(fs.readFileSync(lock, 'utf8')), { pid: process.ppid });
+
+      fs.writeFileSync(lock, '');
+      assert.throws(() => store.withLock(file, () => {}, { timeout: 100 }), 'is locked by another session');
+      fs.utimesSync(lock, hourAgo, hourAgo);
+      assert.equal(store.withLock(file, () => 'ran'), 'ran');
+      assert.deepEqual(fs.readdirSync(tmp), []);
+    } finally {
+      cleanup(tmp);
+    }
+  });
+
+  test('sessions contending for a stale lock take turns', async () => {
+    const tmp = makeTmpDir();
+    try {
+      const file = path.join(tmp, 'instincts.json');
+      const events = path.join(tmp, 'events.log');
+      fs.writeFileSync(file + store.LOCK_SUFFIX, JSON.stringify({ pid: 2 ** 22 + 1 }));
+
+      // Each session logs when it holds the lock; overlapping holds would interleave
+      const script = `
+        const fs = require('node:fs');
+        const { withLock } = require(${JSON.stringify(require.resolve('../../scripts/lib/instinct-store'))});
+        withLock(${JSON.stringify(file)}, () => {
+          fs.appendFileSync(${JSON.stringify(events)}, 'start ' + process.pid + '\\n');
+          Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 200);
+          fs.appendFileSync(${JSON.stringify(events)}, 'end ' + process.pid + '\\n');
+        });`;
+      const session = () => new Promise((resolve) => {
+        spawn(process.execPath, ['-e', script], { stdio: 'ignore' }).on('close', resolve);
+      });
+      assert.deepEqual(await Promise.all([session(), session(), session()]), [0, 0, 0]);
+
+      const lines = fs.readFileSync(events, 'utf8').trim().split('\n');
+      assert.equal(lines.length, 6);
+      for (let i = 0; i < lines.length; i += 2) {
+        assert.equal(lines[i + 1], lines[i].replace('start', 'end'));
+      }
+      assert.deepEqual(fs.readdirSync(tmp).sort(), ['events.log']);
+    } finally {
+      cleanup(tmp);
+    }
+  });
+});
+
+// ---------------------------------------------------------------------------
+// instinct-manager.js on the store
+// ---------------------------------------------------------------------------
+
+describe('instinct-manager store I/O', () => {
+  test('concurrent sessions do not lose each other\'s instincts', async () => {
+    const dir = makeProject();
+    try {
+      const add = (name) => new Promise((resolve) => {
+        spawn(process.execPath, [MANAGER, 'add', name, '--category=testing', '--pattern=p'], { cwd: dir, stdio: 'ignore' })
+          .on('close', resolve);
+      });
+      await Promise.all(['one', 'two', 'three', 'four'].map(add));
+      const saved = JSON.parse(fs.readFileSync(path.join(dir, STORE_REL), 'utf8'));
+      assert.deepEqual(saved.instincts.map((i) => i.name).sort(), ['four', 'one', 'three', 'two']);
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  test('list --json prints only the report, and the store is read back', () => {
+    const dir = makeProject();
+    try {
+      const empty = spawnSync(process.execPath, [MANAGER, 'list', '--json'], { cwd: dir, encoding: 'utf8' });
+      assert.deepEqual(JSON.parse(empty.stdout).instincts, []);
+      assert.equal(empty.stderr, '');
+
+      spawnSync(process.execPath, [MANAGER, 'add', 'first', '--category=testing', '--pattern=p'], { cwd: dir });
+      spawnSync(process.execPath, [MANAGER, 'add', 'second', '--category=testing', '--pattern=p'], { cwd: dir });
+      const list = spawnSync(process.execPath, [MANAGER, 'list', '--json'], { cwd: dir, encoding: 'utf8' });
+      assert.deepEqual(JSON.parse(list.stdout).instincts.map((i) => i.name).sort(), ['first', 'second']);
+
+      fs.writeFileSync(path.join(dir, STORE_REL), '{broken');
+      const broken = spawnSync(process.execPath, [MANAGER, 'list', '--json'], { cwd: dir, encoding: 'utf8' });
+      assert.equal(broken.status, 1);
+      assert.match(JSON.parse(broken.stdout).error, /is not valid JSON/);
+    } finally {
+      cleanup(dir);
+    }
+  });
+});
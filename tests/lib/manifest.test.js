@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const os = require('node:os');
+const { assert, describe, test } = require('../run-all');
+const manifestLib = require('../../scripts/lib/manifest');
+
+// Helper: a toolkit source dir and a target project dir.
+function makeDirs() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-test-'));
+  const src = path.join(root, 'src');
+  const target = path.join(root, 'target');
+  fs.mkdirSync(src, { recursive: true });
+  fs.mkdirSync(target, { recursive: true });
+  return { root, src, target };
+}
+
+function write(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+function cleanup(dir) {
+  try { fs.rmSync(dir, { recursive: true, force: true }); } catch {}
+}
+
+const SELECTION = { preset: 'minimal', skills: [], includeAgents: true, includeInstructions: true, includeScripts: false };
+
+// Install `content` as version 1.0.0 of `rel` and return the manifest.
+function installV1(target, rel, content) {
+  const manifest = manifestLib.createManifest('1.0.0', SELECTION);
+  write(path.join(target, rel), content);
+  manifestLib.recordFile(target, manifest, rel, content, 'agents');
+  manifestLib.saveManifest(target, manifest);
+  return manifestLib.loadManifest(target);
+}
+
+function actionFor(actions, rel) {
+  return actions.find((a) => a.path === rel);
+}
+
+// ---------------------------------------------------------------------------
+// hashContent
+// ---------------------------------------------------------------------------
+
+describe('hashContent', () => {
+  test('is stable and prefixed with the algorithm', () => {
+    const h = manifestLib.hashContent('hello');
+    assert.match(h, /^sha256-[0-9a-f]{64}$/);
+    assert.equal(h, manifestLib.hashContent('hello'));
+  });
+
+  test('ignores CRLF vs LF differences', () => {
+    assert.equal(manifestLib.hashContent('a\r\nb\r\n'), manifestLib.hashContent('a\nb\n'));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// load / save / status
+// ---------------------------------------------------------------------------
+
+describe('manifest load/save', () => {
+  test('returns null when no lockfile exists', () => {
+    const { root, target } = makeDirs();
+    try {
+      assert.equal(manifestLib.loadManifest(target), null);
+    } finally {
+      cleanup(root);
+    }
+  });
+
+  test('round-trips tracked files and keeps a pristine base copy', () => {
+    const { root, target } = makeDirs();
+    try {
+      const rel = '.github/agents/planner.agent.md';
+      const manifest = installV1(target, rel, 'v1\n');
+      assert.equal(manifest.toolkitVersion, '1.0.0');
+      assert.equal(manifest.files[rel].component, 'agents');
+      assert.equal(fs.readFileSync(path.join(target, manifestLib.BASE_DIR, rel), 'utf8'), 'v1\n');
+    } finally {
+      cleanup(root);
+    }
+  });
+
+  test('throws on a corrupt lockfile', () => {
+    const { root, target } = makeDirs();
+    try {
+      write(path.join(target, manifestLib.LOCKFILE), '{not json');
+      assert.throws(() => manifestLib.loadManifest(target));
+    } finally {
+      cleanup(root);
+    }
+  });
+
+  test('fileStatus distinguishes unmodified, modified and missing files', () => {
+    const { root, target } = makeDirs();
+    try {
+      const manifest = installV1(target, 'a.md', 'one\n');
+      assert.equal(manifestLib.fileStatus(target, manifest, 'a.md'), 'unmodified');
+      fs.writeFileSync(path.join(target, 'a.md'), 'changed\n');
+      assert.equal(manifestLib.fileStatus(target, manifest, 'a.md'), 'modified');
+      fs.rmSync(path.join(target, 'a.md'));
+      assert.equal(manifestLib.fileStatus(target, manifest, 'a.md'), 'missing');
+      assert.equal(manifestLib.fileStatus(target, manifest, 'other.md'), 'untracked');
+    } finally {
+      cleanup(root);
+    }
+  });
+});
+
+// ---------------------------------------------------------------------------
+// planUpgrade / applyUpgrade
+// ---------------------------------------------------------------------------
+
+describe('planUpgrade', () => {
+  test('updates untouched files and creates new ones', () => {
+    const { root, src, target } = makeDirs();
+    try {
+      const manifest = installV1(target, 'a.md', 'one\n');
+      write(path.join(src, 'a.md'), 'one\ntwo\n');
+      write(path.join(src, 'b.md'), 'new\n');
+      const planned = [
+        { src: path.join(src, 'a.md'), dest: 'a.md', component: 'agents' },
+        { src: path.join(src, 'b.md'), dest: 'b.md', component: 'agents' },
+      ];
+
+      const actions = manifestLib.planUpgrade(target, manifest, planned);
+      assert.equal(actionFor(actions, 'a.md').action, 'update');
+      assert.equal(actionFor(actions, 'b.md').action, 'create');
+
+      manifest.toolkitVersion = '1.1.0';
+      manifestLib.applyUpgrade(target, manifest, actions);
+      assert.equal(fs.readFileSync(path.join(target, 'a.md'), 'utf8'), 'one\ntwo\n');
+      assert.equal(fs.readFileSync(path.join(target, 'b.md'), 'utf8'), 'new\n');
+      assert.equal(manifest.files['b.md'].version, '1.1.0');
+    } finally {
+      cleanup(root);
+    }
+  });
+
+  test('three-way merges locally modified files', () => {
+    const { root, src, target } = makeDirs();
+    try {
+      const manifest = installV1(target, 'a.md', 'title\nbody\nfooter\n');
+      fs.writeFileSync(path.join(target, 'a.md'), 'title\nbody\nfooter\nmy note\n');
+      write(path.join(src, 'a.md'), 'new title\nbody\nfooter\n');
+
+      const actions = manifestLib.planUpgrade(target, manifest, [
+        { src: path.join(src, 'a.md'), dest: 'a.md', component: 'agents' },
+      ]);
+      assert.equal(actions[0].action, 'merge');
+
+      manifestLib.applyUpgrade(target, manifest, actions);
+      assert.equal(fs.readFileSync(path.join(target, 'a.md'), 'utf8'), 'new title\nbody\nfooter\nmy note\n');
+      assert.equal(manifestLib.fileStatus(target, manifest, 'a.md'), 'modified');
+    } finally {
+      cleanup(root);
+    }
+  });
+
+  test('reports conflicts, and skips modified files with the skip strategy', () => {
+    const { root, src, target } = makeDirs();
+    try {
+      const manifest = installV1(target, 'a.md', 'line\n');
+      fs.writeFileSync(path.join(target, 'a.md'), 'mine\n');
+      write(path.join(src, 'a.md'), 'theirs\n');
+      const planned = [{ src: path.join(src, 'a.md'), dest: 'a.md', component: 'agents' }];
+
+      const merged = manifestLib.planUpgrade(target, manifest, planned);
+      assert.equal(merged[0].action, 'conflict');
+      assert.equal(merged[0].conflicts, 1);
+
+      const skipped = manifestLib.planUpgrade(target, manifest, planned, { strategy: 'skip' });
+      assert.equal(skipped[0].action, 'skip-modified');
+    } finally {
+      cleanup(root);
+    }
+  });
+
+  test('keeps local edits when the toolkit file did not change', () => {
+    const { root, src, target } = makeDirs();
+    try {
+      const manifest = installV1(target, 'a.md', 'line\n');
+      fs.writeFileSync(path.join(target, 'a.md'), 'mine\n');
+      write(path.join(src, 'a.md'), 'line\n');
+      const actions = manifestLib.planUpgrade(target, manifest, [
+        { src: path.join(src, 'a.md'), dest: 'a.md', component: 'agents' },
+      ]);
+      assert.equal(actions[0].action, 'keep');
+    } finally {
+      cleanup(root);
+    }
+  });
+
+  test('removes untouched files the toolkit no longer ships', () => {
+    const { root, target } = makeDirs();
+    try {
+      const manifest = installV1(target, 'old.md', 'old\n');
+      const actions = manifestLib.planUpgrade(target, manifest, []);
+      assert.equal(actions[0].action, 'remove');
+
+      manifestLib.applyUpgrade(target, manifest, actions);
+      assert.ok(!fs.existsSync(path.join(target, 'old.md')));
+      assert.equal(manifest.files['old.md'], undefined);
+    } finally {
+      cleanup(root);
+    }
+  });
+
+  test('never overwrites an untracked file that differs from the toolkit', () => {
+    const { root, src, target } = makeDirs();
+    try {
+      const manifest = manifestLib.createManifest('1.0.0', SELECTION);
+      write(path.join(target, 'a.md'), 'user file\n');
+      write(path.join(src, 'a.md'), 'toolkit file\n');
+      const actions = manifestLib.planUpgrade(target, manifest, [
+        { src: path.join(src, 'a.md'), dest: 'a.md', component: 'agents' },
+      ]);
+      assert.equal(actions[0].action, 'skip-untracked');
+    } finally {
+      cleanup(root);
+    }
+  });
+});
+
+// ---------------------------------------------------------------------------
+// planRemoval / applyRemoval
+// ---------------------------------------------------------------------------
+
+describe('planRemoval', () => {
+  function installSkill(target) {
+    const manifest = manifestLib.createManifest('1.0.0', SELECTION);
+    for (const rel of ['.copilot/skills/demo/SKILL.md', '.copilot/skills/demo/patterns.md']) {
+      write(path.join(target, rel), `${rel}\n`);
+      manifestLib.recordFile(target, manifest, rel, `${rel}\n`, 'skill:demo');
+    }
+    write(path.join(target, 'agent.md'), 'agent\n');
+    manifestLib.recordFile(target, manifest, 'agent.md', 'agent\n', 'agents');
+    return manifest;
+  }
+
+  test('only selects files of the matching component', () => {
+    const { root, target } = makeDirs();
+    try {
+      const manifest = installSkill(target);
+      const actions = manifestLib.planRemoval(target, manifest, (c) => c === 'skill:demo');
+      assert.equal(actions.length, 2);
+      assert.ok(actions.every((a) => a.action === 'delete'));
+    } finally {
+      cleanup(root);
+    }
+  });
+
+  test('blocks locally modified files unless forced', () => {
+    const { root, target } = makeDirs();
+    try {
+      const manifest = installSkill(target);
+      fs.writeFileSync(path.join(target, '.copilot/skills/demo/SKILL.md'), 'edited\n');
+      const match = (c) => c === 'skill:demo';
+
+      const blocked = manifestLib.planRemoval(target, manifest, match);
+      assert.equal(actionFor(blocked, '.copilot/skills/demo/SKILL.md').action, 'blocked');
+
+      const forced = manifestLib.planRemoval(target, manifest, match, { force: true });
+      assert.equal(actionFor(forced, '.copilot/skills/demo/SKILL.md').action, 'delete-modified');
+    } finally {
+      cleanup(root);
+    }
+  });
+
+  test('deletes files, prunes empty directories and untracks them', () => {
+    const { root, target } = makeDirs();
+    try {
+      const manifest = installSkill(target);
+      const actions = manifestLib.planRemoval(target, manifest, (c) => c === 'skill:demo');
+      manifestLib.applyRemoval(target, manifest, actions);
+
+      assert.ok(!fs.existsSync(path.join(target, '.copilot/skills/demo')));
+      assert.ok(!fs.existsSync(path.join(target, manifestLib.BASE_DIR, '.copilot/skills/demo')));
+      assert.deepEqual(Object.keys(manifest.files), ['agent.md']);
+    } finally {
+      cleanup(root);
+    }
+  });
+
+  test('keeps directories that still hold user files', () => {
+    const { root, target } = makeDirs();
+    try {
+      const manifest = installSkill(target);
+      write(path.join(target, '.copilot/skills/demo/mine.md'), 'mine\n');
+      const actions = manifestLib.planRemoval(target, manifest, (c) => c === 'skill:demo');
+      manifestLib.applyRemoval(target, manifest, actions);
+      assert.ok(fs.existsSync(path.join(target, '.copilot/skills/demo/mine.md')));
+    } finally {
+      cleanup(root);
+    }
+  });
+});
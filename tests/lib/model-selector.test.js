@@ -2,8 +2,14 @@
 
 'use strict';
 
+const path = require('node:path');
+const os = require('node:os');
+const { execFileSync } = require('node:child_process');
 const { assert, describe, test } = require('../run-all');
 const ms = require('../../scripts/lib/model-selector');
+const { validateReport } = require('../../scripts/lib/report');
+
+const ECP = path.resolve(__dirname, '..', '..', 'bin', 'ecp.js');
 
 // ---------------------------------------------------------------------------
 // selectModel
@@ -51,6 +57,63 @@ describe('selectModel', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// classifyTask
+// ---------------------------------------------------------------------------
+
+describe('classifyTask', () => {
+  test('scores every category and explains the choice', () => {
+    const result = ms.classifyTask('document the security architecture');
+    assert.equal(result.category, 'documentation');
+    assert.equal(result.model, 'haiku');
+    assert.deepEqual(result.evidence, [{ keyword: 'document', matched: 'document', weight: 4.5, negated: false }]);
+    assert.deepEqual(result.alternatives.map((a) => [a.category, a.model, a.score]), [
+      ['architecture', 'opus', 4],
+      ['security-review', 'opus', 3],
+    ]);
+    assert.equal(result.confidence, 0.39);
+  });
+
+  test('prefers phrases and scores negated keywords against a category', () => {
+    const tests = ms.classifyTask('refactor auth module and add unit tests').alternatives.find((a) => a.category === 'testing');
+    assert.deepEqual(tests.evidence.map((e) => e.matched), ['unit tests']);
+
+    const result = ms.classifyTask('add the feature without tests');
+    assert.equal(result.category, 'coding');
+    assert.ok(!result.alternatives.some((a) => a.category === 'testing'));
+    assert.equal(ms.classifyTask("don't refactor, just fix the bug").category, 'coding');
+  });
+
+  test('falls back to the catalog default when nothing matches', () => {
+    const result = ms.classifyTask('hello world');
+    assert.equal(result.category, null);
+    assert.equal(result.model, 'sonnet');
+    assert.deepEqual(result.alternatives, []);
+  });
+
+  test('ecp route --json matches the report schema', () => {
+    const out = execFileSync(process.execPath, [ECP, 'route', 'fix the flaky race condition', '--json'], { cwd: os.tmpdir(), encoding: 'utf8' });
+    const report = JSON.parse(out);
+    assert.deepEqual(validateReport(report), []);
+    assert.equal(report.category, 'complex-debugging');
+    assert.equal(report.model, 'opus');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// agentModel
+// ---------------------------------------------------------------------------
+
+describe('agentModel', () => {
+  test('routes agents through their task category unless models.agents overrides them', () => {
+    assert.deepEqual(ms.agentModel('planner'), { model: 'opus', source: 'planning' });
+    assert.deepEqual(ms.agentModel('planner', { agents: { planner: 'claude-sonnet-4 (Anthropic)' } }), { model: 'sonnet', source: 'models.agents.planner' });
+    const catalog = ms.loadModelCatalog({ tasks: { documentation: 'sonnet' } });
+    assert.equal(ms.agentModel('doc-updater', {}, catalog).model, 'sonnet');
+    assert.equal(ms.agentModel('my-agent'), null);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // getModelConfig
 // ---------------------------------------------------------------------------
@@ -78,10 +141,11 @@ describe('getModelConfig', () => {
 // ---------------------------------------------------------------------------
 
 describe('estimateTokens', () => {
-  test('estimates ~25 tokens for 100 characters', () => {
-    const text = 'a'.repeat(100);
-    const tokens = ms.estimateTokens(text);
-    assert.equal(tokens, 25);
+  test('counts with the tokenizer named in MODEL_CONFIGS', () => {
+    const text = 'Keep instructions short and specific.';
+    assert.equal(ms.MODEL_CONFIGS.sonnet.tokenizer, 'bpe');
+    assert.equal(ms.estimateTokens(text, 'sonnet'), 7);
+    assert.equal(ms.estimateTokens(text), 7);
   });
 
   test('returns 0 for empty string', () => {
@@ -106,6 +170,99 @@ describe('isWithinBudget', () => {
   test('returns false with insufficient budget', () => {
     assert.equal(ms.isWithinBudget('opus', 100000, 0.001), false);
   });
+
+  test('counts prompt text with the model tokenizer', () => {
+    const prompt = 'word '.repeat(1000); // ~1000 tokens, $0.003 on sonnet
+    assert.ok(ms.isWithinBudget('sonnet', prompt, 0.0031));
+    assert.equal(ms.isWithinBudget('sonnet', prompt, 0.0029), false);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// estimateCost / cheapestModel
+// ---------------------------------------------------------------------------
+
+describe('estimateCost', () => {
+  test('breaks down input and output cost', () => {
+    const cost = ms.estimateCost('sonnet', { inputTokens: 10000, outputTokens: 2000 });
+    assert.equal(cost.inputCost, 0.03);
+    assert.equal(cost.outputCost, 0.03);
+    assert.equal(cost.totalCost, 0.06);
+    assert.equal(cost.contextTokens, 12000);
+    assert.ok(cost.fitsContext && cost.fitsOutput);
+    assert.equal(ms.estimateCost('gpt-99'), null);
+  });
+
+  test('derives the answer size from the category, capped at maxOutput', () => {
+    assert.equal(ms.estimateCost('opus', { category: 'code-migration' }).outputTokens, 12000);
+    assert.equal(ms.estimateCost('haiku', { category: 'code-migration' }).outputTokens, 8000);
+    assert.equal(ms.estimateCost('haiku', {}).outputTokens, 800);
+  });
+
+  test('resends the conversation every turn and pays for every attempt', () => {
+    const cost = ms.estimateCost('sonnet', { inputTokens: 10000, outputTokens: 2000, turns: 3, attempts: 2 });
+    // Turns send 10k, 12k and 14k input tokens
+    assert.equal(cost.inputTokens, 72000);
+    assert.equal(cost.outputTokens, 12000);
+    assert.equal(cost.attemptCost, 0.198);
+    assert.equal(cost.totalCost, 0.396);
+    assert.equal(cost.contextTokens, 16000);
+  });
+
+  test('isWithinBudget includes output when given options', () => {
+    assert.ok(ms.isWithinBudget('opus', 1000, 0.02));
+    assert.equal(ms.isWithinBudget('opus', 1000, 0.02, { outputTokens: 1000 }), false);
+  });
+});
+
+describe('cheapestModel', () => {
+  test('picks the cheapest model that fits the budget and limits', () => {
+    assert.equal(ms.cheapestModel({ inputTokens: 10000, category: 'coding' }, 0.05).model, 'haiku');
+    assert.equal(ms.cheapestModel({ inputTokens: 10000, outputTokens: 12000 }).model, 'sonnet');
+    assert.equal(ms.cheapestModel({ inputTokens: 10000, category: 'coding' }, 0.001), null);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// loadModelCatalog
+// ---------------------------------------------------------------------------
+
+describe('loadModelCatalog', () => {
+  const gpt = {
+    provider: 'OpenAI', name: 'GPT-4.1', copilot: 'GPT-4.1 (copilot)',
+    contextWindow: 1000000, maxOutput: 32000, inputCostPer1k: 0.002, outputCostPer1k: 0.008,
+  };
+
+  test('merges catalog entries over the built-in models and re-routes tasks', () => {
+    const catalog = ms.loadModelCatalog({
+      default: 'GPT-4.1',
+      catalog: { 'gpt-4.1': gpt, opus: { inputCostPer1k: 0.005 } },
+      tasks: { documentation: 'gpt-4.1' },
+    });
+    assert.deepEqual(Object.keys(catalog.models), ['opus', 'sonnet', 'haiku', 'gpt-4.1']);
+    assert.equal(catalog.models.opus.outputCostPer1k, 0.075);
+    assert.equal(catalog.models['gpt-4.1'].tokenizer, 'bpe');
+    assert.equal(ms.selectModel('documentation', catalog), 'gpt-4.1');
+    assert.equal(ms.selectModel('architecture', catalog), 'opus');
+    assert.equal(ms.selectModel('unknown-task-xyz', catalog), 'gpt-4.1');
+    assert.equal(ms.getModelConfig('claude-4-opus (Anthropic)', catalog).inputCostPer1k, 0.005);
+    assert.equal(ms.estimateCost('gpt-4.1', { inputTokens: 1000, outputTokens: 1000, catalog }).totalCost, 0.01);
+  });
+
+  test('resolves agent frontmatter model strings in the built-in catalog', () => {
+    assert.equal(ms.getModelConfig('claude-sonnet-4 (Anthropic)').id, 'sonnet');
+    assert.equal(ms.getModelConfig('Claude Haiku 3.5').id, 'haiku');
+    assert.equal(ms.getModelConfig('GPT-4.1'), null);
+  });
+
+  test('lists incomplete models and unknown tasks or models', () => {
+    assert.throws(() => ms.loadModelCatalog({
+      catalog: { 'gpt-4.1': { name: 'GPT-4.1' } },
+      tasks: { chores: 'haiku', coding: 'gemini' },
+    }), 'models.catalog.gpt-4.1: missing contextWindow, maxOutput, inputCostPer1k, outputCostPer1k');
+    assert.throws(() => ms.loadModelCatalog({ tasks: { coding: 'gemini' } }), 'models.tasks.coding: "gemini" is not in the model catalog');
+    assert.throws(() => ms.loadModelCatalog({ catalog: { 'gpt-4.1': { ...gpt, tokenizer: 'o200k' } } }), 'Unknown tokenizer "o200k"');
+  });
 });
 
 // ---------------------------------------------------------------------------
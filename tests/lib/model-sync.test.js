@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const os = require('node:os');
+const { spawnSync } = require('node:child_process');
+const { assert, describe, test } = require('../run-all');
+const modelSync = require('../../scripts/lib/model-sync');
+const { AGENT_TASKS } = require('../../scripts/lib/model-selector');
+const { discoverAgents } = require('../../scripts/lib/registry');
+const { validateReport } = require('../../scripts/lib/report');
+
+const TOOLKIT_ROOT = path.resolve(__dirname, '..', '..');
+const ECP = path.join(TOOLKIT_ROOT, 'bin', 'ecp.js');
+
+function makeTmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'model-sync-test-'));
+}
+
+function cleanup(dir) {
+  try { fs.rmSync(dir, { recursive: true, force: true }); } catch {}
+}
+
+function writeFile(root, rel, content) {
+  const file = path.join(root, ...rel.split('/'));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+const agentFile = (name, model) => `---\nname: ${name}\ndescription: Does ${name} work\ntools: ['search']\nmodel: '${model}'\n---\n\n# ${name}\n`;
+const agentDoc = (model) => `# Agent\n\n## Model Recommendation\n\n| Model | Reason |\n|-------|--------|\n| ${model} | Fits |\n\n## Tools Required\n`;
+
+// ---------------------------------------------------------------------------
+// docModel / setFrontmatterModel
+// ---------------------------------------------------------------------------
+
+describe('model-sync helpers', () => {
+  test('docModel reads the first row of the Model Recommendation table', () => {
+    assert.equal(modelSync.docModel(agentDoc('Sonnet 4.5')), 'Sonnet 4.5');
+    assert.equal(modelSync.docModel('# Agent\n\nNo table.\n'), null);
+  });
+
+  test('setFrontmatterModel replaces or adds only the model line', () => {
+    const text = agentFile('Planner', 'claude-sonnet-4 (Anthropic)');
+    assert.equal(modelSync.setFrontmatterModel(text, 'claude-4-opus (Anthropic)'), text.replace('claude-sonnet-4', 'claude-4-opus'));
+    assert.equal(
+      modelSync.setFrontmatterModel('---\nname: X\n---\n\nBody\n', "Team's Model"),
+      "---\nname: X\nmodel: 'Team''s Model'\n---\n\nBody\n",
+    );
+    assert.equal(modelSync.setFrontmatterModel('# No frontmatter\n', 'sonnet'), '# No frontmatter\n');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// checkAgentModels
+// ---------------------------------------------------------------------------
+
+describe('checkAgentModels', () => {
+  test('the shipped agents, docs and routing table agree', () => {
+    const shipped = discoverAgents(path.join(TOOLKIT_ROOT, '.github', 'agents')).map((a) => a.name);
+    assert.deepEqual(shipped.filter((name) => !AGENT_TASKS[name]), []);
+    const sync = modelSync.checkAgentModels(TOOLKIT_ROOT);
+    // The performance doc recommends Opus for deep analysis; the agent ships on Sonnet
+    assert.deepEqual(sync.agents.filter((a) => a.drift.length > 0).map((a) => a.drift), [
+      ['agents/performance-optimizer.md: recommends opus, not sonnet'],
+    ]);
+    assert.equal(sync.agents.find((a) => a.name === 'performance').frontmatter.id, 'sonnet');
+    assert.ok(sync.agents.every((a) => a.doc === null || a.doc.id), 'every doc recommends a model');
+  });
+
+  test('reports frontmatter and doc drift against routing and config overrides', () => {
+    const tmp = makeTmpDir();
+    try {
+      writeFile(tmp, '.github/agents/planner.agent.md', agentFile('Planner', 'claude-sonnet-4 (Anthropic)'));
+      writeFile(tmp, '.github/agents/tdd.agent.md', agentFile('TDD', 'claude-sonnet-4 (Anthropic)'));
+      writeFile(tmp, '.github/agents/custom.agent.md', agentFile('Custom', 'GPT-4o (copilot)'));
+      writeFile(tmp, 'agents/tdd-guide.md', agentDoc('Sonnet 4.5'));
+
+      const byName = (sync) => Object.fromEntries(sync.agents.map((a) => [a.name, a]));
+      const routed = byName(modelSync.checkAgentModels(tmp));
+      assert.deepEqual(routed.planner.drift, ['.github/agents/planner.agent.md: model is sonnet, not opus']);
+      assert.equal(routed.planner.fixable, true);
+      assert.deepEqual(routed.tdd.drift, []);
+      assert.equal(routed.tdd.doc.source, 'agents/tdd-guide.md');
+      assert.equal(routed.custom.expected, null);
+      assert.deepEqual(routed.custom.drift, []);
+
+      const overridden = byName(modelSync.checkAgentModels(tmp, { models: { agents: { tdd: 'haiku', custom: 'GPT-4o (copilot)' } } }));
+      assert.equal(overridden.tdd.source, 'models.agents.tdd');
+      assert.deepEqual(overridden.tdd.drift, [
+        '.github/agents/tdd.agent.md: model is sonnet, not haiku',
+        'agents/tdd-guide.md: recommends sonnet, not haiku',
+      ]);
+      assert.deepEqual(overridden.custom.drift, []);
+    } finally {
+      cleanup(tmp);
+    }
+  });
+
+  test('ecp models:sync --write rewrites drifted frontmatter', () => {
+    const tmp = makeTmpDir();
+    try {
+      fs.writeFileSync(path.join(tmp, 'package.json'), '{}');
+      writeFile(tmp, '.github/agents/planner.agent.md', agentFile('Planner', 'claude-sonnet-4 (Anthropic)'));
+      writeFile(tmp, '.copilot/ecp.config.json', JSON.stringify({ models: { agents: { 'doc-updater': 'sonnet' } } }));
+      writeFile(tmp, '.github/agents/doc-updater.agent.md', agentFile('Doc Updater', 'claude-haiku-3.5 (Anthropic)'));
+
+      const check = spawnSync(process.execPath, [ECP, 'models:sync', '--json', '--strict'], { cwd: tmp, encoding: 'utf8' });
+      assert.equal(check.status, 1);
+      assert.equal(JSON.parse(check.stdout).drift, 2);
+
+      const write = spawnSync(process.execPath, [ECP, 'models:sync', '--write', '--json'], { cwd: tmp, encoding: 'utf8' });
+      const report = JSON.parse(write.stdout);
+      assert.deepEqual(validateReport(report), []);
+      assert.deepEqual(report.written, ['.github/agents/doc-updater.agent.md', '.github/agents/planner.agent.md']);
+      assert.equal(report.drift, 0);
+      const planner = fs.readFileSync(path.join(tmp, '.github', 'agents', 'planner.agent.md'), 'utf8');
+      assert.match(planner, /^model: 'claude-4-opus \(Anthropic\)'$/m);
+      assert.match(fs.readFileSync(path.join(tmp, '.github', 'agents', 'doc-updater.agent.md'), 'utf8'), /^model: 'claude-sonnet-4 \(Anthropic\)'$/m);
+    } finally {
+      cleanup(tmp);
+    }
+  });
+});
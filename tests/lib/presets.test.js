@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const os = require('node:os');
+const { assert, describe, test } = require('../run-all');
+const presets = require('../../scripts/lib/presets');
+
+const TOOLKIT_ROOT = path.resolve(__dirname, '..', '..');
+const BUILT_INS = {
+  go: { desc: 'Go', skills: ['coding-standards', 'golang-patterns'], includeAgents: true, includeInstructions: true },
+  lean: { desc: 'Lean', skills: [], includeAgents: false, agents: ['planner', 'tdd'], includeInstructions: true },
+};
+
+function makeTmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'presets-test-'));
+}
+
+function cleanup(dir) {
+  try { fs.rmSync(dir, { recursive: true, force: true }); } catch {}
+}
+
+function resolve(spec, baseDir) {
+  return presets.resolvePreset(spec, { baseDir, toolkitRoot: TOOLKIT_ROOT, builtIns: BUILT_INS });
+}
+
+function errorOf(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err;
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// resolvePreset
+// ---------------------------------------------------------------------------
+
+describe('resolvePreset', () => {
+  test('returns built-in presets by name', () => {
+    const resolved = resolve('go', os.tmpdir());
+    assert.equal(resolved.name, 'go');
+    assert.equal(resolved.source, null);
+    assert.equal(resolved.preset, BUILT_INS.go);
+  });
+
+  test('loads a YAML preset file that extends a built-in', () => {
+    const tmp = makeTmpDir();
+    try {
+      fs.writeFileSync(path.join(tmp, 'team.yaml'), [
+        'extends: go',
+        'agents: [planner, tdd]',
+        'instructions:',
+        '  - go',
+        'mcp: development',
+      ].join('\n'));
+      const resolved = resolve('./team.yaml', tmp);
+      assert.equal(resolved.name, 'team');
+      assert.equal(resolved.source, './team.yaml');
+      assert.deepEqual(resolved.preset.skills, ['coding-standards', 'golang-patterns']);
+      assert.equal(resolved.preset.includeAgents, false);
+      assert.deepEqual(resolved.preset.agents, ['planner', 'tdd']);
+      assert.deepEqual(resolved.preset.instructions, ['go']);
+      assert.equal(resolved.preset.mcp, 'development');
+    } finally {
+      cleanup(tmp);
+    }
+  });
+
+  test('inherits the agent subset of the base preset unless overridden', () => {
+    const tmp = makeTmpDir();
+    try {
+      fs.writeFileSync(path.join(tmp, 'inherit.json'), JSON.stringify({ extends: 'lean', skills: ['security-review'] }));
+      fs.writeFileSync(path.join(tmp, 'all.json'), JSON.stringify({ extends: 'lean', agents: true }));
+      const inherited = resolve('./inherit.json', tmp).preset;
+      assert.equal(inherited.includeAgents, false);
+      assert.deepEqual(inherited.agents, ['planner', 'tdd']);
+      const all = resolve('./all.json', tmp).preset;
+      assert.equal(all.includeAgents, true);
+      assert.equal(all.agents, undefined);
+    } finally {
+      cleanup(tmp);
+    }
+  });
+
+  test('loads a preset from an installed npm package', () => {
+    const tmp = makeTmpDir();
+    try {
+      const pkgDir = path.join(tmp, 'node_modules', '@acme', 'copilot-preset');
+      fs.mkdirSync(pkgDir, { recursive: true });
+      fs.writeFileSync(path.join(pkgDir, 'package.json'), JSON.stringify({ name: '@acme/copilot-preset' }));
+      fs.writeFileSync(path.join(pkgDir, 'preset.json'), JSON.stringify({ name: 'acme', skills: ['security-review'] }));
+      const resolved = resolve('@acme/copilot-preset', tmp);
+      assert.equal(resolved.name, 'acme');
+      assert.equal(resolved.source, '@acme/copilot-preset');
+      assert.deepEqual(resolved.preset.skills, ['security-review']);
+      assert.equal(resolved.preset.includeAgents, true);
+    } finally {
+      cleanup(tmp);
+    }
+  });
+
+  test('lists every unknown skill, agent, instruction and MCP profile', () => {
+    const tmp = makeTmpDir();
+    try {
+      fs.writeFileSync(path.join(tmp, 'bad.json'), JSON.stringify({
+        skills: ['coding-standards', 'no-such-skill'],
+        agents: ['ghost'],
+        instructions: ['cobol'],
+        mcp: 'nope',
+        extends: 'missing',
+      }));
+      const err = errorOf(() => resolve('./bad.json', tmp));
+      assert.ok(err, 'Expected an invalid preset to throw');
+      assert.match(err.message, /skills: unknown skill "no-such-skill"/);
+      assert.match(err.message, /agents: unknown agent "ghost"/);
+      assert.match(err.message, /instructions: unknown instruction file "cobol"/);
+      assert.match(err.message, /mcp: unknown MCP profile "nope"/);
+      assert.match(err.message, /extends: unknown built-in preset "missing"/);
+    } finally {
+      cleanup(tmp);
+    }
+  });
+
+  test('rejects unknown names and packages that are not installed', () => {
+    const tmp = makeTmpDir();
+    try {
+      assert.match(errorOf(() => resolve('bogus', tmp)).message, /Unknown preset "bogus"/);
+      assert.match(errorOf(() => resolve('./missing.json', tmp)).message, /Preset file not found/);
+    } finally {
+      cleanup(tmp);
+    }
+  });
+});
+
+// ---------------------------------------------------------------------------
+// renderMcpConfig
+// ---------------------------------------------------------------------------
+
+describe('renderMcpConfig', () => {
+  test('writes the servers of a profile in VS Code format', () => {
+    const config = JSON.parse(presets.renderMcpConfig('development', TOOLKIT_ROOT));
+    assert.ok(config.servers.github, 'Expected the github server');
+    assert.equal(config.servers.github.type, 'stdio');
+    assert.ok(Array.isArray(config.servers.github.args));
+  });
+
+  test('translates shell variables into VS Code variables and inputs', () => {
+    const config = JSON.parse(presets.renderMcpConfig('full', TOOLKIT_ROOT));
+    assert.equal(config.servers.github.env.GITHUB_PERSONAL_ACCESS_TOKEN, '${input:github-token}');
+    assert.equal(config.servers.filesystem.args[2], '${workspaceFolder}');
+    assert.equal(config.servers.mysql.env.MYSQL_HOST, '${input:mysql-host}');
+    assert.equal(config.servers.mysql.env.MYSQL_USER, '${env:MYSQL_USER}');
+    assert.equal(config.servers.jira.env.JIRA_BASE_URL, '${env:JIRA_BASE_URL}');
+
+    const inputs = Object.fromEntries(config.inputs.map((input) => [input.id, input]));
+    assert.deepEqual(inputs['github-token'], {
+      type: 'promptString',
+      id: 'github-token',
+      description: 'GITHUB_TOKEN for the github MCP server',
+      password: true,
+    });
+    assert.equal(inputs['postgres-url'].password, true);
+    assert.equal(inputs['postgres-url'].default, undefined, 'secret defaults are dropped');
+    assert.equal(inputs['mysql-host'].default, 'localhost');
+    assert.equal(inputs['mysql-host'].password, undefined);
+
+    const rendered = presets.renderMcpConfig('full', TOOLKIT_ROOT);
+    assert.ok(!/\$\{(?!env:|input:|workspaceFolder\})/.test(rendered), 'no shell-style variables remain');
+  });
+});
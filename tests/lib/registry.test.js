@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const os = require('node:os');
+const { assert, describe, test } = require('../run-all');
+const registry = require('../../scripts/lib/registry');
+
+const TOOLKIT_ROOT = path.resolve(__dirname, '..', '..');
+
+function makeTmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'registry-test-'));
+}
+
+function cleanup(dir) {
+  try { fs.rmSync(dir, { recursive: true, force: true }); } catch {}
+}
+
+function writeFile(root, rel, content) {
+  const file = path.join(root, ...rel.split('/'));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+// ---------------------------------------------------------------------------
+// parseFrontmatter / modelTier
+// ---------------------------------------------------------------------------
+
+describe('registry frontmatter', () => {
+  test('parseFrontmatter splits frontmatter from body', () => {
+    const { data, body, error } = registry.parseFrontmatter("---\nname: X\ntools: ['a']\n---\n\n# X\n");
+    assert.deepEqual(data, { name: 'X', tools: ['a'] });
+    assert.equal(body, '\n# X\n');
+    assert.equal(error, null);
+  });
+
+  test('parseFrontmatter reports parse errors with file line numbers', () => {
+    const { data, error } = registry.parseFrontmatter('---\nname: X\nname: Y\n---\n');
+    assert.equal(data, null);
+    assert.equal(error, 'frontmatter line 3: duplicate key "name"');
+  });
+
+  test('parseFrontmatter returns null data when there is none', () => {
+    assert.equal(registry.parseFrontmatter('# Title\n').data, null);
+  });
+
+  test('modelTier reads the tier from Copilot model strings', () => {
+    assert.equal(registry.modelTier('claude-4-opus (Anthropic)'), 'opus');
+    assert.equal(registry.modelTier('claude-sonnet-4 (Anthropic)'), 'sonnet');
+    assert.equal(registry.modelTier('gpt-4.1'), null);
+    assert.equal(registry.modelTier(null), null);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// loadRegistry
+// ---------------------------------------------------------------------------
+
+describe('loadRegistry', () => {
+  test('discovers skills and agents with their metadata', () => {
+    const tmp = makeTmpDir();
+    try {
+      writeFile(tmp, '.copilot/skills/payments/SKILL.md', [
+        '# Payments Skill', '', '## Description', 'Stripe flows.', '', '## Trigger Conditions', '- stripe', '- refunds', '',
+      ].join('\n'));
+      writeFile(tmp, '.copilot/skills/payments/refunds.md', '# Refunds\n');
+      writeFile(tmp, '.copilot/skills/legacy/SKILL.md', '# Legacy\n\n## Metadata\n- **Description:** Old style.\n');
+      writeFile(tmp, '.copilot/skills/empty/notes.md', 'x');
+      writeFile(tmp, '.github/agents/triage.agent.md', [
+        '---', 'name: Triage', 'description: Sort issues', "tools: ['search']", "model: 'claude-haiku-3.5 (Anthropic)'", '---', '', '# Triage Agent', '',
+      ].join('\n'));
+      writeFile(tmp, '.github/agents/broken.agent.md', '# No frontmatter\n');
+
+      const { skills, agents } = registry.loadRegistry(tmp);
+      assert.deepEqual(skills.map((s) => s.name), ['empty', 'legacy', 'payments']);
+      const payments = skills[2];
+      assert.equal(payments.title, 'Payments');
+      assert.equal(payments.description, 'Stripe flows.');
+      assert.deepEqual(payments.triggers, ['stripe', 'refunds']);
+      assert.deepEqual(payments.files, ['SKILL.md', 'refunds.md']);
+      assert.equal(skills[1].description, 'Old style.');
+      assert.equal(skills[0].file, null);
+
+      assert.deepEqual(agents.map((a) => a.name), ['broken', 'triage']);
+      assert.equal(agents[0].error, 'missing frontmatter');
+      const triage = agents[1];
+      assert.equal(triage.title, 'Triage');
+      assert.equal(triage.description, 'Sort issues');
+      assert.equal(triage.tier, 'haiku');
+      assert.deepEqual(triage.tools, ['search']);
+      assert.equal(triage.error, null);
+    } finally {
+      cleanup(tmp);
+    }
+  });
+
+  test('returns empty lists for a directory without skills or agents', () => {
+    const tmp = makeTmpDir();
+    try {
+      assert.deepEqual(registry.loadRegistry(tmp), { skills: [], agents: [], instructions: [] });
+    } finally {
+      cleanup(tmp);
+    }
+  });
+
+  test('every shipped skill and agent has a description', () => {
+    const { skills, agents } = registry.loadRegistry(TOOLKIT_ROOT);
+    assert.ok(skills.length > 0 && agents.length > 0, 'toolkit ships skills and agents');
+    for (const entry of [...skills, ...agents]) {
+      assert.ok(entry.description, `${entry.name} has no description`);
+    }
+    for (const agent of agents) {
+      assert.ok(agent.tier, `${agent.name} model has no tier`);
+    }
+  });
+});
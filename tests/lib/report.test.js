@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const os = require('node:os');
+const { execFileSync } = require('node:child_process');
+const { assert, describe, test } = require('../run-all');
+const report = require('../../scripts/lib/report');
+const { summarizeInstincts } = require('../../scripts/instinct-manager');
+
+const ECP = path.resolve(__dirname, '..', '..', 'bin', 'ecp.js');
+
+function makeTmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'report-test-'));
+}
+
+function cleanup(dir) {
+  try { fs.rmSync(dir, { recursive: true, force: true }); } catch {}
+}
+
+function runJson(cwd, ...args) {
+  let stdout;
+  try {
+    stdout = execFileSync(process.execPath, [ECP, ...args, '--json'], { cwd, encoding: 'utf8', stdio: 'pipe' });
+  } catch (err) {
+    stdout = err.stdout;
+  }
+  return JSON.parse(stdout);
+}
+
+// ---------------------------------------------------------------------------
+// Report envelope and schema
+// ---------------------------------------------------------------------------
+
+describe('report', () => {
+  test('createReport adds the versioned envelope', () => {
+    assert.deepEqual(report.createReport('doctor', { ok: true, checks: [] }), {
+      schemaVersion: 1, command: 'doctor', ok: true, checks: [],
+    });
+    assert.deepEqual(report.validateReport(report.createFailure('list', 'No .copilot/')), []);
+  });
+
+  test('validateReport rejects reports that drift from the schema', () => {
+    const bad = report.createReport('validate', { ok: true, strict: false, errors: 0, warnings: 0, checks: [{ status: 'ok', target: 'x', message: 'y' }] });
+    assert.deepEqual(report.validateReport(bad), ['checks[0].status: must be one of pass, info, warn, error']);
+    assert.deepEqual(report.validateReport(report.createReport('nope', {})), ['command: no report schema for "nope"']);
+  });
+
+  test('instinct status fields come from summarizeInstincts', () => {
+    const stats = summarizeInstincts([
+      { category: 'testing', confidence: 0.8 },
+      { category: 'testing', confidence: 0.2 },
+      { confidence: 0.5 },
+    ]);
+    assert.equal(stats.total, 3);
+    assert.equal(stats.avgConf.toFixed(2), '0.50');
+    assert.equal(stats.highConf, 1);
+    assert.equal(stats.lowConf, 1);
+    assert.deepEqual(stats.categories, { testing: 2, uncategorized: 1 });
+    assert.equal(summarizeInstincts([]).avgConf, null);
+  });
+
+  test('list, validate and doctor --json match the schema', () => {
+    const tmp = makeTmpDir();
+    try {
+      assert.deepEqual(runJson(tmp, 'list'), report.createFailure('list', 'No .copilot/ found. Run npx everything-copilot init first.'));
+
+      execFileSync(process.execPath, [ECP, 'init', '--minimal'], { cwd: tmp, stdio: 'pipe' });
+      const list = runJson(tmp, 'list');
+      assert.deepEqual(report.validateReport(list), []);
+      assert.deepEqual(list.agents.map((a) => a.name), ['build-fixer', 'code-reviewer', 'planner', 'tdd']);
+      assert.equal(list.config.preset, 'minimal');
+      assert.equal(list.agents.find((a) => a.name === 'build-fixer').model, 'sonnet');
+
+      const configFile = path.join(tmp, '.copilot', 'ecp.config.json');
+      const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+      fs.writeFileSync(configFile, JSON.stringify({ ...config, models: { tasks: { coding: 'haiku' } } }));
+      assert.equal(runJson(tmp, 'list').agents.find((a) => a.name === 'build-fixer').model, 'haiku', 'list follows models.tasks');
+
+      const validate = runJson(tmp, 'validate');
+      assert.deepEqual(report.validateReport(validate), []);
+      assert.equal(validate.ok, true);
+
+      const doctor = runJson(tmp, 'doctor');
+      assert.deepEqual(report.validateReport(doctor), []);
+      const optional = Object.fromEntries(doctor.checks.map((c) => [c.message.split(' ')[0], c.optional]));
+      assert.equal(optional['Node.js'], false);
+      assert.equal(optional['.copilot/ecp.config.json'], true, 'a passing optional check keeps its flag');
+      assert.equal(optional['VS'], true);
+    } finally {
+      cleanup(tmp);
+    }
+  });
+});
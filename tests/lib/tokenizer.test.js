@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { assert, describe, test } = require('../run-all');
+const tokenizer = require('../../scripts/lib/tokenizer');
+
+const FIXTURES = path.resolve(__dirname, '..', 'fixtures', 'tokens');
+const expected = require(path.join(FIXTURES, 'expected.json'));
+
+// ---------------------------------------------------------------------------
+// Calibration
+// ---------------------------------------------------------------------------
+
+describe('tokenizer calibration', () => {
+  const samples = Object.entries(expected.tokens).map(([file, tokens]) => ({
+    file,
+    reference: tokens,
+    text: fs.readFileSync(path.join(FIXTURES, file), 'utf8'),
+  }));
+  const error = (count, sample) => Math.abs(count - sample.reference) / sample.reference;
+
+  test(`bpe is within 10% of ${expected.encoding} on every sample`, () => {
+    for (const sample of samples) {
+      const count = tokenizer.countTokens(sample.text, 'bpe');
+      assert.ok(error(count, sample) <= 0.1, `${sample.file}: ${count} vs ${sample.reference}`);
+    }
+  });
+
+  test('bpe beats the 4-characters heuristic on average', () => {
+    const mean = (name) => samples.reduce((sum, s) => sum + error(tokenizer.countTokens(s.text, name), s), 0) / samples.length;
+    assert.ok(mean('bpe') < mean('chars') / 2, `bpe ${mean('bpe')} vs chars ${mean('chars')}`);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// countTokens / registerTokenizer
+// ---------------------------------------------------------------------------
+
+describe('countTokens', () => {
+  test('splits identifiers, merges repeated punctuation and keeps chars at 4 per token', () => {
+    assert.equal(tokenizer.countTokens('getUserName'), 3);
+    assert.equal(tokenizer.countTokens('// ' + '-'.repeat(75)), 6);
+    assert.equal(tokenizer.countTokens('a'.repeat(100), 'chars'), 25);
+    assert.equal(tokenizer.countTokens(''), 0);
+    assert.equal(tokenizer.countTokens(null), 0);
+  });
+
+  test('tokenizers can be plugged in by name', () => {
+    tokenizer.registerTokenizer('words-test', (text) => text.split(/\s+/).length);
+    assert.equal(tokenizer.countTokens('one two three', 'words-test'), 3);
+    assert.throws(() => tokenizer.countTokens('x', 'nope'), 'Unknown tokenizer "nope"');
+    assert.throws(() => tokenizer.registerTokenizer('bad', 42), 'must be a function');
+  });
+});
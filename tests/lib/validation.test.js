@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const os = require('node:os');
+const { spawnSync } = require('node:child_process');
+const { assert, describe, test } = require('../run-all');
+const validation = require('../../scripts/lib/validation');
+const { discoverAgents } = require('../../scripts/lib/registry');
+const { validateSkill } = require('../../scripts/validate-skills');
+const { validateAgents } = require('../../scripts/validate-agents');
+
+const TOOLKIT_ROOT = path.resolve(__dirname, '..', '..');
+const ECP = path.join(TOOLKIT_ROOT, 'bin', 'ecp.js');
+
+function makeTmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'validation-test-'));
+}
+
+function cleanup(dir) {
+  try { fs.rmSync(dir, { recursive: true, force: true }); } catch {}
+}
+
+function writeFile(root, rel, content) {
+  const file = path.join(root, ...rel.split('/'));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+const rulesOf = (findings) => findings.map((f) => `${f.severity} ${f.rule}`).sort();
+
+// ---------------------------------------------------------------------------
+// Rules
+// ---------------------------------------------------------------------------
+
+describe('validation rules', () => {
+  test('rule IDs are unique and namespaced by kind', () => {
+    const ids = validation.RULES.map((r) => r.id);
+    assert.equal(new Set(ids).size, ids.length);
+    for (const rule of validation.RULES) {
+      assert.ok(rule.id.startsWith(`${rule.kind}/`), rule.id);
+      assert.ok(['warn', 'error'].includes(rule.severity), rule.id);
+    }
+  });
+
+  test('resolveRules applies overrides and drops rules set to off', () => {
+    const rules = validation.resolveRules({ 'skill/triggers': 'error', 'skill/name': 'off' });
+    assert.equal(rules.find((r) => r.id === 'skill/triggers').severity, 'error');
+    assert.ok(!rules.some((r) => r.id === 'skill/name'));
+    assert.throws(() => validation.resolveRules({ 'skill/nope': 'warn' }), 'unknown rule');
+    assert.throws(() => validation.resolveRules({ 'skill/name': 'fatal' }), 'must be one of');
+  });
+
+  test('skill findings carry rule, severity and a project-relative target', () => {
+    const tmp = makeTmpDir();
+    try {
+      writeFile(tmp, '.copilot/skills/demo/SKILL.md', '# Demo\n\n## Description\nDemo.\n\nSee [notes](notes.md).\n');
+      fs.mkdirSync(path.join(tmp, '.copilot', 'skills', 'bare'));
+      const { rules, ctx } = validation.loadRuleContext(tmp);
+
+      const demo = validation.validateSkill(path.join(tmp, '.copilot', 'skills', 'demo'), rules, ctx);
+      assert.deepEqual(rulesOf(demo), ['error skill/triggers', 'warn skill/file-references']);
+      assert.equal(demo[0].target, '.copilot/skills/demo/SKILL.md');
+
+      const bare = validation.validateSkill(path.join(tmp, '.copilot', 'skills', 'bare'), rules, ctx);
+      assert.deepEqual(bare, [{ rule: 'skill/skill-file', severity: 'error', target: '.copilot/skills/bare/', message: 'missing SKILL.md' }]);
+    } finally {
+      cleanup(tmp);
+    }
+  });
+
+  test('.agent.md frontmatter, tools, model, names and body are checked', () => {
+    const tmp = makeTmpDir();
+    try {
+      const good = "---\nname: Helper\ndescription: Helps\ntools: ['search', 'github/*']\nmodel: 'GPT-4o (copilot)'\n---\n\n# Helper Agent\n\nHelp.\n\n## Rules\n\n- Be brief\n";
+      writeFile(tmp, '.github/agents/helper.agent.md', good);
+      writeFile(tmp, '.github/agents/copy.agent.md', good);
+      writeFile(tmp, '.github/agents/bad.agent.md', "---\nname: Bad\ntools: ['search', 'teleport']\nmodel: sonnet\n---\n\nDo things.\n");
+      const { rules, ctx } = validation.loadRuleContext(tmp);
+      const agentsDir = path.join(tmp, '.github', 'agents');
+      const agentCtx = { ...ctx, agents: discoverAgents(agentsDir) };
+
+      const bad = validation.validateAgent(path.join(agentsDir, 'bad.agent.md'), rules, agentCtx);
+      assert.deepEqual(rulesOf(bad), ['error agent/required-keys', 'warn agent/body', 'warn agent/body', 'warn agent/model', 'warn agent/tools']);
+      assert.equal(bad.find((f) => f.rule === 'agent/required-keys').message, 'missing frontmatter keys: description');
+      assert.match(bad.find((f) => f.rule === 'agent/model').message, /claude-sonnet-4 \(Anthropic\)/);
+
+      const helper = validation.validateAgent(path.join(agentsDir, 'helper.agent.md'), rules, agentCtx);
+      assert.deepEqual(helper.map((f) => f.message), ['name "Helper" is also used by .github/agents/copy.agent.md']);
+
+      // Models from the project's model catalog are known too
+      writeFile(tmp, '.copilot/ecp.config.json', JSON.stringify({ models: { catalog: { 'team-model': {
+        copilot: 'Team Model (acme)', contextWindow: 100000, maxOutput: 8000, inputCostPer1k: 0.001, outputCostPer1k: 0.002,
+      } } } }));
+      writeFile(tmp, '.github/agents/team.agent.md', good.replace('Helper', 'Team').replace('GPT-4o (copilot)', 'Team Model (acme)'));
+      const team = validation.loadRuleContext(tmp);
+      const teamFindings = validation.validateAgent(path.join(agentsDir, 'team.agent.md'), team.rules, { ...team.ctx, agents: discoverAgents(agentsDir) });
+      assert.deepEqual(teamFindings, []);
+    } finally {
+      cleanup(tmp);
+    }
+  });
+
+  test('instruction applyTo globs are checked for syntax, matches and overlap', () => {
+    const tmp = makeTmpDir();
+    try {
+      writeFile(tmp, 'src/App.tsx', '');
+      writeFile(tmp, 'src/util.ts', '');
+      writeFile(tmp, 'node_modules/dep/index.go', '');
+      writeFile(tmp, '.github/instructions/typescript.instructions.md', '---\napplyTo: "**/*.ts,**/*.tsx"\n---\n');
+      writeFile(tmp, '.github/instructions/react.instructions.md', '---\napplyTo: "**/*.{jsx,tsx}"\n---\n');
+      writeFile(tmp, '.github/instructions/go.instructions.md', '---\napplyTo: "**/*.go"\n---\n');
+      writeFile(tmp, '.github/instructions/broken.instructions.md', '---\napplyTo: "src/**.ts,"\n---\n');
+      writeFile(tmp, '.github/instructions/plain.instructions.md', 'No frontmatter.\n');
+
+      const byTarget = {};
+      for (const f of validation.validateProject(tmp).findings.filter((f) => f.rule.startsWith('instruction/'))) {
+        (byTarget[f.target.replace('.github/instructions/', '')] ||= []).push(f);
+      }
+      assert.deepEqual(rulesOf(byTarget['broken.instructions.md']), ['error instruction/apply-to', 'error instruction/apply-to']);
+      assert.deepEqual(rulesOf(byTarget['plain.instructions.md']), ['error instruction/frontmatter']);
+      assert.deepEqual(byTarget['go.instructions.md'].map((f) => f.message), ['applyTo "**/*.go" matches no files in the project']);
+      assert.deepEqual(byTarget['react.instructions.md'].map((f) => f.message), [
+        'applies to 1 file(s) also matched by .github/instructions/typescript.instructions.md (e.g. src/App.tsx)',
+      ]);
+      assert.equal(byTarget['typescript.instructions.md'], undefined, 'an overlapping pair is reported once');
+    } finally {
+      cleanup(tmp);
+    }
+  });
+
+  test('agentsMdSections lists missing sub-sections per agent', () => {
+    const sections = validation.agentsMdSections('# Agents\n\n## Planner\n### Description\n### Model\n\n## TDD\n### Tools\n');
+    assert.deepEqual(sections.map((s) => [s.name, s.missing]), [
+      ['Planner', ['tools', 'constraints']],
+      ['TDD', ['description', 'model', 'constraints']],
+    ]);
+    assert.equal(validateAgents('## Planner\n### Description\n### Model\n### Tools\n### Constraints\n').passed, 1);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// validateProject / config overrides
+// ---------------------------------------------------------------------------
+
+describe('validateProject', () => {
+  test('the shipped skills and agents pass every rule', () => {
+    const result = validation.validateProject(TOOLKIT_ROOT);
+    // The toolkit ships instructions for languages it is not written in
+    const ignored = ['project/instructions', 'instruction/matches', 'instruction/overlap'];
+    assert.deepEqual(result.findings.filter((f) => !ignored.includes(f.rule)), []);
+  });
+
+  test('validate.rules in the project config changes severities', () => {
+    const tmp = makeTmpDir();
+    try {
+      writeFile(tmp, '.copilot/skills/demo/SKILL.md', '# Demo\n\n## Description\nDemo.\n');
+      writeFile(tmp, '.copilot/ecp.config.json', JSON.stringify({
+        validate: { rules: { 'skill/triggers': 'warn', 'project/agents': 'off', 'project/instructions': 'off' } },
+      }));
+      assert.deepEqual(rulesOf(validation.validateProject(tmp).findings), ['warn skill/triggers']);
+
+      writeFile(tmp, '.copilot/ecp.config.json', JSON.stringify({ validate: { rules: { 'skill/typo': 'off' } } }));
+      const broken = validation.validateProject(tmp).findings.find((f) => f.rule === 'project/config');
+      assert.match(broken.message, /unknown rule "skill\/typo"/);
+    } finally {
+      cleanup(tmp);
+    }
+  });
+
+  test('ecp validate and validate-skills.js agree on a skill', () => {
+    const tmp = makeTmpDir();
+    try {
+      fs.writeFileSync(path.join(tmp, 'package.json'), '{}');
+      writeFile(tmp, '.copilot/skills/demo/SKILL.md', '# Demo\n\n## Trigger Conditions\n- demo\n');
+      writeFile(tmp, '.copilot/ecp.config.json', JSON.stringify({ validate: { rules: { 'skill/description': 'error' } } }));
+
+      const cli = spawnSync(process.execPath, [ECP, 'validate', '--json'], { cwd: tmp, encoding: 'utf8' });
+      const report = JSON.parse(cli.stdout);
+      assert.equal(cli.status, 1);
+      assert.deepEqual(report.checks.filter((c) => c.rule && c.rule.startsWith('skill/')).map((c) => c.rule), ['skill/description']);
+
+      const script = spawnSync(process.execPath, [path.join(TOOLKIT_ROOT, 'scripts', 'validate-skills.js')], { cwd: tmp, encoding: 'utf8' });
+      assert.equal(script.status, 1);
+      assert.match(script.stdout, /missing description .*\(skill\/description\)/);
+
+      const direct = validateSkill(path.join(tmp, '.copilot', 'skills', 'demo'), { context: validation.loadRuleContext(tmp) });
+      assert.equal(direct.pass, false);
+      assert.equal(direct.errors.length, 1);
+    } finally {
+      cleanup(tmp);
+    }
+  });
+});
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const { assert, describe, test } = require('../run-all');
+const { parseYaml } = require('../../scripts/lib/yaml');
+
+// ---------------------------------------------------------------------------
+// parseYaml
+// ---------------------------------------------------------------------------
+
+describe('parseYaml', () => {
+  test('parses mappings, sequences and scalars', () => {
+    const doc = parseYaml([
+      '# preset',
+      'name: acme',
+      'description: "Acme: backend"  # trailing comment',
+      'scripts: false',
+      'count: 3',
+      'empty:',
+      'skills:',
+      '  - coding-standards',
+      "  - 'golang-patterns'",
+      'agents: [planner, "tdd"]',
+      'instructions:',
+      '- go',
+    ].join('\n'));
+    assert.deepEqual(doc, {
+      name: 'acme',
+      description: 'Acme: backend',
+      scripts: false,
+      count: 3,
+      empty: null,
+      skills: ['coding-standards', 'golang-patterns'],
+      agents: ['planner', 'tdd'],
+      instructions: ['go'],
+    });
+  });
+
+  test('parses nested mappings and sequences of mappings', () => {
+    const doc = parseYaml('a:\n  b:\n    - x: 1\n      y: two\n    - z\nurl: http://example.com/x\n');
+    assert.deepEqual(doc, { a: { b: [{ x: 1, y: 'two' }, 'z'] }, url: 'http://example.com/x' });
+  });
+
+  test('parses literal and folded block scalars', () => {
+    const doc = parseYaml('lit: |\n  one\n  two\nfold: >\n  one\n  two\n');
+    assert.equal(doc.lit, 'one\ntwo\n');
+    assert.equal(doc.fold, 'one two\n');
+  });
+
+  test('returns null for an empty document', () => {
+    assert.equal(parseYaml('# nothing here\n'), null);
+  });
+
+  test('reports the line of malformed input', () => {
+    for (const [text, pattern] of [
+      ['a: 1\n  b: 2', /^line 2: unexpected indentation/],
+      ['a: 1\na: 2', /^line 2: duplicate key "a"/],
+      ['a: [1, 2', /^line 1: unterminated flow sequence/],
+    ]) {
+      let error = null;
+      try { parseYaml(text); } catch (err) { error = err; }
+      assert.ok(error, `Expected a parse error for ${JSON.stringify(text)}`);
+      assert.match(error.message, pattern);
+    }
+  });
+});
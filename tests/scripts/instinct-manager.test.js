@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const { assert, describe, test } = require('../run-all');
+const path = require('node:path');
+const fs = require('node:fs');
+const os = require('node:os');
+const { spawnSync } = require('node:child_process');
+const manager = require('../../scripts/instinct-manager');
+
+const MANAGER = path.resolve(__dirname, '..', '..', 'scripts', 'instinct-manager.js');
+const STORE_REL = path.join('.copilot', 'skills', 'continuous-learning', 'learned', 'instincts.json');
+
+function makeProject() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'instinct-manager-test-'));
+  fs.writeFileSync(path.join(dir, 'package.json'), '{}');
+  return dir;
+}
+
+function cleanup(dir) {
+  try { fs.rmSync(dir, { recursive: true, force: true }); } catch {}
+}
+
+function run(dir, ...args) {
+  return spawnSync(process.execPath, [MANAGER, ...args], { cwd: dir, encoding: 'utf8' });
+}
+
+const stored = (dir) => JSON.parse(fs.readFileSync(path.join(dir, STORE_REL), 'utf8')).instincts;
+
+// ---------------------------------------------------------------------------
+// Reinforcement
+// ---------------------------------------------------------------------------
+
+describe('instinct reinforcement', () => {
+  test('use, confirm and reject stay within the cap and floor', () => {
+    const { use, confirm, reject } = manager.REINFORCEMENTS;
+    assert.equal(use({ confidence: 0.93, useCount: 2 }).confidence, 0.95);
+    assert.equal(use({ confidence: 0.55 }).useCount, 1);
+    assert.equal(confirm({ confidence: 0.4 }).confidence, 0.8);
+    assert.equal(confirm({ confidence: 0.9 }).confidence, 0.9);
+    assert.equal(reject({ confidence: 0.2 }).confidence, 0.1);
+    assert.equal(reject({ confidence: 0.5, lastUsed: '2026-01-01T00:00:00.000Z' }).lastUsed, '2026-01-01T00:00:00.000Z');
+  });
+
+  test('instinct use|confirm|reject update the store and record history', () => {
+    const dir = makeProject();
+    try {
+      run(dir, 'add', 'zod-inputs', '--category=code-pattern', '--pattern=Validate inputs with zod');
+      const id = stored(dir)[0].id;
+
+      assert.match(run(dir, 'use', 'zod-inputs').stdout, /confidence 0\.50 → 0\.55, 1 use\(s\)/);
+      run(dir, 'use', id);
+      run(dir, 'reject', id, '--note=Not for internal endpoints');
+      run(dir, 'confirm', 'zod-inputs');
+
+      const [instinct] = stored(dir);
+      assert.equal(instinct.confidence, 0.8);
+      assert.equal(instinct.useCount, 2);
+      assert.deepEqual(instinct.history.map((e) => [e.event, e.from, e.to]), [
+        ['use', 0.5, 0.55],
+        ['use', 0.55, 0.6],
+        ['reject', 0.6, 0.45],
+        ['confirm', 0.45, 0.8],
+      ]);
+      assert.equal(instinct.history[2].note, 'Not for internal endpoints');
+
+      const missing = run(dir, 'use', 'nope');
+      assert.equal(missing.status, 1);
+      assert.match(missing.stderr, /Instinct "nope" not found/);
+    } finally {
+      cleanup(dir);
+    }
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Decay, prune and restore
+// ---------------------------------------------------------------------------
+
+describe('instinct prune and restore', () => {
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const instinct = (name, confidence, days) => ({ id: `inst-${name}`, name, category: 'testing', pattern: name, confidence, created: daysAgo(days), lastUsed: daysAgo(days), useCount: 0 });
+
+  test('applyDecay does not decay again the weeks prune already saved', () => {
+    const decayed = manager.applyDecay(instinct('a', 0.6, 22));
+    assert.equal(decayed.confidence, 0.57);
+    assert.equal(decayed.decayWeeks, 3);
+    assert.equal(manager.applyDecay(decayed).confidence, 0.57);
+  });
+
+  test('prune saves decay and archives weak or stale instincts; restore brings one back', () => {
+    const dir = makeProject();
+    try {
+      const store = path.join(dir, STORE_REL);
+      fs.mkdirSync(path.dirname(store), { recursive: true });
+      fs.writeFileSync(store, JSON.stringify({ schemaVersion: 1, instincts: [
+        instinct('fresh', 0.6, 1), instinct('weak', 0.25, 21), instinct('stale', 0.52, 100), instinct('trusted', 0.9, 100),
+      ] }));
+
+      assert.match(run(dir, 'prune').stdout, /Pruned: 3 decayed, 1 archived/);
+      assert.deepEqual(stored(dir).map((i) => [i.name, i.confidence]), [['fresh', 0.6], ['weak', 0.22], ['trusted', 0.76]]);
+      assert.match(run(dir, 'prune').stdout, /Pruned: 0 decayed, 0 archived/);
+
+      assert.match(run(dir, 'prune', '--threshold=0.3').stdout, /Archived "weak" \(inst-weak\): confidence 0\.22 < 0\.3/);
+      const archivePath = path.join(path.dirname(store), 'archive', 'instincts-archive.json');
+      const archive = JSON.parse(fs.readFileSync(archivePath, 'utf8'));
+      assert.deepEqual(archive.instincts.map((i) => [i.name, i.archiveReason]), [
+        ['stale', 'unused for 100 days at confidence 0.38'],
+        ['weak', 'confidence 0.22 < 0.3'],
+      ]);
+      assert.deepEqual(JSON.parse(run(dir, 'list', '--archived', '--json').stdout).instincts.map((i) => i.name), ['stale', 'weak']);
+
+      assert.equal(run(dir, 'restore', 'inst-stale').status, 0);
+      const restored = stored(dir).find((i) => i.name === 'stale');
+      assert.equal(restored.confidence, 0.5);
+      assert.equal(restored.archived, undefined);
+      assert.deepEqual(restored.history.map((e) => [e.event, e.from, e.to]), [['restore', 0.38, 0.5]]);
+      assert.deepEqual(JSON.parse(fs.readFileSync(archivePath, 'utf8')).instincts.map((i) => i.name), ['weak']);
+      assert.equal(run(dir, 'restore', 'inst-stale').status, 1);
+    } finally {
+      cleanup(dir);
+    }
+  });
+});
+
+// ---------------------------------------------------------------------------
+// evolve --apply
+// ---------------------------------------------------------------------------
+
+describe('instinct evolve --apply', () => {
+  test('turns a ready cluster into a valid skill and marks its instincts evolved', () => {
+    const dir = makeProject();
+    try {
+      const store = path.join(dir, STORE_REL);
+      const now = new Date().toISOString();
+      const instinct = (name, pattern, tags) => ({ id: `inst-${name}`, name, category: 'code-pattern', pattern, tags, confidence: 0.8, lastUsed: now, useCount: 3 });
+      fs.mkdirSync(path.dirname(store), { recursive: true });
+      fs.writeFileSync(store, JSON.stringify({ schemaVersion: 1, instincts: [
+        instinct('api-error-response-format', 'Return errors as { error: { code, message } } from API handlers', ['api', 'errors']),
+        instinct('api-error-status-codes', 'Map validation errors to 422 and missing resources to 404 in API responses', ['api', 'errors']),
+        { ...instinct('api-error-logging', 'Log API errors with the request id before returning the error response', ['api', 'logging']), context: 'Writing Express error middleware' },
+        instinct('css-z-index', 'Keep z-index values in a shared scale', ['css']),
+      ] }));
+
+      const [cluster] = JSON.parse(run(dir, 'evolve', '--json').stdout).clusters;
+      assert.equal(cluster.ready, true);
+
+      const dry = run(dir, 'evolve', `--apply=${cluster.name}`, '--name=api-errors', '--dry-run');
+      assert.equal(dry.status, 0);
+      assert.ok(!fs.existsSync(path.join(dir, '.copilot', 'skills', 'api-errors')));
+
+      const applied = run(dir, 'evolve', '--apply', cluster.name, '--name=api-errors');
+      assert.equal(applied.status, 0);
+      assert.match(applied.stdout, /Skill "api-errors" is valid/);
+      const skillDir = path.join(dir, '.copilot', 'skills', 'api-errors');
+      assert.deepEqual(fs.readdirSync(skillDir).sort(), ['SKILL.md', 'api-errors-patterns.md']);
+      assert.match(fs.readFileSync(path.join(skillDir, 'SKILL.md'), 'utf8'), /## Trigger Conditions\n- Writing Express error middleware\n- Working with `api`, `errors`, `logging`\n/);
+      assert.match(fs.readFileSync(path.join(skillDir, 'api-errors-patterns.md'), 'utf8'), /\*\*Pattern:\*\* Map validation errors to 422/);
+
+      const evolved = stored(dir).filter((i) => i.evolvedTo === 'api-errors').map((i) => i.name).sort();
+      assert.deepEqual(evolved, ['api-error-logging', 'api-error-response-format', 'api-error-status-codes']);
+      assert.deepEqual(JSON.parse(run(dir, 'evolve', '--json').stdout).unclustered.map((i) => i.name), ['css-z-index']);
+
+      const again = run(dir, 'evolve', `--apply=${cluster.name}`);
+      assert.equal(again.status, 1);
+      assert.match(again.stderr, /No cluster ".*" \(clusters: none\)/);
+    } finally {
+      cleanup(dir);
+    }
+  });
+});
@@ -62,6 +62,27 @@ describe('skill-creator', () => {
     assert.ok(manifest.includes('## Files'), 'Should contain files');
   });
 
+  test('generateClusterManifest and generateClusterPatterns build a skill from instincts', () => {
+    if (!skillCreator) return;
+    const cluster = { name: 'zod-validation', terms: ['zod', 'input validation', 'validation'], avgConfidence: 0.8, duplicates: [] };
+    const instincts = [
+      { id: 'inst-1', name: 'zod-inputs', category: 'code-pattern', confidence: 0.85, pattern: 'Validate inputs with zod', context: 'Writing API route handlers', tags: ['zod'], example: 'const Body = z.object({});\n```' },
+      { id: 'inst-2', name: 'zod-query', category: 'code-pattern', confidence: 0.75, pattern: 'Parse query params with zod', tags: ['zod', 'api'] },
+    ];
+    const date = '2026-01-02T03:04:05.000Z';
+
+    const manifest = skillCreator.generateClusterManifest('api-validation', cluster, instincts, date);
+    assert.ok(manifest.includes('Patterns learned from 2 instincts about zod, validation.'));
+    assert.ok(manifest.includes('## Trigger Conditions\n- Writing API route handlers\n- Working with `zod`, `api`\n'));
+    assert.ok(manifest.includes('- `api-validation-patterns.md`'));
+    assert.ok(manifest.includes('- `inst-2` zod-query (0.75)'));
+
+    const patterns = skillCreator.generateClusterPatterns('api-validation', cluster, instincts, date);
+    assert.ok(patterns.includes('## Zod Inputs\n\n**Category:** code-pattern · **Confidence:** 0.85 · `inst-1`\n\n**Context:** Writing API route handlers'));
+    assert.ok(patterns.includes('````\nconst Body = z.object({});\n```\n````'), 'examples get a longer fence than they contain');
+    assert.ok(patterns.includes('- [ ] Add concrete code examples'));
+  });
+
   test('createSkill rejects invalid skill names', () => {
     if (!skillCreator) return;
     const result = skillCreator.createSkill('Invalid Name!', 'HEAD~5..HEAD', '/tmp/nonexistent');
@@ -6,6 +6,9 @@ const { assert, describe, test } = require('../run-all');
 const path = require('node:path');
 const fs = require('node:fs');
 const os = require('node:os');
+const { spawnSync } = require('node:child_process');
+
+const SCRIPT = path.resolve(__dirname, '..', '..', 'scripts', 'validate-skills.js');
 
 // Helper to create a temp skills directory
 function tmpSkillsDir(skills) {
@@ -93,9 +96,12 @@ describe('validate-skills', () => {
     });
 
     try {
-      const skillMd = path.join(dir, '.copilot', 'skills', 'incomplete-skill', 'SKILL.md');
-      const content = fs.readFileSync(skillMd, 'utf8');
-      assert.ok(!content.includes('## Name'), 'Should be missing Name section');
+      const run = spawnSync(process.execPath, [SCRIPT, path.join(dir, '.copilot', 'skills')], { cwd: dir, encoding: 'utf8' });
+      const output = run.stdout + run.stderr;
+      assert.equal(run.status, 1);
+      assert.match(output, /incomplete-skill: INVALID/);
+      assert.match(output, /missing description .*\(skill\/description\)/);
+      assert.match(output, /missing trigger conditions .*\(skill\/triggers\)/);
     } finally {
       cleanup(dir);
     }